@@ -0,0 +1,240 @@
+/**
+ * Game-day session server: one facilitator runs the game and publishes its
+ * stream; player teams see the same alerts, race to acknowledge and resolve
+ * them and are ranked on a live leaderboard (src/gameday/leaderboard.js).
+ *
+ *   npm run gameday                        # 0.0.0.0:9097, prints the facilitator key
+ *   GAMEDAY_KEY=secret PORT=9000 npm run gameday
+ *
+ * WebSockets (JSON messages with a `type`):
+ *
+ *   /facilitate?key=<key>  → tick { now, tier, scenario, events, alerts, truth }, reset
+ *                          ← welcome, leaderboard
+ *   /play?team=<name>      → ack { id }, resolve { id }
+ *                          ← welcome, state { now, tier, scenario, alerts }, team { actions },
+ *                            leaderboard, error { message }
+ *   /stream                ← the facilitator's events, one JSON array per tick
+ *
+ * A refused connection gets `refused { message }` and is closed. Actions are
+ * stamped with the facilitator's latest sim time. GET / answers with the
+ * session status, GET /leaderboard with the current ranking.
+ */
+
+import { randomBytes } from "node:crypto";
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+import { leaderboard } from "../src/gameday/leaderboard.js";
+import { DETECTION_GRACE_MS } from "../src/incidents/quality.js";
+import { TIERS } from "../src/slo/tiers.js";
+import { acceptWebSocket } from "./ws.js";
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+const MAX_TEAM_LENGTH = 40;
+
+/**
+ * @param {{ key?: string, maxPendingBytes?: number, onLog?: (line: string) => void }} [opts]
+ *   `maxPendingBytes` – stream subscribers further behind have ticks dropped
+ */
+export function createGameDay({ key = randomBytes(6).toString("hex"), maxPendingBytes = 1 << 20, onLog } = {}) {
+  const state = { now: null, tier: "Tier-1", scenario: null, alerts: {}, truth: [] };
+  const teams = {}; // team → actions [{ kind, id, at }]
+  let facilitator = null;
+  const players = new Map(); // connection → team
+  const streams = new Set();
+  const sockets = new Set();
+  let lastBoard = null;
+
+  const send = (conn, msg) => conn.send(JSON.stringify(msg));
+
+  function ranking() {
+    return leaderboard(teams, state.alerts, state.truth, TIERS[state.tier].targets, { graceMs: DETECTION_GRACE_MS });
+  }
+
+  // The leaderboard goes out only when it changed.
+  function broadcastBoard(force = false) {
+    const msg = JSON.stringify({ type: "leaderboard", tier: state.tier, rows: ranking() });
+    if (!force && msg === lastBoard) return;
+    lastBoard = msg;
+    facilitator?.send(msg);
+    for (const conn of players.keys()) conn.send(msg);
+  }
+
+  function sendTeam(team) {
+    for (const [conn, t] of players) if (t === team) send(conn, { type: "team", team, actions: teams[team] });
+  }
+
+  function publicState() {
+    return { type: "state", now: state.now, tier: state.tier, scenario: state.scenario, alerts: Object.values(state.alerts) };
+  }
+
+  function onFacilitator(msg) {
+    if (msg.type === "tick") {
+      state.now = msg.now;
+      if (TIERS[msg.tier]) state.tier = msg.tier;
+      state.scenario = msg.scenario ?? null;
+      state.alerts = Object.fromEntries((msg.alerts || []).map((a) => [a.id, a]));
+      state.truth = msg.truth || [];
+      if (msg.events?.length) {
+        const text = JSON.stringify(msg.events);
+        for (const s of streams) if (s.pending() <= maxPendingBytes) s.send(text);
+      }
+      const text = JSON.stringify(publicState());
+      for (const conn of players.keys()) conn.send(text);
+      broadcastBoard();
+    } else if (msg.type === "reset") {
+      for (const team of Object.keys(teams)) {
+        teams[team] = [];
+        sendTeam(team);
+      }
+      onLog?.("new round: team actions cleared");
+      broadcastBoard();
+    }
+  }
+
+  function onPlayer(conn, team, msg) {
+    if (msg.type !== "ack" && msg.type !== "resolve") return;
+    if (!state.alerts[msg.id]) {
+      send(conn, { type: "error", message: "unknown alert" });
+      return;
+    }
+    if (teams[team].some((a) => a.kind === msg.type && a.id === msg.id)) {
+      send(conn, { type: "error", message: `already ${msg.type === "ack" ? "acknowledged" : "resolved"} by ${team}` });
+      return;
+    }
+    teams[team].push({ kind: msg.type, id: msg.id, at: state.now });
+    onLog?.(`${team} ${msg.type} ${state.alerts[msg.id].type}`);
+    sendTeam(team);
+    broadcastBoard();
+  }
+
+  // Anything but a JSON object (e.g. `null`, a number) is ignored like garbage.
+  const parse = (text) => {
+    try {
+      const msg = JSON.parse(text);
+      return msg && typeof msg === "object" && !Array.isArray(msg) ? msg : {};
+    } catch {
+      return {};
+    }
+  };
+
+  const server = http.createServer((req, res) => {
+    const path = req.url.split("?")[0];
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS).end();
+      return;
+    }
+    if (req.method === "GET" && (path === "/" || path === "/leaderboard")) {
+      const body =
+        path === "/"
+          ? {
+              facilitator: !!facilitator,
+              teams: Object.keys(teams),
+              players: players.size,
+              streams: streams.size,
+              now: state.now,
+              tier: state.tier,
+              scenario: state.scenario,
+            }
+          : { tier: state.tier, rows: ranking() };
+      res.writeHead(200, { ...CORS, "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+      return;
+    }
+    res.writeHead(404, CORS).end();
+  });
+
+  server.on("upgrade", (req, socket, head) => {
+    const url = new URL(req.url, "http://localhost");
+    let conn = null;
+    let onText = null;
+    let onClose = null;
+
+    if (url.pathname === "/facilitate") {
+      onText = (text) => conn === facilitator && onFacilitator(parse(text));
+      onClose = () => {
+        if (facilitator === conn) facilitator = null;
+      };
+    } else if (url.pathname === "/play") {
+      const team = (url.searchParams.get("team") || "").trim();
+      // A refused connection may still send before its socket closes
+      onText = (text) => players.has(conn) && onPlayer(conn, team, parse(text));
+      onClose = () => players.delete(conn);
+    } else if (url.pathname === "/stream") {
+      onClose = () => streams.delete(conn);
+    } else {
+      socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+      return;
+    }
+
+    conn = acceptWebSocket(req, socket, {
+      head,
+      onText: (text) => onText?.(text),
+      onClose: () => {
+        sockets.delete(socket);
+        onClose();
+      },
+    });
+    if (!conn) return;
+    sockets.add(socket);
+    const refuse = (message) => {
+      send(conn, { type: "refused", message });
+      socket.end();
+    };
+
+    if (url.pathname === "/facilitate") {
+      if (url.searchParams.get("key") !== key) return refuse("wrong facilitator key");
+      // A new facilitator connection takes over (e.g. after a reload)
+      if (facilitator) facilitator.close();
+      facilitator = conn;
+      onLog?.("facilitator connected");
+      send(conn, { type: "welcome", role: "facilitator" });
+      broadcastBoard(true);
+    } else if (url.pathname === "/play") {
+      const team = (url.searchParams.get("team") || "").trim();
+      if (!team || team.length > MAX_TEAM_LENGTH) return refuse(`team must be 1–${MAX_TEAM_LENGTH} characters`);
+      teams[team] ??= [];
+      players.set(conn, team);
+      onLog?.(`${team} joined (${players.size} player connection(s))`);
+      send(conn, { type: "welcome", role: "player", team });
+      send(conn, publicState());
+      sendTeam(team);
+      broadcastBoard(true);
+    } else {
+      streams.add(conn);
+    }
+  });
+
+  return {
+    key,
+    state,
+    teams,
+    /** @returns {Promise<string>} base URL, e.g. http://127.0.0.1:9097 */
+    listen(port = 9097, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+      });
+    },
+    close() {
+      for (const socket of sockets) socket.destroy();
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const gameday = createGameDay({
+    key: process.env.GAMEDAY_KEY || undefined,
+    onLog: (line) => console.log(`${new Date().toISOString()} ${line}`),
+  });
+  const url = await gameday.listen(Number(process.env.PORT) || 9097, process.env.HOST || "0.0.0.0");
+  const ws = url.replace(/^http/, "ws");
+  console.log(`Game-day server listening on ${ws} (GET ${url}/leaderboard)`);
+  console.log(`Facilitator key: ${gameday.key}`);
+}
@@ -0,0 +1,201 @@
+import { randomBytes } from "node:crypto";
+import http from "node:http";
+import net from "node:net";
+import { afterEach, describe, expect, it } from "vitest";
+import { until } from "../src/testing.js";
+import { createGameDay } from "./gameday.js";
+
+let gameday;
+afterEach(() => gameday?.close());
+
+const MIN = 60 * 1000;
+
+// A masked client frame: a text frame of `msg` as JSON, or raw bytes with any opcode.
+function clientFrame(msg, { opcode = 0x1, fin = true } = {}) {
+  const payload = Buffer.isBuffer(msg) ? msg : Buffer.from(JSON.stringify(msg));
+  const mask = randomBytes(4);
+  const first = (fin ? 0x80 : 0) | opcode;
+  const frame = payload.length < 126 ? Buffer.from([first, 0x80 | payload.length]) : Buffer.from([first, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+  return Buffer.concat([frame, mask, payload.map((b, i) => b ^ mask[i % 4])]);
+}
+
+// Raw TCP upgrade: `first` goes out in the same write as the handshake.
+function rawConnect(url, first = Buffer.alloc(0)) {
+  const { hostname, port, pathname, search } = new URL(url);
+  const socket = net.connect(Number(port), hostname);
+  const received = [];
+  socket.on("data", (chunk) => received.push(chunk));
+  const handshake = `GET ${pathname}${search} HTTP/1.1\r\nHost: ${hostname}\r\nConnection: Upgrade\r\nUpgrade: websocket\r\nSec-WebSocket-Key: ${randomBytes(16).toString("base64")}\r\nSec-WebSocket-Version: 13\r\n\r\n`;
+  socket.write(Buffer.concat([Buffer.from(handshake), first]));
+  return { socket, received: () => Buffer.concat(received) };
+}
+
+// Minimal WebSocket client: the handshake, masked text frames out, unmasked text frames in.
+function wsConnect(url) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(url.replace(/^ws/, "http"), {
+      headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Key": randomBytes(16).toString("base64"), "Sec-WebSocket-Version": "13" },
+    });
+    req.on("upgrade", (res, socket, head) => {
+      const messages = [];
+      let buf = Buffer.alloc(0);
+      const read = (chunk) => {
+        buf = Buffer.concat([buf, chunk]);
+        while (buf.length >= 2) {
+          let len = buf[1] & 0x7f;
+          let offset = 2;
+          if (len === 126) [len, offset] = [buf.readUInt16BE(2), 4];
+          if (buf.length < offset + len) break;
+          if ((buf[0] & 0x0f) === 0x1) messages.push(JSON.parse(buf.subarray(offset, offset + len).toString()));
+          buf = buf.subarray(offset + len);
+        }
+      };
+      // Frames sent right after the handshake arrive with it
+      read(head);
+      socket.on("data", read);
+      const send = (msg) => socket.write(clientFrame(msg));
+      const last = (type) => messages.filter((m) => m.type === type).at(-1);
+      resolve({ messages, send, last, socket });
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+const tick = (now, alerts, events = []) => ({
+  type: "tick",
+  now,
+  tier: "Tier-1",
+  scenario: "PSP Brownout",
+  events,
+  alerts,
+  truth: [{ start: 0, end: 30 * MIN, labels: ["PSP Brownout: plateau"] }],
+});
+const page = { id: "a1", type: "Page fast", severity: "P0", route: "page", state: "firing", episodes: [{ start: 2 * MIN, end: null }] };
+
+describe("game-day server", () => {
+  it("shares the facilitator's run with teams and ranks their actions", async () => {
+    gameday = createGameDay({ key: "k1" });
+    const base = (await gameday.listen(0)).replace(/^http/, "ws");
+    const host = await wsConnect(`${base}/facilitate?key=k1`);
+    const blue = await wsConnect(`${base}/play?team=Blue`);
+    const red = await wsConnect(`${base}/play?team=Red`);
+    const stream = await wsConnect(`${base}/stream`);
+    await until(() => host.last("leaderboard")?.rows.length === 2);
+
+    host.send(tick(3 * MIN, [page], [{ ts: 1 }]));
+    await until(() => blue.last("state")?.alerts.length && stream.messages.length);
+    expect(blue.last("state")).toMatchObject({ now: 3 * MIN, tier: "Tier-1", scenario: "PSP Brownout" });
+    expect(stream.messages).toEqual([[{ ts: 1 }]]);
+
+    blue.send({ type: "ack", id: "a1" });
+    await until(() => blue.last("team")?.actions.length);
+    host.send(tick(9 * MIN, [page]));
+    red.send({ type: "ack", id: "a1" });
+    blue.send({ type: "ack", id: "a1" });
+    await until(() => red.last("team")?.actions.length && blue.last("error"));
+    expect(blue.last("error").message).toBe("already acknowledged by Blue");
+
+    const board = await (await fetch(`${base.replace(/^ws/, "http")}/leaderboard`)).json();
+    expect(board.rows.map((r) => [r.team, r.mttaMs, r.acksInTarget])).toEqual([
+      ["Blue", MIN, 1],
+      ["Red", 7 * MIN, 0],
+    ]);
+
+    host.send({ type: "reset" });
+    await until(() => blue.last("team")?.actions.length === 0);
+    expect(gameday.teams).toEqual({ Blue: [], Red: [] });
+    for (const c of [host, blue, red, stream]) c.socket.destroy();
+  });
+
+  it("refuses a wrong facilitator key and nameless teams", async () => {
+    gameday = createGameDay({ key: "k1" });
+    const base = (await gameday.listen(0)).replace(/^http/, "ws");
+    const intruder = await wsConnect(`${base}/facilitate?key=nope`);
+    const anon = await wsConnect(`${base}/play?team=%20`);
+    await until(() => intruder.messages.length && anon.messages.length);
+    expect(intruder.messages).toEqual([{ type: "refused", message: "wrong facilitator key" }]);
+    expect(anon.messages).toEqual([{ type: "refused", message: "team must be 1–40 characters" }]);
+    const status = await (await fetch(`${base.replace(/^ws/, "http")}/`)).json();
+    expect(status).toMatchObject({ facilitator: false, teams: [], players: 0 });
+  });
+
+  it("survives messages that aren't JSON objects", async () => {
+    gameday = createGameDay({ key: "k1" });
+    const base = (await gameday.listen(0)).replace(/^http/, "ws");
+    const host = await wsConnect(`${base}/facilitate?key=k1`);
+    const blue = await wsConnect(`${base}/play?team=Blue`);
+    await until(() => host.last("welcome") && blue.last("welcome"));
+    host.send(tick(3 * MIN, [page]));
+    await until(() => blue.last("state")?.alerts.length);
+    for (const c of [host, blue]) {
+      c.send(null);
+      c.send(42);
+    }
+    // A refused player may not act either
+    const anon = await wsConnect(`${base}/play?team=`);
+    anon.send({ type: "ack", id: "a1" });
+    blue.send({ type: "ack", id: "a1" });
+    await until(() => blue.last("team")?.actions.length);
+    expect(blue.last("team").actions).toEqual([{ kind: "ack", id: "a1", at: 3 * MIN }]);
+    const status = await (await fetch(`${base.replace(/^ws/, "http")}/`)).json();
+    expect(status).toMatchObject({ facilitator: true, teams: ["Blue"], players: 1 });
+    for (const c of [host, blue, anon]) c.socket.destroy();
+  });
+
+  it("keeps a frame sent with the handshake and closes on oversized frames", async () => {
+    gameday = createGameDay({ key: "k1" });
+    const base = (await gameday.listen(0)).replace(/^http/, "ws");
+    const host = await wsConnect(`${base}/facilitate?key=k1`);
+    await until(() => host.last("welcome"));
+    host.send(tick(3 * MIN, [page]));
+    await until(() => gameday.state.now);
+
+    const eager = rawConnect(`${base}/play?team=Blue`, clientFrame({ type: "ack", id: "a1" }));
+    await until(() => gameday.teams.Blue?.length);
+    expect(gameday.teams.Blue).toEqual([{ kind: "ack", id: "a1", at: 3 * MIN }]);
+
+    // Announces a 64 MiB payload; refused before any of it arrives
+    const huge = Buffer.alloc(14);
+    huge[0] = 0x81;
+    huge[1] = 0x80 | 127;
+    huge.writeBigUInt64BE(BigInt(1 << 26), 2);
+    const greedy = rawConnect(`${base}/play?team=Red`);
+    await until(() => gameday.teams.Red);
+    greedy.socket.write(huge);
+    await until(() => greedy.socket.readableEnded);
+    expect(greedy.received().subarray(-4)).toEqual(Buffer.from([0x88, 0x02, 0x03, 0xf1]));
+    for (const c of [host.socket, eager.socket, greedy.socket]) c.destroy();
+  });
+
+  it("reassembles fragmented messages and closes on stray continuations", async () => {
+    gameday = createGameDay({ key: "k1" });
+    const base = (await gameday.listen(0)).replace(/^http/, "ws");
+    const host = await wsConnect(`${base}/facilitate?key=k1`);
+    await until(() => host.last("welcome"));
+    host.send(tick(3 * MIN, [page]));
+    await until(() => gameday.state.now);
+
+    // Three fragments with a ping in between, written a few bytes at a time
+    const text = Buffer.from(JSON.stringify({ type: "ack", id: "a1" }));
+    const frames = Buffer.concat([
+      clientFrame(text.subarray(0, 5), { fin: false }),
+      clientFrame(Buffer.from("hi"), { opcode: 0x9 }),
+      clientFrame(text.subarray(5, 12), { opcode: 0x0, fin: false }),
+      clientFrame(text.subarray(12), { opcode: 0x0 }),
+    ]);
+    const blue = rawConnect(`${base}/play?team=Blue`);
+    await until(() => gameday.teams.Blue);
+    for (let i = 0; i < frames.length; i += 3) blue.socket.write(frames.subarray(i, i + 3));
+    await until(() => gameday.teams.Blue.length);
+    expect(gameday.teams.Blue).toEqual([{ kind: "ack", id: "a1", at: 3 * MIN }]);
+    expect(blue.received().includes(Buffer.from([0x8a, 0x02, 0x68, 0x69]))).toBe(true);
+
+    const red = rawConnect(`${base}/play?team=Red`);
+    await until(() => gameday.teams.Red);
+    red.socket.write(clientFrame(text, { opcode: 0x0 }));
+    await until(() => red.socket.readableEnded);
+    expect(red.received().subarray(-4)).toEqual(Buffer.from([0x88, 0x02, 0x03, 0xea]));
+    for (const c of [host.socket, blue.socket, red.socket]) c.destroy();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Local mock notification receiver: accepts any JSON POST (webhook,
+ * Alertmanager /api/v2/alerts, PagerDuty /v2/enqueue), records it and
+ * answers like the real thing would. CORS is open so the game can post to it
+ * straight from the browser.
+ *
+ *   npm run mock-receiver            # listens on 127.0.0.1:9099
+ *   PORT=9200 npm run mock-receiver
+ */
+
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+// Which receiver kind a request looks like, from its path and body.
+export function detectKind(path, body) {
+  if (path.endsWith("/api/v2/alerts")) return "alertmanager";
+  if (body && typeof body === "object" && "event_action" in body) return "pagerduty";
+  return "webhook";
+}
+
+/**
+ * @param {{ status?: number, onRequest?: (entry: object) => void }} [opts]
+ *   `status` forces every reply's HTTP status (e.g. 500 to rehearse failures)
+ */
+export function createMockReceiver({ status, onRequest } = {}) {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS).end();
+      return;
+    }
+    let raw = "";
+    req.on("data", (chunk) => (raw += chunk));
+    req.on("end", () => {
+      let body = raw;
+      try {
+        body = JSON.parse(raw);
+      } catch {
+        // keep the raw text
+      }
+      const entry = { at: Date.now(), method: req.method, path: req.url, kind: detectKind(req.url, body), body };
+      received.push(entry);
+      onRequest?.(entry);
+      const reply =
+        entry.kind === "pagerduty"
+          ? [202, { status: "success", message: "Event processed", dedup_key: body.dedup_key }]
+          : [200, { status: "success" }];
+      res.writeHead(status ?? reply[0], { ...CORS, "Content-Type": "application/json" }).end(JSON.stringify(reply[1]));
+    });
+  });
+
+  return {
+    received,
+    /** @returns {Promise<string>} base URL, e.g. http://127.0.0.1:9099 */
+    listen(port = 9099, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+      });
+    },
+    close() {
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+function summarize({ kind, path, body }) {
+  if (kind === "pagerduty") return `${body.event_action} ${body.dedup_key}${body.payload ? ` – ${body.payload.summary}` : ""}`;
+  if (kind === "alertmanager") return `${body.length} alert(s): ${body.map((a) => a.labels.alertname).join(", ")}`;
+  if (body?.alerts) return `${body.status} ${body.groupKey} – ${body.alerts.length} alert(s)`;
+  return path;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const receiver = createMockReceiver({
+    onRequest: (e) => console.log(`${new Date(e.at).toISOString()} ${e.kind.padEnd(12)} ${e.path}  ${summarize(e)}`),
+  });
+  const url = await receiver.listen(Number(process.env.PORT) || 9099);
+  console.log(`Mock receiver listening on ${url} (webhook, ${url}/api/v2/alerts, ${url}/v2/enqueue)`);
+}
@@ -0,0 +1,207 @@
+/**
+ * Local log relay: takes business_process_logger events from HTTP POSTs
+ * and/or a tailed NDJSON file and fans them out to the game over WebSocket
+ * and Server-Sent Events. Each publish goes out as one message holding a JSON
+ * array of events. Events are not validated here; the game checks them
+ * against the schema when they arrive.
+ *
+ *   npm run relay                          # 127.0.0.1:9098
+ *   npm run relay -- --tail /var/log/app/events.ndjson
+ *   curl -d @events.ndjson http://127.0.0.1:9098/events
+ *
+ * Subscribe at ws://127.0.0.1:9098/ws or http://127.0.0.1:9098/events (SSE).
+ * A subscriber that falls more than `maxPendingBytes` behind has messages
+ * dropped instead of queued, so one slow tab cannot grow the relay's memory.
+ * A POST body over `maxBodyBytes` is refused with 413 as soon as it crosses
+ * the limit.
+ */
+
+import fs from "node:fs";
+import http from "node:http";
+import { pathToFileURL } from "node:url";
+import { acceptWebSocket, HEARTBEAT_MS } from "./ws.js";
+
+const CORS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type",
+};
+
+/**
+ * Events in a POST body or file chunk: a JSON object, a JSON array or NDJSON.
+ * @returns {{ events: object[], invalid: number }} invalid = unparsable lines
+ */
+export function parseEvents(text) {
+  const trimmed = text.trim();
+  if (!trimmed) return { events: [], invalid: 0 };
+  try {
+    const parsed = JSON.parse(trimmed);
+    return { events: Array.isArray(parsed) ? parsed : [parsed], invalid: 0 };
+  } catch {
+    const events = [];
+    let invalid = 0;
+    for (const line of trimmed.split(/\r?\n/)) {
+      if (!line.trim()) continue;
+      try {
+        events.push(JSON.parse(line));
+      } catch {
+        invalid++;
+      }
+    }
+    return { events, invalid };
+  }
+}
+
+// ---- File tail ---------------------------------------------------------------
+
+/**
+ * Follow `path` like `tail -f`: only lines appended after start are read.
+ * Truncation (log rotation in place) restarts from the top.
+ * @returns {() => void} stop
+ */
+export function tailFile(path, onText, { intervalMs = 500 } = {}) {
+  let offset = fs.existsSync(path) ? fs.statSync(path).size : 0;
+  let partial = "";
+  const onChange = (cur) => {
+    if (cur.size < offset) offset = 0;
+    if (cur.size === offset) return;
+    const fd = fs.openSync(path, "r");
+    const chunk = Buffer.alloc(cur.size - offset);
+    fs.readSync(fd, chunk, 0, chunk.length, offset);
+    fs.closeSync(fd);
+    offset = cur.size;
+    const text = partial + chunk.toString("utf8");
+    const cut = text.lastIndexOf("\n") + 1;
+    partial = text.slice(cut);
+    if (cut) onText(text.slice(0, cut));
+  };
+  fs.watchFile(path, { interval: intervalMs }, onChange);
+  return () => fs.unwatchFile(path, onChange);
+}
+
+// ---- Relay -------------------------------------------------------------------
+
+/**
+ * @param {{ tail?: string, maxPendingBytes?: number, maxBodyBytes?: number,
+ *   onPublish?: (n: number, from: string) => void }} [opts]
+ */
+export function createRelay({ tail, maxPendingBytes = 1 << 20, maxBodyBytes = 1 << 24, onPublish } = {}) {
+  const clients = new Set(); // { kind, send(text), pending() }
+  const sockets = new Set(); // upgraded WebSocket connections
+  const stats = { published: 0, invalid: 0, dropped: 0 };
+
+  function publish(events, from) {
+    if (!events.length) return;
+    stats.published += events.length;
+    const text = JSON.stringify(events);
+    for (const c of clients) {
+      if (c.pending() > maxPendingBytes) stats.dropped += events.length;
+      else c.send(text);
+    }
+    onPublish?.(events.length, from);
+  }
+
+  function ingest(text, from) {
+    const { events, invalid } = parseEvents(text);
+    stats.invalid += invalid;
+    publish(events, from);
+    return { events, invalid };
+  }
+
+  const server = http.createServer((req, res) => {
+    const path = req.url.split("?")[0];
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, CORS).end();
+      return;
+    }
+    if (req.method === "POST" && path === "/events") {
+      const chunks = [];
+      let size = 0;
+      const read = (chunk) => {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size <= maxBodyBytes) return;
+        req.off("data", read);
+        res.writeHead(413, { ...CORS, "Content-Type": "application/json", Connection: "close" });
+        res.end(JSON.stringify({ error: `body over ${maxBodyBytes} bytes` }), () => req.destroy());
+      };
+      req.on("data", read);
+      req.on("end", () => {
+        if (size > maxBodyBytes) return;
+        const { events, invalid } = ingest(Buffer.concat(chunks, size).toString("utf8"), "http");
+        const status = !events.length && invalid ? 400 : 202;
+        res.writeHead(status, { ...CORS, "Content-Type": "application/json" });
+        res.end(JSON.stringify({ accepted: events.length, invalid, subscribers: clients.size }));
+      });
+      return;
+    }
+    if (req.method === "GET" && path === "/events") {
+      res.writeHead(200, { ...CORS, "Content-Type": "text/event-stream", "Cache-Control": "no-cache", Connection: "keep-alive" });
+      res.write(": connected\n\n");
+      const client = { kind: "sse", send: (text) => res.write(`data: ${text}\n\n`), pending: () => res.writableLength };
+      const beat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_MS);
+      clients.add(client);
+      req.on("close", () => {
+        clearInterval(beat);
+        clients.delete(client);
+      });
+      return;
+    }
+    if (req.method === "GET" && path === "/") {
+      res.writeHead(200, { ...CORS, "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ...stats, subscribers: clients.size }));
+      return;
+    }
+    res.writeHead(404, CORS).end();
+  });
+
+  server.on("upgrade", (req, socket, head) => {
+    const ws = acceptWebSocket(req, socket, {
+      head,
+      onClose: () => {
+        clients.delete(client);
+        sockets.delete(socket);
+      },
+    });
+    if (!ws) return;
+    const client = { kind: "ws", send: ws.send, pending: ws.pending };
+    clients.add(client);
+    sockets.add(socket);
+  });
+
+  const stopTail = tail ? tailFile(tail, (text) => ingest(text, "tail")) : null;
+
+  return {
+    stats,
+    get subscribers() {
+      return clients.size;
+    },
+    publish,
+    /** @returns {Promise<string>} base URL, e.g. http://127.0.0.1:9098 */
+    listen(port = 9098, host = "127.0.0.1") {
+      return new Promise((resolve, reject) => {
+        server.once("error", reject);
+        server.listen(port, host, () => resolve(`http://${host}:${server.address().port}`));
+      });
+    },
+    close() {
+      stopTail?.();
+      for (const socket of sockets) socket.destroy();
+      server.closeAllConnections();
+      return new Promise((resolve) => server.close(() => resolve()));
+    },
+  };
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const at = process.argv.indexOf("--tail");
+  const tail = at > 0 ? process.argv[at + 1] : undefined;
+  const relay = createRelay({
+    tail,
+    onPublish: (n, from) => console.log(`${new Date().toISOString()} ${from.padEnd(4)} ${n} event(s) → ${relay.subscribers} subscriber(s)`),
+  });
+  const url = await relay.listen(Number(process.env.PORT) || 9098);
+  const ws = url.replace(/^http/, "ws");
+  console.log(`Relay listening on ${url}: POST ${url}/events, subscribe at ${ws}/ws or ${url}/events (SSE)`);
+  if (tail) console.log(`Tailing ${tail}`);
+}
@@ -0,0 +1,131 @@
+import { randomBytes } from "node:crypto";
+import fs from "node:fs";
+import http from "node:http";
+import os from "node:os";
+import path from "node:path";
+import { afterEach, describe, expect, it } from "vitest";
+import { until } from "../src/testing.js";
+import { createRelay, parseEvents } from "./relay.js";
+
+let relay;
+afterEach(() => relay?.close());
+
+const ev = (ts) => ({ logger: "business_process_logger", event_type: "submit_payment", is_successful: true, ts });
+
+// Minimal WebSocket client: the handshake, then unmasked server text frames.
+function wsConnect(base) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${base}/ws`, {
+      headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Key": randomBytes(16).toString("base64"), "Sec-WebSocket-Version": "13" },
+    });
+    req.on("upgrade", (res, socket) => {
+      const messages = [];
+      let buf = Buffer.alloc(0);
+      socket.on("data", (chunk) => {
+        buf = Buffer.concat([buf, chunk]);
+        while (buf.length >= 2) {
+          let len = buf[1] & 0x7f;
+          let offset = 2;
+          if (len === 126) [len, offset] = [buf.readUInt16BE(2), 4];
+          if (buf.length < offset + len) break;
+          if ((buf[0] & 0x0f) === 0x1) messages.push(JSON.parse(buf.subarray(offset, offset + len).toString()));
+          buf = buf.subarray(offset + len);
+        }
+      });
+      resolve({ status: res.statusCode, messages, socket });
+    });
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+async function sseConnect(base) {
+  const ctrl = new AbortController();
+  const res = await fetch(`${base}/events`, { signal: ctrl.signal });
+  const messages = [];
+  (async () => {
+    let text = "";
+    try {
+      for await (const chunk of res.body) {
+        text += Buffer.from(chunk).toString();
+        const parts = text.split("\n\n");
+        text = parts.pop();
+        for (const p of parts) if (p.startsWith("data: ")) messages.push(JSON.parse(p.slice(6)));
+      }
+    } catch {
+      // aborted
+    }
+  })();
+  return { messages, close: () => ctrl.abort() };
+}
+
+describe("relay", () => {
+  it("parses JSON objects, arrays and NDJSON", () => {
+    expect(parseEvents(JSON.stringify(ev(1)))).toEqual({ events: [ev(1)], invalid: 0 });
+    expect(parseEvents(JSON.stringify([ev(1), ev(2)])).events).toHaveLength(2);
+    expect(parseEvents(`${JSON.stringify(ev(1))}\n\n{oops\n${JSON.stringify(ev(2))}\n`)).toEqual({ events: [ev(1), ev(2)], invalid: 1 });
+  });
+
+  it("fans POSTed events out to WebSocket and SSE subscribers", async () => {
+    relay = createRelay();
+    const base = await relay.listen(0);
+    const ws = await wsConnect(base);
+    const sse = await sseConnect(base);
+    expect(ws.status).toBe(101);
+    await until(() => relay.subscribers === 2);
+
+    const res = await fetch(`${base}/events`, { method: "POST", body: [ev(1), ev(2)].map((e) => JSON.stringify(e)).join("\n") });
+    expect(res.status).toBe(202);
+    expect(await res.json()).toEqual({ accepted: 2, invalid: 0, subscribers: 2 });
+    await until(() => ws.messages.length && sse.messages.length);
+    expect(ws.messages).toEqual([[ev(1), ev(2)]]);
+    expect(sse.messages).toEqual([[ev(1), ev(2)]]);
+    expect((await fetch(`${base}/events`, { method: "POST", body: "nope" })).status).toBe(400);
+    sse.close();
+    ws.socket.destroy();
+  });
+
+  it("answers 413 to POST bodies over the size limit", async () => {
+    relay = createRelay({ maxBodyBytes: 200 });
+    const base = await relay.listen(0);
+    // The body never ends: the answer must not wait for it
+    const res = await new Promise((resolve, reject) => {
+      const req = http.request(`${base}/events`, { method: "POST" }, (r) => {
+        let body = "";
+        r.on("data", (chunk) => (body += chunk));
+        r.on("end", () => resolve({ status: r.statusCode, body: JSON.parse(body) }));
+      });
+      req.on("error", reject);
+      req.write(JSON.stringify([ev(1), ev(2), ev(3)]));
+    });
+    expect(res).toEqual({ status: 413, body: { error: "body over 200 bytes" } });
+    expect(relay.stats.published).toBe(0);
+    expect((await fetch(`${base}/events`, { method: "POST", body: JSON.stringify(ev(1)) })).status).toBe(202);
+  });
+
+  it("tails appended lines of a file", async () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "relay-")), "events.ndjson");
+    fs.writeFileSync(file, `${JSON.stringify(ev(0))}\n`);
+    const published = [];
+    relay = createRelay({ tail: file, onPublish: (n, from) => published.push([n, from]) });
+    await relay.listen(0);
+    // Let the watcher take its first stat, or both appends land in one read
+    await new Promise((r) => setTimeout(r, 700));
+    fs.appendFileSync(file, `${JSON.stringify(ev(1))}\n${JSON.stringify(ev(2)).slice(0, 10)}`);
+    await until(() => published.length);
+    fs.appendFileSync(file, `${JSON.stringify(ev(2)).slice(10)}\n`);
+    await until(() => published.length === 2);
+    expect(published).toEqual([[1, "tail"], [1, "tail"]]);
+    expect(relay.stats).toMatchObject({ published: 2, invalid: 0 });
+  }, 10000);
+
+  it("drops messages for subscribers that fall too far behind", async () => {
+    relay = createRelay({ maxPendingBytes: -1 });
+    const base = await relay.listen(0);
+    const ws = await wsConnect(base);
+    await until(() => relay.subscribers === 1);
+    relay.publish([ev(1)], "test");
+    expect(relay.stats).toMatchObject({ published: 1, dropped: 1 });
+    ws.socket.destroy();
+  });
+});
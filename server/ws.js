@@ -0,0 +1,149 @@
+/**
+ * Minimal server-side WebSocket (RFC 6455) for the bundled servers: the
+ * handshake, text frames (fragmented or not), ping/pong, close and a heartbeat.
+ */
+
+import { createHash } from "node:crypto";
+
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+// Interval of WebSocket pings (and the relay's SSE comments) to idle clients.
+export const HEARTBEAT_MS = 15000;
+
+// Longer frames, or fragmented messages, are refused with 1009 (message too big).
+export const MAX_FRAME_BYTES = 1 << 24;
+
+export function wsFrame(opcode, payload) {
+  const len = payload.length;
+  const ext = len < 126 ? 0 : len < 65536 ? 2 : 8;
+  const head = Buffer.alloc(2 + ext);
+  head[0] = 0x80 | opcode;
+  head[1] = ext === 0 ? len : ext === 2 ? 126 : 127;
+  if (ext === 2) head.writeUInt16BE(len, 2);
+  if (ext === 8) head.writeBigUInt64BE(BigInt(len), 2);
+  return Buffer.concat([head, payload]);
+}
+
+// Read client frames (always masked). Fragmented messages are reassembled;
+// one over `maxFrameBytes` closes the connection with 1009 (message too big),
+// a continuation without a message (or vice versa) with 1002 (protocol error).
+function readWsFrames(socket, maxFrameBytes, onFrame) {
+  let chunks = [];
+  let size = 0;
+  let need = 2; // bytes buffered before the next frame can be read further
+  let message = null; // { opcode, parts, length } while a fragmented message is open
+  const fail = (code) => {
+    socket.off("data", read);
+    socket.end(wsFrame(0x8, Buffer.from([code >> 8, code & 0xff])));
+  };
+  // @returns {boolean} false once the connection has been failed
+  const frame = (fin, opcode, payload) => {
+    // Control frames are never fragmented and may arrive between fragments
+    if (opcode >= 0x8) {
+      onFrame(opcode, payload);
+      return true;
+    }
+    if ((opcode === 0x0) !== !!message) {
+      fail(1002);
+      return false;
+    }
+    if (fin && !message) {
+      onFrame(opcode, payload);
+      return true;
+    }
+    message ??= { opcode, parts: [], length: 0 };
+    message.parts.push(payload);
+    message.length += payload.length;
+    if (message.length > maxFrameBytes) {
+      fail(1009);
+      return false;
+    }
+    if (fin) {
+      const { opcode: first, parts, length } = message;
+      message = null;
+      onFrame(first, Buffer.concat(parts, length));
+    }
+    return true;
+  };
+  // Chunks are only joined once a whole frame (or header) has arrived.
+  const read = (chunk) => {
+    chunks.push(chunk);
+    size += chunk.length;
+    if (size < need) return;
+    let buf = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks, size);
+    for (;;) {
+      need = 2;
+      if (buf.length < need) break;
+      let len = buf[1] & 0x7f;
+      let offset = 2;
+      if (len === 126) {
+        need = offset = 4;
+        if (buf.length < need) break;
+        len = buf.readUInt16BE(2);
+      } else if (len === 127) {
+        need = offset = 10;
+        if (buf.length < need) break;
+        len = Number(buf.readBigUInt64BE(2));
+      }
+      if (len > maxFrameBytes) {
+        fail(1009);
+        return;
+      }
+      const masked = buf[1] & 0x80;
+      need = offset + (masked ? 4 : 0) + len;
+      if (buf.length < need) break;
+      const payload = buf.subarray(need - len, need);
+      if (masked) {
+        const mask = buf.subarray(offset, offset + 4);
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i % 4];
+      }
+      if (!frame(buf[0] & 0x80, buf[0] & 0x0f, payload)) return;
+      buf = buf.subarray(need);
+    }
+    chunks = buf.length ? [buf] : [];
+    size = buf.length;
+  };
+  socket.on("data", read);
+}
+
+/**
+ * Complete a WebSocket upgrade. Client text messages go to `onText`; other
+ * data frames are ignored. Pass the upgrade event's `head`: it holds any
+ * frames the client sent in the same packet as the handshake.
+ * @param {{ head?: Buffer, maxFrameBytes?: number, onText?: (text: string) => void, onClose?: () => void }} [opts]
+ * @returns {{ send: (text: string) => void, pending: () => number, close: () => void }|null}
+ *   null (after answering 400) when the request is not a WebSocket upgrade
+ */
+export function acceptWebSocket(req, socket, { head, maxFrameBytes = MAX_FRAME_BYTES, onText, onClose } = {}) {
+  const key = req.headers["sec-websocket-key"];
+  if (req.headers.upgrade?.toLowerCase() !== "websocket" || !key) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+    return null;
+  }
+  const accept = createHash("sha1").update(key + WS_GUID).digest("base64");
+  socket.write(
+    `HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\nSec-WebSocket-Accept: ${accept}\r\n\r\n`
+  );
+  const beat = setInterval(() => socket.write(wsFrame(0x9, Buffer.alloc(0))), HEARTBEAT_MS);
+  // Read back after the caller has registered the connection (data flows on a later tick)
+  if (head?.length) socket.unshift(head);
+  readWsFrames(socket, maxFrameBytes, (opcode, payload) => {
+    if (opcode === 0x8) socket.end(wsFrame(0x8, payload.subarray(0, 2)));
+    else if (opcode === 0x9) socket.write(wsFrame(0xa, payload));
+    else if (opcode === 0x1) onText?.(payload.toString("utf8"));
+  });
+  let closed = false;
+  const drop = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(beat);
+    onClose?.();
+  };
+  socket.on("close", drop);
+  socket.on("error", drop);
+  return {
+    send: (text) => socket.write(wsFrame(0x1, Buffer.from(text))),
+    pending: () => socket.writableLength,
+    close: () => socket.destroy(),
+  };
+}
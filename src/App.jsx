@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import {
   LineChart,
   Line,
@@ -10,6 +10,7 @@ import {
   Area,
   AreaChart,
   Legend,
+  ReferenceLine,
 } from "recharts";
 import {
   AlertTriangle,
@@ -30,7 +31,119 @@ import {
   Bug,
   CircleHelp,
   Info,
+  Send,
+  FileCode2,
+  FileUp,
+  FileCheck2,
+  Radio,
+  Save,
+  Siren,
+  Scale,
+  Trophy,
+  Users,
+  Wrench,
+  GraduationCap,
+  Rocket,
 } from "lucide-react";
+import {
+  DEMO_HOUR_SEC,
+  GOOGLE_MWMB,
+  MWMB_KEYS,
+  alertTiming,
+  buildPolicyPairs,
+  COMPLIANCE_PERIODS,
+  DEFAULT_PERIOD,
+  budgetConsumedPct,
+  budgetPolicyState,
+  budgetSeries,
+  burnRate as burnRateOf,
+  clamp,
+  daysToDeplete,
+  errorBudgetPercent,
+  evaluateMwmbWith,
+  expectedBadPercent,
+  loadAlertPolicy,
+  loadBudgetPolicy,
+  loadSloDefs,
+  matchesSloFilter,
+  periodBudget,
+  periodProgress,
+  periodResets,
+  hasRecovered,
+  reconcileAlerts,
+  resolveAlertByHand,
+  saveAlertPolicy,
+  saveBudgetPolicy,
+  saveSloDefs,
+  scaleMwmbToPeriod,
+  resolveSeverity,
+  sliGood,
+  statsFromCounts,
+  TIER_PRESETS,
+  TIERS,
+  toDemoTs,
+  toSimTs,
+} from "./slo/index.js";
+import {
+  INITIAL_CPU,
+  SCENARIOS,
+  SIM_EPOCH,
+  TICK_MS,
+  createSimulation,
+  createVirtualClock,
+  loadCustomScenarios,
+  randomSeed,
+  restoreSimulation,
+  saveCustomScenarios,
+  toStored,
+  validateScenario,
+} from "./sim/index.js";
+import { createMetricsStore } from "./metrics/store.js";
+import { Button, Card, Stat, Toggle } from "./components/primitives.jsx";
+import ScenarioEditor from "./components/ScenarioEditor.jsx";
+import CampaignPanel from "./components/CampaignPanel.jsx";
+import FaultPanel from "./components/FaultPanel.jsx";
+import RunbookPanel from "./components/RunbookPanel.jsx";
+import SloCatalog from "./components/SloCatalog.jsx";
+import AlertPolicyEditor from "./components/AlertPolicyEditor.jsx";
+import NotificationPanel from "./components/NotificationPanel.jsx";
+import RulesExport from "./components/RulesExport.jsx";
+import LogExport from "./components/LogExport.jsx";
+import LogImport from "./components/LogImport.jsx";
+import LivePanel, { LiveBadge } from "./components/LivePanel.jsx";
+import SchemaPanel from "./components/SchemaPanel.jsx";
+import SessionPanel from "./components/SessionPanel.jsx";
+import IncidentPanel from "./components/IncidentPanel.jsx";
+import AlertQuality from "./components/AlertQuality.jsx";
+import GameDayPanel from "./components/GameDayPanel.jsx";
+import TutorialPanel from "./components/TutorialPanel.jsx";
+import BudgetPolicyPanel from "./components/BudgetPolicyPanel.jsx";
+import TutorialGuide from "./components/TutorialGuide.jsx";
+import {
+  DELIVERY_LOG_CAP,
+  deliver,
+  loadNotifyConfig,
+  planNotifications,
+  saveNotifyConfig,
+  testNotification,
+  validateNotifyConfig,
+} from "./notify/index.js";
+import { loadRulesConfig, saveRulesConfig, sloSpec } from "./rules/index.js";
+import { createLiveSource, createReplay, loadLiveConfig, planReplay, saveLiveConfig } from "./ingest/index.js";
+import { EVENT_SCHEMA_VERSION, recordValidation, screenEvents } from "./schema/index.js";
+import { createGameDayClient, gameDayUrls, loadGameDayConfig, saveGameDayConfig } from "./gameday/index.js";
+import { gradeLevel, levelSetup, LEVELS, loadCampaignProgress, recordLevelResult, saveCampaignProgress } from "./campaign/index.js";
+import { groundTruth, incidentBudget } from "./incidents/index.js";
+import { loadCustomTutorials, saveCustomTutorials, TUTORIALS } from "./tutorial/index.js";
+import { createSession, decodeSetup, loadSession, saveSession, shareLink, sharePayload } from "./session/index.js";
+import {
+  downloadJson,
+  formatDays,
+  formatMs,
+  formatPct,
+  formatSimElapsed,
+  timeAgo,
+} from "./components/format.js";
 
 /**
  * Operational Excellence Game
@@ -44,59 +157,6 @@ import {
 
 // ---- Constants -------------------------------------------------------------
 
-const TIERS = {
-  "Tier-0": {
-    description: "Business-Critical. ‘Can’t fail’ systems.",
-    minSLO: 99.95,
-    maxYearlyDowntime: "4h 20m 49s",
-    incident: "P-0",
-    onCall: "24/7 Required",
-    targets: { MTTA_min: 5, MTTR_min: 60, MTTC_hours: 24 },
-  },
-  "Tier-1": {
-    description: "Important. Core but slightly more tolerant.",
-    minSLO: 99.5,
-    maxYearlyDowntime: "1d 19h 28m 9s",
-    incident: "P-1",
-    onCall: "24/7 Required",
-    targets: { MTTA_min: 5, MTTR_min: 60, MTTC_hours: 24 },
-  },
-  "Tier-2": {
-    description: "Supporting. Partial unavailability often accepted.",
-    minSLO: 99.0,
-    maxYearlyDowntime: "3d 14h 56m 18s",
-    incident: "P-2",
-    onCall: "Business Hours Recommended",
-    targets: { MTTA_min: 15, MTTR_min: 240, MTTC_hours: 72 },
-  },
-  "Tier-3": {
-    description: "Internal tools. Not mission-critical for customers.",
-    minSLO: 98.0,
-    maxYearlyDowntime: "7d 5h 52m 35s",
-    incident: "P-3",
-    onCall: "Business Hours Recommended",
-    targets: { MTTA_min: 60, MTTR_min: 24 * 60, MTTC_hours: 120 },
-  },
-};
-
-const TIER_PRESETS = {
-  "Tier-0": { availabilityTarget: TIERS["Tier-0"].minSLO, latencyP95Target: 500 },
-  "Tier-1": { availabilityTarget: TIERS["Tier-1"].minSLO, latencyP95Target: 800 },
-  "Tier-2": { availabilityTarget: TIERS["Tier-2"].minSLO, latencyP95Target: 1200 },
-  "Tier-3": { availabilityTarget: TIERS["Tier-3"].minSLO, latencyP95Target: 1500 },
-};
-
-const GOLDEN_EVENT_TYPES = [
-  "page_view",
-  "add_to_cart",
-  "submit_payment",
-  "complete_payment",
-  "submit_order",
-  "sync_order_with_erp",
-  "fulfill_order",
-  "close_order",
-];
-
 const DEFAULT_SLI = {
   availability: true, // success rate
   latencyP95: true, // ms
@@ -107,157 +167,57 @@ const DEFAULT_SLO = {
   latencyP95Target: 800, // ms (override by tier presets on selection)
 };
 
-const SCENARIOS = {
-  Calm: {
-    description: "Normal traffic, low errors, steady latency.",
-    baseTps: 8,
-    errorRate: 0.001,
-    latencyMean: 120,
-    latencyJitter: 80,
-    cpuBase: 35,
-  },
-  "K8s Network Meltdown": {
-    description: "Severe infra issue – errors & latency spike, saturation climbs.",
-    baseTps: 10,
-    errorRate: 0.6,
-    latencyMean: 1800,
-    latencyJitter: 600,
-    cpuBase: 85,
-  },
-  "Viral Discount Code": {
-    description: "Throughput surge; business-rule breach (discount >= 50% usage).",
-    baseTps: 80,
-    errorRate: 0.01,
-    latencyMean: 400,
-    latencyJitter: 250,
-    cpuBase: 75,
-  },
+// Simulation speeds: virtual seconds (ticks) generated per real interval
+const SPEEDS = {
+  "1×": { every: 1000, ticks: 1 },
+  "10×": { every: 100, ticks: 1 },
+  "100×": { every: 100, ticks: 10 },
 };
 
-// ---- Helpers ---------------------------------------------------------------
+// Instant fast-forward jumps, in demo hours (1h = DEMO_HOUR_SEC ticks)
+const FAST_FORWARD_HOURS = [1, 6, 24, 72];
+const FF_CHUNK_TICKS = DEMO_HOUR_SEC; // render + alert check after every demo hour
 
-function clamp(n, min, max) {
-  return Math.max(min, Math.min(max, n));
-}
+// Per-second buckets cover the workbook's longest window (ticketB: 3 demo
+// days); longer policy windows are answered from the coarse tier.
+const MWMB_RETENTION_SEC = Math.ceil(
+  Math.max(...MWMB_KEYS.map((k) => GOOGLE_MWMB[k].long))
+);
 
-function formatPct(n, digits = 2) {
-  if (!Number.isFinite(n)) return "–";
-  return `${n.toFixed(digits)}%`;
-}
+// Coarse buckets (one demo hour) cover the longest compliance period (a quarter)
+const COARSE_BUCKET_SEC = DEMO_HOUR_SEC;
+const PERIOD_RETENTION_SEC = 93 * 24 * DEMO_HOUR_SEC;
 
-function formatMs(n) {
-  if (!Number.isFinite(n)) return "–";
-  return `${Math.round(n)} ms`;
-}
+// Store slice key for a named SLO: changes whenever what it counts changes
+const sloSliceKey = (def) => `${def.id}:${JSON.stringify([def.filter, def.sli])}`;
 
-function formatDays(n) {
-  if (!Number.isFinite(n)) return "–";
-  if (n === Infinity) return "∞";
-  if (n < 1) return `${(n * 24).toFixed(1)} h`;
-  return `${n.toFixed(1)} d`;
-}
+// Raw events are only kept for the Recent Events table and exports
+const RAW_LOG_CAP = 3000;
 
-function timeAgo(ms) {
-  if (!ms) return "–";
-  const s = Math.floor(ms / 1000);
-  if (s < 60) return `${s}s ago`;
-  const m = Math.floor(s / 60);
-  if (m < 60) return `${m}m ago`;
-  const h = Math.floor(m / 60);
-  return `${h}h ago`;
-}
-
-function uuid() {
-  return Math.random().toString(36).slice(2) + Date.now().toString(36);
-}
-
-function percentile(arr, p) {
-  if (!arr.length) return NaN;
-  const sorted = [...arr].sort((a, b) => a - b);
-  const idx = Math.ceil((p / 100) * sorted.length) - 1;
-  return sorted[clamp(idx, 0, sorted.length - 1)];
-}
+// Points for every feature release shipped
+const RELEASE_POINTS = 10;
 
-function expectedBadPercent(sloTarget, burnThr) {
-  return (100 - sloTarget) * burnThr;
-}
+// How often a changed session is written to localStorage (also on pagehide)
+const SESSION_SAVE_MS = 5000;
 
-// ---- Error budget math helpers --------------------------------------------
-const SLO_PERIOD_DAYS = 30; // default evaluation window
-const SLO_PERIOD_SECONDS = SLO_PERIOD_DAYS * 24 * 3600;
-function budgetConsumedPct(burn, windowSeconds) {
-  return (burn * windowSeconds * 100) / SLO_PERIOD_SECONDS; // percentage of monthly budget
-}
-function daysToDeplete(burn) {
-  return burn > 0 ? SLO_PERIOD_DAYS / burn : Infinity;
-}
+// Extra labels and source on every outgoing notification
+const notifyContext = (tier) => ({
+  source: "slo-burn-lab",
+  externalURL: globalThis.location?.href,
+  labels: { service: "order_to_cash", tier },
+});
 
-// ---- Tiny UI primitives ----------------------------------------------------
-
-function Card({ title, icon, children, right, sub }) {
-  return (
-    <div className="rounded-2xl border bg-white/80 backdrop-blur p-4 shadow-sm">
-      <div className="flex items-center justify-between mb-1">
-        <div className="flex items-center gap-2">
-          {icon}
-          <div>
-            <h3 className="font-semibold text-slate-800">{title}</h3>
-            {sub && <div className="text-xs text-slate-500 mt-0.5">{sub}</div>}
-          </div>
-        </div>
-        {right}
-      </div>
-      <div>{children}</div>
-    </div>
-  );
-}
-
-function Button({ children, onClick, variant = "primary", disabled }) {
-  const styles =
-    variant === "primary"
-      ? "bg-slate-900 hover:bg-slate-800 text-white"
-      : variant === "ghost"
-      ? "hover:bg-slate-100"
-      : variant === "danger"
-      ? "bg-rose-600 hover:bg-rose-500 text-white"
-      : "bg-white border hover:bg-slate-50";
-  return (
-    <button
-      onClick={onClick}
-      disabled={disabled}
-      className={`px-3 py-2 rounded-xl text-sm transition ${styles} disabled:opacity-50`}
-    >
-      {children}
-    </button>
-  );
-}
-
-function Toggle({ checked, onChange, label }) {
-  return (
-    <label className="flex items-center gap-2 cursor-pointer select-none">
-      <input
-        type="checkbox"
-        className="peer sr-only"
-        checked={checked}
-        onChange={(e) => onChange?.(e.target.checked)}
-      />
-      <span className="w-10 h-6 rounded-full bg-slate-300 relative transition peer-checked:bg-emerald-500">
-        <span className={`absolute top-[2px] left-[2px] w-5 h-5 rounded-full bg-white transition peer-checked:translate-x-4`} />
-      </span>
-      <span className="text-sm text-slate-700">{label}</span>
-    </label>
-  );
-}
+const ALERT_STATE_STYLES = {
+  pending: "bg-amber-50 text-amber-700 border-amber-200",
+  firing: "bg-rose-50 text-rose-700 border-rose-200",
+  resolved: "bg-emerald-50 text-emerald-700 border-emerald-200",
+};
 
-function Stat({ label, value, sub }) {
-  return (
-    <div className="p-3 rounded-xl bg-slate-50 border text-center">
-      <div className="text-xs text-slate-500">{label}</div>
-      <div className="text-lg font-semibold text-slate-800">{value}</div>
-      {sub && <div className="text-[11px] text-slate-500">{sub}</div>}
-    </div>
-  );
-}
+// Business rule (demo): successful use of a ≥50% discount code
+const isPromoAbuse = (l) =>
+  l.event_type === "add_promo_code" &&
+  l.is_successful &&
+  (l.additional_context?.discount_rate || 0) >= 0.5;
 
 // ---- Main Component --------------------------------------------------------
 
@@ -268,7 +228,59 @@ export default function OperationalExcellenceGame() {
   const [slo, setSlo] = useState(DEFAULT_SLO);
   const [autoSim, setAutoSim] = useState(false);
   const [scenario, setScenario] = useState("Calm");
-  const [cpu, setCpu] = useState(22);
+
+  // Trainer-authored scenarios (localStorage) alongside the built-ins
+  const [customScenarios, setCustomScenarios] = useState(() => loadCustomScenarios());
+  useEffect(() => {
+    saveCustomScenarios(customScenarios);
+  }, [customScenarios]);
+  const allScenarios = useMemo(
+    () => ({ ...SCENARIOS, ...customScenarios }),
+    [customScenarios]
+  );
+  const scenarioDef = allScenarios[scenario] || SCENARIOS.Calm;
+  const [phase, setPhase] = useState(null);
+
+  // Injected faults, mirrored from the engine for display
+  const [faults, setFaults] = useState([]);
+  // Runbook actions taken (src/sim/runbook.js); a landing rollback also ends a fault
+  const [actions, setActions] = useState([]);
+  const [cpu, setCpu] = useState(INITIAL_CPU);
+
+  // Deterministic run: seeded engine + virtual clock (see src/sim)
+  const [seed, setSeed] = useState(() => randomSeed());
+  const [seedDraft, setSeedDraft] = useState(seed);
+  const [simNow, setSimNow] = useState(SIM_EPOCH);
+  // Start of the run: SIM_EPOCH, or the first event of a log replayed with its own timestamps
+  const [epoch, setEpoch] = useState(SIM_EPOCH);
+  const engineRef = useRef(null);
+  if (!engineRef.current) engineRef.current = createSimulation({ seed });
+
+  // Virtual-time mode: speed multiplier + instant fast-forward target
+  const [speed, setSpeed] = useState("1×");
+  const [ffUntil, setFfUntil] = useState(null);
+
+  // Per-second aggregates back every chart, stat and burn window (see src/metrics)
+  const storeRef = useRef(null);
+  if (!storeRef.current) {
+    storeRef.current = createMetricsStore({
+      retentionSec: MWMB_RETENTION_SEC,
+      counters: { promoAbuse: isPromoAbuse },
+      coarse: { bucketSec: COARSE_BUCKET_SEC, retentionSec: PERIOD_RETENTION_SEC },
+    });
+  }
+
+  // Named per-journey SLOs (localStorage), each tracked as a store slice
+  const [slos, setSlos] = useState(() => loadSloDefs());
+  useEffect(() => {
+    saveSloDefs(slos);
+    storeRef.current.trackSlices(
+      Object.fromEntries(
+        slos.map((d) => [sloSliceKey(d), { match: (ev) => matchesSloFilter(d.filter, ev), good: sliGood(d.sli) }])
+      )
+    );
+  }, [slos]);
+  const [inspectedSlo, setInspectedSlo] = useState(null); // null = overall SLO
 
   // Derived: current tier preset
   const tierPreset = TIER_PRESETS[tier];
@@ -276,6 +288,24 @@ export default function OperationalExcellenceGame() {
   // 🔧 Policy: bake SLI (latency threshold) into error-rate for burn alerts
   const [bakeSLI, setBakeSLI] = useState(true);
 
+  // Active MWMB alert policy (localStorage), compiled to the pair table
+  const [alertPolicy, setAlertPolicy] = useState(() => loadAlertPolicy());
+  useEffect(() => {
+    saveAlertPolicy(alertPolicy);
+  }, [alertPolicy]);
+  const policyPairs = useMemo(() => buildPolicyPairs(alertPolicy), [alertPolicy]);
+
+  // Error budget policy (localStorage): gates releases; deploys mirrored from the engine
+  const [budgetPolicy, setBudgetPolicy] = useState(() => loadBudgetPolicy());
+  useEffect(() => {
+    saveBudgetPolicy(budgetPolicy);
+  }, [budgetPolicy]);
+  const [deploys, setDeploys] = useState([]);
+  const [reviewedAt, setReviewedAt] = useState(null); // sim ms of the last reliability review
+
+  // Compliance period of the overall SLO (named SLOs carry their own)
+  const [period, setPeriod] = useState(DEFAULT_PERIOD);
+
   // Auto-apply tier SLO presets (availability min & latency max)
   const [autoTierPresets, setAutoTierPresets] = useState(true);
 
@@ -287,136 +317,208 @@ export default function OperationalExcellenceGame() {
     if (!lockExpected) setLockedSloTarget(slo.availabilityTarget);
   }, [slo.availabilityTarget, lockExpected]);
 
-  // Logs store (cap to 3000 for perf)
+  // Raw event tail (Recent Events + export only; metrics read the store)
   const [logs, setLogs] = useState([]);
 
   // Alerts store
   const [alerts, setAlerts] = useState([]);
 
+  // Notification receivers & routes (localStorage); group state lives in a ref
+  const [notifyConfig, setNotifyConfig] = useState(() => loadNotifyConfig());
+  useEffect(() => {
+    saveNotifyConfig(notifyConfig);
+  }, [notifyConfig]);
+  const [deliveryLog, setDeliveryLog] = useState([]);
+  const notifyGroupsRef = useRef({});
+
+  // Metric & label names for the rules export (localStorage)
+  const [rulesConfig, setRulesConfig] = useState(() => loadRulesConfig());
+  useEffect(() => {
+    saveRulesConfig(rulesConfig);
+  }, [rulesConfig]);
+
+  // Imported log being replayed (src/ingest); it replaces simulated traffic until ended
+  const replayRef = useRef(null);
+  const [replay, setReplay] = useState(null);
+
+  // Live stream (src/ingest/live.js); its buffer is drained on every tick
+  const [liveConfig, setLiveConfig] = useState(() => loadLiveConfig());
+  useEffect(() => {
+    saveLiveConfig(liveConfig);
+  }, [liveConfig]);
+  const liveRef = useRef(null);
+  const [liveStatus, setLiveStatus] = useState(null);
+  useEffect(() => () => liveRef.current?.close(), []);
+
+  // Game day on the bundled session server (src/gameday); `gameday` keeps its latest message of each type
+  const [gamedayConfig, setGamedayConfig] = useState(() => loadGameDayConfig());
+  useEffect(() => {
+    saveGameDayConfig(gamedayConfig);
+  }, [gamedayConfig]);
+  const gamedayRef = useRef(null);
+  const [gamedayStatus, setGamedayStatus] = useState(null);
+  const [gameday, setGameday] = useState({});
+  useEffect(() => () => gamedayRef.current?.close(), []);
+
+  // Schema validation counts and recent rejects per ingest point (src/schema)
+  const [schemaReport, setSchemaReport] = useState({});
+
   // Score & badges
   const [score, setScore] = useState(0);
   const [badges, setBadges] = useState([]);
 
+  // Campaign (src/campaign): best stars per level, the level being played and the last result
+  const [campaignProgress, setCampaignProgress] = useState(() => loadCampaignProgress());
+  useEffect(() => {
+    saveCampaignProgress(campaignProgress);
+  }, [campaignProgress]);
+  const [level, setLevel] = useState(null); // { id, startedAt }
+  const [levelResult, setLevelResult] = useState(null);
+
+  // Guided tutorials (src/tutorial): learner-authored scripts, the running one and the last score
+  const [customTutorials, setCustomTutorials] = useState(() => loadCustomTutorials());
+  useEffect(() => {
+    saveCustomTutorials(customTutorials);
+  }, [customTutorials]);
+  const [tutorial, setTutorial] = useState(null); // { id, step, answers: { [step]: { given, correct } } }
+  const [tutorialResult, setTutorialResult] = useState(null);
+
+  // Session persistence (src/session): last save result and restore/share messages
+  const [sessionSaveStatus, setSessionSaveStatus] = useState("saved");
+  const [sessionNotice, setSessionNotice] = useState(null); // { text, error? }
+
   // Simulation ticker
   const simRef = useRef(null);
 
-  // Derived: windowed metrics (last 60s)
-  const windowMs = 60_000;
-  const now = Date.now();
-  const windowLogs = useMemo(
-    () => logs.filter((l) => now - l.ts <= windowMs),
-    [logs, now]
+  // Derived: windowed metrics (last 60s of virtual time)
+  const windowSec = 60;
+  const now = simNow;
+
+  // SLO config as seen by the headless SLO library (src/slo)
+  const sloCfg = useMemo(
+    () => ({ ...slo, bakeSLI }),
+    [slo, bakeSLI]
   );
 
+  // The store mutates in place and every write also updates `logs`, so the
+  // queries below simply run per render – each is O(buckets in window).
+  const store = storeRef.current;
+
   // Goodness policy: success AND (if baked) meets per-request latency threshold
-  const goodByPolicy = (ev) => {
-    if (!ev) return false;
-    if (!ev.is_successful) return false;
-    if (!bakeSLI) return true;
-    const threshold = slo.latencyP95Target; // demo: use p95 target as per-request threshold
-    return ev.latency_ms <= threshold;
-  };
+  const windowCounts = store.counts(windowSec, now, sloCfg);
+  const windowTotal = windowCounts.total;
 
-  const availability = useMemo(() => {
-    if (!windowLogs.length) return NaN;
-    const ok = windowLogs.filter((l) => goodByPolicy(l)).length;
-    return (ok / windowLogs.length) * 100;
-  }, [windowLogs, slo.latencyP95Target, bakeSLI]);
+  const availability = windowTotal
+    ? ((windowTotal - windowCounts.bad) / windowTotal) * 100
+    : NaN;
 
-  const p95 = useMemo(
-    () => percentile(windowLogs.map((l) => l.latency_ms), 95),
-    [windowLogs]
-  );
+  const p95 = store.latencyPercentile(windowSec, now, 95);
 
-  const tpsSeries = useMemo(() => {
-    // buckets per second
-    const buckets = new Map();
-    for (let i = 60; i >= 0; i--) {
-      const t = now - i * 1000;
-      const key = new Date(t).toLocaleTimeString();
-      buckets.set(key, { time: key, total: 0, errors: 0 });
-    }
-    for (const l of windowLogs) {
-      const key = new Date(l.ts).toLocaleTimeString();
-      if (!buckets.has(key)) continue;
-      const b = buckets.get(key);
-      b.total += 1;
-      if (!goodByPolicy(l)) b.errors += 1; // ⬅️ errors follow SLI-baked policy
-    }
-    return Array.from(buckets.values());
-  }, [windowLogs, now, slo.latencyP95Target, bakeSLI]);
-
-  const latencySeries = useMemo(() => {
-    const arr = tpsSeries.map((b) => ({ time: b.time, p95: NaN }));
-    // Group latency per second and compute p95
-    const bySec = new Map();
-    for (const l of windowLogs) {
-      const key = new Date(l.ts).toLocaleTimeString();
-      if (!bySec.has(key)) bySec.set(key, []);
-      bySec.get(key).push(l.latency_ms);
-    }
-    for (const [key, vals] of bySec) {
-      const p = percentile(vals, 95);
-      const idx = arr.findIndex((a) => a.time === key);
-      if (idx >= 0) arr[idx].p95 = p;
-    }
-    return arr;
-  }, [tpsSeries, windowLogs]);
+  // One point per second: throughput, policy errors, p95 and CPU
+  const signalSeries = store.series(windowSec, now, sloCfg).map((b) => ({
+    time: new Date(b.ts).toLocaleTimeString(),
+    total: b.total,
+    errors: b.bad, // ⬅️ errors follow SLI-baked policy
+    p95: b.p95,
+    cpu: b.cpu,
+  }));
 
   // Error budget math (per rolling window)
   const sloTarget = slo.availabilityTarget; // current, editable
   const expectedSlo = lockExpected ? lockedSloTarget : sloTarget; // used for "expected" displays only
-  const errorBudgetPercent = 100 - sloTarget; // current EB for observed burn calc
 
   const observedBadPercent = Number.isNaN(availability)
     ? 0
     : clamp(100 - availability, 0, 100);
-  const burnRate =
-    errorBudgetPercent > 0 ? observedBadPercent / errorBudgetPercent : Infinity;
-
-  // --- Google MWMB burn-rate config (demo time scaling + real windows) ------
-  // Demo scale: 1 hour of real time == 60 seconds in the simulator.
-  const DEMO_HOUR_SEC = 60; // tweak if you want faster/slower demos
-  const hours = (h) => h * DEMO_HOUR_SEC;
-  const minutes = (m) => (m / 60) * DEMO_HOUR_SEC;
-  const days = (d) => d * 24 * DEMO_HOUR_SEC;
-
-  // Real seconds for the same windows (used for budget math independent of demo scaling)
-  const REAL = { h: 3600, m: 60, d: 86400 };
-
-  // Google-recommended pairs (short window is 1/12 of long window):
-  const GOOGLE_MWMB = {
-    pageA: { long: hours(1), short: minutes(5), longReal: REAL.h * 1, shortReal: REAL.m * 5, thr: 14.4, label: "Page: 1h & 5m @14.4x" },
-    pageB: { long: hours(6), short: minutes(30), longReal: REAL.h * 6, shortReal: REAL.m * 30, thr: 6, label: "Page: 6h & 30m @6x" },
-    ticketA: { long: hours(24), short: hours(2), longReal: REAL.h * 24, shortReal: REAL.h * 2, thr: 3, label: "Ticket: 24h & 2h @3x" },
-    ticketB: { long: days(3), short: hours(6), longReal: REAL.d * 3, shortReal: REAL.h * 6, thr: 1, label: "Ticket: 3d & 6h @1x" },
-  };
-
-  function burnStats(seconds) {
-    const cutoff = Date.now() - seconds * 1000;
-    const slice = logs.filter((l) => l.ts >= cutoff);
-    const total = slice.length;
-    if (!total) return { total: 0, badPct: 0, burn: 0 };
-    const bad = slice.filter((l) => !goodByPolicy(l)).length; // ⬅️ policy-based errors
-    const badPct = (bad / total) * 100;
-    const burn = (100 - sloTarget) > 0 ? badPct / (100 - sloTarget) : Infinity; // observed burn uses current SLO
-    return { total, badPct, burn };
+  const burnRate = burnRateOf(observedBadPercent, sloTarget);
+
+  // --- Google MWMB burn-rate windows (demo-scaled, see src/slo/mwmb.js) ----
+  // Observed burn per pair uses the current SLO and the policy-based errors.
+  // Windows read the bucket store, so 3-day pairs work even past the raw cap.
+  // Preset thresholds are re-derived for each SLO's compliance period so a
+  // pair always spends the same share of budget (src/slo/mwmb.js).
+  function budgetView(periodKey, target, countsFor) {
+    const progress = periodProgress(periodKey, now, epoch);
+    const pairs = scaleMwmbToPeriod(policyPairs, progress.periodSec);
+    const br = evaluateMwmbWith((seconds) => statsFromCounts(countsFor(seconds), target), { pairs });
+    const budget = periodBudget(countsFor(progress.windowSimSec), target, {
+      elapsedSec: progress.elapsedSec,
+      periodSec: progress.periodSec,
+      currentBurn: statsFromCounts(countsFor(DEMO_HOUR_SEC), target).burn,
+    });
+    return { period: periodKey, progress, pairs, br, budget };
   }
 
-  const BR = {
-    pageA: { s: burnStats(GOOGLE_MWMB.pageA.short), l: burnStats(GOOGLE_MWMB.pageA.long) },
-    pageB: { s: burnStats(GOOGLE_MWMB.pageB.short), l: burnStats(GOOGLE_MWMB.pageB.long) },
-    ticketA: { s: burnStats(GOOGLE_MWMB.ticketA.short), l: burnStats(GOOGLE_MWMB.ticketA.long) },
-    ticketB: { s: burnStats(GOOGLE_MWMB.ticketB.short), l: burnStats(GOOGLE_MWMB.ticketB.long) },
-  };
+  const overall = budgetView(period, sloTarget, (seconds) => store.counts(seconds, now, sloCfg));
+  const BR = overall.br;
+  const releaseGate = budgetPolicyState(budgetPolicy, overall.budget.consumedPct, { reviewedAt, periodStart: overall.progress.start });
 
-  // Scoring helpers – grant once per milestone
-  useEffect(() => {
-    if (tier && !badges.includes("Tiering Guru")) {
+  // Same pairs per named SLO, over its own slice, target and period
+  const sloViews = Object.fromEntries(
+    slos.map((d) => [
+      d.id,
+      budgetView(d.period || DEFAULT_PERIOD, d.target, (seconds) => store.sliceCounts(sloSliceKey(d), seconds, now)),
+    ])
+  );
+  const sloStats = Object.fromEntries(
+    slos.map((d) => {
+      const w = statsFromCounts(store.sliceCounts(sloSliceKey(d), windowSec, now), d.target);
+      const v = sloViews[d.id];
+      return [
+        d.id,
+        {
+          total: w.total,
+          goodPct: 100 - w.badPct,
+          burn: w.burn,
+          remainingPct: v.budget.remainingPct,
+          firing: Object.keys(v.pairs).filter((k) => v.br[k].fired).map((k) => v.pairs[k].label),
+        },
+      ];
+    })
+  );
+
+  // Burn-rate views follow the inspected SLO (the overall one by default)
+  const inspectedDef = slos.find((d) => d.id === inspectedSlo) || null;
+  const insp = inspectedDef ? sloViews[inspectedDef.id] : overall;
+  const inspBR = insp.br;
+  const inspPairs = insp.pairs;
+  const inspTarget = inspectedDef ? inspectedDef.target : sloTarget;
+  const inspExpectedSlo = inspectedDef ? inspectedDef.target : expectedSlo;
+  const inspPeriodDays = insp.progress.periodSec / 86400;
+
+  // Remaining budget over the run, one point per coarse bucket (≤ 240 drawn)
+  const budgetSpanSec = Math.min((now - epoch) / 1000, PERIOD_RETENTION_SEC);
+  const budgetPoints = budgetSeries(
+    store.coarseSeries(budgetSpanSec, now, inspectedDef ? { slice: sloSliceKey(inspectedDef) } : sloCfg),
+    inspTarget,
+    { period: insp.period, epoch, bucketSec: COARSE_BUCKET_SEC }
+  )
+    .filter((pt, i, all) => (all.length - 1 - i) % Math.ceil(all.length / 240) === 0)
+    .map((pt) => ({ ...pt, ts: Math.min(pt.ts, now) }));
+  const periodResetTs = periodResets(insp.period, toDemoTs(epoch, epoch), toDemoTs(now, epoch)).map(
+    (t) => toSimTs(t, epoch)
+  );
+  const signalResets = periodResetTs
+    .filter((t) => t >= now - windowSec * 1000)
+    .map((t) => new Date(t).toLocaleTimeString());
+
+  // Good/bad buckets over [from, to] for incident budgets: per second while
+  // the fine store still holds `from`, else per coarse bucket
+  function seriesBetween(from, to) {
+    const seconds = (now - from) / 1000;
+    const fine = seconds <= MWMB_RETENTION_SEC;
+    const rows = fine ? store.series(seconds, now, sloCfg) : store.coarseSeries(seconds, now, sloCfg);
+    return { bucketSec: fine ? 1 : COARSE_BUCKET_SEC, buckets: rows.filter((b) => b.ts >= from && b.ts <= to) };
+  }
+
+  // Scoring helpers – grant once per milestone; Tiering Guru needs a tier picked by hand
+  function chooseTier(k) {
+    setTier(k);
+    if (!badges.includes("Tiering Guru")) {
       setBadges((b) => [...b, "Tiering Guru"]);
       setScore((s) => s + 30);
     }
-  }, [tier]);
+  }
 
   useEffect(() => {
     const min = TIERS[tier].minSLO;
@@ -426,9 +528,16 @@ export default function OperationalExcellenceGame() {
     }
   }, [sloTarget, tier]);
 
-  // Sync SLOs to tier requirements on tier change (overwrite to exact preset)
+  // Sync SLOs to tier requirements on tier change (overwrite to exact preset).
+  // A restored session or shared setup marks its tier as synced to keep its SLO.
+  const syncedTierRef = useRef(null);
   useEffect(() => {
-    if (!autoTierPresets) return;
+    if (!autoTierPresets) {
+      syncedTierRef.current = null;
+      return;
+    }
+    if (syncedTierRef.current === tier) return;
+    syncedTierRef.current = tier;
     const preset = TIER_PRESETS[tier];
     setSlo((prev) => {
       if (
@@ -443,100 +552,163 @@ export default function OperationalExcellenceGame() {
     });
   }, [tier, autoTierPresets]);
 
-  // Simulation engine
+  // Latest SLO for event compliance snapshots, read by the ticker
+  const sloRef = useRef(slo);
   useEffect(() => {
-    if (!autoSim) {
-      if (simRef.current) clearInterval(simRef.current);
-      return;
-    }
-    const cfg = SCENARIOS[scenario];
-    simRef.current = setInterval(() => {
-      const batch = [];
-      const tps = Math.max(
-        1,
-        Math.round(cfg.baseTps + (Math.random() * cfg.baseTps) / 2)
-      );
-      for (let i = 0; i < tps; i++) {
-        const successful = Math.random() > cfg.errorRate;
-        const latency = Math.max(
-          5,
-          cfg.latencyMean + (Math.random() - 0.5) * cfg.latencyJitter * 2
-        );
-        const ev = randomEvent({ successful, latency, scenario });
-        batch.push(ev);
+    sloRef.current = slo;
+  }, [slo]);
+
+  // Latest alerts for checkAlerts(): reconciling draws ids from the engine, so it
+  // must not run inside a state updater (StrictMode calls those twice)
+  const alertsRef = useRef(alerts);
+  useEffect(() => {
+    alertsRef.current = alerts;
+  }, [alerts]);
+
+  const liveMix = liveConfig.mix;
+
+  // Run `n` ticks: every event feeds the buckets, only the tail stays raw.
+  const runTicks = useCallback(
+    (n) => {
+      const engine = engineRef.current;
+      let batch = [];
+      let last;
+      const cursor = replayRef.current;
+      // Live events arrive validated and are stamped with the first tick's time
+      const live = liveRef.current?.drain();
+      const quiet = cursor || (live && liveMix === "instead");
+      let accepted = 0;
+      const rejected = [];
+      for (let i = 0; i < n; i++) {
+        let events;
+        if (quiet) {
+          // Logs carry no CPU samples, so none are recorded without simulated traffic.
+          // Imported events were checked against the schema when parsed.
+          const ts = engine.clock.advance(TICK_MS);
+          events = cursor ? cursor.take(ts) : [];
+          last = { ts, cpu: engine.cpu, phase: null };
+        } else {
+          last = engine.tick({ scenario: scenarioDef, slo: sloRef.current });
+          storeRef.current.recordCpu(last.ts, last.cpu);
+          const screened = screenEvents(last.events);
+          events = screened.valid;
+          accepted += events.length;
+          rejected.push(...screened.rejected);
+        }
+        if (i === 0 && live?.events.length) events = [...events, ...live.events.map((ev) => ({ ...ev, ts: last.ts }))];
+        storeRef.current.add(events);
+        batch.push(...events);
+        if (batch.length > RAW_LOG_CAP) batch = batch.slice(-RAW_LOG_CAP);
       }
+      gamedayRef.current?.stageEvents(batch);
+      setFaults(engine.faults);
+      setActions(engine.actions);
+      setSchemaReport((r) => {
+        const next = recordValidation(r, "simulator", accepted, rejected, last.ts);
+        return live ? recordValidation(next, "live", live.accepted, live.rejected, last.ts) : next;
+      });
       setLogs((prev) => {
         const next = [...prev, ...batch];
-        if (next.length > 3000) next.splice(0, next.length - 3000);
+        if (next.length > RAW_LOG_CAP) next.splice(0, next.length - RAW_LOG_CAP);
         return next;
       });
-      setCpu((c) =>
-        clamp(c + (Math.random() - 0.45) * 8 + (cfg.cpuBase - c) * 0.05, 5, 99)
-      );
-    }, 1000);
+      setCpu(last.cpu);
+      setPhase(last.phase);
+      setSimNow(last.ts);
+      if (cursor) setReplay((r) => r && { ...r, fed: cursor.fed });
+    },
+    [scenarioDef, liveMix]
+  );
+
+  // Simulation engine – each tick advances the virtual clock by one second
+  useEffect(() => {
+    if (!autoSim) {
+      if (simRef.current) clearInterval(simRef.current);
+      return;
+    }
+    const { every, ticks } = SPEEDS[speed];
+    simRef.current = setInterval(() => runTicks(ticks), every);
 
     return () => clearInterval(simRef.current);
-  }, [autoSim, scenario]);
+  }, [autoSim, speed, runTicks]);
+
+  // Instant mode: burn through the jump one demo hour per macrotask
+  useEffect(() => {
+    if (ffUntil == null) return;
+    if (simNow >= ffUntil) {
+      setFfUntil(null);
+      return;
+    }
+    const remaining = Math.ceil((ffUntil - simNow) / TICK_MS);
+    const id = setTimeout(() => runTicks(Math.min(FF_CHUNK_TICKS, remaining)), 0);
+    return () => clearTimeout(id);
+  }, [ffUntil, simNow, runTicks]);
 
   // Alerting engine – realtime, on input changes
   useEffect(() => {
     checkAlerts();
-  }, [logs, cpu, p95, availability, sloTarget, sli, tier, scenario, bakeSLI, slo.latencyP95Target]);
+  }, [logs, cpu, p95, availability, sloTarget, sli, tier, scenario, bakeSLI, slo.latencyP95Target, slos, period, alertPolicy]);
 
+  // Notification routing – regroup from scratch whenever the config changes
+  useEffect(() => {
+    notifyGroupsRef.current = {};
+  }, [notifyConfig]);
+  useEffect(() => {
+    if (validateNotifyConfig(notifyConfig).length) return;
+    const { groups, notifications } = planNotifications(notifyGroupsRef.current, alerts, now, notifyConfig);
+    notifyGroupsRef.current = groups;
+    for (const n of notifications) {
+      deliver(n, notifyContext(tier)).then((entry) => setDeliveryLog((l) => [entry, ...l].slice(0, DELIVERY_LOG_CAP)));
+    }
+  }, [alerts, now, notifyConfig, tier]);
+
+  function sendTestNotification(receiver) {
+    deliver(testNotification(receiver, now), notifyContext(tier)).then((entry) =>
+      setDeliveryLog((l) => [entry, ...l].slice(0, DELIVERY_LOG_CAP))
+    );
+  }
+
+  // Conditions holding right now; reconcileAlerts() turns them into pending/firing/resolved alerts.
   function checkAlerts() {
     const newAlerts = [];
+    const timing = alertTiming(alertPolicy);
 
-    // ---- Google MWMB alerts (page-level & ticket-level) – SLI baked --------
-    const pairs = [
-      {
-        key: GOOGLE_MWMB.pageA.label,
-        short: GOOGLE_MWMB.pageA.short,
-        long: GOOGLE_MWMB.pageA.long,
-        thr: GOOGLE_MWMB.pageA.thr,
-        severity: tier === "Tier-0" || tier === "Tier-1" ? "P0" : "P1",
-      },
-      {
-        key: GOOGLE_MWMB.pageB.label,
-        short: GOOGLE_MWMB.pageB.short,
-        long: GOOGLE_MWMB.pageB.long,
-        thr: GOOGLE_MWMB.pageB.thr,
-        severity: tier === "Tier-0" || tier === "Tier-1" ? "P0" : "P1",
-      },
-      {
-        key: GOOGLE_MWMB.ticketA.label,
-        short: GOOGLE_MWMB.ticketA.short,
-        long: GOOGLE_MWMB.ticketA.long,
-        thr: GOOGLE_MWMB.ticketA.thr,
-        severity: "P2",
-      },
-      {
-        key: GOOGLE_MWMB.ticketB.label,
-        short: GOOGLE_MWMB.ticketB.short,
-        long: GOOGLE_MWMB.ticketB.long,
-        thr: GOOGLE_MWMB.ticketB.thr,
-        severity: "P2",
-      },
-    ];
-
-    for (const p of pairs) {
-      const s = burnStats(p.short);
-      const l = burnStats(p.long);
-      if (s.burn >= p.thr && l.burn >= p.thr && s.total > 20 && l.total > 20) {
+    // ---- MWMB alerts from the active alert policy – SLI baked ---------------
+    for (const [id, w] of Object.entries(overall.pairs)) {
+      const { s, l, fired } = BR[id];
+      if (fired) {
         newAlerts.push({
-          type: p.key,
-          severity: p.severity,
-          message: `Burn ≥ ${p.thr}x in short (${Math.round(p.short)}s: ${s.burn.toFixed(
+          type: w.label,
+          severity: resolveSeverity(w, tier),
+          route: w.route,
+          timing: w.timing,
+          message: `Burn ≥ ${w.thr}x in short (${Math.round(w.short)}s: ${s.burn.toFixed(
             1
-          )}x) AND long (${Math.round(p.long)}s: ${l.burn.toFixed(1)}x) windows (SLI baked=${bakeSLI})`,
+          )}x) AND long (${Math.round(w.long)}s: ${l.burn.toFixed(1)}x) windows (SLI baked=${bakeSLI})`,
+        });
+      }
+      // Each named SLO has its own alert set for the same pairs
+      for (const d of slos) {
+        const { s: ss, l: sl, fired } = sloViews[d.id].br[id];
+        if (!fired) continue;
+        const dw = sloViews[d.id].pairs[id];
+        newAlerts.push({
+          type: `${d.name} • ${dw.label}`,
+          severity: resolveSeverity(dw, tier),
+          route: dw.route,
+          timing: dw.timing,
+          slo: d.id,
+          message: `${d.name} (SLO ${d.target}%) burning ≥ ${dw.thr}x in short (${ss.burn.toFixed(1)}x) AND long (${sl.burn.toFixed(1)}x) windows`,
         });
       }
     }
 
     // ---- "Demo" non-burn alerts to compare methods -------------------------
     // SLO breach (simple availability window)
-    if (sli.availability && availability < sloTarget && windowLogs.length > 50) {
+    if (sli.availability && availability < sloTarget && windowTotal > 50) {
       newAlerts.push({
         type: "SLO Breach (demo)",
+        timing,
         severity: tier.startsWith("Tier-0")
           ? "P0"
           : tier === "Tier-1"
@@ -551,170 +723,83 @@ export default function OperationalExcellenceGame() {
     }
 
     // Latency p95 threshold (demo)
-    if (sli.latencyP95 && p95 > slo.latencyP95Target && windowLogs.length > 30) {
+    if (sli.latencyP95 && p95 > slo.latencyP95Target && windowTotal > 30) {
       newAlerts.push({
         type: "Latency p95 (demo)",
+        timing,
         severity: "P2",
         message: `p95 ${formatMs(p95)} > target ${formatMs(slo.latencyP95Target)} (non-burn comparison)`,
       });
     }
 
     // Saturation (demo)
-    if (cpu > 85 && windowLogs.length > 10) {
+    if (cpu > 85 && windowTotal > 10) {
       newAlerts.push({
         type: "Saturation (demo)",
+        timing,
         severity: "P2",
         message: `CPU ${cpu.toFixed(0)}% nearing capacity (non-burn comparison)`,
       });
     }
 
     // Business rule (Promo abuse – demo)
-    const promoLastMin = windowLogs.filter(
-      (l) =>
-        l.event_type === "add_promo_code" &&
-        l.is_successful &&
-        (l.additional_context?.discount_rate || 0) >= 0.5
-    ).length;
+    const promoLastMin = store.counter("promoAbuse", windowSec, now);
     if (promoLastMin > 200) {
       newAlerts.push({
         type: "Business Metric (demo)",
+        timing,
         severity: "P1",
         message: `High-rate usage of ≥50% discount (${promoLastMin} / 60s) (non-burn comparison)`,
       });
     }
 
-    if (!newAlerts.length) return;
-
-    setAlerts((prev) => {
-      const openTypes = new Set(
-        prev.filter((a) => !a.resolvedAt).map((a) => a.type)
-      );
-      const toAdd = newAlerts
-        .filter((a) => !openTypes.has(a.type))
-        .map((a) => ({ id: uuid(), createdAt: Date.now(), ...a }));
-      if (!toAdd.length) return prev;
-      if (toAdd.some((a) => a.type.toLowerCase().includes("page"))) {
-        setScore((s) => s + 40);
-        if (!badges.includes("Signal First")) setBadges((b) => [...b, "Signal First"]);
-      }
-      return [...toAdd, ...prev];
-    });
+    const prev = alertsRef.current;
+    if (!prev.length && !newAlerts.length) return;
+    const { alerts: next, changes } = reconcileAlerts(prev, newAlerts, now, engineRef.current.nextId);
+    alertsRef.current = next;
+    setAlerts(next);
+    if (changes.some((ch) => ch.to === "firing" && ch.notify && ch.alert.route === "page")) {
+      setScore((s) => s + 40);
+      if (!badges.includes("Signal First")) setBadges((b) => [...b, "Signal First"]);
+    }
   }
 
-  // Compute SLO compliance snapshot for events
-  function computeSloCompliance({ latency_ms, is_successful }) {
-    const violations = [];
-    // Demo policy: only latency; availability derives from success
-    if (latency_ms > slo.latencyP95Target) violations.push("latency");
-    return {
-      is_slo_compliant: violations.length === 0,
-      slo_violations: violations,
-      slo_thresholds: { latency_ms: slo.latencyP95Target },
-    };
+  function pushManualLog(partial = {}) {
+    const { valid, rejected } = screenEvents([engineRef.current.manual(partial, slo)]);
+    setSchemaReport((r) => recordValidation(r, "manual", valid.length, rejected, now));
+    storeRef.current.add(valid);
+    setLogs((l) => [...l, ...valid].slice(-RAW_LOG_CAP));
   }
 
-  function randomEvent({ successful, latency, scenario }) {
-    const now = Date.now();
-    const event_type =
-      GOLDEN_EVENT_TYPES[
-        Math.floor(Math.random() * GOLDEN_EVENT_TYPES.length)
-      ];
-    const flow = "order_to_cash";
-    const env = "production";
-    const discount_rate =
-      scenario === "Viral Discount Code" && Math.random() < 0.7
-        ? 0.5 + Math.random() * 0.4
-        : Math.random() < 0.05
-        ? 0.1
-        : 0;
-
-    const base = {
-      logger: "business_process_logger",
-      flow,
-      event_type,
-      is_successful: successful,
-      origin_service: Math.random() < 0.6 ? "on-frontend" : "solidus",
-      environment: env,
-      latency_ms: latency,
-      status_code: successful ? 200 : [500, 502, 503][Math.floor(Math.random() * 3)],
-      ts: now,
-    };
+  function saveScenario(def) {
+    setCustomScenarios((c) => ({ ...c, [def.name]: def }));
+  }
 
-    const compliance = computeSloCompliance(base);
-
-    const log = {
-      ...base,
-      ...compliance, // ➕ new schema fields
-      additional_context: {
-        user_id: `user_${Math.floor(Math.random() * 9999)}`,
-        country_iso_code: ["DE", "CH", "US", "FR", "GB"][
-          Math.floor(Math.random() * 5)
-        ],
-        currency_iso_code: ["EUR", "CHF", "USD"][
-          Math.floor(Math.random() * 3)
-        ],
-        language_iso_code: ["de", "en", "fr"][Math.floor(Math.random() * 3)],
-        page_url: "/checkout",
-        discount_rate,
-        error_code: successful
-          ? null
-          : ["E5XX", "ECONN", "ETIME", "EPAY"][Math.floor(Math.random() * 4)],
-        channel_type: Math.random() < 0.7 ? "web" : "app",
-      },
-      tracing_context: {
-        trace_id: uuid(),
-        session_id: `sess_${Math.floor(Math.random() * 999999)}`,
-        on_uuid: `dev_${Math.floor(Math.random() * 999999)}`,
-        request_id: uuid(),
-      },
-    };
-    return log;
+  function deleteScenario(name) {
+    setCustomScenarios((c) => {
+      const next = { ...c };
+      delete next[name];
+      return next;
+    });
+    if (scenario === name) setScenario("Calm");
   }
 
-  function pushManualLog(partial = {}) {
-    const base = {
-      logger: "business_process_logger",
-      flow: partial.flow || "order_to_cash",
-      event_type: partial.event_type || "submit_payment",
-      is_successful: partial.is_successful ?? true,
-      origin_service: partial.origin_service || "on-frontend",
-      environment: partial.environment || "production",
-      latency_ms: partial.latency_ms || Math.round(100 + Math.random() * 200),
-      status_code: partial.is_successful === false ? 500 : 200,
-      ts: Date.now(),
-    };
-    const compliance = computeSloCompliance(base);
-    const ev = {
-      ...base,
-      ...compliance,
-      additional_context: {
-        user_id: partial.user_id || `user_${Math.floor(Math.random() * 9999)}`,
-        country_iso_code: partial.country_iso_code || "DE",
-        order_number: partial.order_number || undefined,
-        currency_iso_code: partial.currency_iso_code || "EUR",
-        language_iso_code: partial.language_iso_code || "en",
-        page_url: partial.page_url || "/checkout",
-        error_code: partial.error_code || null,
-        discount_rate: partial.discount_rate || 0,
-        channel_type: partial.channel_type || "web",
-      },
-      tracing_context: {
-        trace_id: uuid(),
-        session_id: `sess_${Math.floor(Math.random() * 999999)}`,
-        on_uuid: `dev_${Math.floor(Math.random() * 999999)}`,
-        request_id: uuid(),
-      },
-    };
-    setLogs((l) => [...l, ev].slice(-3000));
+  function saveSlo(def, prevId) {
+    setSlos((list) => (prevId ? list.map((d) => (d.id === prevId ? def : d)) : [...list, def]));
+  }
+
+  function deleteSlo(id) {
+    setSlos((list) => list.filter((d) => d.id !== id));
+    if (inspectedSlo === id) setInspectedSlo(null);
   }
 
   function ackAlert(id) {
     setAlerts((arr) =>
-      arr.map((a) => (a.id === id && !a.ackAt ? { ...a, ackAt: Date.now() } : a))
+      arr.map((a) => (a.id === id && !a.ackAt ? { ...a, ackAt: now } : a))
     );
     const t = TIERS[tier].targets.MTTA_min * 60 * 1000; // ms
     const a = alerts.find((x) => x.id === id);
-    if (a && Date.now() - a.createdAt <= t && !badges.includes("First Responder")) {
+    if (a && now - (a.firingAt ?? a.createdAt) <= t && !badges.includes("First Responder")) {
       setBadges((b) => [...b, "First Responder"]);
       setScore((s) => s + 50);
     }
@@ -722,111 +807,399 @@ export default function OperationalExcellenceGame() {
 
   function resolveAlert(id) {
     setAlerts((arr) =>
-      arr.map((a) => (a.id === id && !a.resolvedAt ? { ...a, resolvedAt: Date.now() } : a))
+      arr.map((a) => (a.id === id ? resolveAlertByHand(a, now) : a))
     );
     const t = TIERS[tier].targets.MTTR_min * 60 * 1000; // ms
     const a = alerts.find((x) => x.id === id);
-    if (a && Date.now() - a.createdAt <= t && !badges.includes("Stability Champion")) {
+    // Closing an alert that is still burning fixes nothing; it re-opens on the next evaluation
+    if (a && hasRecovered(a) && now - (a.firingAt ?? a.createdAt) <= t && !badges.includes("Stability Champion")) {
       setBadges((b) => [...b, "Stability Champion"]);
       setScore((s) => s + 70);
     }
   }
 
-  function resetAll() {
+  function runAction(action) {
+    const a = engineRef.current.runAction(action);
+    setActions(engineRef.current.actions);
+    setScore((s) => s - a.cost);
+  }
+
+  // A release ships only when the error budget policy allows it, and may carry a regression.
+  function deployRelease() {
+    if (!releaseGate.canDeploy) return;
+    engineRef.current.deploy({ risk: budgetPolicy.deployRisk });
+    setDeploys(engineRef.current.deploys);
+    setFaults(engineRef.current.faults);
+    setScore((s) => s + RELEASE_POINTS);
+  }
+
+  // Restart the run from `start`; the same seed replays the same run.
+  function resetAll(nextSeed = seed, start = SIM_EPOCH) {
+    engineRef.current = createSimulation({ seed: nextSeed, clock: createVirtualClock(start) });
+    setSeed(nextSeed);
+    setSeedDraft(nextSeed);
+    setEpoch(start);
+    setSimNow(start);
+    setFfUntil(null);
+    setFaults([]);
+    setActions([]);
+    setDeploys([]);
+    setReviewedAt(null);
+    storeRef.current.clear();
+    replayRef.current = null;
+    setReplay(null);
+    setSchemaReport({});
     setLogs([]);
     setAlerts([]);
+    notifyGroupsRef.current = {};
     setScore(0);
     setBadges([]);
-    setCpu(22);
+    setCpu(INITIAL_CPU);
+    setLevel(null);
+  }
+
+  // ---- Campaign levels (src/campaign) ---------------------------------------
+
+  // A level is a fresh run of its preset setup, graded over its duration.
+  function startLevel(id) {
+    const def = LEVELS.find((l) => l.id === id);
+    const next = levelSetup(def, setup);
+    applySetup(next);
+    resetAll(next.seed);
+    for (const f of def.faults ?? []) engineRef.current.injectFault(f);
+    setFaults(engineRef.current.faults);
+    setLevel({ id, startedAt: SIM_EPOCH });
+    setLevelResult(null);
+    setAutoSim(true);
+  }
+
+  const levelDef = level && LEVELS.find((l) => l.id === level.id);
+  const levelOver = !!levelDef && now - level.startedAt >= levelDef.durationSec * 1000;
+  let levelGrade = null;
+  if (levelDef) {
+    const { bucketSec, buckets } = seriesBetween(level.startedAt, now);
+    const budgetPct = incidentBudget(buckets, sloTarget, { periodSec: overall.progress.periodSec, bucketSec }).consumedPct;
+    const ctx = { alerts, actions, now, startedAt: level.startedAt, targets: TIERS[tier].targets, budgetPct };
+    levelGrade = gradeLevel(levelDef, ctx, { final: levelOver });
+  }
+
+  // Grade the level once its time is up; effects reach the latest grade through this ref.
+  const levelEndRef = useRef(null);
+  levelEndRef.current = () => {
+    setCampaignProgress((p) => recordLevelResult(p, level.id, levelGrade.stars));
+    setLevelResult({ id: level.id, ...levelGrade });
+    setLevel(null);
+    setAutoSim(false);
+  };
+  useEffect(() => {
+    if (levelOver) levelEndRef.current();
+  }, [levelOver]);
+
+  // ---- Guided tutorials (src/tutorial) --------------------------------------
+
+  const tutorialDef = tutorial && { ...TUTORIALS, ...customTutorials }[tutorial.id];
+  const tutorialStep = tutorialDef?.steps[tutorial.step];
+  // The live setup a script's text and answers are computed from (TUTORIAL_VARIABLES)
+  const tutorialVars = {
+    tier,
+    minSLO: TIERS[tier].minSLO,
+    MTTA_min: TIERS[tier].targets.MTTA_min,
+    MTTR_min: TIERS[tier].targets.MTTR_min,
+    sloTarget,
+    errorBudgetPct: errorBudgetPercent(sloTarget),
+    latencyP95Target: slo.latencyP95Target,
+    availability: Number.isFinite(availability) ? Number(availability.toFixed(2)) : undefined,
+    p95: Number.isFinite(p95) ? Math.round(p95) : undefined,
+    periodDays: overall.progress.periodSec / 86400,
+  };
+  const tutorialConditions = {
+    running: autoSim,
+    paused: !autoSim,
+    pageFiring: alerts.some((a) => a.route === "page" && a.state === "firing"),
+    alertAcked: alerts.some((a) => a.ackAt != null),
+    alertResolved: alerts.some((a) => a.state === "resolved"),
+  };
+
+  function startTutorial(id) {
+    setTutorial({ id, step: 0, answers: {} });
+    setTutorialResult(null);
+  }
+
+  function saveTutorial(script) {
+    setCustomTutorials((c) => ({ ...c, [script.id]: script }));
   }
 
+  function deleteTutorial(id) {
+    setCustomTutorials((c) => {
+      const next = { ...c };
+      delete next[id];
+      return next;
+    });
+    if (tutorial?.id === id) setTutorial(null);
+  }
+
+  function nextTutorialStep() {
+    if (tutorial.step < tutorialDef.steps.length - 1) {
+      setTutorial((t) => ({ ...t, step: t.step + 1 }));
+      return;
+    }
+    const answers = Object.values(tutorial.answers);
+    setTutorialResult({ id: tutorial.id, asked: tutorialDef.steps.filter((s) => s.question).length, correct: answers.filter((a) => a.correct).length });
+    setTutorial(null);
+  }
+
+  // Entering a step may pause or run the simulation
+  useEffect(() => {
+    if (tutorialStep?.sim) setAutoSim(tutorialStep.sim === "run");
+  }, [tutorialStep]);
+
+  // Highlight the card the step points at (Card `anchor`) and bring it into view
+  const tutorialTarget = tutorialStep?.target;
+  useEffect(() => {
+    const el = tutorialTarget && globalThis.document?.querySelector(`[data-tutorial="${tutorialTarget}"]`);
+    if (!el) return;
+    el.classList.add("ring-2", "ring-amber-400");
+    el.scrollIntoView?.({ behavior: "smooth", block: "center" });
+    return () => el.classList.remove("ring-2", "ring-amber-400");
+  }, [tutorialTarget]);
+
+  // Replay an imported log. With original timestamps the run restarts one
+  // tick before its first event; the other modes start on the next tick.
+  function startReplay(file, mode) {
+    const plan = planReplay(file.events, { mode, now: simNow });
+    if (mode === "original") resetAll(seed, Math.floor(plan.start / TICK_MS) * TICK_MS - TICK_MS);
+    replayRef.current = createReplay(plan.events);
+    setReplay({ name: file.name, mode, total: plan.events.length, fed: 0 });
+    setSchemaReport((r) => recordValidation(r, "import", file.events.length, file.rejected, plan.start));
+    setAutoSim(true);
+  }
+
+  function connectLive() {
+    liveRef.current?.close();
+    liveRef.current = createLiveSource({ url: liveConfig.url, getSlo: () => sloRef.current, onStatus: setLiveStatus });
+    setAutoSim(true);
+  }
+
+  function disconnectLive() {
+    liveRef.current?.close();
+    liveRef.current = null;
+  }
+
+  // Players follow the facilitator's traffic through Live Ingest on the server's /stream
+  function connectGameDay() {
+    gamedayRef.current?.close();
+    setGameday({});
+    gamedayRef.current = createGameDayClient({
+      config: gamedayConfig,
+      onMessage: (msg) => setGameday((g) => ({ ...g, [msg.type]: msg })),
+      onStatus: setGamedayStatus,
+    });
+    if (gamedayConfig.role === "player") {
+      const url = gameDayUrls(gamedayConfig).stream;
+      setLiveConfig((c) => ({ ...c, url, mix: "instead" }));
+      liveRef.current?.close();
+      liveRef.current = createLiveSource({ url, getSlo: () => sloRef.current, onStatus: setLiveStatus });
+      setAutoSim(true);
+    }
+  }
+
+  function disconnectGameDay() {
+    gamedayRef.current?.close();
+    gamedayRef.current = null;
+    if (gamedayConfig.role === "player") disconnectLive();
+  }
+
+  // The facilitator publishes its run after every tick
+  const gamedayPublishRef = useRef(null);
+  gamedayPublishRef.current = () =>
+    gamedayRef.current?.publish({
+      now,
+      tier,
+      scenario,
+      alerts,
+      truth: groundTruth({ scenarioLog: engineRef.current.scenarioLog, scenarios: allScenarios, faults, now }),
+    });
+  useEffect(() => {
+    if (gamedayStatus?.state === "open" && gamedayStatus.role === "facilitator") gamedayPublishRef.current();
+  }, [simNow, alerts, gamedayStatus]);
+
+  function endReplay() {
+    replayRef.current = null;
+    setReplay(null);
+  }
+
+  // ---- Session save / restore / share (src/session) ------------------------
+
+  // What a share link carries; a custom scenario travels with its definition.
+  const setup = {
+    tier,
+    slo,
+    sli,
+    autoTierPresets,
+    bakeSLI,
+    lockExpected,
+    lockedSloTarget,
+    period,
+    scenario,
+    ...(SCENARIOS[scenario] ? {} : { scenarioDefinition: toStored(scenarioDef) }),
+    slos,
+    alertPolicy,
+    budgetPolicy,
+    seed,
+  };
+
+  function buildSession() {
+    return createSession({
+      setup,
+      customScenarios: Object.values(customScenarios),
+      ui: { speed, inspectedSlo },
+      run: {
+        epoch,
+        engine: engineRef.current.snapshot(),
+        store: storeRef.current.snapshot(),
+        logs,
+        alerts,
+        score,
+        badges,
+        phase,
+        schemaReport,
+        notifyGroups: notifyGroupsRef.current,
+        reviewedAt,
+      },
+    });
+  }
+
+  function applySetup(next) {
+    if (next.scenarioDefinition) setCustomScenarios((c) => ({ ...c, [next.scenario]: toStored(next.scenarioDefinition) }));
+    syncedTierRef.current = next.tier;
+    setTier(next.tier);
+    setSlo(next.slo);
+    setSli(next.sli);
+    setAutoTierPresets(next.autoTierPresets);
+    setBakeSLI(next.bakeSLI);
+    setLockExpected(next.lockExpected);
+    setLockedSloTarget(next.lockedSloTarget);
+    setPeriod(next.period);
+    setScenario(next.scenario);
+    setSlos(next.slos);
+    setAlertPolicy(next.alertPolicy);
+    if (next.budgetPolicy) setBudgetPolicy(next.budgetPolicy);
+  }
+
+  // Continue a saved run exactly where it stopped, paused. Replays and live
+  // streams are not part of a session.
+  function restoreSession(session, message) {
+    const { run, ui = {} } = session;
+    try {
+      storeRef.current.restore(run.store);
+    } catch (e) {
+      setSessionNotice({ text: `Session not restored: ${e.message}`, error: true });
+      return;
+    }
+    const custom = (session.customScenarios || []).filter((d) => !validateScenario(d).length && !SCENARIOS[d.name]);
+    setCustomScenarios((c) => ({ ...c, ...Object.fromEntries(custom.map((d) => [d.name, d])) }));
+    applySetup(session.setup);
+    engineRef.current = restoreSimulation(run.engine);
+    setAutoSim(false);
+    setSeed(run.engine.seed);
+    setSeedDraft(run.engine.seed);
+    setEpoch(run.epoch);
+    setSimNow(run.engine.now);
+    setFfUntil(null);
+    setFaults(engineRef.current.faults);
+    setActions(engineRef.current.actions);
+    setDeploys(engineRef.current.deploys);
+    setReviewedAt(run.reviewedAt ?? null);
+    setCpu(run.engine.cpu);
+    setPhase(run.phase ?? null);
+    replayRef.current = null;
+    setReplay(null);
+    setSchemaReport(run.schemaReport ?? {});
+    setLogs(run.logs);
+    setAlerts(run.alerts);
+    notifyGroupsRef.current = run.notifyGroups ?? {};
+    setScore(run.score);
+    setBadges(run.badges);
+    if (SPEEDS[ui.speed]) setSpeed(ui.speed);
+    setInspectedSlo(ui.inspectedSlo ?? null);
+    setLevel(null);
+    setSessionNotice({ text: message });
+  }
+
+  // Apply a `#setup=…` link as a fresh run and drop it from the address bar.
+  // @returns {Promise<boolean>} whether the URL carried a setup
+  async function openShareLink(href) {
+    const payload = sharePayload(href);
+    if (payload == null) return false;
+    globalThis.history?.replaceState(null, "", href.split("#")[0]);
+    const { setup: shared, errors } = await decodeSetup(payload);
+    if (errors.length) {
+      setSessionNotice({ text: `Share link ignored: ${errors.join("; ")}`, error: true });
+      return true;
+    }
+    applySetup(shared);
+    resetAll(shared.seed);
+    setAutoSim(false);
+    setSessionNotice({ text: `Loaded a shared setup: ${shared.tier}, ${shared.scenario}, seed ${shared.seed}.` });
+    return true;
+  }
+
+  // Effects below reach the latest render's functions through this ref.
+  const sessionRef = useRef(null);
+  sessionRef.current = { buildSession, restoreSession, openShareLink };
+
+  // On load a share link wins over the session saved in this browser.
+  useEffect(() => {
+    const ops = sessionRef;
+    (async () => {
+      const href = globalThis.location?.href;
+      if (href && (await ops.current.openShareLink(href))) return;
+      const saved = loadSession();
+      if (saved) ops.current.restoreSession(saved, `Restored the session saved ${timeAgo(Date.now() - saved.savedAt)}.`);
+    })();
+    const onHashChange = () => ops.current.openShareLink(globalThis.location.href);
+    globalThis.addEventListener?.("hashchange", onHashChange);
+    return () => globalThis.removeEventListener?.("hashchange", onHashChange);
+  }, []);
+
+  // Every commit may change the session; save at most every SESSION_SAVE_MS.
+  const sessionDirtyRef = useRef(false);
+  useEffect(() => {
+    sessionDirtyRef.current = true;
+  });
+  useEffect(() => {
+    const ops = sessionRef;
+    const save = () => {
+      if (!sessionDirtyRef.current) return;
+      sessionDirtyRef.current = false;
+      const { ok, droppedLogs } = saveSession(ops.current.buildSession());
+      setSessionSaveStatus(!ok ? "failed" : droppedLogs ? "trimmed" : "saved");
+    };
+    const id = setInterval(save, SESSION_SAVE_MS);
+    globalThis.addEventListener?.("pagehide", save);
+    return () => {
+      clearInterval(id);
+      globalThis.removeEventListener?.("pagehide", save);
+    };
+  }, []);
+
   // Progress bar
   const goal = 300;
   const progress = clamp((score / goal) * 100, 0, 100);
 
   // Table view (limited)
-  const tableRows = [...windowLogs].slice(-120).reverse();
-
-  // --- Dev Self-tests (lightweight) -----------------------------------------
-  const devTests = useMemo(() => {
-    const results = [];
-    // Test 1: percentile 95 of 1..100 is 95
-    const arr = Array.from({ length: 100 }, (_, i) => i + 1);
-    const p95exp = 95;
-    const p95act = percentile(arr, 95);
-    results.push({ name: "percentile(1..100,95)", pass: p95act === p95exp, got: p95act, expected: p95exp });
-
-    // Test 2: burnRate math – with SLO 99.5 => EB=0.5; bad=10% => burn=20x
-    const eb = 0.5;
-    const bad = 10;
-    const expectedBurn = 20;
-    const calc = eb > 0 ? bad / eb : Infinity;
-    results.push({ name: "burn = bad%/EB%", pass: Math.abs(calc - expectedBurn) < 1e-9, got: calc, expected: expectedBurn });
-
-    // Test 3: short == long/12 checks (real windows)
-    const long1h = 3600, short5m = 300;
-    const long6h = 6 * 3600, short30m = 1800;
-    const long24h = 24 * 3600, short2h = 2 * 3600;
-    const long3d = 3 * 86400, short6h = 6 * 3600;
-    results.push({ name: "5m is 1/12 of 1h", pass: Math.abs((short5m * 12) - long1h) < 1e-9, got: short5m * 12, expected: long1h });
-    results.push({ name: "30m is 1/12 of 6h", pass: Math.abs((short30m * 12) - long6h) < 1e-9, got: short30m * 12, expected: long6h });
-    results.push({ name: "2h is 1/12 of 24h", pass: Math.abs((short2h * 12) - long24h) < 1e-9, got: short2h * 12, expected: long24h });
-    results.push({ name: "6h is 1/12 of 3d", pass: Math.abs((short6h * 12) - long3d) < 1e-9, got: short6h * 12, expected: long3d });
-
-    // Test 7: SLI-baked policy – success but slow is bad when baked
-    const sloMs = 200;
-    const goodBy = (ev, baked) => (ev.is_successful && (!baked || ev.latency_ms <= sloMs));
-    const evSlow = { is_successful: true, latency_ms: 400 };
-    const evFast = { is_successful: true, latency_ms: 100 };
-    results.push({ name: "baked policy marks slow success as bad", pass: !goodBy(evSlow, true) && goodBy(evFast, true), got: `${goodBy(evSlow, true)} & ${goodBy(evFast, true)}`, expected: "false & true" });
-
-    // Test 8: non-baked policy – slow success stays good
-    results.push({ name: "non-baked treats slow success as good", pass: goodBy(evSlow, false) === true, got: goodBy(evSlow, false), expected: true });
-
-    // Test 9: preset overwrite (exact mapping)
-    const preset = { availabilityTarget: 99.95, latencyP95Target: 500 };
-    const overwritten = {
-      availabilityTarget: preset.availabilityTarget,
-      latencyP95Target: preset.latencyP95Target,
-    };
-    results.push({ name: "overwrite availability to preset", pass: overwritten.availabilityTarget === 99.95, got: overwritten.availabilityTarget, expected: 99.95 });
-    results.push({ name: "overwrite latency to preset", pass: overwritten.latencyP95Target === 500, got: overwritten.latencyP95Target, expected: 500 });
-
-    // Test 10: budget consumed at thresholds on long windows
-    const pct1 = budgetConsumedPct(14.4, 3600);
-    const pct2 = budgetConsumedPct(6, 6*3600);
-    const pct3 = budgetConsumedPct(3, 24*3600);
-    const pct4 = budgetConsumedPct(1, 3*86400);
-    results.push({ name: "1h@14.4 consumes 2%", pass: Math.abs(pct1 - 2) < 1e-9, got: pct1, expected: 2 });
-    results.push({ name: "6h@6 consumes 5%", pass: Math.abs(pct2 - 5) < 1e-9, got: pct2, expected: 5 });
-    results.push({ name: "24h@3 consumes 10%", pass: Math.abs(pct3 - 10) < 1e-9, got: pct3, expected: 10 });
-    results.push({ name: "3d@1 consumes 10%", pass: Math.abs(pct4 - 10) < 1e-9, got: pct4, expected: 10 });
-
-    // Test 11: time to depletion at threshold
-    const d1 = daysToDeplete(14.4);
-    results.push({ name: "deplete at 14.4x ≈ 2.1d", pass: Math.abs(d1 - (30/14.4)) < 1e-9, got: d1, expected: 30/14.4 });
-
-    // Extra Tests: edge cases
-    const pNaN = percentile([], 95);
-    results.push({ name: "percentile([]) is NaN", pass: Number.isNaN(pNaN), got: String(pNaN), expected: "NaN" });
-    results.push({ name: "clamp works", pass: clamp(200, 0, 100) === 100 && clamp(-5, 0, 100) === 0, got: `${clamp(200,0,100)},${clamp(-5,0,100)}`, expected: "100,0" });
-
-    return results;
-  }, []);
+  const tableRows = logs.slice(-120).reverse();
 
-  // Helper for Inspector (uses expectedSlo, which may be locked)
-  const expBadPctAt = (thr) => expectedBadPercent(expectedSlo, thr);
+  // Helper for Inspector (uses expectedSlo, which may be locked, or the inspected SLO's target)
+  const expBadPctAt = (thr) => expectedBadPercent(inspExpectedSlo, thr);
 
   // Build a compact summary line for burn-rate pairs using threshold math
-  const mwmbSummary = useMemo(() => {
-    const items = ["pageA", "pageB", "ticketA", "ticketB"].map((k) => {
-      const w = GOOGLE_MWMB[k];
-      const consumedAtThr = budgetConsumedPct(w.thr, w.longReal);
-      const depleteDaysAtThr = daysToDeplete(w.thr);
-      return `${w.label.split(" @")[0]}: ${consumedAtThr.toFixed(1)}% consumed • depleted in ${formatDays(depleteDaysAtThr)}`;
-    });
-    return items.join(" \u2022 ");
-  }, []);
+  const mwmbSummary = Object.keys(inspPairs).map((k) => {
+    const w = inspPairs[k];
+    const consumedAtThr = budgetConsumedPct(w.thr, w.longReal, insp.progress.periodSec);
+    const depleteDaysAtThr = daysToDeplete(w.thr, inspPeriodDays);
+    return `${w.label.split(" @")[0]}: ${consumedAtThr.toFixed(1)}% consumed • depleted in ${formatDays(depleteDaysAtThr)}`;
+  }).join(" \u2022 ");
 
   return (
     <div className="min-h-screen bg-gradient-to-b from-slate-50 to-slate-100 text-slate-800">
@@ -847,9 +1220,10 @@ export default function OperationalExcellenceGame() {
                 </>
               )}
             </Button>
-            <Button variant="ghost" onClick={resetAll}>
+            <Button variant="ghost" onClick={() => resetAll()}>
               <RotateCcw className="w-4 h-4 mr-1" />Reset
             </Button>
+            {liveStatus && liveStatus.state !== "closed" && <LiveBadge status={liveStatus} />}
           </div>
         </div>
       </header>
@@ -870,12 +1244,43 @@ export default function OperationalExcellenceGame() {
               </div>
             </div>
           </Card>
-          <Card title="1) Select Service Tier" icon={<Target className="w-4 h-4" />}>
+          <Card title="Campaign" icon={<Trophy className="w-4 h-4" />} sub="Levels with a briefing, objectives and up to three stars">
+            <CampaignPanel
+              levels={LEVELS}
+              progress={campaignProgress}
+              active={levelDef && !levelOver ? level : null}
+              grade={levelGrade}
+              result={levelResult}
+              now={now}
+              onStart={startLevel}
+              onAbandon={() => setLevel(null)}
+            />
+          </Card>
+          <Card title="Tutorial" icon={<GraduationCap className="w-4 h-4" />} sub="Step through the cards with questions computed from your setup">
+            <TutorialPanel
+              custom={customTutorials}
+              result={tutorialResult}
+              active={!!tutorial}
+              onStart={startTutorial}
+              onSave={saveTutorial}
+              onDelete={deleteTutorial}
+            />
+          </Card>
+          <Card title="Session" icon={<Save className="w-4 h-4" />} sub="Keep this run, or hand everyone the same starting setup">
+            <SessionPanel
+              notice={sessionNotice}
+              saveStatus={sessionSaveStatus}
+              onDownload={() => downloadJson(`slo-burn-lab-session_${seed}.json`, buildSession())}
+              onImport={(session, name) => restoreSession(session, `Loaded ${name}.`)}
+              onShare={() => shareLink(setup)}
+            />
+          </Card>
+          <Card title="1) Select Service Tier" anchor="tier" icon={<Target className="w-4 h-4" />}>
             <div className="grid grid-cols-2 gap-2">
               {Object.entries(TIERS).map(([k, v]) => (
                 <button
                   key={k}
-                  onClick={() => setTier(k)}
+                  onClick={() => chooseTier(k)}
                   className={`text-left p-3 rounded-xl border transition ${
                     tier === k ? "border-slate-900 bg-slate-900 text-white" : "hover:bg-white"
                   }`}
@@ -897,7 +1302,7 @@ export default function OperationalExcellenceGame() {
             </div>
           </Card>
 
-          <Card title="2) Define SLI / SLO" icon={<ShieldCheck className="w-4 h-4" />}>
+          <Card title="2) Define SLI / SLO" anchor="slo" icon={<ShieldCheck className="w-4 h-4" />}>
             <div className="space-y-3">
               <div className="flex items-center justify-between">
                 <Toggle
@@ -958,6 +1363,22 @@ export default function OperationalExcellenceGame() {
                 <span className="text-xs text-slate-500">good = success {"&"} (latency ≤ target)</span>
               </div>
 
+              <div className="flex items-center justify-between">
+                <span className="text-sm text-slate-700">Compliance period</span>
+                <div className="flex items-center gap-2">
+                  <select
+                    value={period}
+                    onChange={(e) => setPeriod(e.target.value)}
+                    className="px-2 py-1 rounded-lg border text-sm"
+                  >
+                    {Object.entries(COMPLIANCE_PERIODS).map(([k, v]) => (
+                      <option key={k} value={k}>{v.label}</option>
+                    ))}
+                  </select>
+                  <span className="text-xs text-slate-500">budget left {formatPct(overall.budget.remainingPct, 1)}</span>
+                </div>
+              </div>
+
               {/* NEW: Lock expected thresholds to a fixed SLO for clarity */}
               <div className="flex items-center justify-between">
                 <Toggle
@@ -987,13 +1408,43 @@ export default function OperationalExcellenceGame() {
             </div>
           </Card>
 
+          <Card title="Named SLOs" icon={<Target className="w-4 h-4" />} sub="Per-journey SLIs, each with its own budget and MWMB alerts">
+            <SloCatalog
+              slos={slos}
+              stats={sloStats}
+              inspected={inspectedSlo}
+              onInspect={setInspectedSlo}
+              onSave={saveSlo}
+              onDelete={deleteSlo}
+            />
+          </Card>
+
+          <Card title="Alert Policy" anchor="alertPolicy" icon={<BellRing className="w-4 h-4" />} sub="MWMB rules used by the overall SLO and every named SLO">
+            <AlertPolicyEditor policy={alertPolicy} sloTarget={sloTarget} periodSec={overall.progress.periodSec} onApply={setAlertPolicy} />
+          </Card>
+
+          <Card title="Error Budget Policy" anchor="budgetPolicy" icon={<Rocket className="w-4 h-4" />} sub="Reviews and release freezes as the period's budget runs out">
+            <BudgetPolicyPanel
+              policy={budgetPolicy}
+              status={releaseGate}
+              consumedPct={overall.budget.consumedPct}
+              deploys={deploys}
+              faults={faults}
+              now={now}
+              releasePoints={RELEASE_POINTS}
+              onApply={setBudgetPolicy}
+              onDeploy={deployRelease}
+              onReview={() => setReviewedAt(now)}
+            />
+          </Card>
+
           <Card title="Quick Tips" icon={<BadgeCheck className="w-4 h-4" />}>
             <ul className="text-sm list-disc pl-5 space-y-1">
               <li>Burn-rate with SLI baked is usually sufficient for paging. Other alerts here are for comparison.</li>
               <li>Pick a tier that matches impact. Higher tiers demand higher SLOs and faster MTTA/MTTR.</li>
               <li>Track Availability & Latency as SLIs. Set SLOs that meet (or exceed) your tier’s minimums.</li>
               <li>Use the simulator to create failures, spikes, and business-rule breaches.</li>
-              <li>Google MWMB: short=1/12 long. Page at 14.4x (1h&5m) or 6x (6h&30m); Ticket at 3x (24h&2h) or 1x (3d&6h).</li>
+              <li>Google MWMB: short=1/12 long. Page at 14.4x (1h&5m) or 6x (6h&30m); Ticket at 3x (24h&2h) or 1x (3d&6h). Change the rules in Alert Policy.</li>
             </ul>
           </Card>
 
@@ -1001,19 +1452,87 @@ export default function OperationalExcellenceGame() {
 
         {/* MIDDLE COLUMN */}
         <div className="lg:col-span-1 space-y-4">
-                    <Card title="3) Push Logs" icon={<Upload className="w-4 h-4" />} right={<Toggle checked={autoSim} onChange={setAutoSim} label="Auto-simulate" />}>
+                    <Card title="3) Push Logs" anchor="push" icon={<Upload className="w-4 h-4" />} right={<Toggle checked={autoSim} onChange={setAutoSim} label="Auto-simulate" />}>
             <div className="space-y-3">
               <div className="flex items-center gap-2 flex-wrap">
                 <select
                   value={scenario}
-                  onChange={(e) => setScenario(e.target.value)}
+                  onChange={(e) => {
+                    setScenario(e.target.value);
+                    setPhase(null);
+                  }}
                   className="px-2 py-1 rounded-lg border text-sm"
                 >
-                  {Object.keys(SCENARIOS).map((s) => (
+                  {Object.keys(allScenarios).map((s) => (
                     <option key={s}>{s}</option>
                   ))}
                 </select>
-                <span className="text-xs text-slate-500">{SCENARIOS[scenario].description}</span>
+                <span className="text-xs text-slate-500">{scenarioDef.description}</span>
+              </div>
+              {scenarioDef.phases.length > 1 && (
+                <div className="flex items-center gap-2 text-xs text-slate-500">
+                  <span>
+                    Phase {phase ? phase.index + 1 : 1}/{scenarioDef.phases.length}:{" "}
+                    <b>{phase?.name || scenarioDef.phases[0].name}</b>
+                    {phase && Number.isFinite(phase.durationSec) &&
+                      ` (${Math.floor(phase.elapsedSec)}s / ${phase.durationSec}s)`}
+                  </span>
+                  <button
+                    onClick={() => {
+                      engineRef.current.restartScenario();
+                      setPhase(null);
+                    }}
+                    className="underline hover:text-slate-700"
+                  >
+                    restart timeline
+                  </button>
+                </div>
+              )}
+
+              <div className="flex items-center gap-2 flex-wrap">
+                <span className="text-xs text-slate-500">Seed</span>
+                <input
+                  value={seedDraft}
+                  onChange={(e) => setSeedDraft(e.target.value.trim())}
+                  className="w-28 px-2 py-1 rounded-lg border text-sm font-mono"
+                />
+                <Button variant="ghost" onClick={() => resetAll(seedDraft || seed)}>
+                  <RotateCcw className="w-4 h-4 mr-1" />Replay
+                </Button>
+                <Button variant="ghost" onClick={() => resetAll(randomSeed())}>
+                  New seed
+                </Button>
+                <span className="text-xs text-slate-500">same seed + scenario ⇒ identical run</span>
+              </div>
+
+              <div className="flex items-center gap-2 flex-wrap">
+                <span className="text-xs text-slate-500">Speed</span>
+                {Object.keys(SPEEDS).map((k) => (
+                  <button
+                    key={k}
+                    onClick={() => setSpeed(k)}
+                    className={`px-2 py-1 rounded-lg border text-xs ${
+                      speed === k ? "bg-slate-900 text-white border-slate-900" : "hover:bg-slate-50"
+                    }`}
+                  >
+                    {k}
+                  </button>
+                ))}
+                <span className="text-xs text-slate-500 ml-2">Instant</span>
+                {FAST_FORWARD_HOURS.map((h) => (
+                  <button
+                    key={h}
+                    disabled={ffUntil != null}
+                    onClick={() => setFfUntil(simNow + h * DEMO_HOUR_SEC * TICK_MS)}
+                    className="px-2 py-1 rounded-lg border text-xs hover:bg-slate-50 disabled:opacity-50"
+                  >
+                    +{h >= 24 ? `${h / 24}d` : `${h}h`}
+                  </button>
+                ))}
+              </div>
+              <div className="text-xs text-slate-500">
+                Sim time: <b>{formatSimElapsed(simNow - epoch)}</b> (demo) • {new Date(simNow).toLocaleString()}
+                {ffUntil != null && <span className="ml-1 text-amber-600">fast-forwarding…</span>}
               </div>
 
               <div className="grid grid-cols-2 gap-2">
@@ -1042,6 +1561,7 @@ export default function OperationalExcellenceGame() {
                 <summary className="text-sm text-slate-700 cursor-pointer">See example event (schema-aligned)</summary>
                 <pre className="mt-2 text-[11px] p-2 bg-slate-900 text-slate-100 rounded-xl overflow-auto">
 {JSON.stringify({
+  schema_version: EVENT_SCHEMA_VERSION,
   logger: "business_process_logger",
   flow: "order_to_cash",
   event_type: "submit_payment",
@@ -1060,6 +1580,8 @@ export default function OperationalExcellenceGame() {
     currency_iso_code: "EUR",
     language_iso_code: "en",
     page_url: "/checkout",
+    order_number: null,
+    discount_rate: 0,
     error_code: null,
     channel_type: "web",
   },
@@ -1076,13 +1598,61 @@ export default function OperationalExcellenceGame() {
             </div>
           </Card>
 
-          <Card title="4) Visualize Logs & Signals" icon={<TrendingUp className="w-4 h-4" />}>
+          <Card title="Import Logs" icon={<FileUp className="w-4 h-4" />} sub="Replay a real business_process_logger file through this SLO and alert policy">
+            <LogImport slo={slo} replay={replay} onReplay={startReplay} onStop={endReplay} />
+          </Card>
+
+          <Card title="Live Ingest" icon={<Radio className="w-4 h-4" />} sub="Stream events from a WebSocket or SSE log shipper">
+            <LivePanel
+              config={liveConfig}
+              onChange={setLiveConfig}
+              status={liveStatus}
+              onConnect={connectLive}
+              onDisconnect={disconnectLive}
+            />
+          </Card>
+
+          <Card title="Event Schema" icon={<FileCheck2 className="w-4 h-4" />} sub={`business_process_logger v${EVENT_SCHEMA_VERSION}, checked at every ingest point`}>
+            <SchemaPanel report={schemaReport} slo={slo} />
+          </Card>
+
+          <Card title="Scenario Editor" icon={<Activity className="w-4 h-4" />} sub="Phased incident timelines with ramps, saved in this browser">
+            <ScenarioEditor
+              custom={customScenarios}
+              onSave={saveScenario}
+              onDelete={deleteScenario}
+              onRun={(def) => {
+                saveScenario(def);
+                setScenario(def.name);
+                engineRef.current.restartScenario();
+                setPhase(null);
+              }}
+            />
+          </Card>
+
+          <Card title="Fault Injection" anchor="faults" icon={<Bug className="w-4 h-4" />} sub="Break one slice of traffic and watch the aggregate SLI">
+            <FaultPanel
+              faults={faults}
+              now={now}
+              sloTarget={sloTarget}
+              onInject={(spec) => {
+                engineRef.current.injectFault(spec);
+                setFaults(engineRef.current.faults);
+              }}
+              onStop={(id) => {
+                engineRef.current.stopFault(id);
+                setFaults(engineRef.current.faults);
+              }}
+            />
+          </Card>
+
+          <Card title="4) Visualize Logs & Signals" anchor="visualize" icon={<TrendingUp className="w-4 h-4" />}>
             <div className="space-y-4">
               <div className="grid grid-cols-1 gap-4">
                 <div className="h-36">
                   <ResponsiveContainer width="100%" height="100%">
                     <AreaChart
-                      data={tpsSeries}
+                      data={signalSeries}
                       margin={{ left: 10, right: 10, top: 10, bottom: 10 }}
                     >
                       <defs>
@@ -1110,6 +1680,9 @@ export default function OperationalExcellenceGame() {
                         fill="#ef4444"
                         name="Errors/s (policy)"
                       />
+                      {signalResets.map((t) => (
+                        <ReferenceLine key={t} x={t} stroke="#64748b" strokeDasharray="4 2" label={{ value: "budget reset", fontSize: 10 }} />
+                      ))}
                       <Legend />
                     </AreaChart>
                   </ResponsiveContainer>
@@ -1117,7 +1690,7 @@ export default function OperationalExcellenceGame() {
                 <div className="h-36">
                   <ResponsiveContainer width="100%" height="100%">
                     <LineChart
-                      data={latencySeries}
+                      data={signalSeries}
                       margin={{ left: 10, right: 10, top: 10, bottom: 10 }}
                     >
                       <CartesianGrid strokeDasharray="3 3" />
@@ -1135,18 +1708,36 @@ export default function OperationalExcellenceGame() {
                     </LineChart>
                   </ResponsiveContainer>
                 </div>
+                <div className="h-28">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <LineChart
+                      data={signalSeries}
+                      margin={{ left: 10, right: 10, top: 10, bottom: 10 }}
+                    >
+                      <CartesianGrid strokeDasharray="3 3" />
+                      <XAxis dataKey="time" hide />
+                      <YAxis hide domain={[0, 100]} />
+                      <Tooltip />
+                      <Line
+                        type="monotone"
+                        dataKey="cpu"
+                        stroke="#f59e0b"
+                        name="CPU (%)"
+                        dot={false}
+                      />
+                      <Legend />
+                    </LineChart>
+                  </ResponsiveContainer>
+                </div>
                 <div className="grid grid-cols-4 gap-2">
-                  <Stat label="Logs (60s)" value={windowLogs.length} />
+                  <Stat label="Logs (60s)" value={windowTotal} />
                   <Stat
                     label="Errors (policy)"
-                    value={tpsSeries.reduce((a, b) => a + b.errors, 0)}
+                    value={windowCounts.bad}
                   />
                   <Stat
                     label="Good (policy)"
-                    value={Math.max(
-                      0,
-                      windowLogs.length - tpsSeries.reduce((a, b) => a + b.errors, 0)
-                    )}
+                    value={Math.max(0, windowTotal - windowCounts.bad)}
                   />
                   <Stat label="Bake SLI?" value={bakeSLI ? "Yes" : "No"} />
                 </div>
@@ -1198,21 +1789,29 @@ export default function OperationalExcellenceGame() {
             </div>
           </Card>
           <Card title="Export" icon={<Upload className="w-4 h-4" />}>
-            <div className="flex items-center gap-2">
+            <LogExport logs={logs} slo={sloCfg} cap={RAW_LOG_CAP} />
+            <div className="flex items-center gap-2 flex-wrap mt-3 pt-3 border-t">
               <Button
-                onClick={() => {
-                  const blob = new Blob([JSON.stringify(logs, null, 2)], {
-                    type: "application/json",
-                  });
-                  const url = URL.createObjectURL(blob);
-                  const a = document.createElement("a");
-                  a.href = url;
-                  a.download = "simulated_logs.json";
-                  a.click();
-                  URL.revokeObjectURL(url);
-                }}
+                onClick={() =>
+                  downloadJson(`simulated_run_${seed}.json`, {
+                    seed,
+                    scenario,
+                    scenarioDefinition: scenarioDef,
+                    faults,
+                    startedAt: epoch,
+                    tier,
+                    slo,
+                    slos,
+                    period,
+                    alertPolicy,
+                    notifyConfig,
+                    bakeSLI,
+                    logs,
+                    alerts,
+                  })
+                }
               >
-                Download Logs JSON
+                Download Run (with seed)
               </Button>
               <Button
                 onClick={() =>
@@ -1226,14 +1825,82 @@ export default function OperationalExcellenceGame() {
               </Button>
             </div>
           </Card>
-          <Card title="Burn-rate Inspector" icon={<Gauge className="w-4 h-4" />}>
+          <Card title="Export rules" icon={<FileCode2 className="w-4 h-4" />} sub="Prometheus, OpenSLO or Sloth from the overall SLO and alert policy">
+            <RulesExport
+              spec={sloSpec({
+                tier,
+                availabilityTarget: sloTarget,
+                latencyP95Target: slo.latencyP95Target,
+                bakeSLI,
+                period,
+                policyName: alertPolicy.name,
+                pairs: overall.pairs,
+              })}
+              config={rulesConfig}
+              onConfigChange={setRulesConfig}
+            />
+          </Card>
+          <Card
+            title="Burn-rate Inspector"
+            anchor="inspector"
+            icon={<Gauge className="w-4 h-4" />}
+            right={
+              <select
+                value={inspectedSlo || ""}
+                onChange={(e) => setInspectedSlo(e.target.value || null)}
+                className="px-2 py-1 rounded-lg border text-xs"
+              >
+                <option value="">Overall ({sloTarget}%)</option>
+                {slos.map((d) => (
+                  <option key={d.id} value={d.id}>{d.name}</option>
+                ))}
+              </select>
+            }
+          >
             <div className="grid grid-cols-2 gap-2 text-sm">
-              <Stat label="Current SLO (observed)" value={`${sloTarget}%`} sub="drives observed burn" />
-              <Stat label="SLO for expected" value={`${expectedSlo}%`} sub={lockExpected ? "locked" : "follows current"} />
-              <Stat label="14.4× (page)" value={formatPct(expBadPctAt(14.4))} sub="expected bad%" />
-              <Stat label="6× (page)" value={formatPct(expBadPctAt(6))} sub="expected bad%" />
-              <Stat label="3× (ticket)" value={formatPct(expBadPctAt(3))} sub="expected bad%" />
-              <Stat label="1× (ticket)" value={formatPct(expBadPctAt(1))} sub="expected bad%" />
+              <Stat label="Current SLO (observed)" value={`${inspTarget}%`} sub={inspectedDef ? inspectedDef.name : "drives observed burn"} />
+              <Stat
+                label="SLO for expected"
+                value={`${inspExpectedSlo}%`}
+                sub={inspectedDef ? "named SLO target" : lockExpected ? "locked" : "follows current"}
+              />
+              {Object.keys(inspPairs).map((k) => (
+                <Stat
+                  key={k}
+                  label={`${inspPairs[k].thr}× (${inspPairs[k].route})`}
+                  value={formatPct(expBadPctAt(inspPairs[k].thr))}
+                  sub="expected bad%"
+                />
+              ))}
+              <Stat
+                label="Budget left"
+                value={formatPct(insp.budget.remainingPct, 1)}
+                sub={COMPLIANCE_PERIODS[insp.period].label}
+              />
+              <Stat
+                label="Depleted in"
+                value={formatDays(insp.budget.daysToDepletion)}
+                sub={
+                  COMPLIANCE_PERIODS[insp.period].kind === "calendar"
+                    ? `resets ${new Date(toDemoTs(insp.progress.end, epoch)).toISOString().slice(0, 10)}`
+                    : "at current 1h burn"
+                }
+              />
+            </div>
+            <div className="h-28 mt-2">
+              <ResponsiveContainer width="100%" height="100%">
+                <AreaChart data={budgetPoints} margin={{ left: 10, right: 10, top: 10, bottom: 10 }}>
+                  <CartesianGrid strokeDasharray="3 3" />
+                  <XAxis dataKey="ts" type="number" domain={["dataMin", "dataMax"]} hide />
+                  <YAxis hide domain={[0, 100]} />
+                  <Tooltip labelFormatter={(ts) => formatSimElapsed(ts - epoch)} formatter={(v) => formatPct(v, 1)} />
+                  <Area type="stepAfter" dataKey="remainingPct" stroke="#8b5cf6" fill="#8b5cf6" fillOpacity={0.15} name="Budget left (%)" />
+                  {periodResetTs.map((t) => (
+                    <ReferenceLine key={t} x={t} stroke="#64748b" strokeDasharray="4 2" label={{ value: "reset", fontSize: 10 }} />
+                  ))}
+                  <Legend />
+                </AreaChart>
+              </ResponsiveContainer>
             </div>
           </Card>
         </div>
@@ -1243,6 +1910,7 @@ export default function OperationalExcellenceGame() {
         <div className="lg:col-span-1 space-y-4">
                               <Card
             title="5) Alerts in Action"
+            anchor="alerts"
             icon={<BellRing className="w-4 h-4" />}
             right={<span className="text-xs text-slate-500">Acknowledge & Resolve to score</span>}
           >
@@ -1253,36 +1921,58 @@ export default function OperationalExcellenceGame() {
                 </div>
               )}
               {alerts.map((a) => (
-                <div key={a.id} className={`p-3 rounded-xl border ${a.resolvedAt ? "opacity-60" : ""}`}>
+                <div key={a.id} className={`p-3 rounded-xl border ${a.state === "resolved" ? "opacity-60" : ""}`}>
                   <div className="flex items-start justify-between gap-2">
                     <div>
-                      <div className="flex items-center gap-2">
-                        <AlertTriangle className="w-4 h-4 text-amber-500" />
+                      <div className="flex items-center gap-2 flex-wrap">
+                        <AlertTriangle className={`w-4 h-4 ${a.state === "firing" ? "text-rose-500" : "text-amber-500"}`} />
                         <span className="font-semibold">{a.type}</span>
                         <span className="text-xs px-2 py-0.5 rounded-full bg-slate-100 border">{a.severity}</span>
+                        <span className={`text-xs px-2 py-0.5 rounded-full border ${ALERT_STATE_STYLES[a.state]}`}>{a.state}</span>
+                        {a.flapping && (
+                          <span className="text-xs px-2 py-0.5 rounded-full border bg-amber-50 text-amber-700 border-amber-200" title="Notifications suppressed">
+                            flapping
+                          </span>
+                        )}
                       </div>
                       <div className="text-sm mt-1">{a.message}</div>
                       <div className="text-[11px] text-slate-500 mt-1">
-                        {timeAgo(Date.now() - a.createdAt)} • {new Date(a.createdAt).toLocaleTimeString()}
+                        {timeAgo(now - a.createdAt)} • {new Date(a.createdAt).toLocaleTimeString()}
                       </div>
                       {a.ackAt && (
                         <div className="text-[11px] text-slate-500">
-                          ACK in {((a.ackAt - a.createdAt) / 1000).toFixed(1)}s
+                          ACK in {((a.ackAt - (a.firingAt ?? a.createdAt)) / 1000).toFixed(1)}s
                         </div>
                       )}
                       {a.resolvedAt && (
                         <div className="text-[11px] text-slate-500">
-                          Resolved in {((a.resolvedAt - a.createdAt) / 1000).toFixed(1)}s
+                          {a.manual ? "Resolved" : "Auto-resolved"} in {((a.resolvedAt - a.createdAt) / 1000).toFixed(1)}s
+                          {a.recovered === false && " • before the SLIs recovered"}
                         </div>
                       )}
+                      {a.state !== "resolved" && (
+                        <div className={`text-[11px] ${hasRecovered(a) ? "text-emerald-700" : "text-slate-500"}`}>
+                          {hasRecovered(a) ? "SLIs recovered • ready to resolve" : "SLIs still burning • run a runbook action first"}
+                        </div>
+                      )}
+                      <details className="mt-1 text-[11px] text-slate-500">
+                        <summary className="cursor-pointer">State history ({a.history.length})</summary>
+                        <ol className="mt-1 space-y-0.5">
+                          {a.history.map((h, i) => (
+                            <li key={i}>
+                              <span className="font-mono">+{((h.at - a.createdAt) / 1000).toFixed(1)}s</span> <b>{h.state}</b> – {h.note}
+                            </li>
+                          ))}
+                        </ol>
+                      </details>
                     </div>
                     <div className="flex flex-col gap-2">
-                      {!a.ackAt && (
+                      {a.state === "firing" && !a.ackAt && (
                         <Button onClick={() => ackAlert(a.id)}>
                           <Clock4 className="w-4 h-4 mr-1" />Acknowledge
                         </Button>
                       )}
-                      {!a.resolvedAt && (
+                      {a.state !== "resolved" && (
                         <Button onClick={() => resolveAlert(a.id)} variant="primary">
                           <ShieldCheck className="w-4 h-4 mr-1" />Resolve
                         </Button>
@@ -1292,9 +1982,57 @@ export default function OperationalExcellenceGame() {
                 </div>
               ))}
             </div>
+          </Card>
+          <Card title="Runbook" anchor="runbook" icon={<Wrench className="w-4 h-4" />} sub="Responses that change the system: each costs points and takes time to land">
+            <RunbookPanel actions={actions} faults={faults} now={now} onRun={runAction} />
+          </Card>
+          <Card title="Incidents" anchor="incidents" icon={<Siren className="w-4 h-4" />} sub="Related alerts grouped, with a timeline and a postmortem draft">
+            <IncidentPanel
+              alerts={alerts}
+              now={now}
+              scenarioLog={engineRef.current.scenarioLog}
+              faults={faults}
+              tier={tier}
+              sloTarget={sloTarget}
+              periodSec={overall.progress.periodSec}
+              periodLabel={COMPLIANCE_PERIODS[period].label}
+              seriesBetween={seriesBetween}
+            />
+          </Card>
+          <Card title="Alert Quality" icon={<Scale className="w-4 h-4" />} sub="Burn-rate vs threshold alerts against this run's real incidents">
+            <AlertQuality
+              alerts={alerts}
+              now={now}
+              scenarioLog={engineRef.current.scenarioLog}
+              scenarios={allScenarios}
+              faults={faults}
+              rules={Object.values(overall.pairs).map((p) => ({ type: p.label, route: p.route }))}
+            />
+          </Card>
+          <Card title="Game Day" icon={<Users className="w-4 h-4" />} sub="Teams race to acknowledge and resolve the same run on a shared server">
+            <GameDayPanel
+              config={gamedayConfig}
+              onChange={setGamedayConfig}
+              status={gamedayStatus}
+              game={gameday}
+              onConnect={connectGameDay}
+              onDisconnect={disconnectGameDay}
+              onAck={(id) => gamedayRef.current?.ack(id)}
+              onResolve={(id) => gamedayRef.current?.resolve(id)}
+              onNewRound={() => gamedayRef.current?.reset()}
+            />
+          </Card>
+          <Card title="Notifications" icon={<Send className="w-4 h-4" />} sub="Route alerts by severity to a webhook, Alertmanager or PagerDuty">
+            <NotificationPanel
+              config={notifyConfig}
+              onChange={setNotifyConfig}
+              log={deliveryLog}
+              onTest={sendTestNotification}
+              epoch={epoch}
+            />
           </Card>
                    <Card
-            title={`Burn-rate Alerts (Google MWMB) \u2022 Demo scale: 1h= ${DEMO_HOUR_SEC}s`}
+            title={`Burn-rate Alerts (${alertPolicy.name}) \u2022 ${inspectedDef ? inspectedDef.name : "Overall"} \u2022 Demo scale: 1h= ${DEMO_HOUR_SEC}s`}
             sub={
               <span>
                 {mwmbSummary}
@@ -1303,16 +2041,14 @@ export default function OperationalExcellenceGame() {
             icon={<BellRing className="w-4 h-4" />}
           >
             <div className="space-y-3">
-              {["pageA", "pageB", "ticketA", "ticketB"].map((k) => {
-                const w = GOOGLE_MWMB[k];
-                const S = BR[k].s;
-                const L = BR[k].l;
+              {Object.keys(inspPairs).map((k) => {
+                const w = inspPairs[k];
                 const thrBadPct = expBadPctAt(w.thr);
-                const fired = S.burn >= w.thr && L.burn >= w.thr && S.total > 20 && L.total > 20;
+                const fired = inspBR[k].fired;
 
                 // Budget math at threshold & at observed long-window burn
-                const consumedAtThr = budgetConsumedPct(w.thr, w.longReal);
-                const depleteAtThr = daysToDeplete(w.thr);
+                const consumedAtThr = budgetConsumedPct(w.thr, w.longReal, insp.progress.periodSec);
+                const depleteAtThr = daysToDeplete(w.thr, inspPeriodDays);
 
                 return (
                   <div key={k} className="p-3 rounded-xl border bg-white">
@@ -1331,21 +2067,21 @@ export default function OperationalExcellenceGame() {
                     <div className="text-xs text-slate-600 mt-1">
                       At threshold: <b>{consumedAtThr.toFixed(1)}% budget consumed in long window</b> • <b>depleted in {formatDays(depleteAtThr)}</b>
                     </div>
-                    <div className="mt-2 grid grid-cols-3 gap-2 text-sm">
-                      <Stat
-                        label={`Short (~${Math.round(w.short)}s) burn`}
-                        value={`${S.burn.toFixed(2)}x`}
-                        sub={`${S.total} evts • bad ${formatPct(S.badPct)}`}
-                      />
-                      <Stat
-                        label={`Long (~${Math.round(w.long)}s) burn`}
-                        value={`${L.burn.toFixed(2)}x`}
-                        sub={`${L.total} evts • bad ${formatPct(L.badPct)}`}
-                      />
+                    <div className="mt-2 grid grid-cols-2 md:grid-cols-4 gap-2 text-sm">
+                      {inspBR[k].windows.map((x, i, all) => (
+                        <Stat
+                          key={i}
+                          label={`${all.length === 1 ? "Window" : i === 0 ? "Long" : i === all.length - 1 ? "Short" : "Mid"} (~${Math.round(
+                            w.windows[i]
+                          )}s) burn`}
+                          value={`${x.burn.toFixed(2)}x`}
+                          sub={`${x.total} evts • bad ${formatPct(x.badPct)}`}
+                        />
+                      ))}
                       <Stat
                         label="Expected bad% (at thr)"
                         value={formatPct(thrBadPct)}
-                        sub={`thr=${w.thr}x • using SLO ${expectedSlo}%`}
+                        sub={`thr=${w.thr}x • using SLO ${inspExpectedSlo}%`}
                       />
                     </div>
                   </div>
@@ -1354,28 +2090,31 @@ export default function OperationalExcellenceGame() {
               <div className="text-xs text-slate-600 flex items-start gap-2">
                 <Info className="w-4 h-4 mt-0.5" />
                 <div>
-                  <b>Expected bad% (at thr)</b> = <code>EB% × burn</code>. The budget consumed in a long window is <code>burn × window / SLO_period</code>. With a 30‑day SLO period, 1h@14.4x consumes 2% and would fully deplete the budget in ~2.1 days if sustained.
+                  <b>Expected bad% (at thr)</b> = <code>EB% × burn</code>. The budget consumed in a long window is <code>burn × window / SLO_period</code>. Thresholds are scaled to the SLO's compliance period ({COMPLIANCE_PERIODS[insp.period].label}, {inspPeriodDays} d) so each rule spends the same share of budget as the policy intends on a 30‑day period. A rule fires only while every one of its windows burns at or above threshold with more than {alertPolicy.minEvents} events.
                 </div>
               </div>
             </div>
           </Card>
-
-          <Card title="Dev: Self-tests" icon={<Brain className="w-4 h-4" />}>
-            <div className="text-xs">
-              {devTests.map((t) => (
-                <div key={t.name} className={`flex items-center justify-between border-b py-1 ${t.pass ? "text-emerald-700" : "text-rose-700"}`}>
-                  <span>{t.name}</span>
-                  <span>{t.pass ? "PASS" : `FAIL (got ${t.got}, expected ${t.expected})`}</span>
-                </div>
-              ))}
-            </div>
-          </Card>
         </div>
       </main>
 
+      {tutorialDef && (
+        <TutorialGuide
+          script={tutorialDef}
+          step={tutorial.step}
+          answers={tutorial.answers}
+          vars={tutorialVars}
+          conditions={tutorialConditions}
+          onAnswer={(step, answer) => setTutorial((t) => ({ ...t, answers: { ...t.answers, [step]: answer } }))}
+          onBack={() => setTutorial((t) => ({ ...t, step: t.step - 1 }))}
+          onNext={nextTutorialStep}
+          onExit={() => setTutorial(null)}
+        />
+      )}
+
       <footer className="max-w-7xl mx-auto px-4 pb-8 text-[12px] text-slate-500">
         <div className="mt-4">
-          Built for the <b>Operational Excellence Handbook</b> — practice service tiering, SLOs/SLIs, logging, visualization & alerting. No data leaves your browser.
+          Built for the <b>Operational Excellence Handbook</b> — practice service tiering, SLOs/SLIs, logging, visualization & alerting. Data stays in your browser unless you configure a notification receiver, live-ingest relay or game-day server.
         </div>
       </footer>
     </div>
@@ -0,0 +1,3 @@
+export * from "./objectives.js";
+export * from "./levels.js";
+export * from "./progress.js";
@@ -0,0 +1,93 @@
+/**
+ * Campaign levels, played in order. Each presets a run and grades it:
+ *
+ *   {
+ *     id: "bad-deploy",
+ *     title: "Bad deploy",
+ *     briefing: "…",
+ *     setup: { tier: "Tier-1", scenario: "Calm", seed: "level-2" },
+ *     faults: [FAULT_PRESETS[0]],        // injected when the level starts (optional)
+ *     durationSec: 420,                  // sim seconds until the level is graded
+ *     objectives: [{ kind: "runAction", action: "rollback" }, …],  // see objectives.js
+ *   }
+ *
+ * The SLO is the tier's preset; everything else keeps the player's current
+ * setup. One star per objective met; a level unlocks once the one before it
+ * has earned CAMPAIGN_UNLOCK_STARS.
+ */
+
+import { FAULT_PRESETS, SCENARIOS, validateFault } from "../sim/index.js";
+import { TIER_PRESETS, TIERS } from "../slo/index.js";
+import { validateObjective } from "./objectives.js";
+
+export const CAMPAIGN_UNLOCK_STARS = 1;
+
+export const LEVELS = [
+  {
+    id: "first-shift",
+    title: "First shift",
+    briefing:
+      "A quiet Tier-2 service on a calm day. Get to know the dashboard: burn-rate alerts should stay silent, and the threshold alerts are there for comparison only – nobody gets paged for them.",
+    setup: { tier: "Tier-2", scenario: "Calm", seed: "level-1" },
+    durationSec: 180,
+    objectives: [{ kind: "quietPager" }, { kind: "noThresholdAcks" }, { kind: "budget", maxPct: 1 }],
+  },
+  {
+    id: "bad-deploy",
+    title: "Bad deploy",
+    briefing:
+      "A release just broke submit_payment for most customers. The page will come; acknowledge it and roll the deploy back before the budget bleeds – a rollback takes two minutes to land.",
+    setup: { tier: "Tier-1", scenario: "Calm", seed: "level-2" },
+    faults: [FAULT_PRESETS[0]],
+    durationSec: 420,
+    objectives: [{ kind: "ackPages" }, { kind: "runAction", action: "rollback" }, { kind: "budget", maxPct: 10 }],
+  },
+  {
+    id: "psp-brownout",
+    title: "PSP brownout",
+    briefing:
+      "The payment provider degrades after five calm minutes and only partly recovers. There is nothing to roll back. Page, ticket and threshold alerts will all fire: answer the page, leave the noise alone, and don't close it while it still burns.",
+    setup: { tier: "Tier-2", scenario: "PSP Brownout", seed: "level-3" },
+    durationSec: 1020,
+    objectives: [{ kind: "ackPages" }, { kind: "noThresholdAcks" }, { kind: "resolvePages" }],
+  },
+  {
+    id: "viral-discount",
+    title: "Viral discount code",
+    briefing:
+      "A 50%+ discount code leaked and traffic surges. The SLO holds, but the business doesn't: turn the promo off cheaply and keep the pager quiet.",
+    setup: { tier: "Tier-1", scenario: "Viral Discount Code", seed: "level-4" },
+    durationSec: 480,
+    objectives: [{ kind: "runAction", action: "disablePromo" }, { kind: "quietPager" }, { kind: "maxSpend", maxCost: 25 }],
+  },
+  {
+    id: "meltdown",
+    title: "Meltdown",
+    briefing:
+      "The cluster network is failing and won't heal by itself. Acknowledge fast, get the service healthy again with the runbook – and make it count, the budget for actions is tight.",
+    setup: { tier: "Tier-1", scenario: "K8s Network Meltdown", seed: "level-5" },
+    durationSec: 600,
+    objectives: [{ kind: "ackPages" }, { kind: "resolvePages" }, { kind: "maxSpend", maxCost: 90 }],
+  },
+];
+
+/**
+ * @returns {string[]} problems with a level (empty when valid)
+ */
+export function validateLevel(level) {
+  const errors = [];
+  if (typeof level?.id !== "string" || !level.id) errors.push("id is required");
+  if (!TIERS[level?.setup?.tier]) errors.push(`setup.tier must be one of ${Object.keys(TIERS).join(", ")}`);
+  if (!SCENARIOS[level?.setup?.scenario]) errors.push("setup.scenario must be a built-in scenario");
+  if (!(level?.durationSec > 0)) errors.push("durationSec must be > 0");
+  (level?.faults ?? []).forEach((f, i) => errors.push(...validateFault(f).map((e) => `faults[${i}]: ${e}`)));
+  if (!level?.objectives?.length) errors.push("objectives must be a non-empty list");
+  else level.objectives.forEach((o, i) => errors.push(...validateObjective(o, `objectives[${i}]`)));
+  return errors;
+}
+
+/** The player's setup (see src/session/setup.js) with a level's presets applied. */
+export function levelSetup(level, base) {
+  const { tier, scenario, seed } = level.setup;
+  return { ...base, tier, slo: { ...base.slo, ...TIER_PRESETS[tier] }, scenario, scenarioDefinition: undefined, seed };
+}
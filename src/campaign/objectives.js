@@ -0,0 +1,130 @@
+/**
+ * Level objectives, checked against the run since the level started:
+ *
+ *   { kind: "budget", maxPct }       budget consumed stays under maxPct% of the period's
+ *   { kind: "quietPager" }           no burn-rate page fires
+ *   { kind: "ackPages" }             every page acknowledged within the tier's MTTA
+ *   { kind: "resolvePages" }         every page resolved within MTTR, never by hand
+ *                                    before its SLIs recovered
+ *   { kind: "noThresholdAcks" }      no threshold (non-burn) alert acknowledged
+ *   { kind: "runAction", action }    the runbook action landed (a rollback must hit a fault)
+ *   { kind: "maxSpend", maxCost }    runbook actions cost at most maxCost points
+ *
+ * Each is "met", "failed" or "open" (can still go either way). When the
+ * level ends, open objectives settle: what was avoided is met, what was
+ * left undone is failed.
+ */
+
+import { RUNBOOK_ACTIONS } from "../sim/index.js";
+
+export const OBJECTIVE_KINDS = ["budget", "quietPager", "ackPages", "resolvePages", "noThresholdAcks", "runAction", "maxSpend"];
+
+const MIN_MS = 60 * 1000;
+
+/** Default wording for an objective without its own `label`. */
+export function describeObjective(o) {
+  switch (o.kind) {
+    case "budget":
+      return `Keep budget consumption under ${o.maxPct}%`;
+    case "quietPager":
+      return "Don't let a page fire";
+    case "ackPages":
+      return "Acknowledge every page within MTTA";
+    case "resolvePages":
+      return "Get every page resolved within MTTR, never before its SLIs recover";
+    case "noThresholdAcks":
+      return "Don't acknowledge a non-burn alert";
+    case "runAction":
+      return `${RUNBOOK_ACTIONS[o.action]?.label ?? o.action} in time to matter`;
+    case "maxSpend":
+      return `Spend at most ${o.maxCost} points on runbook actions`;
+    default:
+      return o.kind;
+  }
+}
+
+/**
+ * @returns {string[]} problems with an objective (empty when valid)
+ */
+export function validateObjective(o, at = "objective") {
+  if (!OBJECTIVE_KINDS.includes(o?.kind)) return [`${at}.kind must be one of ${OBJECTIVE_KINDS.join(", ")}`];
+  const errors = [];
+  if (o.kind === "budget" && !(o.maxPct > 0)) errors.push(`${at}.maxPct must be > 0`);
+  if (o.kind === "runAction" && !RUNBOOK_ACTIONS[o.action]) errors.push(`${at}.action must be one of ${Object.keys(RUNBOOK_ACTIONS).join(", ")}`);
+  if (o.kind === "maxSpend" && !(o.maxCost >= 0)) errors.push(`${at}.maxCost must be >= 0`);
+  return errors;
+}
+
+// Settle an objective that can only fail: open until the level ends.
+const unlessFailed = (failed, final, detail) => ({ state: failed ? "failed" : final ? "met" : "open", detail });
+
+/**
+ * @param {object} o objective
+ * @param {{ alerts: object[], actions: object[], now: number, startedAt: number,
+ *   targets: { MTTA_min: number, MTTR_min: number }, budgetPct: number }} ctx
+ * @param {{ final?: boolean }} [opts] – `final` once the level has ended
+ * @returns {{ state: "met"|"failed"|"open", detail: string }}
+ */
+export function evaluateObjective(o, ctx, { final = false } = {}) {
+  const { alerts, actions, now, startedAt, targets } = ctx;
+  const pages = alerts.filter((a) => a.route === "page" && a.firingAt != null && a.firingAt >= startedAt);
+  const mine = actions.filter((a) => a.startedAt >= startedAt);
+
+  switch (o.kind) {
+    case "budget":
+      return unlessFailed(ctx.budgetPct >= o.maxPct, final, `${ctx.budgetPct.toFixed(1)}% consumed`);
+
+    case "quietPager":
+      return unlessFailed(pages.length > 0, final, `${pages.length} page(s)`);
+
+    case "ackPages": {
+      const limit = targets.MTTA_min * MIN_MS;
+      const late = pages.filter((a) => (a.ackAt ?? now) - a.firingAt > limit);
+      const acked = pages.filter((a) => a.ackAt != null && a.ackAt - a.firingAt <= limit);
+      const detail = `${acked.length}/${pages.length} acknowledged in time`;
+      if (late.length) return { state: "failed", detail };
+      if (!final) return { state: "open", detail };
+      return pages.length && acked.length === pages.length ? { state: "met", detail } : { state: "failed", detail: pages.length ? detail : "no page fired" };
+    }
+
+    case "resolvePages": {
+      const limit = targets.MTTR_min * MIN_MS;
+      const early = pages.filter((a) => a.recovered === false);
+      const late = pages.filter((a) => (a.resolvedAt ?? now) - a.firingAt > limit);
+      const resolved = pages.filter((a) => a.resolvedAt != null && a.resolvedAt - a.firingAt <= limit);
+      const detail = early.length ? `${early.length} resolved while still burning` : `${resolved.length}/${pages.length} resolved in time`;
+      if (early.length || late.length) return { state: "failed", detail };
+      if (!final) return { state: "open", detail };
+      return pages.length && resolved.length === pages.length ? { state: "met", detail } : { state: "failed", detail: pages.length ? detail : "no page fired" };
+    }
+
+    case "noThresholdAcks": {
+      const acked = alerts.filter((a) => a.route == null && a.ackAt != null && a.ackAt >= startedAt);
+      return unlessFailed(acked.length > 0, final, acked.length ? `acknowledged ${acked[0].type}` : "none acknowledged");
+    }
+
+    case "runAction": {
+      const landed = mine.some((a) => a.action === o.action && now > a.effectiveAt && (a.action !== "rollback" || a.rolledBack));
+      if (landed) return { state: "met", detail: "landed" };
+      const started = mine.some((a) => a.action === o.action);
+      return { state: final ? "failed" : "open", detail: started ? "not landed yet" : "not run" };
+    }
+
+    case "maxSpend": {
+      const spent = mine.reduce((s, a) => s + a.cost, 0);
+      return unlessFailed(spent > o.maxCost, final, `${spent} spent`);
+    }
+
+    default:
+      return { state: "failed", detail: `unknown objective "${o.kind}"` };
+  }
+}
+
+/**
+ * Objectives with their state, and one star per objective met.
+ * @returns {{ results: { objective: object, label: string, state: string, detail: string }[], stars: number }}
+ */
+export function gradeLevel(level, ctx, opts) {
+  const results = level.objectives.map((o) => ({ objective: o, label: o.label ?? describeObjective(o), ...evaluateObjective(o, ctx, opts) }));
+  return { results, stars: results.filter((r) => r.state === "met").length };
+}
@@ -0,0 +1,61 @@
+import { describe, expect, it } from "vitest";
+import { TIERS } from "../slo/index.js";
+import { evaluateObjective, gradeLevel, validateObjective } from "./index.js";
+
+const MIN = 60 * 1000;
+const targets = TIERS["Tier-1"].targets; // MTTA 5 min, MTTR 60 min
+const page = (over) => ({ id: "p", type: "Page fast", route: "page", firingAt: MIN, ackAt: null, resolvedAt: null, ...over });
+const ctx = (over) => ({ alerts: [], actions: [], now: 10 * MIN, startedAt: 0, targets, budgetPct: 0, ...over });
+const state = (o, c, final = false) => evaluateObjective(o, ctx(c), { final }).state;
+
+describe("evaluateObjective", () => {
+  it("keeps prohibitions open until the level ends", () => {
+    expect(state({ kind: "budget", maxPct: 5 }, { budgetPct: 4.9 })).toBe("open");
+    expect(state({ kind: "budget", maxPct: 5 }, { budgetPct: 4.9 }, true)).toBe("met");
+    expect(state({ kind: "budget", maxPct: 5 }, { budgetPct: 5 })).toBe("failed");
+    expect(state({ kind: "quietPager" }, { alerts: [page()] })).toBe("failed");
+    // pages that fired before the level started don't count
+    expect(state({ kind: "quietPager" }, { alerts: [page()], startedAt: 2 * MIN }, true)).toBe("met");
+    const threshold = { type: "SLO Breach (demo)", route: undefined, firingAt: MIN, ackAt: 2 * MIN };
+    expect(state({ kind: "noThresholdAcks" }, { alerts: [threshold, page({ ackAt: 2 * MIN })] })).toBe("failed");
+    expect(state({ kind: "noThresholdAcks" }, { alerts: [page({ ackAt: 2 * MIN })] }, true)).toBe("met");
+  });
+
+  it("checks acks against MTTA and resolves against MTTR and recovery", () => {
+    const ack = { kind: "ackPages" };
+    expect(state(ack, { alerts: [page({ ackAt: 3 * MIN })] })).toBe("open");
+    expect(state(ack, { alerts: [page({ ackAt: 3 * MIN })] }, true)).toBe("met");
+    expect(state(ack, { alerts: [page()] })).toBe("failed"); // 9 min unacknowledged
+    expect(evaluateObjective(ack, ctx(), { final: true })).toEqual({ state: "failed", detail: "no page fired" });
+
+    const resolve = { kind: "resolvePages" };
+    expect(state(resolve, { alerts: [page({ resolvedAt: 30 * MIN, manual: true, recovered: true })] }, true)).toBe("met");
+    expect(evaluateObjective(resolve, ctx({ alerts: [page({ resolvedAt: 2 * MIN, manual: true, recovered: false })] }))).toEqual({
+      state: "failed",
+      detail: "1 resolved while still burning",
+    });
+    expect(state(resolve, { alerts: [page()], now: 62 * MIN })).toBe("failed");
+  });
+
+  it("grades runbook actions and spending", () => {
+    const rollback = { id: "r", action: "rollback", cost: 40, startedAt: MIN, effectiveAt: 3 * MIN, endsAt: 3 * MIN };
+    expect(state({ kind: "runAction", action: "rollback" }, { actions: [rollback], now: 2 * MIN })).toBe("open");
+    expect(state({ kind: "runAction", action: "rollback" }, { actions: [{ ...rollback, rolledBack: null }] }, true)).toBe("failed");
+    expect(state({ kind: "runAction", action: "rollback" }, { actions: [{ ...rollback, rolledBack: "f1" }] })).toBe("met");
+    expect(state({ kind: "maxSpend", maxCost: 30 }, { actions: [rollback] })).toBe("failed");
+  });
+});
+
+describe("gradeLevel", () => {
+  it("awards one star per objective met", () => {
+    const level = { objectives: [{ kind: "quietPager" }, { kind: "budget", maxPct: 1, label: "Stay frugal" }, { kind: "ackPages" }] };
+    const { results, stars } = gradeLevel(level, ctx({ budgetPct: 0.2 }), { final: true });
+    expect(results.map((r) => [r.label, r.state])).toEqual([
+      ["Don't let a page fire", "met"],
+      ["Stay frugal", "met"],
+      ["Acknowledge every page within MTTA", "failed"],
+    ]);
+    expect(stars).toBe(2);
+    expect(validateObjective({ kind: "runAction", action: "reboot" })).toHaveLength(1);
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Campaign progress kept in the browser: the best star count per level.
+ *
+ *   { version: 1, stars: { "first-shift": 3, "bad-deploy": 1 } }
+ */
+
+import { CAMPAIGN_UNLOCK_STARS, LEVELS } from "./levels.js";
+
+export const CAMPAIGN_STORAGE_KEY = "slo-burn-lab:campaign";
+export const CAMPAIGN_VERSION = 1;
+
+export const EMPTY_PROGRESS = { version: CAMPAIGN_VERSION, stars: {} };
+
+/** Keep the better of the stored and the new result. */
+export function recordLevelResult(progress, levelId, stars) {
+  const best = Math.max(progress.stars[levelId] ?? 0, stars);
+  return { ...progress, stars: { ...progress.stars, [levelId]: best } };
+}
+
+/** The first level is always open; each later one needs the one before it passed. */
+export function isLevelUnlocked(progress, levelId, levels = LEVELS) {
+  const i = levels.findIndex((l) => l.id === levelId);
+  if (i <= 0) return i === 0;
+  return (progress.stars[levels[i - 1].id] ?? 0) >= CAMPAIGN_UNLOCK_STARS;
+}
+
+/** Stars earned across the campaign and the most it can hold. */
+export function campaignStars(progress, levels = LEVELS) {
+  const earned = levels.reduce((s, l) => s + (progress.stars[l.id] ?? 0), 0);
+  return { earned, max: levels.reduce((s, l) => s + l.objectives.length, 0) };
+}
+
+export function loadCampaignProgress(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(CAMPAIGN_STORAGE_KEY);
+    const progress = raw ? JSON.parse(raw) : null;
+    if (progress?.version !== CAMPAIGN_VERSION || !progress.stars || typeof progress.stars !== "object") return EMPTY_PROGRESS;
+    const stars = Object.fromEntries(Object.entries(progress.stars).filter(([, n]) => Number.isInteger(n) && n >= 0));
+    return { version: CAMPAIGN_VERSION, stars };
+  } catch {
+    return EMPTY_PROGRESS;
+  }
+}
+
+export function saveCampaignProgress(progress, storage = globalThis.localStorage) {
+  storage?.setItem(CAMPAIGN_STORAGE_KEY, JSON.stringify(progress));
+}
@@ -0,0 +1,47 @@
+import { describe, expect, it } from "vitest";
+import {
+  campaignStars,
+  EMPTY_PROGRESS,
+  isLevelUnlocked,
+  levelSetup,
+  LEVELS,
+  loadCampaignProgress,
+  recordLevelResult,
+  validateLevel,
+} from "./index.js";
+
+describe("campaign levels", () => {
+  it("are valid and apply their presets on top of the player's setup", () => {
+    for (const level of LEVELS) expect(validateLevel(level)).toEqual([]);
+    expect(new Set(LEVELS.map((l) => l.id)).size).toBe(LEVELS.length);
+    const base = { tier: "Tier-0", slo: { availabilityTarget: 99.99, latencyP95Target: 300 }, scenario: "Mine", scenarioDefinition: {}, seed: "x", period: "28d" };
+    expect(levelSetup(LEVELS[1], base)).toEqual({
+      tier: "Tier-1",
+      slo: { availabilityTarget: 99.5, latencyP95Target: 800 },
+      scenario: "Calm",
+      scenarioDefinition: undefined,
+      seed: "level-2",
+      period: "28d",
+    });
+  });
+});
+
+describe("campaign progress", () => {
+  it("keeps the best result and unlocks levels in order", () => {
+    let p = EMPTY_PROGRESS;
+    const [first, second, third] = LEVELS.map((l) => l.id);
+    expect([first, second].map((id) => isLevelUnlocked(p, id))).toEqual([true, false]);
+    p = recordLevelResult(p, first, 2);
+    p = recordLevelResult(p, first, 0);
+    expect(p.stars[first]).toBe(2);
+    expect([second, third].map((id) => isLevelUnlocked(p, id))).toEqual([true, false]);
+    expect(campaignStars(p)).toEqual({ earned: 2, max: 3 * LEVELS.length });
+  });
+
+  it("loads stored progress and drops anything malformed", () => {
+    const storage = (raw) => ({ getItem: () => raw });
+    expect(loadCampaignProgress(storage('{"version":1,"stars":{"a":2,"b":-1,"c":"3"}}'))).toEqual({ version: 1, stars: { a: 2 } });
+    expect(loadCampaignProgress(storage("{oops"))).toBe(EMPTY_PROGRESS);
+    expect(loadCampaignProgress(storage('{"version":9,"stars":{}}'))).toBe(EMPTY_PROGRESS);
+  });
+});
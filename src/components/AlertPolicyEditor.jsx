@@ -0,0 +1,228 @@
+import { useState } from "react";
+import { Check, Plus, RotateCcw, Trash2 } from "lucide-react";
+import {
+  ALERT_POLICY_PRESETS,
+  DEFAULT_ALERT_LIFECYCLE,
+  ALERT_ROUTES,
+  ALERT_SEVERITIES,
+  budgetConsumedPct,
+  expectedBadPercent,
+  parseDuration,
+  periodThreshold,
+  SLO_PERIOD_SECONDS,
+  validateAlertPolicy,
+} from "../slo/index.js";
+import { formatPct } from "./format.js";
+import { Button } from "./primitives.jsx";
+
+const LIFECYCLE_FIELDS = [
+  ["for", "for"],
+  ["keepFiringFor", "keep firing"],
+  ["flapWindow", "flap window"],
+];
+
+const LIFECYCLE_HINTS = {
+  for: "How long a condition must hold before the alert fires (rules may override)",
+  keepFiringFor: "How long a condition must stay clear before the alert auto-resolves",
+  flapWindow: "Window in which resolves are counted for flap detection",
+  flapCount: "Resolves within the flap window that mark an alert as flapping; its notifications are suppressed",
+};
+
+/**
+ * MWMB alert-policy editor: rules with 1–3 windows, threshold, severity and
+ * page/ticket route, checked against the overall SLO's budget before apply.
+ * Preset thresholds are written for a 30-day period and rescaled to each
+ * SLO's own; a threshold typed here is used as written.
+ */
+export default function AlertPolicyEditor({ policy, sloTarget, periodSec = SLO_PERIOD_SECONDS, onApply }) {
+  const [draft, setDraft] = useState(() => structuredClone(policy));
+  const errors = validateAlertPolicy(draft, { sloTarget });
+  const dirty = JSON.stringify(draft) !== JSON.stringify(policy);
+
+  const lifecycle = { ...DEFAULT_ALERT_LIFECYCLE, ...draft.lifecycle };
+  const setLifecycle = (patch) => setDraft((d) => ({ ...d, lifecycle: { ...lifecycle, ...patch } }));
+  const setRule = (i, patch) =>
+    setDraft((d) => ({ ...d, rules: d.rules.map((r, j) => (j === i ? { ...r, ...patch } : r)) }));
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center gap-2 flex-wrap">
+        <span className="text-xs text-slate-500">Presets</span>
+        {Object.keys(ALERT_POLICY_PRESETS).map((name) => (
+          <button
+            key={name}
+            onClick={() => setDraft(structuredClone(ALERT_POLICY_PRESETS[name]))}
+            className={`px-2 py-1 rounded-lg border text-xs ${
+              draft.name === name ? "bg-slate-900 text-white border-slate-900" : "hover:bg-slate-50"
+            }`}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <input
+          value={draft.name}
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          className="flex-1 px-2 py-1 rounded-lg border text-xs"
+        />
+        <label className="text-[11px] text-slate-500 flex items-center gap-1">
+          min events / window &gt;
+          <input
+            type="number"
+            value={draft.minEvents}
+            onChange={(e) => setDraft({ ...draft, minEvents: Number(e.target.value) })}
+            className="w-16 px-1 py-0.5 rounded border text-xs text-slate-800"
+          />
+        </label>
+      </div>
+
+      <div className="flex items-center gap-3 flex-wrap text-[11px] text-slate-500">
+        {LIFECYCLE_FIELDS.map(([key, label]) => (
+          <label key={key} className="flex items-center gap-1" title={LIFECYCLE_HINTS[key]}>
+            {label}
+            <input
+              value={lifecycle[key]}
+              onChange={(e) => setLifecycle({ [key]: e.target.value.trim() })}
+              className="w-12 px-1 py-0.5 rounded border text-xs text-slate-800 font-mono"
+            />
+          </label>
+        ))}
+        <label className="flex items-center gap-1" title={LIFECYCLE_HINTS.flapCount}>
+          flap after
+          <input
+            type="number"
+            value={lifecycle.flapCount}
+            onChange={(e) => setLifecycle({ flapCount: Number(e.target.value) })}
+            className="w-12 px-1 py-0.5 rounded border text-xs text-slate-800"
+          />
+          resolves
+        </label>
+      </div>
+
+      <table className="w-full text-xs">
+        <thead>
+          <tr className="text-left text-slate-500">
+            <th className="pr-1">Id</th>
+            <th className="pr-1">Windows (long → short)</th>
+            <th className="pr-1">Burn ≥</th>
+            <th className="pr-1">For</th>
+            <th className="pr-1">Route</th>
+            <th className="pr-1">Severity</th>
+            <th className="pr-1">At thr</th>
+            <th />
+          </tr>
+        </thead>
+        <tbody>
+          {draft.rules.map((r, i) => {
+            const long = parseDuration(r.windows[0]);
+            return (
+              <tr key={i} className="border-t">
+                <td className="pr-1 py-1">
+                  <input value={r.id} onChange={(e) => setRule(i, { id: e.target.value })} className="w-16 px-1 py-0.5 rounded border" />
+                </td>
+                <td className="pr-1">
+                  <input
+                    value={r.windows.join(", ")}
+                    onChange={(e) => setRule(i, { windows: e.target.value.split(",").map((w) => w.trim()).filter(Boolean) })}
+                    className="w-28 px-1 py-0.5 rounded border font-mono"
+                  />
+                </td>
+                <td className="pr-1">
+                  <input
+                    type="number"
+                    step="any"
+                    value={r.thr}
+                    onChange={(e) => {
+                      const { scaleThr: _, ...rest } = r;
+                      setDraft((d) => ({ ...d, rules: d.rules.map((x, j) => (j === i ? { ...rest, thr: Number(e.target.value) } : x)) }));
+                    }}
+                    className="w-14 px-1 py-0.5 rounded border"
+                  />
+                  {r.scaleThr && periodSec !== SLO_PERIOD_SECONDS && r.thr > 0 && (
+                    <span className="ml-1 text-[11px] text-slate-500" title="Preset threshold rescaled to the overall SLO's period">
+                      → {periodThreshold(r.thr, periodSec)}
+                    </span>
+                  )}
+                </td>
+                <td className="pr-1">
+                  <input
+                    value={r.for ?? ""}
+                    placeholder={lifecycle.for}
+                    onChange={(e) => {
+                      const { for: _, ...rest } = r;
+                      const v = e.target.value.trim();
+                      setDraft((d) => ({ ...d, rules: d.rules.map((x, j) => (j === i ? (v ? { ...rest, for: v } : rest) : x)) }));
+                    }}
+                    className="w-10 px-1 py-0.5 rounded border font-mono"
+                  />
+                </td>
+                <td className="pr-1">
+                  <select value={r.route} onChange={(e) => setRule(i, { route: e.target.value })} className="px-1 py-0.5 rounded border">
+                    {Object.entries(ALERT_ROUTES).map(([k, v]) => (
+                      <option key={k} value={k}>{v}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="pr-1">
+                  <select value={r.severity} onChange={(e) => setRule(i, { severity: e.target.value })} className="px-1 py-0.5 rounded border">
+                    {ALERT_SEVERITIES.map((s) => (
+                      <option key={s}>{s}</option>
+                    ))}
+                  </select>
+                </td>
+                <td className="pr-1 text-[11px] text-slate-500">
+                  {long > 0 && r.thr > 0
+                    ? `${formatPct(budgetConsumedPct(r.thr, long), 1)} budget • ${formatPct(expectedBadPercent(sloTarget, r.thr))} bad`
+                    : "–"}
+                </td>
+                <td>
+                  <button
+                    onClick={() => setDraft((d) => ({ ...d, rules: d.rules.filter((_, j) => j !== i) }))}
+                    className="p-1 rounded hover:bg-rose-50 text-rose-600"
+                    title="Remove rule"
+                  >
+                    <Trash2 className="w-3 h-3" />
+                  </button>
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      <div className="flex items-center gap-2 flex-wrap">
+        <Button
+          variant="ghost"
+          onClick={() =>
+            setDraft((d) => ({
+              ...d,
+              rules: [...d.rules, { id: `rule${d.rules.length + 1}`, windows: ["1h", "5m"], thr: 14.4, severity: "auto", route: "page" }],
+            }))
+          }
+        >
+          <Plus className="w-4 h-4 mr-1" />Add rule
+        </Button>
+        <Button disabled={!dirty || errors.length > 0} onClick={() => onApply(draft)}>
+          <Check className="w-4 h-4 mr-1" />Apply
+        </Button>
+        <Button variant="ghost" disabled={!dirty} onClick={() => setDraft(structuredClone(policy))}>
+          <RotateCcw className="w-4 h-4 mr-1" />Revert
+        </Button>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-rose-700 list-disc pl-5">
+          {errors.map((e) => (
+            <li key={e}>{e}</li>
+          ))}
+        </ul>
+      )}
+      <div className="text-[11px] text-slate-500">
+        “At thr”: budget a rule has spent over its long window by the time it fires, and the bad-event rate it needs at
+        SLO {sloTarget}% (30-day period). “→” is a preset threshold rescaled to this SLO’s period; edit it to set your own.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+import { CircleHelp } from "lucide-react";
+import { groundTruth, scoreAlertMethods, scoreAlertRules } from "../incidents/index.js";
+import { formatPct, formatSimElapsed } from "./format.js";
+
+const ROUTE_LABELS = { page: "page", ticket: "ticket" };
+
+const ratio = (x) => (x == null ? "–" : formatPct(x * 100, 0));
+const elapsed = (ms) => (ms == null ? "–" : formatSimElapsed(ms));
+
+function Row({ name, route, s, strong }) {
+  return (
+    <tr className={`border-t ${strong ? "font-semibold" : ""}`}>
+      <td className="py-1 pr-2">{name}</td>
+      <td className="py-1 pr-2 text-slate-500">{route}</td>
+      <td className="py-1 pr-2 text-right">{ratio(s.precision)}</td>
+      <td className="py-1 pr-2 text-right">{ratio(s.recall)}</td>
+      <td className="py-1 pr-2 text-right">{elapsed(s.ttdMs)}</td>
+      <td className="py-1 pr-2 text-right">{elapsed(s.ttrMs)}</td>
+      <td className={`py-1 text-right ${s.falsePages ? "text-rose-700" : ""}`}>{s.falsePages}</td>
+    </tr>
+  );
+}
+
+/**
+ * Every alert rule of this run scored against the ground truth: scenario
+ * phases flagged as incidents and injected faults.
+ */
+export default function AlertQuality({ alerts, now, scenarioLog, scenarios, faults, rules }) {
+  const truth = groundTruth({ scenarioLog, scenarios, faults, now });
+  const rows = scoreAlertRules(alerts, truth, { now, rules });
+  const methods = scoreAlertMethods(alerts, truth, { now });
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="text-xs text-slate-500">
+        {truth.length
+          ? `Ground truth: ${truth.length} real incident(s) – ${[...new Set(truth.flatMap((t) => t.labels))].join(", ")}.`
+          : "No real incident yet: run a scenario with incident phases or inject a fault."}
+      </div>
+      {!alerts.length && !truth.length ? (
+        <div className="text-sm text-slate-500 flex items-center gap-2">
+          <CircleHelp className="w-4 h-4" />Scores appear once alerts fire or an incident starts.
+        </div>
+      ) : (
+        <div className="overflow-auto">
+          <table className="w-full text-xs">
+            <thead className="text-slate-500">
+              <tr>
+                <th className="text-left font-medium pr-2">Rule</th>
+                <th className="text-left font-medium pr-2">Route</th>
+                <th className="text-right font-medium pr-2">Precision</th>
+                <th className="text-right font-medium pr-2">Recall</th>
+                <th className="text-right font-medium pr-2">Detect</th>
+                <th className="text-right font-medium pr-2">Reset</th>
+                <th className="text-right font-medium">False pages</th>
+              </tr>
+            </thead>
+            <tbody>
+              {methods.map((m) => (
+                <Row key={m.key} name={m.label} route="page" s={m} strong />
+              ))}
+              {rows.map((r) => (
+                <Row key={r.type} name={r.type} route={ROUTE_LABELS[r.route] ?? "threshold"} s={r} />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+      <div className="text-[11px] text-slate-500">
+        Precision: firing episodes that overlap a real incident. Recall: real incidents the rule fired for. Detect/Reset: mean delay
+        from incident start to first firing and from incident end to resolve (demo time). Threshold alerts have no route, so each
+        of their false alarms is a false page.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,135 @@
+import { useState } from "react";
+import { Check, ClipboardCheck, Plus, RotateCcw, Rocket, Trash2 } from "lucide-react";
+import { BUDGET_POLICY_ACTIONS, validateBudgetPolicy } from "../slo/index.js";
+import { isFaultActive } from "../sim/index.js";
+import { formatPct } from "./format.js";
+import { Button } from "./primitives.jsx";
+
+const STATE_STYLES = {
+  ok: "bg-emerald-50 text-emerald-700 border-emerald-200",
+  reviewed: "bg-sky-50 text-sky-700 border-sky-200",
+  review: "bg-amber-50 text-amber-700 border-amber-200",
+  freeze: "bg-rose-50 text-rose-700 border-rose-200",
+};
+
+const STATE_LABELS = { ok: "Releasing", reviewed: "Reviewed", review: "Review required", freeze: "Frozen" };
+
+function describeDeploy(d, faults, now) {
+  if (!d.regression) return "clean";
+  const fault = faults.find((f) => f.id === d.regression);
+  if (!fault) return "regression";
+  return `${fault.name.replace(/^Regression: /, "regression: ")}${isFaultActive(fault, now + 1) ? " • live" : " • over"}`;
+}
+
+/**
+ * Error budget policy: the period's budget against the policy's thresholds,
+ * a release button gated by it, the deploy log and the rule editor.
+ * `status` is budgetPolicyState() for the overall SLO.
+ */
+export default function BudgetPolicyPanel({ policy, status, consumedPct, deploys, faults, now, releasePoints, onApply, onDeploy, onReview }) {
+  const [draft, setDraft] = useState(() => structuredClone(policy));
+  const errors = validateBudgetPolicy(draft);
+  const dirty = JSON.stringify(draft) !== JSON.stringify(policy);
+  const scale = Math.max(100, ...policy.rules.map((r) => r.atPct));
+  const setRule = (i, patch) => setDraft((d) => ({ ...d, rules: d.rules.map((r, j) => (j === i ? { ...r, ...patch } : r)) }));
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="space-y-1">
+        <div className="relative w-full h-3 rounded-full bg-slate-200 overflow-hidden">
+          <div
+            className={`h-full ${status.state === "freeze" ? "bg-rose-500" : status.rule ? "bg-amber-500" : "bg-emerald-500"}`}
+            style={{ width: `${Math.min(100, (consumedPct / scale) * 100)}%` }}
+          />
+          {policy.rules.map((r, i) => (
+            <div key={i} className="absolute top-0 h-full w-0.5 bg-slate-700" style={{ left: `${(r.atPct / scale) * 100}%` }} title={`${BUDGET_POLICY_ACTIONS[r.action]} at ${r.atPct}%`} />
+          ))}
+        </div>
+        <div className="flex items-center justify-between text-xs">
+          <span>Budget consumed {formatPct(consumedPct, 1)}</span>
+          <span className={`px-2 py-0.5 rounded-full border ${STATE_STYLES[status.state]}`}>{STATE_LABELS[status.state]}</span>
+        </div>
+        <div className="text-xs text-slate-600">{status.reason}</div>
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap">
+        <Button disabled={!status.canDeploy} onClick={onDeploy}>
+          <Rocket className="w-4 h-4 mr-1" />Deploy release
+        </Button>
+        {status.state === "review" && (
+          <Button variant="ghost" onClick={onReview}>
+            <ClipboardCheck className="w-4 h-4 mr-1" />Hold reliability review
+          </Button>
+        )}
+        <span className="text-xs text-slate-500">
+          +{releasePoints} pts • {Math.round(policy.deployRisk * 100)}% regression risk
+        </span>
+      </div>
+
+      {deploys.length > 0 && (
+        <ul className="space-y-1 max-h-32 overflow-auto">
+          {[...deploys].reverse().map((d, i) => (
+            <li key={d.id} className={`flex items-center justify-between p-1.5 rounded-lg border text-xs ${d.regression ? "border-rose-200" : ""}`}>
+              <span>Release #{deploys.length - i}</span>
+              <span className={d.regression ? "text-rose-700" : "text-slate-500"}>{describeDeploy(d, faults, now)}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="space-y-1">
+        <div className="text-xs font-semibold text-slate-600">Policy</div>
+        {draft.rules.map((r, i) => (
+          <div key={i} className="flex items-center gap-2 text-xs">
+            at ≥
+            <input type="number" step="any" value={r.atPct} onChange={(e) => setRule(i, { atPct: Number(e.target.value) })} className="w-16 px-1 py-0.5 rounded border" />
+            % consumed
+            <select value={r.action} onChange={(e) => setRule(i, { action: e.target.value })} className="px-1 py-0.5 rounded border">
+              {Object.entries(BUDGET_POLICY_ACTIONS).map(([k, v]) => (
+                <option key={k} value={k}>{v}</option>
+              ))}
+            </select>
+            <button onClick={() => setDraft((d) => ({ ...d, rules: d.rules.filter((_, j) => j !== i) }))} className="p-1 rounded hover:bg-rose-50 text-rose-600" title="Remove rule">
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+        <label className="flex items-center gap-2 text-xs">
+          Regression risk per deploy
+          <input
+            type="number"
+            min={0}
+            max={100}
+            value={Math.round(draft.deployRisk * 100)}
+            onChange={(e) => setDraft({ ...draft, deployRisk: Number(e.target.value) / 100 })}
+            className="w-16 px-1 py-0.5 rounded border"
+          />
+          %
+        </label>
+        <div className="flex items-center gap-2 flex-wrap">
+          <Button variant="ghost" onClick={() => setDraft((d) => ({ ...d, rules: [...d.rules, { atPct: 75, action: "review" }] }))}>
+            <Plus className="w-4 h-4 mr-1" />Add rule
+          </Button>
+          <Button disabled={!dirty || errors.length > 0} onClick={() => onApply(draft)}>
+            <Check className="w-4 h-4 mr-1" />Apply
+          </Button>
+          <Button variant="ghost" disabled={!dirty} onClick={() => setDraft(structuredClone(policy))}>
+            <RotateCcw className="w-4 h-4 mr-1" />Revert
+          </Button>
+        </div>
+        {errors.length > 0 && (
+          <ul className="text-xs text-rose-700 list-disc pl-5">
+            {errors.map((e) => (
+              <li key={e}>{e}</li>
+            ))}
+          </ul>
+        )}
+      </div>
+
+      <div className="text-[11px] text-slate-500">
+        Budget is the overall SLO's over its compliance period. A review counts for the rest of the period; a freeze lifts only as the budget
+        recovers. Rollbacks and other runbook actions are never blocked – a regression can always be rolled back.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import { useState } from "react";
+import { Check, Flag, Lock, Play, Square, X } from "lucide-react";
+import { campaignStars, describeObjective, isLevelUnlocked } from "../campaign/index.js";
+import { Button } from "./primitives.jsx";
+
+const RESULT_ICONS = {
+  met: <Check className="w-3 h-3 text-emerald-600" />,
+  failed: <X className="w-3 h-3 text-rose-600" />,
+  open: <span className="w-3 h-3 inline-block rounded-full border border-slate-400" />,
+};
+
+const Stars = ({ n, of }) => (
+  <span className="tracking-tight text-amber-500" aria-label={`${n} of ${of} stars`}>
+    {"★".repeat(n)}
+    <span className="text-slate-300">{"★".repeat(Math.max(0, of - n))}</span>
+  </span>
+);
+
+function Objectives({ results }) {
+  return (
+    <ul className="space-y-1">
+      {results.map((r, i) => (
+        <li key={i} className="flex items-center gap-2 text-xs">
+          {RESULT_ICONS[r.state]}
+          <span className="flex-1">{r.label}</span>
+          <span className="text-slate-500">{r.detail}</span>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+/**
+ * Campaign: levels played in order, each with a briefing, preset tier, SLO
+ * and scenario, objectives and a star grade. `grade` is the active level's
+ * live grade, `result` the last finished level's.
+ */
+export default function CampaignPanel({ levels, progress, active, grade, result, now, onStart, onAbandon }) {
+  const [selected, setSelected] = useState(levels[0].id);
+  const total = campaignStars(progress, levels);
+
+  if (active) {
+    const level = levels.find((l) => l.id === active.id);
+    const left = Math.max(0, Math.ceil((active.startedAt + level.durationSec * 1000 - now) / 1000));
+    return (
+      <div className="space-y-2 text-sm">
+        <div className="flex items-center justify-between">
+          <b>{level.title}</b>
+          <span className="text-xs text-slate-500">{left}s left</span>
+        </div>
+        <div className="text-xs text-slate-600">{level.briefing}</div>
+        <Objectives results={grade.results} />
+        <Button variant="ghost" onClick={onAbandon}>
+          <Square className="w-4 h-4 mr-1" />Abandon level
+        </Button>
+      </div>
+    );
+  }
+
+  const level = levels.find((l) => l.id === selected);
+  const unlocked = isLevelUnlocked(progress, selected, levels);
+  const next = result && levels[levels.findIndex((l) => l.id === result.id) + 1];
+
+  return (
+    <div className="space-y-3 text-sm">
+      {result && (
+        <div className="p-2 rounded-lg border bg-slate-50 space-y-1">
+          <div className="flex items-center justify-between">
+            <b>{levels.find((l) => l.id === result.id).title} complete</b>
+            <Stars n={result.stars} of={result.results.length} />
+          </div>
+          <Objectives results={result.results} />
+          {next && isLevelUnlocked(progress, next.id, levels) && (
+            <Button variant="ghost" onClick={() => setSelected(next.id)}>
+              <Flag className="w-4 h-4 mr-1" />Next: {next.title}
+            </Button>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-1">
+        {levels.map((l, i) => {
+          const open = isLevelUnlocked(progress, l.id, levels);
+          return (
+            <button
+              key={l.id}
+              disabled={!open}
+              onClick={() => setSelected(l.id)}
+              className={`w-full flex items-center justify-between p-2 rounded-lg border text-left text-xs transition ${
+                selected === l.id ? "border-slate-900" : "hover:bg-white"
+              } ${open ? "" : "opacity-50"}`}
+            >
+              <span>
+                {i + 1}. {l.title} <span className="text-slate-500">• {l.setup.tier} • {l.setup.scenario}</span>
+              </span>
+              {open ? <Stars n={progress.stars[l.id] ?? 0} of={l.objectives.length} /> : <Lock className="w-3 h-3" />}
+            </button>
+          );
+        })}
+      </div>
+
+      <div className="space-y-2">
+        <div className="text-xs text-slate-600">{level.briefing}</div>
+        <ul className="text-xs list-disc pl-4 text-slate-600">
+          {level.objectives.map((o, i) => (
+            <li key={i}>{o.label ?? describeObjective(o)}</li>
+          ))}
+        </ul>
+        <div className="flex items-center justify-between">
+          <Button disabled={!unlocked} onClick={() => onStart(level.id)}>
+            <Play className="w-4 h-4 mr-1" />
+            {progress.stars[level.id] != null ? "Replay level" : "Start level"}
+          </Button>
+          <span className="text-xs text-slate-500">
+            {total.earned}/{total.max} stars • {level.durationSec}s
+          </span>
+        </div>
+      </div>
+
+      <div className="text-[11px] text-slate-500">
+        Starting a level resets the run with the level's tier, SLO, scenario and seed. Earn at least one star to unlock the next level.
+      </div>
+    </div>
+  );
+}
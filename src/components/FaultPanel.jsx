@@ -0,0 +1,182 @@
+import { useState } from "react";
+import { Square, Zap } from "lucide-react";
+import {
+  ERROR_CODES,
+  FAULT_DIMENSIONS,
+  FAULT_PRESETS,
+  formatLatency,
+  trafficShare,
+  validateFault,
+} from "../sim/index.js";
+import { burnRate } from "../slo/math.js";
+import { formatPct } from "./format.js";
+import LatencyFields from "./LatencyFields.jsx";
+import { Button } from "./primitives.jsx";
+
+const EMPTY = {
+  name: "",
+  match: {},
+  errorRate: 0.5,
+  errorCodes: ["E5XX"],
+  statusCodes: [503],
+  latency: null,
+  durationSec: 300,
+};
+
+function describeMatch(match) {
+  const parts = Object.entries(match || {}).filter(([, v]) => v);
+  return parts.length ? parts.map(([k, v]) => `${FAULT_DIMENSIONS[k].label}=${v}`).join(", ") : "all traffic";
+}
+
+/**
+ * Fault injection: target one slice of traffic (event type, service,
+ * country, channel, currency) with its own error rate, codes and latency.
+ */
+export default function FaultPanel({ faults, now, sloTarget, onInject, onStop }) {
+  const [spec, setSpec] = useState(EMPTY);
+  const errors = validateFault(spec);
+
+  const share = trafficShare(spec.match);
+  const aggregateBad = share * spec.errorRate * 100;
+  const aggregateBurn = burnRate(aggregateBad, sloTarget);
+  const live = faults.filter((f) => f.endsAt > now);
+
+  const setMatch = (dim, v) => setSpec({ ...spec, match: { ...spec.match, [dim]: v || undefined } });
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center gap-2 flex-wrap">
+        <span className="text-xs text-slate-500">Presets</span>
+        {FAULT_PRESETS.map((p) => (
+          <button
+            key={p.name}
+            onClick={() => setSpec({ ...EMPTY, ...p })}
+            className="px-2 py-1 rounded-lg border text-xs hover:bg-slate-50"
+          >
+            {p.name}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        {Object.entries(FAULT_DIMENSIONS).map(([dim, d]) => (
+          <label key={dim} className="text-[11px] text-slate-500">
+            {d.label}
+            <select
+              value={spec.match[dim] || ""}
+              onChange={(e) => setMatch(dim, e.target.value)}
+              className="w-full px-1 py-0.5 rounded border text-xs text-slate-800"
+            >
+              <option value="">any</option>
+              {Object.keys(d.shares).map((v) => (
+                <option key={v}>{v}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        <label className="text-[11px] text-slate-500">
+          Error rate
+          <input
+            type="number"
+            step="0.05"
+            min={0}
+            max={1}
+            value={spec.errorRate}
+            onChange={(e) => setSpec({ ...spec, errorRate: Number(e.target.value) })}
+            className="w-full px-1 py-0.5 rounded border text-xs text-slate-800"
+          />
+        </label>
+        <label className="text-[11px] text-slate-500">
+          Status codes
+          <input
+            value={spec.statusCodes.join(",")}
+            onChange={(e) =>
+              setSpec({ ...spec, statusCodes: e.target.value.split(",").map((x) => Number(x.trim())).filter(Boolean) })
+            }
+            className="w-full px-1 py-0.5 rounded border text-xs text-slate-800"
+          />
+        </label>
+        <label className="text-[11px] text-slate-500">
+          Duration (s)
+          <input
+            type="number"
+            min={1}
+            value={spec.durationSec}
+            onChange={(e) => setSpec({ ...spec, durationSec: Number(e.target.value) })}
+            className="w-full px-1 py-0.5 rounded border text-xs text-slate-800"
+          />
+        </label>
+        <div className="col-span-3 flex items-center gap-2 flex-wrap text-[11px] text-slate-500">
+          Error codes
+          {ERROR_CODES.map((c) => (
+            <label key={c} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={spec.errorCodes.includes(c)}
+                onChange={(e) =>
+                  setSpec({
+                    ...spec,
+                    errorCodes: e.target.checked ? [...spec.errorCodes, c] : spec.errorCodes.filter((x) => x !== c),
+                  })
+                }
+              />
+              {c}
+            </label>
+          ))}
+        </div>
+        <div className="text-[11px] text-slate-500 col-span-3 space-y-1">
+          <div>Latency</div>
+          <LatencyFields
+            value={spec.latency}
+            onChange={(latency) => setSpec({ ...spec, latency })}
+            inheritLabel="scenario latency"
+          />
+        </div>
+      </div>
+
+      <div className="text-xs text-slate-600 p-2 rounded-lg bg-slate-50 border">
+        Targets <b>{describeMatch(spec.match)}</b> ≈ {formatPct(share * 100, 1)} of traffic. At {formatPct(spec.errorRate * 100, 0)} errors
+        that adds ≈ <b>{formatPct(aggregateBad)}</b> bad to the aggregate SLI — a burn of{" "}
+        <b>{Number.isFinite(aggregateBurn) ? aggregateBurn.toFixed(1) : "∞"}x</b> at SLO {sloTarget}%, even though the slice itself is{" "}
+        {formatPct(spec.errorRate * 100, 0)} broken.
+      </div>
+
+      <div className="flex items-center gap-2">
+        <Button
+          variant="danger"
+          disabled={errors.length > 0}
+          onClick={() => onInject({ ...spec, name: spec.name || describeMatch(spec.match) })}
+        >
+          <Zap className="w-4 h-4 mr-1" />Inject fault
+        </Button>
+        {errors.length > 0 && <span className="text-xs text-rose-700">{errors.join(" • ")}</span>}
+      </div>
+
+      {faults.length > 0 && (
+        <div className="space-y-1">
+          {[...faults].reverse().map((f) => {
+            const active = live.includes(f);
+            const left = Math.max(0, Math.ceil((f.endsAt - now) / 1000));
+            return (
+              <div key={f.id} className={`flex items-center justify-between gap-2 p-2 rounded-lg border text-xs ${active ? "" : "opacity-60"}`}>
+                <div>
+                  <b>{f.name}</b> • {formatPct(f.errorRate * 100, 0)} errors
+                  {f.latency && ` • ${formatLatency(f.latency)}`}
+                  <div className="text-slate-500">{active ? `${left}s left` : "ended"}</div>
+                </div>
+                {active && (
+                  <Button variant="ghost" onClick={() => onStop(f.id)}>
+                    <Square className="w-3 h-3 mr-1" />Stop
+                  </Button>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import { Clock4, Plug, RotateCcw, ShieldCheck, Unplug } from "lucide-react";
+import { GAMEDAY_ROLES, validateGameDayConfig } from "../gameday/index.js";
+import { formatSimElapsed } from "./format.js";
+import { Button } from "./primitives.jsx";
+
+const STATE_STYLES = {
+  connecting: "bg-amber-400",
+  reconnecting: "bg-amber-400 animate-pulse",
+  open: "bg-emerald-500",
+  closed: "bg-slate-400",
+};
+
+const elapsed = (ms) => (ms == null ? "–" : formatSimElapsed(ms));
+
+function Leaderboard({ board, team }) {
+  if (!board?.rows.length) return <div className="text-xs text-slate-500">No teams have joined yet.</div>;
+  return (
+    <table className="w-full text-xs">
+      <thead className="text-slate-500">
+        <tr>
+          <th className="text-left font-medium">#</th>
+          <th className="text-left font-medium">Team</th>
+          <th className="text-right font-medium">MTTA</th>
+          <th className="text-right font-medium">MTTR</th>
+          <th className="text-right font-medium">In target</th>
+          <th className="text-right font-medium">False acks</th>
+          <th className="text-right font-medium">Points</th>
+        </tr>
+      </thead>
+      <tbody>
+        {board.rows.map((r, i) => (
+          <tr key={r.team} className={`border-t ${r.team === team ? "font-semibold" : ""}`}>
+            <td className="py-1">{i + 1}</td>
+            <td className="py-1">{r.team}</td>
+            <td className="py-1 text-right">{elapsed(r.mttaMs)}</td>
+            <td className="py-1 text-right">{elapsed(r.mttrMs)}</td>
+            <td className="py-1 text-right">
+              {r.acksInTarget}/{r.acks} • {r.resolvesInTarget}/{r.resolves}
+            </td>
+            <td className={`py-1 text-right ${r.falseAcks ? "text-rose-700" : ""}`}>{r.falseAcks}</td>
+            <td className="py-1 text-right">{r.points}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * Facilitated game day on the bundled session server (`npm run gameday`).
+ * The facilitator plays as usual and publishes the run; player teams watch
+ * its traffic and race to acknowledge and resolve the shared alerts.
+ * `game` holds the latest server message of each type.
+ */
+export default function GameDayPanel({ config, onChange, status, game, onConnect, onDisconnect, onAck, onResolve, onNewRound }) {
+  const errors = validateGameDayConfig(config);
+  const attached = status && status.state !== "closed";
+  const player = config.role === "player";
+  const mine = game.team?.actions ?? [];
+  const done = (kind, id) => mine.some((a) => a.kind === kind && a.id === id);
+  const alerts = (game.state?.alerts ?? []).filter((a) => a.state !== "pending").slice(0, 20);
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center gap-3 flex-wrap text-xs">
+        {Object.entries(GAMEDAY_ROLES).map(([k, label]) => (
+          <label key={k} className="flex items-center gap-1">
+            <input type="radio" name="gameday-role" disabled={attached} checked={config.role === k} onChange={() => onChange({ ...config, role: k })} />
+            {label}
+          </label>
+        ))}
+      </div>
+      <div className="flex items-center gap-2">
+        <input
+          value={config.url}
+          disabled={attached}
+          onChange={(e) => onChange({ ...config, url: e.target.value.trim() })}
+          className="flex-1 px-2 py-1 rounded-lg border font-mono text-xs disabled:bg-slate-50"
+        />
+        <input
+          value={player ? config.team : config.key}
+          disabled={attached}
+          placeholder={player ? "team name" : "facilitator key"}
+          onChange={(e) => onChange({ ...config, [player ? "team" : "key"]: e.target.value })}
+          className="w-32 px-2 py-1 rounded-lg border text-xs disabled:bg-slate-50"
+        />
+      </div>
+      {errors.length > 0 && <div className="text-xs text-rose-700">{errors.join(" • ")}</div>}
+
+      <div className="flex items-center gap-3 flex-wrap">
+        {attached ? (
+          <Button variant="ghost" onClick={onDisconnect}>
+            <Unplug className="w-4 h-4 mr-1" />Leave
+          </Button>
+        ) : (
+          <Button disabled={errors.length > 0} onClick={onConnect}>
+            <Plug className="w-4 h-4 mr-1" />
+            {player ? "Join" : "Host"}
+          </Button>
+        )}
+        {!player && status?.state === "open" && (
+          <Button variant="ghost" onClick={onNewRound}>
+            <RotateCcw className="w-4 h-4 mr-1" />New round
+          </Button>
+        )}
+        {status && (
+          <span className="inline-flex items-center gap-1 text-xs text-slate-600">
+            <span className={`w-2 h-2 rounded-full ${STATE_STYLES[status.state]}`} />
+            {status.state}
+            {status.error && <span className="text-amber-700"> • {status.error}</span>}
+          </span>
+        )}
+      </div>
+
+      {attached && player && (
+        <div className="space-y-1">
+          <div className="text-xs text-slate-500">
+            {game.state?.scenario ? `${game.state.tier} • ${game.state.scenario}` : "Waiting for the facilitator…"}
+          </div>
+          {alerts.map((a) => (
+            <div key={a.id} className={`p-2 rounded-xl border flex items-center justify-between gap-2 ${a.state === "resolved" ? "opacity-60" : ""}`}>
+              <div className="text-xs">
+                <span className="font-semibold">{a.type}</span> <span className="px-1.5 rounded-full bg-slate-100 border">{a.severity}</span> {a.state}
+                {a.state !== "resolved" && a.firingAt != null && (a.clearSince != null ? " • SLIs recovered" : " • still burning")}
+              </div>
+              <div className="flex gap-1">
+                <Button variant="ghost" disabled={done("ack", a.id)} onClick={() => onAck(a.id)}>
+                  <Clock4 className="w-4 h-4 mr-1" />Ack
+                </Button>
+                <Button variant="ghost" disabled={done("resolve", a.id)} onClick={() => onResolve(a.id)}>
+                  <ShieldCheck className="w-4 h-4 mr-1" />Resolve
+                </Button>
+              </div>
+            </div>
+          ))}
+          {game.error && <div className="text-xs text-rose-700">{game.error.message}</div>}
+        </div>
+      )}
+
+      {attached && <Leaderboard board={game.leaderboard} team={game.welcome?.team} />}
+
+      <div className="text-[11px] text-slate-500">
+        {player
+          ? "Players watch the facilitator's traffic through Live Ingest. Acknowledge and resolve here: only these count for your team."
+          : "Run npm run gameday and host with the key it prints. Tier, scenarios and faults are yours to drive as usual; every tick is shared with the teams."}{" "}
+        Teams rank by points: MTTA and MTTR against the tier's targets, minus false acks (alerts that were not firing or not a real incident).
+      </div>
+    </div>
+  );
+}
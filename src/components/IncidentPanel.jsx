@@ -0,0 +1,160 @@
+import { useState } from "react";
+import { CircleHelp, ClipboardCopy, Download } from "lucide-react";
+import { analyzeIncident, formatDuration, groupIncidents, postmortemMarkdown } from "../incidents/index.js";
+import { TIERS } from "../slo/index.js";
+import { downloadText } from "./format.js";
+import { Button } from "./primitives.jsx";
+
+const ROUTE_STYLES = {
+  page: "bg-rose-400",
+  ticket: "bg-amber-400",
+  threshold: "bg-slate-400",
+};
+
+const MARKER_STYLES = {
+  scenario: "bg-sky-500",
+  fault: "bg-violet-500",
+  "fault-end": "bg-violet-300",
+};
+
+const clock = (ts) => new Date(ts).toISOString().slice(11, 19);
+
+/**
+ * Alerts grouped into incidents. The selected incident is drawn as lanes
+ * (changes, one bar per alert from firing to resolved, budget consumed) and
+ * written up as a postmortem draft.
+ */
+export default function IncidentPanel({ alerts, now, scenarioLog, faults, tier, sloTarget, periodSec, periodLabel, seriesBetween }) {
+  const [selectedId, setSelectedId] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  const incidents = groupIncidents(alerts);
+  if (!incidents.length) {
+    return (
+      <div className="text-sm text-slate-500 flex items-center gap-2">
+        <CircleHelp className="w-4 h-4" />No incidents yet: an incident starts when an alert fires.
+      </div>
+    );
+  }
+
+  const incident = incidents.find((i) => i.id === selectedId) || incidents[0];
+  const ctx = { scenarioLog, faults, now, targets: TIERS[tier].targets, sloTarget, periodSec };
+  const analysis = analyzeIncident(incident, { ...ctx, ...seriesBetween(incident.start, incident.end ?? now) });
+  const markdown = postmortemMarkdown(analysis, { tier, sloTarget, periodLabel });
+  const { timeline, response, budget } = analysis;
+
+  const from = timeline[0]?.at ?? incident.start;
+  const to = incident.end ?? now;
+  const x = (ts) => `${(100 * (ts - from)) / Math.max(1, to - from)}%`;
+  const maxPct = Math.max(...budget.points.map((p) => p.consumedPct), 1e-9);
+  const spark = budget.points
+    .map((p) => `${(100 * (p.ts - from)) / Math.max(1, to - from)},${30 - (28 * p.consumedPct) / maxPct}`)
+    .join(" ");
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(markdown);
+      setCopied(true);
+    } catch {
+      setCopied(false);
+    }
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center gap-2 flex-wrap text-xs">
+        <select
+          value={incident.id}
+          onChange={(e) => {
+            setSelectedId(e.target.value);
+            setCopied(false);
+          }}
+          className="px-2 py-1 rounded-lg border"
+        >
+          {incidents.map((i) => (
+            <option key={i.id} value={i.id}>
+              {i.severity} • {clock(i.start)} • {i.alerts.length} alert(s){i.open ? " • ongoing" : ""}
+            </option>
+          ))}
+        </select>
+        <span className="text-slate-500">
+          MTTA {formatDuration(response.mttaMs)} / {formatDuration(response.mttaTargetMs)} • MTTR {formatDuration(response.mttrMs)} /{" "}
+          {formatDuration(response.mttrTargetMs)} • budget {budget.consumedPct.toFixed(2)}%
+        </span>
+      </div>
+
+      <div className="space-y-1 text-[11px]">
+        <div className="flex items-center gap-2">
+          <span className="w-28 shrink-0 truncate text-slate-500">Changes</span>
+          <div className="relative flex-1 h-4 rounded bg-slate-50 border">
+            {timeline
+              .filter((e) => MARKER_STYLES[e.kind])
+              .map((e, i) => (
+                <div key={i} title={`${clock(e.at)} ${e.label}`} className={`absolute top-0 h-full w-1 ${MARKER_STYLES[e.kind]}`} style={{ left: x(e.at) }} />
+              ))}
+          </div>
+        </div>
+        {incident.alerts.map((a) => {
+          const start = a.firingAt ?? a.createdAt;
+          const end = a.state === "resolved" ? a.resolvedAt : now;
+          return (
+            <div key={a.id} className="flex items-center gap-2">
+              <span className="w-28 shrink-0 truncate" title={a.type}>
+                {a.type}
+              </span>
+              <div className="relative flex-1 h-4 rounded bg-slate-50 border">
+                <div
+                  title={`${a.type}: ${clock(start)} – ${a.state === "resolved" ? clock(end) : "ongoing"}`}
+                  className={`absolute top-0.5 h-2.5 rounded ${ROUTE_STYLES[a.route ?? "threshold"]}`}
+                  style={{ left: x(start), width: `max(2px, calc(${x(end)} - ${x(start)}))` }}
+                />
+                {a.ackAt != null && <div title={`acknowledged ${clock(a.ackAt)}`} className="absolute top-0 h-full w-0.5 bg-emerald-600" style={{ left: x(a.ackAt) }} />}
+              </div>
+            </div>
+          );
+        })}
+        <div className="flex items-center gap-2">
+          <span className="w-28 shrink-0 truncate text-slate-500">Budget consumed</span>
+          <svg viewBox="0 0 100 30" preserveAspectRatio="none" className="flex-1 h-8 rounded bg-slate-50 border">
+            <polyline points={spark} fill="none" stroke="#e11d48" strokeWidth="1.5" vectorEffect="non-scaling-stroke" />
+          </svg>
+        </div>
+        <div className="flex justify-between pl-[7.5rem] text-slate-500">
+          <span>{clock(from)}</span>
+          <span>
+            <span className="inline-block w-2 h-2 rounded-sm bg-rose-400" /> page <span className="inline-block w-2 h-2 rounded-sm bg-amber-400" /> ticket{" "}
+            <span className="inline-block w-2 h-2 rounded-sm bg-slate-400" /> threshold <span className="inline-block w-2 h-2 rounded-sm bg-sky-500" /> scenario{" "}
+            <span className="inline-block w-2 h-2 rounded-sm bg-violet-500" /> fault
+          </span>
+          <span>{incident.open ? "now" : clock(to)}</span>
+        </div>
+      </div>
+
+      <details>
+        <summary className="cursor-pointer text-xs text-slate-500">Timeline ({timeline.length})</summary>
+        <ol className="mt-1 space-y-0.5 text-[11px] max-h-40 overflow-auto">
+          {timeline.map((e, i) => (
+            <li key={i}>
+              <span className="font-mono">{clock(e.at)}</span> {e.label}
+            </li>
+          ))}
+        </ol>
+      </details>
+
+      <details>
+        <summary className="cursor-pointer text-xs text-slate-500">Postmortem draft</summary>
+        <pre className="mt-1 p-2 rounded-lg bg-slate-50 border text-[11px] whitespace-pre-wrap max-h-64 overflow-auto">{markdown}</pre>
+      </details>
+
+      <div className="flex items-center gap-2 flex-wrap">
+        <Button variant="ghost" onClick={() => downloadText(`postmortem-${incident.id}.md`, markdown, "text/markdown")}>
+          <Download className="w-4 h-4 mr-1" />Download postmortem.md
+        </Button>
+        <Button variant="ghost" onClick={copy}>
+          <ClipboardCopy className="w-4 h-4 mr-1" />
+          {copied ? "Copied" : "Copy Markdown"}
+        </Button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,52 @@
+import { useMemo } from "react";
+import { LATENCY_DISTRIBUTIONS, describeLatency, validateLatency } from "../sim/index.js";
+import { formatMs } from "./format.js";
+
+/**
+ * Distribution picker + parameters, with sampled mean/p50/p95/p99 so the
+ * tail is visible next to the mean. `value` null means "inherit".
+ */
+export default function LatencyFields({ value, onChange, inheritLabel = "inherit" }) {
+  const stats = useMemo(
+    () => (value && !validateLatency(value).length ? describeLatency(value, 5000) : null),
+    [value]
+  );
+  const spec = value ? LATENCY_DISTRIBUTIONS[value.type] : null;
+
+  return (
+    <div className="space-y-1">
+      <div className="flex items-center gap-1 flex-wrap">
+        <select
+          value={value?.type || ""}
+          onChange={(e) =>
+            onChange(e.target.value ? { type: e.target.value, ...LATENCY_DISTRIBUTIONS[e.target.value].defaults } : null)
+          }
+          className="px-1 py-0.5 rounded border text-xs"
+        >
+          <option value="">{inheritLabel}</option>
+          {Object.entries(LATENCY_DISTRIBUTIONS).map(([k, d]) => (
+            <option key={k} value={k}>{d.label}</option>
+          ))}
+        </select>
+        {spec &&
+          Object.keys(spec.params).map((k) => (
+            <label key={k} className="text-[11px] text-slate-500 flex items-center gap-1">
+              {k}
+              <input
+                type="number"
+                step="any"
+                value={value[k]}
+                onChange={(e) => onChange({ ...value, [k]: Number(e.target.value) })}
+                className="w-16 px-1 py-0.5 rounded border text-xs text-slate-800"
+              />
+            </label>
+          ))}
+      </div>
+      {stats && (
+        <div className="text-[11px] text-slate-500">
+          mean {formatMs(stats.mean)} • p50 {formatMs(stats.p50)} • <b>p95 {formatMs(stats.p95)}</b> • <b>p99 {formatMs(stats.p99)}</b>
+        </div>
+      )}
+    </div>
+  );
+}
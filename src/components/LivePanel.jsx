@@ -0,0 +1,79 @@
+import { Plug, Unplug } from "lucide-react";
+import { LIVE_MIX, liveTransport, validateLiveConfig } from "../ingest/index.js";
+import { Button } from "./primitives.jsx";
+
+const LIVE_STATE_STYLES = {
+  connecting: "bg-amber-400",
+  reconnecting: "bg-amber-400 animate-pulse",
+  open: "bg-emerald-500",
+  closed: "bg-slate-400",
+};
+
+/** Connection dot + state, also shown in the header while a stream is attached. */
+export function LiveBadge({ status }) {
+  return (
+    <span className="inline-flex items-center gap-1 text-xs text-slate-600" title={status.error || undefined}>
+      <span className={`w-2 h-2 rounded-full ${LIVE_STATE_STYLES[status.state]}`} />
+      Live {status.state}
+    </span>
+  );
+}
+
+/**
+ * Live ingest from a WebSocket or SSE stream (e.g. `npm run relay`): the URL,
+ * whether live events replace or join simulated traffic, and the connection.
+ */
+export default function LivePanel({ config, onChange, status, onConnect, onDisconnect }) {
+  const errors = validateLiveConfig(config);
+  const attached = status && status.state !== "closed";
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center gap-2">
+        <input
+          value={config.url}
+          disabled={attached}
+          onChange={(e) => onChange({ ...config, url: e.target.value.trim() })}
+          className="flex-1 px-2 py-1 rounded-lg border font-mono text-xs disabled:bg-slate-50"
+        />
+        <span className="text-[11px] text-slate-500 w-16">{{ websocket: "WebSocket", sse: "SSE" }[liveTransport(config.url)] ?? "–"}</span>
+      </div>
+      <div className="flex items-center gap-3 flex-wrap text-xs">
+        {Object.entries(LIVE_MIX).map(([k, label]) => (
+          <label key={k} className="flex items-center gap-1">
+            <input type="radio" name="live-mix" checked={config.mix === k} onChange={() => onChange({ ...config, mix: k })} />
+            {label}
+          </label>
+        ))}
+      </div>
+      {errors.length > 0 && <div className="text-xs text-rose-700">{errors.join(" • ")}</div>}
+
+      <div className="flex items-center gap-3 flex-wrap">
+        {attached ? (
+          <Button variant="ghost" onClick={onDisconnect}>
+            <Unplug className="w-4 h-4 mr-1" />Disconnect
+          </Button>
+        ) : (
+          <Button disabled={errors.length > 0} onClick={onConnect}>
+            <Plug className="w-4 h-4 mr-1" />Connect
+          </Button>
+        )}
+        {status && <LiveBadge status={status} />}
+      </div>
+      {status && (
+        <div className="text-[11px] text-slate-500">
+          {status.received} received • {status.rejected} rejected by schema • {status.dropped} dropped (buffer full)
+          {status.state === "reconnecting" && (
+            <span className="text-amber-700">
+              {" "}• {status.error}, retry #{status.attempt} in {Math.round(status.retryInMs / 1000)}s
+            </span>
+          )}
+        </div>
+      )}
+      <div className="text-[11px] text-slate-500">
+        Run <code>npm run relay</code> and POST NDJSON to <code>http://127.0.0.1:9098/events</code>, or add{" "}
+        <code>-- --tail &lt;file&gt;</code> to follow a log file. Live events are stamped with the sim time they arrive at.
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,133 @@
+import { useState } from "react";
+import { Download } from "lucide-react";
+import { filterLogs, LOG_EXPORT_FORMATS, LOG_STATUS_FILTERS, renderLogs } from "../export/index.js";
+import { parseDuration } from "../slo/index.js";
+import { downloadText } from "./format.js";
+import { Button } from "./primitives.jsx";
+
+// Ranges are sim time, like the event timestamps.
+const RANGES = {
+  all: "Whole run",
+  "5m": "Last 5m (sim time)",
+  "1h": "Last 1h (sim time)",
+  "6h": "Last 6h (sim time)",
+  "1d": "Last 1d (sim time)",
+  custom: "Custom (UTC, sim time)",
+};
+
+// `datetime-local` values are read and written as UTC so they match the log timestamps.
+const toInput = (ts) => new Date(ts).toISOString().slice(0, 16);
+const fromInput = (value) => (value ? Date.parse(`${value}Z`) : NaN);
+
+function timeRange(range, custom, logs) {
+  if (range === "custom") {
+    const from = fromInput(custom.from);
+    const to = fromInput(custom.to);
+    return { from: Number.isFinite(from) ? from : -Infinity, to: Number.isFinite(to) ? to + 59999 : Infinity };
+  }
+  if (range === "all" || !logs.length) return {};
+  const last = logs[logs.length - 1].ts;
+  return { from: last - parseDuration(range) * 1000, to: last };
+}
+
+/**
+ * Download the kept raw events as JSON, NDJSON, CSV or OTLP/JSON, filtered
+ * by sim-time range (relative to the newest event), event type and
+ * good/bad under the current goodness policy. Only the newest `cap` events
+ * are kept; a range reaching past the oldest of them is flagged as truncated.
+ */
+export default function LogExport({ logs, slo, cap }) {
+  const [format, setFormat] = useState("json");
+  const [range, setRange] = useState("all");
+  const [custom, setCustom] = useState({ from: "", to: "" });
+  const [eventTypes, setEventTypes] = useState([]);
+  const [status, setStatus] = useState("all");
+
+  const types = [...new Set(logs.map((ev) => ev.event_type))].sort();
+  const { from, to } = timeRange(range, custom, logs);
+  const selected = filterLogs(logs, { from, to, eventTypes, status, slo });
+  const truncated = logs.length >= cap && !(from >= logs[0].ts);
+  const filename = `simulated_logs.${LOG_EXPORT_FORMATS[format].suffix}`;
+  // No selection means every type; unchecking one from there selects the rest.
+  const toggleType = (t) => {
+    const cur = eventTypes.length ? eventTypes : types;
+    const next = cur.includes(t) ? cur.filter((x) => x !== t) : [...cur, t];
+    if (!next.length) return;
+    setEventTypes(next.length === types.length ? [] : next);
+  };
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center gap-2 flex-wrap">
+        {Object.entries(LOG_EXPORT_FORMATS).map(([k, v]) => (
+          <button
+            key={k}
+            onClick={() => setFormat(k)}
+            className={`px-2 py-1 rounded-lg border text-xs ${format === k ? "bg-slate-900 text-white border-slate-900" : "hover:bg-slate-50"}`}
+          >
+            {v.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap text-xs">
+        <select value={range} onChange={(e) => setRange(e.target.value)} className="px-2 py-1 rounded-lg border">
+          {Object.entries(RANGES).map(([k, label]) => (
+            <option key={k} value={k}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {range === "custom" && (
+          <>
+            <input
+              type="datetime-local"
+              value={custom.from || (logs.length ? toInput(logs[0].ts) : "")}
+              onChange={(e) => setCustom({ ...custom, from: e.target.value })}
+              className="px-1 py-0.5 rounded border"
+            />
+            →
+            <input
+              type="datetime-local"
+              value={custom.to || (logs.length ? toInput(logs[logs.length - 1].ts) : "")}
+              onChange={(e) => setCustom({ ...custom, to: e.target.value })}
+              className="px-1 py-0.5 rounded border"
+            />
+          </>
+        )}
+        {Object.entries(LOG_STATUS_FILTERS).map(([k, label]) => (
+          <label key={k} className="flex items-center gap-1">
+            <input type="radio" name="log-export-status" checked={status === k} onChange={() => setStatus(k)} />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      {types.length > 0 && (
+        <div className="flex items-center gap-3 flex-wrap text-xs">
+          {types.map((t) => (
+            <label key={t} className="flex items-center gap-1">
+              <input type="checkbox" checked={!eventTypes.length || eventTypes.includes(t)} onChange={() => toggleType(t)} />
+              <span className="font-mono">{t}</span>
+            </label>
+          ))}
+        </div>
+      )}
+
+      <div className="flex items-center gap-2 flex-wrap">
+        <Button disabled={!selected.length} onClick={() => downloadText(filename, renderLogs(format, selected), LOG_EXPORT_FORMATS[format].type)}>
+          <Download className="w-4 h-4 mr-1" />Download {filename}
+        </Button>
+        <span className="text-[11px] text-slate-500">
+          {selected.length} of {logs.length} kept events
+        </span>
+      </div>
+      {truncated && (
+        <div className="text-[11px] text-amber-700">
+          Only the newest {cap} events are kept: this range starts before the oldest, {toInput(logs[0].ts).replace("T", " ")} UTC, so
+          earlier events are missing from the export.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,116 @@
+import { useState } from "react";
+import { FileUp, Play, Square } from "lucide-react";
+import { parseLogFile, REPLAY_MODES } from "../ingest/index.js";
+import { Button } from "./primitives.jsx";
+
+const MAX_REJECTED_SHOWN = 20;
+
+const isoMinute = (ts) => new Date(ts).toISOString().slice(0, 16).replace("T", " ");
+
+/**
+ * Drop or pick a business_process_logger file (JSON array or NDJSON), check
+ * it against the event schema and replay the valid events into the run.
+ */
+export default function LogImport({ slo, replay, onReplay, onStop }) {
+  const [file, setFile] = useState(null); // { name, format, events, rejected }
+  const [mode, setMode] = useState("compressed");
+  const [dragging, setDragging] = useState(false);
+
+  async function load(f) {
+    if (!f) return;
+    setFile({ name: f.name, ...parseLogFile(await f.text(), slo) });
+  }
+
+  if (replay) {
+    return (
+      <div className="space-y-2 text-sm">
+        <div>
+          Replaying <b>{replay.name}</b> ({REPLAY_MODES[replay.mode].label.toLowerCase()}):{" "}
+          <b>{replay.fed}</b> / {replay.total} events
+        </div>
+        <div className="h-2 rounded bg-slate-100 overflow-hidden">
+          <div className="h-full bg-sky-500" style={{ width: `${replay.total ? (replay.fed / replay.total) * 100 : 100}%` }} />
+        </div>
+        <div className="text-xs text-slate-500">
+          {replay.fed < replay.total
+            ? "Simulated traffic is paused while the log plays; use the speed and jump controls to move through it."
+            : "Replay finished. Check the burn‑rate alerts: would MWMB have paged?"}
+        </div>
+        <Button variant="ghost" onClick={onStop}>
+          <Square className="w-4 h-4 mr-1" />End replay
+        </Button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      <label
+        onDragOver={(e) => {
+          e.preventDefault();
+          setDragging(true);
+        }}
+        onDragLeave={() => setDragging(false)}
+        onDrop={(e) => {
+          e.preventDefault();
+          setDragging(false);
+          load(e.dataTransfer.files[0]);
+        }}
+        className={`flex flex-col items-center gap-1 p-4 rounded-xl border-2 border-dashed cursor-pointer text-xs text-slate-500 ${
+          dragging ? "border-sky-400 bg-sky-50" : "hover:bg-slate-50"
+        }`}
+      >
+        <FileUp className="w-5 h-5" />
+        Drop a JSON array or NDJSON log file, or click to choose
+        <input
+          type="file"
+          accept=".json,.ndjson,.jsonl,.log,.txt,application/json"
+          className="hidden"
+          onChange={(e) => {
+            load(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+      </label>
+
+      {file && (
+        <>
+          <div className="text-xs">
+            <b>{file.name}</b> ({file.format === "json" ? "JSON" : "NDJSON"}):{" "}
+            <span className="text-emerald-700">{file.events.length} valid</span>
+            {file.migrated > 0 && <span className="text-slate-500"> ({file.migrated} migrated from older schema versions)</span>}
+            {file.rejected.length > 0 && <span className="text-rose-700">, {file.rejected.length} rejected</span>}
+            {file.events.length > 0 && (
+              <span className="text-slate-500">
+                {" "}• {isoMinute(file.events[0].ts)} → {isoMinute(file.events[file.events.length - 1].ts)} UTC
+              </span>
+            )}
+          </div>
+          {file.rejected.length > 0 && (
+            <ul className="max-h-32 overflow-auto text-[11px] text-rose-700 list-disc pl-5">
+              {file.rejected.slice(0, MAX_REJECTED_SHOWN).map((r) => (
+                <li key={r.line}>
+                  {r.line ? `line ${r.line}` : "file"}: {r.errors.join("; ")}
+                </li>
+              ))}
+              {file.rejected.length > MAX_REJECTED_SHOWN && <li>…and {file.rejected.length - MAX_REJECTED_SHOWN} more</li>}
+            </ul>
+          )}
+          <div className="space-y-1">
+            {Object.entries(REPLAY_MODES).map(([k, v]) => (
+              <label key={k} className="flex items-start gap-2 text-xs">
+                <input type="radio" name="replay-mode" checked={mode === k} onChange={() => setMode(k)} className="mt-0.5" />
+                <span>
+                  <b>{v.label}</b> <span className="text-slate-500">— {v.hint}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+          <Button disabled={!file.events.length} onClick={() => onReplay(file, mode)}>
+            <Play className="w-4 h-4 mr-1" />Replay {file.events.length} events
+          </Button>
+        </>
+      )}
+    </div>
+  );
+}
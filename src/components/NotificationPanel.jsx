@@ -0,0 +1,184 @@
+import { Plus, Send, Trash2 } from "lucide-react";
+import {
+  ALERT_LABELS,
+  NOTIFY_SEVERITIES,
+  RECEIVER_KINDS,
+  validateNotifyConfig,
+} from "../notify/index.js";
+import { formatSimElapsed } from "./format.js";
+import { Button } from "./primitives.jsx";
+
+const TIMINGS = [
+  ["groupWait", "wait"],
+  ["groupInterval", "interval"],
+  ["repeatInterval", "repeat"],
+];
+
+function toggle(list, value, on) {
+  return on ? [...list, value] : list.filter((v) => v !== value);
+}
+
+/**
+ * Notification receivers, severity routes and the delivery log. Edits apply
+ * live; an invalid config is shown but not used for routing.
+ */
+export default function NotificationPanel({ config, onChange, log, onTest, epoch }) {
+  const errors = validateNotifyConfig(config);
+
+  const setReceiver = (i, patch) =>
+    onChange({ ...config, receivers: config.receivers.map((r, j) => (j === i ? { ...r, ...patch } : r)) });
+  const setRoute = (i, patch) =>
+    onChange({ ...config, routes: config.routes.map((r, j) => (j === i ? { ...r, ...patch } : r)) });
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="space-y-1">
+        <div className="text-xs font-semibold text-slate-600">Receivers</div>
+        {config.receivers.map((r, i) => (
+          <div key={i} className="flex items-center gap-1 flex-wrap text-xs">
+            <input type="checkbox" checked={!!r.enabled} onChange={(e) => setReceiver(i, { enabled: e.target.checked })} title="Enabled" />
+            <input
+              value={r.name}
+              onChange={(e) => {
+                // Keep routes pointing at a renamed receiver
+                const name = e.target.value;
+                onChange({
+                  ...config,
+                  receivers: config.receivers.map((x, j) => (j === i ? { ...x, name } : x)),
+                  routes: config.routes.map((rt) => (rt.receiver === r.name ? { ...rt, receiver: name } : rt)),
+                });
+              }}
+              className="w-28 px-1 py-0.5 rounded border"
+            />
+            <select value={r.kind} onChange={(e) => setReceiver(i, { kind: e.target.value })} className="px-1 py-0.5 rounded border">
+              {Object.entries(RECEIVER_KINDS).map(([k, v]) => (
+                <option key={k} value={k}>{v.label}</option>
+              ))}
+            </select>
+            <input value={r.url} onChange={(e) => setReceiver(i, { url: e.target.value })} className="flex-1 min-w-[10rem] px-1 py-0.5 rounded border font-mono" />
+            {RECEIVER_KINDS[r.kind]?.routingKey && (
+              <input
+                value={r.routingKey || ""}
+                placeholder="routing key"
+                onChange={(e) => setReceiver(i, { routingKey: e.target.value })}
+                className="w-24 px-1 py-0.5 rounded border font-mono"
+              />
+            )}
+            <button onClick={() => onTest(r)} className="p-1 rounded hover:bg-slate-100" title="Send test notification">
+              <Send className="w-3 h-3" />
+            </button>
+            <button
+              onClick={() => onChange({ ...config, receivers: config.receivers.filter((_, j) => j !== i) })}
+              className="p-1 rounded hover:bg-rose-50 text-rose-600"
+              title="Remove receiver"
+            >
+              <Trash2 className="w-3 h-3" />
+            </button>
+          </div>
+        ))}
+        <Button
+          variant="ghost"
+          onClick={() =>
+            onChange({
+              ...config,
+              receivers: [...config.receivers, { name: `receiver-${config.receivers.length + 1}`, kind: "webhook", url: RECEIVER_KINDS.webhook.defaultUrl, enabled: false }],
+            })
+          }
+        >
+          <Plus className="w-4 h-4 mr-1" />Add receiver
+        </Button>
+      </div>
+
+      <div className="space-y-1">
+        <div className="text-xs font-semibold text-slate-600">Routes</div>
+        {config.routes.map((rt, i) => (
+          <div key={i} className="p-2 rounded-xl border text-[11px] text-slate-500 space-y-1">
+            <div className="flex items-center gap-2 flex-wrap">
+              <select value={rt.receiver} onChange={(e) => setRoute(i, { receiver: e.target.value })} className="px-1 py-0.5 rounded border text-xs text-slate-800">
+                {!config.receivers.some((r) => r.name === rt.receiver) && <option value={rt.receiver}>{rt.receiver || "–"}</option>}
+                {config.receivers.map((r) => (
+                  <option key={r.name} value={r.name}>{r.name}</option>
+                ))}
+              </select>
+              {NOTIFY_SEVERITIES.map((s) => (
+                <label key={s} className="flex items-center gap-1">
+                  <input type="checkbox" checked={rt.severities.includes(s)} onChange={(e) => setRoute(i, { severities: toggle(rt.severities, s, e.target.checked) })} />
+                  {s}
+                </label>
+              ))}
+              <button
+                onClick={() => onChange({ ...config, routes: config.routes.filter((_, j) => j !== i) })}
+                className="ml-auto p-1 rounded hover:bg-rose-50 text-rose-600"
+                title="Remove route"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+            <div className="flex items-center gap-2 flex-wrap">
+              group by
+              {ALERT_LABELS.map((f) => (
+                <label key={f} className="flex items-center gap-1">
+                  <input type="checkbox" checked={rt.groupBy.includes(f)} onChange={(e) => setRoute(i, { groupBy: toggle(rt.groupBy, f, e.target.checked) })} />
+                  {f}
+                </label>
+              ))}
+              {TIMINGS.map(([key, label]) => (
+                <label key={key} className="flex items-center gap-1">
+                  {label}
+                  <input value={rt[key]} onChange={(e) => setRoute(i, { [key]: e.target.value.trim() })} className="w-10 px-1 py-0.5 rounded border font-mono text-slate-800" />
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+        <Button
+          variant="ghost"
+          onClick={() =>
+            onChange({
+              ...config,
+              routes: [
+                ...config.routes,
+                { receiver: config.receivers[0]?.name ?? "", severities: ["P0", "P1"], groupBy: [], groupWait: "30s", groupInterval: "5m", repeatInterval: "4h" },
+              ],
+            })
+          }
+        >
+          <Plus className="w-4 h-4 mr-1" />Add route
+        </Button>
+      </div>
+
+      {errors.length > 0 && (
+        <ul className="text-xs text-rose-700 list-disc pl-5">
+          {errors.map((e) => (
+            <li key={e}>{e}</li>
+          ))}
+          <li>Routing is paused until the config is valid.</li>
+        </ul>
+      )}
+
+      <div>
+        <div className="text-xs font-semibold text-slate-600 mb-1">Delivery log</div>
+        {log.length === 0 ? (
+          <div className="text-xs text-slate-500">Nothing sent yet. Enable a receiver and let an alert fire, or send a test.</div>
+        ) : (
+          <div className="max-h-48 overflow-auto">
+            <table className="w-full text-[11px]">
+              <tbody>
+                {log.map((d, i) => (
+                  <tr key={i} className="border-t align-top">
+                    <td className="pr-2 font-mono text-slate-500">{formatSimElapsed(d.at - epoch)}</td>
+                    <td className="pr-2">{d.receiver}</td>
+                    <td className="pr-2">{d.status} ({d.alerts})</td>
+                    <td className={d.ok ? "text-emerald-700" : "text-rose-700"}>
+                      {d.results.map((r) => (r.ok ? `${r.status}` : r.error || `HTTP ${r.status}`)).join(", ")}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
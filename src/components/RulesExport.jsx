@@ -0,0 +1,80 @@
+import { useState } from "react";
+import { Copy, Download } from "lucide-react";
+import { DEFAULT_RULES_CONFIG, RULE_FORMATS, renderRules, validateRulesConfig } from "../rules/index.js";
+import { downloadText } from "./format.js";
+import { Button } from "./primitives.jsx";
+
+const FIELDS = [
+  ["service", "Service"],
+  ["serviceLabel", "Service label"],
+  ["requestsMetric", "Request counter"],
+  ["errorLabel", "Error label"],
+  ["errorRegex", "Error regex"],
+  ["latencyMetric", "Latency histogram"],
+  ["recordPrefix", "Record prefix"],
+  ["alertName", "Alert name"],
+];
+
+/**
+ * "Export rules": the overall SLO and active alert policy rendered as
+ * Prometheus rules, an OpenSLO spec or a Sloth spec, for the metric and label
+ * names configured here.
+ */
+export default function RulesExport({ spec, config, onConfigChange }) {
+  const [format, setFormat] = useState("prometheus");
+  const errors = validateRulesConfig(config);
+  const text = errors.length ? "" : renderRules(format, spec, config);
+  const filename = `${config.service}.${RULE_FORMATS[format].suffix}`;
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center gap-2 flex-wrap">
+        {Object.entries(RULE_FORMATS).map(([k, v]) => (
+          <button
+            key={k}
+            onClick={() => setFormat(k)}
+            className={`px-2 py-1 rounded-lg border text-xs ${format === k ? "bg-slate-900 text-white border-slate-900" : "hover:bg-slate-50"}`}
+          >
+            {v.label}
+          </button>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-x-2 gap-y-1 text-[11px] text-slate-500">
+        {FIELDS.map(([key, label]) => (
+          <label key={key} className="flex items-center gap-1">
+            <span className="w-24 shrink-0">{label}</span>
+            <input
+              value={config[key]}
+              placeholder={DEFAULT_RULES_CONFIG[key]}
+              onChange={(e) => onConfigChange({ ...config, [key]: e.target.value.trim() })}
+              className="w-full px-1 py-0.5 rounded border font-mono text-xs text-slate-800"
+            />
+          </label>
+        ))}
+      </div>
+      {spec.bakeSLI && (
+        <div className="text-[11px] text-slate-500">
+          SLI baked: good = non-error requests in the <code>le="{spec.latencyThresholdMs / 1000}"</code> bucket, so the
+          histogram needs a bucket at the latency target.
+        </div>
+      )}
+
+      {errors.length > 0 ? (
+        <div className="text-xs text-rose-700">{errors.join(" • ")}</div>
+      ) : (
+        <>
+          <pre className="max-h-64 overflow-auto p-2 rounded-xl bg-slate-900 text-slate-100 text-[11px] leading-snug">{text}</pre>
+          <div className="flex items-center gap-2">
+            <Button onClick={() => downloadText(filename, text, "application/yaml")}>
+              <Download className="w-4 h-4 mr-1" />Download {filename}
+            </Button>
+            <Button variant="ghost" onClick={() => navigator.clipboard.writeText(text)}>
+              <Copy className="w-4 h-4 mr-1" />Copy
+            </Button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
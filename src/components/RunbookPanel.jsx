@@ -0,0 +1,69 @@
+import { Play } from "lucide-react";
+import { actionState, canStartAction, RUNBOOK_ACTIONS } from "../sim/index.js";
+import { Button } from "./primitives.jsx";
+
+const STATE_STYLES = {
+  pending: "bg-amber-50 text-amber-700 border-amber-200",
+  effective: "bg-emerald-50 text-emerald-700 border-emerald-200",
+  done: "bg-slate-100 text-slate-500",
+};
+
+function describeOutcome(a, faults) {
+  if (a.action !== "rollback" || a.rolledBack === undefined) return null;
+  const fault = faults.find((f) => f.id === a.rolledBack);
+  return fault ? `rolled back “${fault.name}”` : "nothing to roll back";
+}
+
+/**
+ * Runbook palette: responses that change the simulated system. Each costs
+ * points and lands after a delay; the log shows what is pending, in effect
+ * and done.
+ */
+export default function RunbookPanel({ actions, faults, now, onRun }) {
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="grid grid-cols-2 gap-2">
+        {Object.entries(RUNBOOK_ACTIONS).map(([id, spec]) => (
+          <div key={id} className="p-2 rounded-lg border flex items-start justify-between gap-2">
+            <div className="text-xs">
+              <div className="font-semibold">{spec.label}</div>
+              <div className="text-slate-500">{spec.detail}</div>
+              <div className="text-slate-500">
+                −{spec.cost} pts • lands in {spec.delaySec}s{spec.durationSec && ` • lasts ${spec.durationSec}s`}
+              </div>
+            </div>
+            <Button variant="ghost" disabled={!canStartAction(actions, id, now)} onClick={() => onRun(id)}>
+              <Play className="w-3 h-3 mr-1" />Run
+            </Button>
+          </div>
+        ))}
+      </div>
+
+      {actions.length > 0 && (
+        <div className="space-y-1">
+          {[...actions].reverse().map((a) => {
+            const state = actionState(a, now);
+            const left = Math.max(0, Math.ceil(((state === "pending" ? a.effectiveAt : a.endsAt) - now) / 1000));
+            const outcome = describeOutcome(a, faults);
+            return (
+              <div key={a.id} className={`flex items-center justify-between gap-2 p-2 rounded-lg border text-xs ${state === "done" ? "opacity-60" : ""}`}>
+                <div>
+                  <b>{RUNBOOK_ACTIONS[a.action].label}</b> • −{a.cost} pts
+                  {outcome && ` • ${outcome}`}
+                </div>
+                <span className={`px-2 py-0.5 rounded-full border ${STATE_STYLES[state]}`}>
+                  {state === "done" ? "done" : `${state} • ${left}s`}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="text-[11px] text-slate-500">
+        Actions change the simulated traffic, not the alerts: a resolve only counts once the SLIs have recovered. Injected faults end only with a
+        rollback (or on their own).
+      </div>
+    </div>
+  );
+}
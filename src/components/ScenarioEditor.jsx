@@ -0,0 +1,280 @@
+import { useMemo, useRef, useState } from "react";
+import { CartesianGrid, Legend, Line, LineChart, ResponsiveContainer, Tooltip, XAxis, YAxis } from "recharts";
+import { ArrowDown, ArrowUp, Download, Plus, Save, Trash2, Upload } from "lucide-react";
+import {
+  SCENARIO_PARAMS,
+  SCENARIO_VERSION,
+  SCENARIOS,
+  describeLatency,
+  paramsAt,
+  parseScenarioJson,
+  toStored,
+  totalDurationSec,
+  validateScenario,
+} from "../sim/index.js";
+import { downloadJson } from "./format.js";
+import LatencyFields from "./LatencyFields.jsx";
+import { Button } from "./primitives.jsx";
+
+const NEW = "__new__";
+
+function blankScenario() {
+  return {
+    version: SCENARIO_VERSION,
+    name: "",
+    description: "",
+    phases: [
+      { name: "calm", durationSec: 300, params: {} },
+      { name: "incident", durationSec: 120, ramp: true, incident: true, params: { errorRate: 0.3 } },
+      { name: "recovery", ramp: true, params: { errorRate: 0.01 } },
+    ],
+  };
+}
+
+// Sample the timeline for the preview chart (open-ended tail shown for 2 min).
+// Latency percentiles come from a small fixed-seed sample per point.
+function previewSeries(def) {
+  const total = totalDurationSec(def);
+  const span = Number.isFinite(total) ? total + 60 : totalDurationSec({ phases: def.phases.slice(0, -1) }) + 120;
+  const step = Math.max(1, Math.ceil(span / 120));
+  const out = [];
+  for (let t = 0; t <= span; t += step) {
+    const { params, latency } = paramsAt(def, t);
+    const { p50, p95 } = describeLatency(latency, 400);
+    out.push({ t, errorPct: params.errorRate * 100, p50: Math.round(p50), p95: Math.round(p95) });
+  }
+  return out;
+}
+
+/**
+ * Scenario editor: phased timelines with ramps, persisted by the parent
+ * (localStorage) and importable/exportable as JSON.
+ */
+export default function ScenarioEditor({ custom, onSave, onDelete, onRun }) {
+  const [selected, setSelected] = useState(NEW);
+  const [draft, setDraft] = useState(blankScenario);
+  const [importErrors, setImportErrors] = useState([]);
+  const fileRef = useRef(null);
+
+  const errors = useMemo(() => {
+    const errs = validateScenario(draft);
+    if (SCENARIOS[draft.name]) errs.push(`"${draft.name}" clashes with a built-in scenario`);
+    return errs;
+  }, [draft]);
+  const preview = useMemo(() => (errors.length ? [] : previewSeries(draft)), [draft, errors]);
+
+  function load(name) {
+    setSelected(name);
+    setImportErrors([]);
+    if (name === NEW) setDraft(blankScenario());
+    else if (custom[name]) setDraft(structuredClone(custom[name]));
+    else setDraft({ ...toStored(structuredClone(SCENARIOS[name])), name: `${name} (copy)` });
+  }
+
+  const setPhase = (i, patch) =>
+    setDraft((d) => ({ ...d, phases: d.phases.map((p, j) => (j === i ? { ...p, ...patch } : p)) }));
+
+  function setParam(i, key, raw) {
+    const params = { ...draft.phases[i].params };
+    if (raw === "") delete params[key];
+    else params[key] = Number(raw);
+    setPhase(i, { params });
+  }
+
+  function move(i, dir) {
+    setDraft((d) => {
+      const phases = [...d.phases];
+      const j = i + dir;
+      if (j < 0 || j >= phases.length) return d;
+      [phases[i], phases[j]] = [phases[j], phases[i]];
+      return { ...d, phases };
+    });
+  }
+
+  async function importFile(file) {
+    const { scenarios, errors: errs } = parseScenarioJson(await file.text());
+    setImportErrors(errs);
+    scenarios.forEach(onSave);
+    if (scenarios.length) {
+      setSelected(scenarios[0].name);
+      setDraft(scenarios[0]);
+    }
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center gap-2 flex-wrap">
+        <select value={selected} onChange={(e) => load(e.target.value)} className="px-2 py-1 rounded-lg border text-sm">
+          <option value={NEW}>New scenario…</option>
+          <optgroup label="Custom">
+            {Object.keys(custom).map((n) => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </optgroup>
+          <optgroup label="Copy a built-in">
+            {Object.keys(SCENARIOS).map((n) => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </optgroup>
+        </select>
+        <Button variant="ghost" onClick={() => fileRef.current?.click()}>
+          <Upload className="w-4 h-4 mr-1" />Import
+        </Button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={(e) => {
+            if (e.target.files?.[0]) importFile(e.target.files[0]);
+            e.target.value = "";
+          }}
+        />
+        <Button variant="ghost" onClick={() => downloadJson("slo_burn_lab_scenarios.json", Object.values(custom))} disabled={!Object.keys(custom).length}>
+          <Download className="w-4 h-4 mr-1" />Export all
+        </Button>
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <input
+          value={draft.name}
+          placeholder="Scenario name"
+          onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+          className="px-2 py-1 rounded-lg border text-sm"
+        />
+        <input
+          value={draft.description || ""}
+          placeholder="Description"
+          onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+          className="px-2 py-1 rounded-lg border text-sm"
+        />
+      </div>
+
+      <div className="space-y-2 max-h-80 overflow-auto">
+        {draft.phases.map((ph, i) => (
+          <div key={i} className="p-2 rounded-xl border bg-white space-y-2">
+            <div className="flex items-center gap-2">
+              <span className="text-xs text-slate-500 w-5">{i + 1}.</span>
+              <input
+                value={ph.name || ""}
+                placeholder="phase name"
+                onChange={(e) => setPhase(i, { name: e.target.value })}
+                className="flex-1 px-2 py-1 rounded-lg border text-xs"
+              />
+              <input
+                type="number"
+                value={ph.durationSec ?? ""}
+                placeholder={i === draft.phases.length - 1 ? "hold" : "sec"}
+                onChange={(e) => setPhase(i, { durationSec: e.target.value === "" ? undefined : Number(e.target.value) })}
+                className="w-20 px-2 py-1 rounded-lg border text-xs"
+              />
+              <label className="flex items-center gap-1 text-xs text-slate-600">
+                <input type="checkbox" checked={!!ph.ramp} onChange={(e) => setPhase(i, { ramp: e.target.checked })} />
+                ramp
+              </label>
+              <label className="flex items-center gap-1 text-xs text-slate-600" title="Ground truth: alerts firing in this phase are true positives">
+                <input type="checkbox" checked={!!ph.incident} onChange={(e) => setPhase(i, { incident: e.target.checked })} />
+                incident
+              </label>
+              <button onClick={() => move(i, -1)} className="p-1 rounded hover:bg-slate-100" title="Move up">
+                <ArrowUp className="w-3 h-3" />
+              </button>
+              <button onClick={() => move(i, 1)} className="p-1 rounded hover:bg-slate-100" title="Move down">
+                <ArrowDown className="w-3 h-3" />
+              </button>
+              <button
+                onClick={() => setDraft((d) => ({ ...d, phases: d.phases.filter((_, j) => j !== i) }))}
+                className="p-1 rounded hover:bg-rose-50 text-rose-600"
+                title="Remove phase"
+              >
+                <Trash2 className="w-3 h-3" />
+              </button>
+            </div>
+            <div className="grid grid-cols-3 gap-1">
+              {Object.entries(SCENARIO_PARAMS).map(([k, spec]) => (
+                <label key={k} className="text-[11px] text-slate-500">
+                  {spec.label}
+                  <input
+                    type="number"
+                    step="any"
+                    value={ph.params?.[k] ?? ""}
+                    placeholder="inherit"
+                    onChange={(e) => setParam(i, k, e.target.value)}
+                    className="w-full px-1 py-0.5 rounded border text-xs text-slate-800"
+                  />
+                </label>
+              ))}
+            </div>
+            <div className="text-[11px] text-slate-500">
+              Latency distribution
+              <LatencyFields value={ph.latency || null} onChange={(latency) => setPhase(i, { latency: latency || undefined })} />
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap">
+        <Button
+          variant="ghost"
+          onClick={() => setDraft((d) => ({ ...d, phases: [...d.phases, { name: "", durationSec: 60, params: {} }] }))}
+        >
+          <Plus className="w-4 h-4 mr-1" />Add phase
+        </Button>
+        <Button
+          disabled={errors.length > 0}
+          onClick={() => {
+            const def = toStored(draft);
+            if (selected !== NEW && custom[selected] && selected !== def.name) onDelete(selected);
+            onSave(def);
+            setSelected(def.name);
+          }}
+        >
+          <Save className="w-4 h-4 mr-1" />Save
+        </Button>
+        <Button variant="ghost" disabled={errors.length > 0} onClick={() => onRun(toStored(draft))}>
+          Save & run
+        </Button>
+        <Button variant="ghost" disabled={errors.length > 0} onClick={() => downloadJson(`${draft.name || "scenario"}.json`, toStored(draft))}>
+          <Download className="w-4 h-4 mr-1" />Export
+        </Button>
+        {custom[selected] && (
+          <Button
+            variant="danger"
+            onClick={() => {
+              onDelete(selected);
+              load(NEW);
+            }}
+          >
+            <Trash2 className="w-4 h-4 mr-1" />Delete
+          </Button>
+        )}
+      </div>
+
+      {[...errors, ...importErrors].length > 0 && (
+        <ul className="text-xs text-rose-700 list-disc pl-5">
+          {[...errors, ...importErrors].map((e) => (
+            <li key={e}>{e}</li>
+          ))}
+        </ul>
+      )}
+
+      {preview.length > 0 && (
+        <div className="h-28">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={preview} margin={{ left: 10, right: 10, top: 10, bottom: 10 }}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="t" hide />
+              <YAxis yAxisId="err" hide />
+              <YAxis yAxisId="lat" hide orientation="right" />
+              <Tooltip />
+              <Line yAxisId="err" type="linear" dataKey="errorPct" stroke="#ef4444" name="Error rate (%)" dot={false} />
+              <Line yAxisId="lat" type="linear" dataKey="p50" stroke="#10b981" name="Latency p50 (ms)" dot={false} />
+              <Line yAxisId="lat" type="linear" dataKey="p95" stroke="#6366f1" name="Latency p95 (ms)" dot={false} />
+              <Legend />
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+import { useState } from "react";
+import { Download } from "lucide-react";
+import { checkEvent, EVENT_SCHEMA_VERSION, EVENT_SCHEMAS } from "../schema/index.js";
+import { downloadJson } from "./format.js";
+import { Button } from "./primitives.jsx";
+
+const SOURCES = {
+  simulator: "Simulator",
+  manual: "Manual pushes",
+  import: "File import",
+  live: "Live stream",
+};
+
+// One result per non-blank line, or one for a whole JSON object / array.
+function checkPasted(text, slo) {
+  const trimmed = text.trim();
+  if (!trimmed) return [];
+  let records;
+  try {
+    const parsed = JSON.parse(trimmed);
+    records = (Array.isArray(parsed) ? parsed : [parsed]).map((rec, i) => ({ line: i + 1, rec }));
+  } catch {
+    records = trimmed.split(/\r?\n/).flatMap((raw, i) => {
+      if (!raw.trim()) return [];
+      try {
+        return [{ line: i + 1, rec: JSON.parse(raw) }];
+      } catch (e) {
+        return [{ line: i + 1, error: `invalid JSON: ${e.message}` }];
+      }
+    });
+  }
+  return records.map(({ line, rec, error }) =>
+    error ? { line, version: null, errors: [error], migrated: false } : { line, ...checkEvent(rec, { slo }) }
+  );
+}
+
+/**
+ * The versioned event schema: validation counts and recent rejects per
+ * ingest point, the JSON Schemas for download, and a checker for pasted
+ * events so teams can test their own loggers.
+ */
+export default function SchemaPanel({ report, slo }) {
+  const [pasted, setPasted] = useState("");
+  const results = checkPasted(pasted, slo);
+  const recent = Object.entries(report)
+    .flatMap(([source, r]) => r.errors.map((e) => ({ source, ...e })))
+    .sort((a, b) => b.at - a.at)
+    .slice(0, 10);
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center gap-2 flex-wrap">
+        {Object.keys(EVENT_SCHEMAS).map((v) => (
+          <Button key={v} variant={Number(v) === EVENT_SCHEMA_VERSION ? "primary" : "ghost"} onClick={() => downloadJson(`business_process_logger.v${v}.schema.json`, EVENT_SCHEMAS[v])}>
+            <Download className="w-4 h-4 mr-1" />v{v}
+            {Number(v) === EVENT_SCHEMA_VERSION && " (current)"}
+          </Button>
+        ))}
+      </div>
+
+      <table className="w-full text-xs">
+        <thead className="text-slate-500">
+          <tr>
+            <th className="text-left font-normal">Ingest point</th>
+            <th className="text-right font-normal">Accepted</th>
+            <th className="text-right font-normal">Rejected</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(SOURCES).map(([k, label]) => (
+            <tr key={k} className="border-t">
+              <td className="py-1">{label}</td>
+              <td className="py-1 text-right">{report[k]?.accepted ?? 0}</td>
+              <td className={`py-1 text-right ${report[k]?.rejected ? "text-rose-700 font-semibold" : ""}`}>{report[k]?.rejected ?? 0}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <div className="text-[11px] text-slate-500">
+        <code>is_slo_compliant</code> is a snapshot that burn rates, budgets and the log export all read: simulated and manual events are judged
+        against the latency target when they are logged, imported ones keep the verdict their logger wrote (v1 files are judged on import). Editing the
+        target only changes how events that arrive afterwards are judged.
+      </div>
+      {recent.length > 0 && (
+        <ul className="max-h-32 overflow-auto text-[11px] text-rose-700 list-disc pl-5">
+          {recent.map((e, i) => (
+            <li key={i}>
+              {SOURCES[e.source] ?? e.source}
+              {e.line ? ` line ${e.line}` : ""}: {e.errors.join("; ")}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <div className="space-y-1">
+        <div className="text-xs font-semibold text-slate-600">Check your logger</div>
+        <textarea
+          value={pasted}
+          onChange={(e) => setPasted(e.target.value)}
+          placeholder="Paste an event, a JSON array or NDJSON lines"
+          rows={4}
+          className="w-full px-2 py-1 rounded-lg border font-mono text-[11px]"
+        />
+        {results.map((r) => (
+          <div key={r.line} className={`text-[11px] ${r.errors.length ? "text-rose-700" : "text-emerald-700"}`}>
+            {results.length > 1 && `#${r.line} `}
+            {r.errors.length
+              ? `${r.version != null ? `v${r.version}: ` : ""}${r.errors.join("; ")}`
+              : `valid v${r.version}${r.migrated ? `, migrates to v${EVENT_SCHEMA_VERSION}` : ""}`}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,77 @@
+import { useState } from "react";
+import { Download, FolderOpen, Link2 } from "lucide-react";
+import { parseSessionFile } from "../session/index.js";
+import { Button } from "./primitives.jsx";
+
+const SAVE_STATUS = {
+  saved: null,
+  trimmed: "Storage is nearly full: the saved session leaves out the raw events (charts and alerts are kept).",
+  failed: "This browser would not store the session; download it to keep it.",
+};
+
+/**
+ * The session is saved in this browser as the game runs. Here it can be
+ * downloaded or loaded as a file, and the setup shared as a link.
+ */
+export default function SessionPanel({ notice, saveStatus, onDownload, onImport, onShare }) {
+  const [errors, setErrors] = useState([]);
+  const [link, setLink] = useState(null);
+  const [copied, setCopied] = useState(false);
+
+  async function load(f) {
+    if (!f) return;
+    const { session, errors: problems } = parseSessionFile(await f.text());
+    setErrors(problems);
+    if (session) onImport(session, f.name);
+  }
+
+  async function share() {
+    const url = await onShare();
+    setLink(url);
+    setCopied(false);
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+    } catch {
+      // clipboard unavailable (e.g. not a secure context): the link is shown to copy by hand
+    }
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      <div className="flex items-center gap-2 flex-wrap">
+        <Button variant="ghost" onClick={onDownload}>
+          <Download className="w-4 h-4 mr-1" />Download
+        </Button>
+        <label className="inline-flex items-center px-3 py-2 rounded-xl text-sm hover:bg-slate-100 cursor-pointer">
+          <FolderOpen className="w-4 h-4 mr-1" />Load file
+          <input
+            type="file"
+            accept=".json,application/json"
+            className="hidden"
+            onChange={(e) => {
+              load(e.target.files[0]);
+              e.target.value = "";
+            }}
+          />
+        </label>
+        <Button variant="ghost" onClick={share}>
+          <Link2 className="w-4 h-4 mr-1" />Share setup
+        </Button>
+      </div>
+      {link && (
+        <div className="space-y-1">
+          <input readOnly value={link} onFocus={(e) => e.target.select()} className="w-full px-2 py-1 rounded-lg border font-mono text-[11px]" />
+          <div className="text-[11px] text-slate-500">
+            {copied ? "Copied. " : ""}Opening the link loads this tier, SLOs, toggles, scenario, alert policy and seed as a fresh run.
+          </div>
+        </div>
+      )}
+      {notice && <div className={`text-xs ${notice.error ? "text-rose-700" : "text-emerald-700"}`}>{notice.text}</div>}
+      {errors.length > 0 && <div className="text-xs text-rose-700">{errors.join(" • ")}</div>}
+      <div className={`text-[11px] ${SAVE_STATUS[saveStatus] ? "text-amber-700" : "text-slate-500"}`}>
+        {SAVE_STATUS[saveStatus] ?? "Saved in this browser as you play and restored on reload (paused). Notification receivers are not included."}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,217 @@
+import { useState } from "react";
+import { Pencil, Plus, Save, Search, Trash2 } from "lucide-react";
+import {
+  COMPLIANCE_PERIODS,
+  DEFAULT_PERIOD,
+  SLI_KINDS,
+  SLO_FILTER_FIELDS,
+  sloId,
+  validateSloDef,
+} from "../slo/index.js";
+import { CHANNELS, GOLDEN_EVENT_TYPES, ORIGIN_SERVICES } from "../sim/index.js";
+import { formatMs, formatPct } from "./format.js";
+import { Button } from "./primitives.jsx";
+
+// Values offered per filter field (what the simulator emits).
+const FILTER_OPTIONS = {
+  flow: ["order_to_cash"],
+  event_type: GOLDEN_EVENT_TYPES,
+  origin_service: Object.keys(ORIGIN_SERVICES),
+  channel: Object.keys(CHANNELS),
+};
+
+const BLANK = { id: "", name: "", filter: {}, sli: { kind: "availability" }, target: 99.9, period: DEFAULT_PERIOD };
+
+function describeSloFilter(filter) {
+  const parts = Object.entries(filter || {}).filter(([, v]) => v?.length);
+  return parts.length
+    ? parts.map(([k, v]) => `${SLO_FILTER_FIELDS[k].label}: ${v.join(", ")}`).join(" • ")
+    : "all events";
+}
+
+function describeSli(sli) {
+  const kind = SLI_KINDS[sli.kind];
+  return kind.thresholdMs ? `${kind.label} ≤ ${formatMs(sli.thresholdMs)}` : kind.label;
+}
+
+/**
+ * Named SLOs with per-journey filters. Each row shows its own SLI, burn and
+ * budget; "Inspect" points the burn-rate views at it.
+ */
+export default function SloCatalog({ slos, stats, inspected, onInspect, onSave, onDelete }) {
+  const [editing, setEditing] = useState(null); // id being edited, "" for new
+  const [draft, setDraft] = useState(BLANK);
+
+  const taken = slos.map((d) => d.id).filter((id) => id !== editing);
+  const candidate = { ...draft, id: editing || sloId(draft.name, taken) };
+  const errors = validateSloDef(candidate);
+  if (slos.some((d) => d.id !== editing && d.name === draft.name)) errors.push(`"${draft.name}" already exists`);
+
+  function toggleValue(field, value, on) {
+    const cur = draft.filter[field] || [];
+    const next = on ? [...cur, value] : cur.filter((v) => v !== value);
+    const filter = { ...draft.filter, [field]: next };
+    if (!next.length) delete filter[field];
+    setDraft({ ...draft, filter });
+  }
+
+  return (
+    <div className="space-y-2 text-sm">
+      {slos.map((d) => {
+        const st = stats[d.id];
+        return (
+          <div key={d.id} className={`p-2 rounded-xl border ${inspected === d.id ? "border-slate-900" : ""}`}>
+            <div className="flex items-center justify-between gap-2">
+              <div>
+                <b>{d.name}</b>{" "}
+                <span className="text-xs text-slate-500">
+                  ≥ {d.target}% • {COMPLIANCE_PERIODS[d.period || DEFAULT_PERIOD].label}
+                </span>
+                <div className="text-[11px] text-slate-500">
+                  {describeSli(d.sli)} • {describeSloFilter(d.filter)}
+                </div>
+              </div>
+              <div className="flex items-center">
+                <button onClick={() => onInspect(d.id)} className="p-1 rounded hover:bg-slate-100" title="Inspect burn">
+                  <Search className="w-3 h-3" />
+                </button>
+                <button
+                  onClick={() => {
+                    setEditing(d.id);
+                    setDraft(structuredClone(d));
+                  }}
+                  className="p-1 rounded hover:bg-slate-100"
+                  title="Edit"
+                >
+                  <Pencil className="w-3 h-3" />
+                </button>
+                <button onClick={() => onDelete(d.id)} className="p-1 rounded hover:bg-rose-50 text-rose-600" title="Delete">
+                  <Trash2 className="w-3 h-3" />
+                </button>
+              </div>
+            </div>
+            {st && (
+              <div className="mt-1 grid grid-cols-4 gap-1 text-[11px] text-slate-600">
+                <span>SLI {st.total ? formatPct(st.goodPct) : "–"}</span>
+                <span>budget {formatPct(100 - d.target)}</span>
+                <span>burn {Number.isFinite(st.burn) ? st.burn.toFixed(1) : "∞"}x</span>
+                <span>left {formatPct(st.remainingPct, 1)}</span>
+              </div>
+            )}
+            {st?.firing.length > 0 && (
+              <div className="mt-1 text-[11px] text-rose-700">Firing: {st.firing.join(" • ")}</div>
+            )}
+          </div>
+        );
+      })}
+
+      {editing == null ? (
+        <Button
+          variant="ghost"
+          onClick={() => {
+            setEditing("");
+            setDraft(BLANK);
+          }}
+        >
+          <Plus className="w-4 h-4 mr-1" />Add SLO
+        </Button>
+      ) : (
+        <div className="p-2 rounded-xl border bg-slate-50 space-y-2">
+          <div className="grid grid-cols-3 gap-2">
+            <input
+              value={draft.name}
+              placeholder="SLO name"
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              className="col-span-2 px-2 py-1 rounded-lg border text-xs"
+            />
+            <label className="text-[11px] text-slate-500 flex items-center gap-1">
+              target
+              <input
+                type="number"
+                step="any"
+                value={draft.target}
+                onChange={(e) => setDraft({ ...draft, target: Number(e.target.value) })}
+                className="w-full px-1 py-0.5 rounded border text-xs text-slate-800"
+              />
+              %
+            </label>
+          </div>
+          <div className="flex items-center gap-2">
+            <select
+              value={draft.sli.kind}
+              onChange={(e) =>
+                setDraft({
+                  ...draft,
+                  sli: SLI_KINDS[e.target.value].thresholdMs
+                    ? { kind: e.target.value, thresholdMs: draft.sli.thresholdMs || 300 }
+                    : { kind: e.target.value },
+                })
+              }
+              className="px-1 py-0.5 rounded border text-xs"
+            >
+              {Object.entries(SLI_KINDS).map(([k, v]) => (
+                <option key={k} value={k}>{v.label}</option>
+              ))}
+            </select>
+            {SLI_KINDS[draft.sli.kind].thresholdMs && (
+              <label className="text-[11px] text-slate-500 flex items-center gap-1">
+                ≤
+                <input
+                  type="number"
+                  value={draft.sli.thresholdMs}
+                  onChange={(e) => setDraft({ ...draft, sli: { ...draft.sli, thresholdMs: Number(e.target.value) } })}
+                  className="w-20 px-1 py-0.5 rounded border text-xs text-slate-800"
+                />
+                ms
+              </label>
+            )}
+            <span className="text-[11px] text-slate-500">good = {SLI_KINDS[draft.sli.kind].good}</span>
+          </div>
+          <label className="text-[11px] text-slate-500 flex items-center gap-1">
+            Compliance period
+            <select
+              value={draft.period || DEFAULT_PERIOD}
+              onChange={(e) => setDraft({ ...draft, period: e.target.value })}
+              className="px-1 py-0.5 rounded border text-xs text-slate-800"
+            >
+              {Object.entries(COMPLIANCE_PERIODS).map(([k, v]) => (
+                <option key={k} value={k}>{v.label}</option>
+              ))}
+            </select>
+          </label>
+          {Object.entries(FILTER_OPTIONS).map(([field, values]) => (
+            <div key={field} className="flex flex-wrap gap-x-2 text-[11px] text-slate-500">
+              <span className="w-20">{SLO_FILTER_FIELDS[field].label}</span>
+              {values.map((v) => (
+                <label key={v} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={!!draft.filter[field]?.includes(v)}
+                    onChange={(e) => toggleValue(field, v, e.target.checked)}
+                  />
+                  {v}
+                </label>
+              ))}
+            </div>
+          ))}
+          <div className="text-[11px] text-slate-500">Unchecked fields match any value. New SLOs start counting from now.</div>
+          <div className="flex items-center gap-2">
+            <Button
+              disabled={errors.length > 0}
+              onClick={() => {
+                onSave(candidate, editing || null);
+                setEditing(null);
+              }}
+            >
+              <Save className="w-4 h-4 mr-1" />Save
+            </Button>
+            <Button variant="ghost" onClick={() => setEditing(null)}>
+              Cancel
+            </Button>
+            {errors.length > 0 && <span className="text-xs text-rose-700">{errors.join(" • ")}</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { Check, ChevronLeft, ChevronRight, Clock, GraduationCap, X } from "lucide-react";
+import { checkAnswer, computeAnswer, fillTemplate, TUTORIAL_CONDITIONS } from "../tutorial/index.js";
+import { Button } from "./primitives.jsx";
+
+function Question({ question, vars, answer, onAnswer }) {
+  const [draft, setDraft] = useState("");
+  const fill = (t) => fillTemplate(t, vars);
+
+  return (
+    <div className="space-y-2 p-2 rounded-lg border bg-slate-50">
+      <div className="font-medium">{fill(question.prompt)}</div>
+      {question.choices ? (
+        <div className="space-y-1">
+          {question.choices.map((c, i) => (
+            <label key={i} className="flex items-center gap-2 text-xs">
+              <input type="radio" checked={answer?.given === i} disabled={!!answer} onChange={() => onAnswer(i)} />
+              {fill(c)}
+            </label>
+          ))}
+        </div>
+      ) : (
+        <form
+          className="flex items-center gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            if (draft.trim()) onAnswer(draft);
+          }}
+        >
+          <input
+            value={answer ? answer.given : draft}
+            disabled={!!answer}
+            onChange={(e) => setDraft(e.target.value)}
+            inputMode="decimal"
+            className="w-28 px-2 py-1 rounded-lg border text-sm"
+          />
+          {question.unit && <span className="text-xs text-slate-500">{question.unit}</span>}
+          {!answer && <Button disabled={!draft.trim()}>Check</Button>}
+        </form>
+      )}
+      {answer && (
+        <div className={`text-xs ${answer.correct ? "text-emerald-700" : "text-rose-700"}`}>
+          {answer.correct ? "Correct. " : `Not quite – the answer is ${fill(`{answer}`)}${question.unit && !question.choices ? ` ${question.unit}` : ""}. `}
+          {question.explain && fill(question.explain)}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * The active tutorial step, pinned to the corner of the screen while the
+ * card it points at is highlighted. `vars` are the live setup values the
+ * text and answers are computed from; `conditions` says which `waitFor`
+ * conditions currently hold.
+ */
+export default function TutorialGuide({ script, step, answers, vars, conditions, onAnswer, onBack, onNext, onExit }) {
+  const def = script.steps[step];
+  const answer = answers[step];
+  const question = def.question;
+  const expected = question && (question.choices ? question.choices[question.correct] : computeAnswer(question.answer, vars));
+  const stepVars = { ...vars, answer: expected };
+  const waiting = def.waitFor && !conditions[def.waitFor];
+  const blocked = waiting || (question && !answer);
+  const last = step === script.steps.length - 1;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-50 w-96 max-w-[calc(100vw-2rem)] rounded-2xl border bg-white shadow-xl p-4 space-y-2 text-sm">
+      <div className="flex items-center justify-between">
+        <div className="flex items-center gap-2 text-xs text-slate-500">
+          <GraduationCap className="w-4 h-4" />
+          {script.title} • {step + 1}/{script.steps.length}
+        </div>
+        <button onClick={onExit} className="p-1 rounded hover:bg-slate-100" aria-label="Exit tutorial">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      {def.title && <b>{fillTemplate(def.title, stepVars)}</b>}
+      <div className="text-slate-700">{fillTemplate(def.text, stepVars)}</div>
+      {question && (
+        <Question key={step} question={question} vars={stepVars} answer={answer} onAnswer={(given) => onAnswer(step, { given, ...checkAnswer(question, given, vars) })} />
+      )}
+      {def.waitFor && (
+        <div className={`flex items-center gap-1 text-xs ${waiting ? "text-amber-700" : "text-emerald-700"}`}>
+          {waiting ? <Clock className="w-3 h-3" /> : <Check className="w-3 h-3" />}
+          {waiting ? "Waiting until" : "Done:"} {TUTORIAL_CONDITIONS[def.waitFor]}
+        </div>
+      )}
+      <div className="flex items-center justify-between pt-1">
+        <Button variant="ghost" disabled={step === 0} onClick={onBack}>
+          <ChevronLeft className="w-4 h-4 mr-1" />Back
+        </Button>
+        <Button disabled={blocked} onClick={onNext}>
+          {last ? "Finish" : "Next"}
+          {!last && <ChevronRight className="w-4 h-4 ml-1" />}
+        </Button>
+      </div>
+    </div>
+  );
+}
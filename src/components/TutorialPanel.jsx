@@ -0,0 +1,106 @@
+import { useRef, useState } from "react";
+import { Download, FilePlus2, Pencil, Play, Save, Trash2, Upload } from "lucide-react";
+import { parseTutorialJson, tutorialTemplate, TUTORIAL_TARGETS, TUTORIALS } from "../tutorial/index.js";
+import { Button } from "./primitives.jsx";
+import { downloadJson } from "./format.js";
+
+const pretty = (script) => JSON.stringify(script, null, 2);
+
+/**
+ * Guided tutorials: the built-ins and the learner's own scripts, with a JSON
+ * editor for writing new ones (format in src/tutorial/script.js). `result` is
+ * the last finished tutorial's score.
+ */
+export default function TutorialPanel({ custom, result, active, onStart, onSave, onDelete }) {
+  const [draft, setDraft] = useState(null);
+  const fileRef = useRef(null);
+  const all = { ...TUTORIALS, ...custom };
+  const parsed = draft != null ? parseTutorialJson(draft) : null;
+  const clash = parsed?.script && TUTORIALS[parsed.script.id];
+
+  return (
+    <div className="space-y-3 text-sm">
+      {result && (
+        <div className="p-2 rounded-lg border bg-slate-50 text-xs">
+          <b>{all[result.id]?.title ?? result.id}</b> finished • {result.correct}/{result.asked} questions answered correctly
+        </div>
+      )}
+
+      <div className="space-y-1">
+        {Object.values(all).map((t) => (
+          <div key={t.id} className="flex items-start justify-between gap-2 p-2 rounded-lg border">
+            <div className="text-xs">
+              <div className="font-medium text-sm">{t.title}</div>
+              {t.description && <div className="text-slate-600">{t.description}</div>}
+              <div className="text-slate-500">
+                {t.steps.length} steps • {t.steps.filter((s) => s.question).length} questions{custom[t.id] ? " • yours" : ""}
+              </div>
+            </div>
+            <div className="flex items-center">
+              <Button variant="ghost" disabled={active} onClick={() => onStart(t.id)}>
+                <Play className="w-4 h-4" />
+              </Button>
+              <Button variant="ghost" onClick={() => setDraft(pretty(custom[t.id] ? t : { ...t, id: `${t.id}-copy`, title: `${t.title} (copy)` }))}>
+                <Pencil className="w-4 h-4" />
+              </Button>
+              {custom[t.id] && (
+                <Button variant="ghost" onClick={() => onDelete(t.id)}>
+                  <Trash2 className="w-4 h-4" />
+                </Button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center gap-2 flex-wrap">
+        <Button variant="ghost" onClick={() => setDraft(pretty(tutorialTemplate()))}>
+          <FilePlus2 className="w-4 h-4 mr-1" />New script
+        </Button>
+        <Button variant="ghost" onClick={() => fileRef.current?.click()}>
+          <Upload className="w-4 h-4 mr-1" />Import
+        </Button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          className="hidden"
+          onChange={async (e) => {
+            const file = e.target.files?.[0];
+            e.target.value = "";
+            if (file) setDraft(await file.text());
+          }}
+        />
+      </div>
+
+      {draft != null && (
+        <div className="space-y-1">
+          <textarea value={draft} onChange={(e) => setDraft(e.target.value)} rows={12} spellCheck={false} className="w-full px-2 py-1 rounded-lg border font-mono text-[11px]" />
+          {parsed.errors.length > 0 && (
+            <ul className="max-h-32 overflow-auto text-[11px] text-rose-700 list-disc pl-5">
+              {parsed.errors.map((e, i) => (
+                <li key={i}>{e}</li>
+              ))}
+            </ul>
+          )}
+          {clash && <div className="text-[11px] text-rose-700">"{parsed.script.id}" is a built-in tutorial; pick another id.</div>}
+          <div className="flex items-center gap-2">
+            <Button disabled={!parsed.script || !!clash} onClick={() => onSave(parsed.script)}>
+              <Save className="w-4 h-4 mr-1" />Save
+            </Button>
+            <Button variant="ghost" disabled={!parsed.script} onClick={() => downloadJson(`${parsed.script.id}.tutorial.json`, parsed.script)}>
+              <Download className="w-4 h-4 mr-1" />Download
+            </Button>
+            <Button variant="ghost" onClick={() => setDraft(null)}>
+              Close
+            </Button>
+          </div>
+          <div className="text-[11px] text-slate-500">
+            Targets: {Object.keys(TUTORIAL_TARGETS).join(", ")}. Text, prompts and explanations can use {"{sloTarget}"}, {"{tier}"}, {"{MTTA_min}"} and the other
+            variables listed in the README; explanations also get {"{answer}"}.
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
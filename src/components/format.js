@@ -0,0 +1,53 @@
+/**
+ * Display formatting and browser download helpers shared by the UI.
+ */
+
+import { DEMO_HOUR_SEC } from "../slo/mwmb.js";
+
+export function formatPct(n, digits = 2) {
+  if (!Number.isFinite(n)) return "–";
+  return `${n.toFixed(digits)}%`;
+}
+
+export function formatMs(n) {
+  if (!Number.isFinite(n)) return "–";
+  return `${Math.round(n)} ms`;
+}
+
+export function formatSimElapsed(ms) {
+  const s = Math.floor(ms / 1000);
+  const h = Math.floor(s / DEMO_HOUR_SEC);
+  const m = Math.floor(((s % DEMO_HOUR_SEC) / DEMO_HOUR_SEC) * 60);
+  return h >= 24 ? `${Math.floor(h / 24)}d ${h % 24}h` : `${h}h ${m}m`;
+}
+
+export function formatDays(n) {
+  if (!Number.isFinite(n)) return "–";
+  if (n === Infinity) return "∞";
+  if (n < 1) return `${(n * 24).toFixed(1)} h`;
+  return `${n.toFixed(1)} d`;
+}
+
+export function timeAgo(ms) {
+  if (!ms) return "–";
+  const s = Math.floor(ms / 1000);
+  if (s < 60) return `${s}s ago`;
+  const m = Math.floor(s / 60);
+  if (m < 60) return `${m}m ago`;
+  const h = Math.floor(m / 60);
+  return `${h}h ago`;
+}
+
+export function downloadJson(filename, data) {
+  downloadText(filename, JSON.stringify(data, null, 2), "application/json");
+}
+
+export function downloadText(filename, text, type = "text/plain") {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
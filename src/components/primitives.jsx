@@ -0,0 +1,67 @@
+// ---- Tiny UI primitives ----------------------------------------------------
+
+// `anchor` names the card for tutorial steps (src/tutorial) to point at.
+export function Card({ title, icon, children, right, sub, anchor }) {
+  return (
+    <div data-tutorial={anchor} className="rounded-2xl border bg-white/80 backdrop-blur p-4 shadow-sm">
+      <div className="flex items-center justify-between mb-1">
+        <div className="flex items-center gap-2">
+          {icon}
+          <div>
+            <h3 className="font-semibold text-slate-800">{title}</h3>
+            {sub && <div className="text-xs text-slate-500 mt-0.5">{sub}</div>}
+          </div>
+        </div>
+        {right}
+      </div>
+      <div>{children}</div>
+    </div>
+  );
+}
+
+export function Button({ children, onClick, variant = "primary", disabled }) {
+  const styles =
+    variant === "primary"
+      ? "bg-slate-900 hover:bg-slate-800 text-white"
+      : variant === "ghost"
+      ? "hover:bg-slate-100"
+      : variant === "danger"
+      ? "bg-rose-600 hover:bg-rose-500 text-white"
+      : "bg-white border hover:bg-slate-50";
+  return (
+    <button
+      onClick={onClick}
+      disabled={disabled}
+      className={`px-3 py-2 rounded-xl text-sm transition ${styles} disabled:opacity-50`}
+    >
+      {children}
+    </button>
+  );
+}
+
+export function Toggle({ checked, onChange, label }) {
+  return (
+    <label className="flex items-center gap-2 cursor-pointer select-none">
+      <input
+        type="checkbox"
+        className="peer sr-only"
+        checked={checked}
+        onChange={(e) => onChange?.(e.target.checked)}
+      />
+      <span className="w-10 h-6 rounded-full bg-slate-300 relative transition peer-checked:bg-emerald-500">
+        <span className={`absolute top-[2px] left-[2px] w-5 h-5 rounded-full bg-white transition peer-checked:translate-x-4`} />
+      </span>
+      <span className="text-sm text-slate-700">{label}</span>
+    </label>
+  );
+}
+
+export function Stat({ label, value, sub }) {
+  return (
+    <div className="p-3 rounded-xl bg-slate-50 border text-center">
+      <div className="text-xs text-slate-500">{label}</div>
+      <div className="text-lg font-semibold text-slate-800">{value}</div>
+      {sub && <div className="text-[11px] text-slate-500">{sub}</div>}
+    </div>
+  );
+}
@@ -0,0 +1 @@
+export * from "./logs.js";
@@ -0,0 +1,192 @@
+/**
+ * Log exporters: the run's business_process_logger events as
+ *
+ *   json     pretty-printed JSON array (the game's own import format)
+ *   ndjson   one event per line, for log shippers (Promtail, Filebeat, Vector…)
+ *   csv      one row per event, context objects flattened to dotted columns
+ *   otlp     OpenTelemetry OTLP/JSON `LogsData`, ready to POST to /v1/logs
+ *
+ * Every format takes the same filter (time range, event types, good/bad).
+ */
+
+import { goodByPolicy } from "../slo/index.js";
+import { EVENT_SCHEMA_VERSION, EVENT_SCHEMAS } from "../schema/index.js";
+
+export const LOG_STATUS_FILTERS = {
+  all: "All",
+  good: "Good",
+  bad: "Bad",
+};
+
+/**
+ * @param {object[]} logs
+ * @param {{ from?: number, to?: number, eventTypes?: string[], status?: "all"|"good"|"bad", slo?: object }} [filter]
+ *   `from`/`to` are inclusive epoch ms; an empty `eventTypes` keeps every type;
+ *   good/bad follows the goodness policy of `slo` (required for those two)
+ */
+export function filterLogs(logs, { from = -Infinity, to = Infinity, eventTypes = [], status = "all", slo } = {}) {
+  const types = new Set(eventTypes);
+  const isGood = status === "all" ? null : goodByPolicy(slo);
+  return logs.filter(
+    (ev) =>
+      ev.ts >= from &&
+      ev.ts <= to &&
+      (!types.size || types.has(ev.event_type)) &&
+      (!isGood || isGood(ev) === (status === "good"))
+  );
+}
+
+// ---- Flattening --------------------------------------------------------------
+
+// Dotted paths of every v2 schema field, in schema order; arrays stay whole.
+const SCHEMA_PATHS = Object.entries(EVENT_SCHEMAS[EVENT_SCHEMA_VERSION].properties).flatMap(([key, s]) =>
+  s.properties ? Object.keys(s.properties).map((child) => `${key}.${child}`) : [key]
+);
+
+function flatten(value, prefix = "", out = {}) {
+  for (const [k, v] of Object.entries(value)) {
+    const path = prefix + k;
+    if (v && typeof v === "object" && !Array.isArray(v)) flatten(v, `${path}.`, out);
+    else out[path] = v;
+  }
+  return out;
+}
+
+// ---- CSV ---------------------------------------------------------------------
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = Array.isArray(v) ? v.join(";") : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * RFC 4180 CSV with a leading ISO `time` column, then every schema field
+ * (present or not, so files from different runs line up), then any extra
+ * fields a logger added. Arrays are joined with ";".
+ */
+export function logsToCsv(logs) {
+  const rows = logs.map((ev) => flatten(ev));
+  const columns = [...SCHEMA_PATHS];
+  const known = new Set(columns);
+  for (const row of rows) {
+    for (const k of Object.keys(row)) {
+      if (!known.has(k)) {
+        known.add(k);
+        columns.push(k);
+      }
+    }
+  }
+  const lines = [["time", ...columns].join(",")];
+  for (const row of rows) {
+    const time = Number.isFinite(row.ts) ? new Date(row.ts).toISOString() : "";
+    lines.push([time, ...columns.map((c) => csvCell(row[c]))].join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+// ---- OTLP/JSON ---------------------------------------------------------------
+
+// Schema paths with an OpenTelemetry semantic-convention name; the rest keep
+// their dotted schema path as the attribute key.
+const OTLP_ATTRIBUTE_NAMES = {
+  status_code: "http.response.status_code",
+  "additional_context.user_id": "user.id",
+  "additional_context.page_url": "url.path",
+  "additional_context.error_code": "error.type",
+  "tracing_context.session_id": "session.id",
+};
+
+// Carried by the resource or scope instead of every record.
+const OTLP_RESOURCE_FIELDS = new Set(["logger", "origin_service", "environment", "schema_version", "ts"]);
+
+const INT_FIELDS = new Set(["status_code"]);
+
+const SEVERITY = {
+  error: { severityNumber: 17, severityText: "ERROR" },
+  warn: { severityNumber: 13, severityText: "WARN" },
+  info: { severityNumber: 9, severityText: "INFO" },
+};
+
+function anyValue(v, path) {
+  if (typeof v === "boolean") return { boolValue: v };
+  if (typeof v === "number") return INT_FIELDS.has(path) && Number.isInteger(v) ? { intValue: String(v) } : { doubleValue: v };
+  if (Array.isArray(v)) return { arrayValue: { values: v.map((x) => anyValue(x, path)) } };
+  return { stringValue: String(v) };
+}
+
+function attributes(flat) {
+  return Object.entries(flat)
+    .filter(([k, v]) => v != null && !OTLP_RESOURCE_FIELDS.has(k))
+    .map(([k, v]) => ({ key: OTLP_ATTRIBUTE_NAMES[k] ?? k, value: anyValue(v, k) }));
+}
+
+const nanos = (ms) => `${BigInt(Math.round(ms)) * 1000000n}`;
+
+function logRecord(ev) {
+  const level = !ev.is_successful ? "error" : ev.is_slo_compliant === false ? "warn" : "info";
+  const traceId = ev.tracing_context?.trace_id;
+  return {
+    timeUnixNano: nanos(ev.ts),
+    observedTimeUnixNano: nanos(ev.ts),
+    ...SEVERITY[level],
+    body: { stringValue: `${ev.flow} ${ev.event_type} ${ev.is_successful ? "succeeded" : "failed"}` },
+    attributes: attributes(flatten(ev)),
+    // OTLP trace ids are 16 bytes of hex; other ids stay in the attributes only.
+    ...(/^[0-9a-f]{32}$/i.test(traceId ?? "") ? { traceId: traceId.toLowerCase() } : {}),
+  };
+}
+
+/**
+ * OTLP/JSON `LogsData`: one resource per origin service and environment
+ * (`service.name`, `deployment.environment.name`), one scope named after the
+ * logger with the schema version, one log record per event. Failures are
+ * ERROR, successes over the latency threshold WARN, the rest INFO.
+ */
+export function logsToOtlp(logs) {
+  const resources = new Map();
+  for (const ev of logs) {
+    const key = `${ev.origin_service}\u0000${ev.environment}`;
+    if (!resources.has(key)) {
+      const attrs = [];
+      if (ev.origin_service != null) attrs.push({ key: "service.name", value: { stringValue: ev.origin_service } });
+      if (ev.environment != null) attrs.push({ key: "deployment.environment.name", value: { stringValue: ev.environment } });
+      resources.set(key, { resource: { attributes: attrs }, records: [] });
+    }
+    resources.get(key).records.push(logRecord(ev));
+  }
+  return {
+    resourceLogs: [...resources.values()].map(({ resource, records }) => ({
+      resource,
+      scopeLogs: [
+        {
+          scope: { name: "business_process_logger", version: String(EVENT_SCHEMA_VERSION) },
+          logRecords: records,
+        },
+      ],
+    })),
+  };
+}
+
+// ---- Formats -----------------------------------------------------------------
+
+export const LOG_EXPORT_FORMATS = {
+  json: { label: "JSON", render: (logs) => JSON.stringify(logs, null, 2), suffix: "json", type: "application/json" },
+  ndjson: {
+    label: "NDJSON",
+    render: (logs) => logs.map((ev) => JSON.stringify(ev) + "\n").join(""),
+    suffix: "ndjson",
+    type: "application/x-ndjson",
+  },
+  csv: { label: "CSV", render: logsToCsv, suffix: "csv", type: "text/csv" },
+  otlp: {
+    label: "OTLP/JSON",
+    render: (logs) => JSON.stringify(logsToOtlp(logs), null, 2),
+    suffix: "otlp.json",
+    type: "application/json",
+  },
+};
+
+export function renderLogs(format, logs) {
+  return LOG_EXPORT_FORMATS[format].render(logs);
+}
@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import { createRng, manualEvent } from "../sim/index.js";
+import { filterLogs, LOG_EXPORT_FORMATS, logsToCsv, logsToOtlp, renderLogs } from "./index.js";
+
+const slo = { availabilityTarget: 99.9, latencyP95Target: 800, bakeSLI: true };
+const T0 = Date.UTC(2025, 0, 6, 9);
+
+function sampleLogs() {
+  const rng = createRng("export");
+  return [
+    manualEvent(rng, { event_type: "add_to_cart", latency_ms: 120 }, { slo, ts: T0 }),
+    manualEvent(rng, { event_type: "submit_payment", is_successful: false, latency_ms: 300 }, { slo, ts: T0 + 1000 }),
+    manualEvent(rng, { event_type: "submit_payment", latency_ms: 1500, origin_service: "on-payments" }, { slo, ts: T0 + 2000 }),
+    manualEvent(rng, { event_type: "view_product", latency_ms: 90, page_url: '/p?q="a,b"' }, { slo, ts: T0 + 3000 }),
+  ];
+}
+
+describe("log filters", () => {
+  const logs = sampleLogs();
+
+  it("keeps an inclusive time range and the chosen event types", () => {
+    expect(filterLogs(logs, { from: T0 + 1000, to: T0 + 2000 }).map((e) => e.ts)).toEqual([T0 + 1000, T0 + 2000]);
+    expect(filterLogs(logs, { eventTypes: ["submit_payment"] })).toHaveLength(2);
+    expect(filterLogs(logs, { eventTypes: [] })).toHaveLength(4);
+  });
+
+  it("splits good and bad by the goodness policy", () => {
+    const bad = filterLogs(logs, { status: "bad", slo });
+    expect(bad.map((e) => e.ts)).toEqual([T0 + 1000, T0 + 2000]);
+    expect(filterLogs(logs, { status: "good", slo })).toHaveLength(2);
+    // without the baked SLI a slow success is good
+    expect(filterLogs(logs, { status: "bad", slo: { ...slo, bakeSLI: false } })).toHaveLength(1);
+  });
+});
+
+describe("log formats", () => {
+  const logs = sampleLogs();
+
+  it("writes NDJSON as one parsable event per line", () => {
+    const lines = renderLogs("ndjson", logs).trimEnd().split("\n");
+    expect(lines.map((l) => JSON.parse(l))).toEqual(logs);
+    expect(renderLogs("ndjson", [])).toBe("");
+  });
+
+  it("flattens the context objects into CSV columns in schema order", () => {
+    const [header, ...rows] = logsToCsv(logs).trimEnd().split("\n");
+    const cols = header.split(",");
+    expect(cols.slice(0, 4)).toEqual(["time", "schema_version", "logger", "flow"]);
+    expect(cols).toContain("additional_context.discount_rate");
+    expect(cols).toContain("tracing_context.trace_id");
+    expect(cols).toContain("slo_thresholds.latency_ms");
+    expect(rows).toHaveLength(4);
+    const row = Object.fromEntries(cols.map((c, i) => [c, rows[2].split(",")[i]]));
+    expect(row).toMatchObject({
+      time: "2025-01-06T09:00:02.000Z",
+      origin_service: "on-payments",
+      is_slo_compliant: "false",
+      slo_violations: "latency",
+      "additional_context.order_number": "",
+    });
+    // quoting per RFC 4180
+    expect(rows[3]).toContain('"/p?q=""a,b"""');
+  });
+
+  it("appends fields a logger added after the schema columns", () => {
+    const header = logsToCsv([{ ...logs[0], region: "eu", additional_context: { ...logs[0].additional_context, cart_size: 3 } }]).split("\n")[0];
+    expect(header.split(",").slice(-2).sort()).toEqual(["additional_context.cart_size", "region"]);
+  });
+
+  it("maps events to OTLP log records grouped by service", () => {
+    const otlp = logsToOtlp(logs);
+    expect(otlp.resourceLogs.map((r) => r.resource.attributes[0].value.stringValue)).toEqual(["on-frontend", "on-payments"]);
+    const scope = otlp.resourceLogs[0].scopeLogs[0];
+    expect(scope.scope).toEqual({ name: "business_process_logger", version: "2" });
+    const [ok, failed] = scope.logRecords;
+    expect(ok).toMatchObject({ timeUnixNano: `${T0}000000`, severityText: "INFO", body: { stringValue: "order_to_cash add_to_cart succeeded" } });
+    expect(failed).toMatchObject({ severityNumber: 17, severityText: "ERROR" });
+    const attrs = Object.fromEntries(failed.attributes.map((a) => [a.key, a.value]));
+    expect(attrs["http.response.status_code"]).toEqual({ intValue: "500" });
+    expect(attrs["error.type"]).toEqual({ stringValue: "E5XX" });
+    expect(attrs.latency_ms).toEqual({ doubleValue: 300 });
+    expect(attrs["additional_context.discount_rate"]).toEqual({ doubleValue: 0 });
+    expect(attrs.slo_violations).toEqual({ arrayValue: { values: [] } });
+    expect(attrs).not.toHaveProperty("origin_service");
+    expect(attrs).not.toHaveProperty("additional_context.order_number"); // null
+    // simulated ids are not 16-byte hex, so they stay attributes only
+    expect(failed.traceId).toBeUndefined();
+    expect(attrs["tracing_context.trace_id"].stringValue).toBe(logs[1].tracing_context.trace_id);
+
+    const slow = otlp.resourceLogs[1].scopeLogs[0].logRecords[0];
+    expect(slow.severityText).toBe("WARN");
+  });
+
+  it("keeps W3C trace ids as the record's traceId", () => {
+    const traceId = "4BF92F3577B34DA6A3CE929D0E0E4736";
+    const [rec] = logsToOtlp([{ ...logs[0], tracing_context: { trace_id: traceId } }]).resourceLogs[0].scopeLogs[0].logRecords;
+    expect(rec.traceId).toBe(traceId.toLowerCase());
+  });
+
+  it("renders every format", () => {
+    for (const format of Object.keys(LOG_EXPORT_FORMATS)) expect(renderLogs(format, logs).length).toBeGreaterThan(0);
+    expect(JSON.parse(renderLogs("json", logs))).toEqual(logs);
+  });
+});
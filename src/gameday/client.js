@@ -0,0 +1,172 @@
+/**
+ * Game-day client: connects this browser to the bundled session server
+ * (server/gameday.js) as the facilitator or as a player team.
+ *
+ *   facilitator  ws://host:9097/facilitate?key=<key>  publishes every tick:
+ *                events, alerts, tier, scenario and ground truth
+ *   player       ws://host:9097/play?team=<name>      receives the shared alerts
+ *                and leaderboard, sends acks and resolves
+ *   stream       ws://host:9097/stream                the facilitator's events as
+ *                JSON arrays, for Live Ingest (src/ingest/live.js)
+ *
+ * Messages are JSON objects with a `type`; see the server for the full list.
+ */
+
+import { firingEpisodes } from "../incidents/index.js";
+import { reconnectDelay } from "../ingest/index.js";
+
+export const GAMEDAY_STORAGE_KEY = "slo-burn-lab:gameday";
+
+export const GAMEDAY_ROLES = {
+  player: "Player team",
+  facilitator: "Facilitator",
+};
+
+export const DEFAULT_GAMEDAY_CONFIG = { url: "ws://127.0.0.1:9097", role: "player", team: "Team 1", key: "" };
+
+// Events held for the next publish while the facilitator is disconnected
+const STAGED_EVENTS_CAP = 5000;
+
+/**
+ * @returns {string[]} problems with a game-day config (empty when valid)
+ */
+export function validateGameDayConfig(cfg) {
+  const errors = [];
+  if (!/^wss?:\/\/[^\s/?#]+\/?$/.test(cfg?.url || "")) errors.push("url must be a ws(s):// server address, e.g. ws://127.0.0.1:9097");
+  if (!GAMEDAY_ROLES[cfg?.role]) errors.push(`role must be one of ${Object.keys(GAMEDAY_ROLES).join(", ")}`);
+  if (cfg?.role === "player" && !(typeof cfg.team === "string" && cfg.team.trim() && cfg.team.length <= 40)) {
+    errors.push("team must be 1–40 characters");
+  }
+  if (cfg?.role === "facilitator" && !(typeof cfg.key === "string" && cfg.key.trim())) errors.push("key is required (printed by npm run gameday)");
+  return errors;
+}
+
+/** @returns {{ control: string, stream: string }} socket URLs for a config */
+export function gameDayUrls({ url, role, team, key }) {
+  const base = url.replace(/\/$/, "");
+  const control =
+    role === "facilitator" ? `${base}/facilitate?key=${encodeURIComponent(key)}` : `${base}/play?team=${encodeURIComponent(team.trim())}`;
+  return { control, stream: `${base}/stream` };
+}
+
+/** What players and the server see of one of the facilitator's alerts. */
+export function gameDayAlert(a) {
+  const { id, type, severity, route, state, message, createdAt, firingAt, resolvedAt, recovered } = a;
+  return {
+    id,
+    type,
+    severity,
+    route: route ?? null,
+    state,
+    message,
+    createdAt,
+    firingAt,
+    resolvedAt,
+    // When the condition cleared (still firing through keepFiringFor); false = resolved by hand while burning
+    clearSince: a.clearSince ?? null,
+    recovered,
+    episodes: firingEpisodes(a),
+  };
+}
+
+/**
+ * @param {{ config: object, onMessage: (msg: object) => void, onStatus?: (status: object) => void,
+ *   WebSocketImpl?: Function }} opts
+ */
+export function createGameDayClient({ config, onMessage, onStatus, WebSocketImpl = globalThis.WebSocket }) {
+  const { control } = gameDayUrls(config);
+  let ws = null;
+  let timer = null;
+  let stopped = false;
+  let staged = [];
+  const status = { state: "connecting", role: config.role, attempt: 0, retryInMs: null, error: null };
+  const report = (patch) => {
+    Object.assign(status, patch);
+    onStatus?.({ ...status });
+  };
+
+  function retry(error) {
+    if (stopped) return;
+    ws = null;
+    const attempt = status.attempt + 1;
+    const delay = reconnectDelay(attempt);
+    report({ state: "reconnecting", attempt, retryInMs: delay, error });
+    timer = setTimeout(connect, delay);
+  }
+
+  function connect() {
+    timer = null;
+    if (stopped) return;
+    report({ state: "connecting", retryInMs: null });
+    try {
+      const socket = new WebSocketImpl(control);
+      socket.onopen = () => report({ state: "open", attempt: 0, error: null });
+      socket.onmessage = (e) => {
+        let msg;
+        try {
+          msg = JSON.parse(e.data);
+        } catch {
+          return;
+        }
+        // The server refuses a connection (wrong key, bad team name) with an error, then closes.
+        if (msg.type === "refused") {
+          stopped = true;
+          report({ state: "closed", error: msg.message });
+        }
+        onMessage(msg);
+      };
+      socket.onclose = () => {
+        if (ws === socket) retry(status.state === "open" ? "connection closed" : "could not connect");
+      };
+      ws = socket;
+    } catch (e) {
+      retry(e.message);
+    }
+  }
+
+  const send = (msg) => {
+    if (ws && status.state === "open") ws.send(JSON.stringify(msg));
+    return status.state === "open";
+  };
+
+  connect();
+
+  return {
+    /** Facilitator: queue this tick's events for the next publish(). */
+    stageEvents(events) {
+      if (config.role !== "facilitator") return;
+      staged = staged.concat(events);
+      if (staged.length > STAGED_EVENTS_CAP) staged = staged.slice(-STAGED_EVENTS_CAP);
+    },
+    /** Facilitator: the run's state plus the staged events. */
+    publish({ now, tier, scenario, alerts, truth }) {
+      if (send({ type: "tick", now, tier, scenario, alerts: alerts.map(gameDayAlert), truth, events: staged })) staged = [];
+    },
+    /** Facilitator: a new round – clears every team's actions. */
+    reset: () => send({ type: "reset" }),
+    ack: (id) => send({ type: "ack", id }),
+    resolve: (id) => send({ type: "resolve", id }),
+    close() {
+      stopped = true;
+      clearTimeout(timer);
+      const socket = ws;
+      ws = null;
+      socket?.close();
+      report({ state: "closed", retryInMs: null });
+    },
+  };
+}
+
+export function loadGameDayConfig(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(GAMEDAY_STORAGE_KEY);
+    const cfg = { ...DEFAULT_GAMEDAY_CONFIG, ...(raw ? JSON.parse(raw) : {}) };
+    return validateGameDayConfig(cfg).length ? DEFAULT_GAMEDAY_CONFIG : cfg;
+  } catch {
+    return DEFAULT_GAMEDAY_CONFIG;
+  }
+}
+
+export function saveGameDayConfig(cfg, storage = globalThis.localStorage) {
+  storage?.setItem(GAMEDAY_STORAGE_KEY, JSON.stringify(cfg));
+}
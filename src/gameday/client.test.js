@@ -0,0 +1,66 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { FakeSocket } from "../testing.js";
+import { createGameDayClient, gameDayUrls, loadGameDayConfig, validateGameDayConfig } from "./index.js";
+
+const latest = FakeSocket.latest;
+
+beforeEach(() => {
+  FakeSocket.all = [];
+  vi.useFakeTimers();
+});
+afterEach(() => vi.useRealTimers());
+
+const player = { url: "ws://127.0.0.1:9097", role: "player", team: "Blue Team", key: "" };
+const facilitator = { ...player, role: "facilitator", key: "k1" };
+
+describe("game-day config", () => {
+  it("checks the server address, role, team and key", () => {
+    expect(validateGameDayConfig(player)).toEqual([]);
+    expect(validateGameDayConfig({ ...player, url: "http://x", team: " " })).toEqual([
+      "url must be a ws(s):// server address, e.g. ws://127.0.0.1:9097",
+      "team must be 1–40 characters",
+    ]);
+    expect(validateGameDayConfig({ ...facilitator, key: "" })).toEqual(["key is required (printed by npm run gameday)"]);
+    expect(loadGameDayConfig({ getItem: () => '{"role":"judge"}' }).role).toBe("player");
+  });
+
+  it("builds control and stream URLs", () => {
+    expect(gameDayUrls(player)).toEqual({ control: "ws://127.0.0.1:9097/play?team=Blue%20Team", stream: "ws://127.0.0.1:9097/stream" });
+    expect(gameDayUrls({ ...facilitator, url: "wss://gd.example/" }).control).toBe("wss://gd.example/facilitate?key=k1");
+  });
+});
+
+describe("game-day client", () => {
+  it("publishes staged events with compact alerts", () => {
+    const client = createGameDayClient({ config: facilitator, onMessage: () => {}, WebSocketImpl: FakeSocket });
+    client.stageEvents([{ ts: 1 }]);
+    latest().onopen();
+    client.stageEvents([{ ts: 2 }]);
+    const alert = { id: "a1", type: "Page", severity: "P1", route: "page", state: "firing", createdAt: 5, firingAt: 5, resolvedAt: null, history: [{ state: "firing", at: 5 }], timing: {} };
+    client.publish({ now: 9, tier: "Tier-1", scenario: "Calm", alerts: [alert], truth: [] });
+    client.publish({ now: 10, tier: "Tier-1", scenario: "Calm", alerts: [], truth: [] });
+    const [first, second] = latest().sent;
+    expect(first.events).toEqual([{ ts: 1 }, { ts: 2 }]);
+    expect(first.alerts).toEqual([
+      { id: "a1", type: "Page", severity: "P1", route: "page", state: "firing", createdAt: 5, firingAt: 5, resolvedAt: null, clearSince: null, episodes: [{ start: 5, end: null }] },
+    ]);
+    expect(second.events).toEqual([]);
+  });
+
+  it("reconnects, but stays closed when refused", () => {
+    const messages = [];
+    const statuses = [];
+    createGameDayClient({ config: player, onMessage: (m) => messages.push(m), onStatus: (s) => statuses.push(s), WebSocketImpl: FakeSocket });
+    latest().onopen();
+    latest().close();
+    expect(statuses.at(-1)).toMatchObject({ state: "reconnecting", attempt: 1, error: "connection closed" });
+    vi.advanceTimersByTime(1000);
+    expect(FakeSocket.all).toHaveLength(2);
+    latest().onmessage({ data: JSON.stringify({ type: "refused", message: "team must be 1–40 characters" }) });
+    latest().close();
+    expect(statuses.at(-1)).toMatchObject({ state: "closed", error: "team must be 1–40 characters" });
+    vi.advanceTimersByTime(60000);
+    expect(FakeSocket.all).toHaveLength(2);
+    expect(messages).toEqual([{ type: "refused", message: "team must be 1–40 characters" }]);
+  });
+});
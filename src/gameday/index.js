@@ -0,0 +1,2 @@
+export * from "./leaderboard.js";
+export * from "./client.js";
@@ -0,0 +1,100 @@
+/**
+ * Game-day leaderboard: teams acknowledge and resolve the facilitator's
+ * alerts; each team is judged on its own actions against the tier's
+ * MTTA/MTTR targets (`TIERS[tier].targets`, sim time, like single-player
+ * scoring).
+ *
+ * A false ack is an acknowledgement of an alert that was not firing at the
+ * time, or whose firing episode overlaps no real incident (the ground truth
+ * of src/incidents/quality.js). Resolving an alert that never fired, or
+ * while it was still firing – its condition not yet clear, like the
+ * single-player rule that a resolve only counts once the SLIs have recovered –
+ * counts as a false ack too, as does resolving one the facilitator closed by
+ * hand while it still burned (`recovered === false`).
+ *
+ * Pure: shared by the bundled session server and the browser.
+ */
+
+export const GAMEDAY_POINTS = {
+  ackInTarget: 50,
+  ackLate: 20,
+  resolveInTarget: 70,
+  resolveLate: 30,
+  falseAck: -40,
+};
+
+const mean = (xs) => (xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : null);
+
+/**
+ * Judge one team action `{ kind: "ack"|"resolve", id, at }` against the
+ * facilitator's alert (`episodes` as from firingEpisodes(), `clearSince`
+ * when its condition cleared).
+ * @returns {{ false: boolean, reason?: string, delayMs?: number }}
+ */
+export function judgeAction(action, alert, truth, { graceMs }) {
+  if (!alert) return { false: true, reason: "unknown alert" };
+  const episodes = alert.episodes.filter((ep) => ep.start <= action.at);
+  const episode = episodes[episodes.length - 1];
+  if (!episode) return { false: true, reason: "not firing yet" };
+  if (action.kind === "ack" && episode.end != null && episode.end < action.at) return { false: true, reason: "already resolved" };
+  if (action.kind === "resolve") {
+    const cleared = episode.end != null ? episode.end <= action.at : alert.clearSince != null && alert.clearSince <= action.at;
+    if (!cleared) return { false: true, reason: "still firing" };
+    if (alert.recovered === false) return { false: true, reason: "resolved before the SLIs recovered" };
+  }
+  if (action.kind === "ack") {
+    const real = truth.some((t) => episode.start <= t.end + graceMs && (episode.end ?? action.at) >= t.start);
+    if (!real) return { false: true, reason: "no real incident" };
+  }
+  return { false: false, delayMs: action.at - episode.start };
+}
+
+/**
+ * @param {Record<string, { kind: string, id: string, at: number }[]>} teams actions per team
+ * @param {Record<string, object>} alerts the facilitator's alerts by id
+ * @param {{ MTTA_min: number, MTTR_min: number }} targets
+ * @returns {{ team: string, acks: number, resolves: number, mttaMs: number|null, mttrMs: number|null,
+ *   acksInTarget: number, resolvesInTarget: number, falseAcks: number, points: number }[]}
+ *   best first: by points, then MTTA, then MTTR
+ */
+export function leaderboard(teams, alerts, truth, targets, { graceMs }) {
+  const mttaTargetMs = targets.MTTA_min * 60 * 1000;
+  const mttrTargetMs = targets.MTTR_min * 60 * 1000;
+  const rows = Object.entries(teams).map(([team, actions]) => {
+    const ack = [];
+    const resolve = [];
+    let falseAcks = 0;
+    for (const action of actions) {
+      const verdict = judgeAction(action, alerts[action.id], truth, { graceMs });
+      if (verdict.false) falseAcks++;
+      else (action.kind === "ack" ? ack : resolve).push(verdict.delayMs);
+    }
+    const acksInTarget = ack.filter((ms) => ms <= mttaTargetMs).length;
+    const resolvesInTarget = resolve.filter((ms) => ms <= mttrTargetMs).length;
+    const P = GAMEDAY_POINTS;
+    return {
+      team,
+      acks: ack.length,
+      resolves: resolve.length,
+      mttaMs: mean(ack),
+      mttrMs: mean(resolve),
+      acksInTarget,
+      resolvesInTarget,
+      falseAcks,
+      points:
+        acksInTarget * P.ackInTarget +
+        (ack.length - acksInTarget) * P.ackLate +
+        resolvesInTarget * P.resolveInTarget +
+        (resolve.length - resolvesInTarget) * P.resolveLate +
+        falseAcks * P.falseAck,
+    };
+  });
+  const orNever = (ms) => ms ?? Infinity;
+  return rows.sort(
+    (a, b) =>
+      b.points - a.points ||
+      orNever(a.mttaMs) - orNever(b.mttaMs) ||
+      orNever(a.mttrMs) - orNever(b.mttrMs) ||
+      a.team.localeCompare(b.team)
+  );
+}
@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import { TIERS } from "../slo/index.js";
+import { GAMEDAY_POINTS, judgeAction, leaderboard } from "./index.js";
+
+const MIN = 60 * 1000;
+const grace = { graceMs: 0 };
+const truth = [{ start: 0, end: 30 * MIN, labels: ["PSP Brownout: plateau"] }];
+const alerts = {
+  page: { id: "page", episodes: [{ start: 2 * MIN, end: 20 * MIN }] },
+  noise: { id: "noise", episodes: [{ start: 50 * MIN, end: 55 * MIN }] },
+  later: { id: "later", episodes: [{ start: 25 * MIN, end: null }] },
+};
+
+describe("judgeAction", () => {
+  it("measures from the firing episode the action falls in", () => {
+    expect(judgeAction({ kind: "ack", id: "page", at: 5 * MIN }, alerts.page, truth, grace)).toEqual({ false: false, delayMs: 3 * MIN });
+    expect(judgeAction({ kind: "resolve", id: "page", at: 30 * MIN }, alerts.page, truth, grace)).toEqual({ false: false, delayMs: 28 * MIN });
+  });
+
+  it("flags acks of alerts that are not firing or not a real incident", () => {
+    expect(judgeAction({ kind: "ack", id: "page", at: MIN }, alerts.page, truth, grace)).toMatchObject({ false: true, reason: "not firing yet" });
+    expect(judgeAction({ kind: "ack", id: "page", at: 21 * MIN }, alerts.page, truth, grace)).toMatchObject({ reason: "already resolved" });
+    expect(judgeAction({ kind: "ack", id: "noise", at: 51 * MIN }, alerts.noise, truth, grace)).toMatchObject({ reason: "no real incident" });
+    // the grace period covers alerts that lag the incident
+    expect(judgeAction({ kind: "ack", id: "noise", at: 51 * MIN }, alerts.noise, truth, { graceMs: 30 * MIN }).false).toBe(false);
+    expect(judgeAction({ kind: "ack", id: "gone", at: 0 }, undefined, truth, grace)).toMatchObject({ reason: "unknown alert" });
+  });
+
+  it("only counts a resolve once the alert's condition has cleared", () => {
+    expect(judgeAction({ kind: "resolve", id: "later", at: 26 * MIN }, alerts.later, truth, grace)).toMatchObject({ false: true, reason: "still firing" });
+    expect(judgeAction({ kind: "resolve", id: "page", at: 10 * MIN }, alerts.page, truth, grace)).toMatchObject({ reason: "still firing" });
+    // cleared, still firing out its keepFiringFor
+    const clearing = { ...alerts.later, clearSince: 28 * MIN };
+    expect(judgeAction({ kind: "resolve", id: "later", at: 27 * MIN }, clearing, truth, grace).false).toBe(true);
+    expect(judgeAction({ kind: "resolve", id: "later", at: 29 * MIN }, clearing, truth, grace)).toEqual({ false: false, delayMs: 4 * MIN });
+    const byHand = { ...alerts.page, recovered: false };
+    expect(judgeAction({ kind: "resolve", id: "page", at: 30 * MIN }, byHand, truth, grace)).toMatchObject({ reason: "resolved before the SLIs recovered" });
+    const teams = { Rush: [{ kind: "ack", id: "later", at: 26 * MIN }, { kind: "resolve", id: "later", at: 26 * MIN }] };
+    const [row] = leaderboard(teams, alerts, truth, TIERS["Tier-1"].targets, grace);
+    expect(row).toMatchObject({ resolves: 0, mttrMs: null, falseAcks: 1, points: GAMEDAY_POINTS.ackInTarget + GAMEDAY_POINTS.falseAck });
+  });
+});
+
+describe("leaderboard", () => {
+  it("ranks teams by points, then MTTA", () => {
+    const teams = {
+      Blue: [
+        { kind: "ack", id: "page", at: 4 * MIN },
+        { kind: "resolve", id: "page", at: 30 * MIN },
+      ],
+      Red: [
+        { kind: "ack", id: "page", at: 3 * MIN },
+        { kind: "resolve", id: "page", at: 40 * MIN },
+        { kind: "ack", id: "noise", at: 52 * MIN },
+      ],
+      Green: [{ kind: "ack", id: "later", at: 40 * MIN }],
+      Idle: [],
+    };
+    const rows = leaderboard(teams, alerts, truth, TIERS["Tier-1"].targets, grace);
+    const P = GAMEDAY_POINTS;
+    expect(rows.map((r) => [r.team, r.points])).toEqual([
+      ["Blue", P.ackInTarget + P.resolveInTarget],
+      ["Red", P.ackInTarget + P.resolveInTarget + P.falseAck],
+      ["Green", P.ackLate],
+      ["Idle", 0],
+    ]);
+    expect(rows[1]).toMatchObject({ acks: 1, resolves: 1, mttaMs: MIN, mttrMs: 38 * MIN, acksInTarget: 1, falseAcks: 1 });
+    expect(rows[3]).toMatchObject({ mttaMs: null, mttrMs: null });
+  });
+});
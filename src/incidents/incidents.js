@@ -0,0 +1,195 @@
+/**
+ * Incidents: alerts that fired close together, grouped into one incident,
+ * with the timeline and response numbers a postmortem needs.
+ *
+ * All times are sim-time ms. Response times are compared with the tier's
+ * MTTA/MTTR targets the same way acknowledging an alert scores them: from
+ * the moment it fired, in sim time.
+ */
+
+import { budgetConsumedPct, DEMO_HOUR_SEC, statsFromCounts } from "../slo/index.js";
+
+// Alerts opened within this long of an incident's last alert join it
+export const INCIDENT_GAP_MS = DEMO_HOUR_SEC * 1000;
+
+const SEVERITY_RANK = { P0: 0, P1: 1, P2: 2, P3: 3 };
+
+const everFired = (a) => a.firingAt != null || a.history.some((h) => h.state === "firing");
+const firstFiring = (a) => a.history.find((h) => h.state === "firing")?.at ?? a.firingAt;
+const minOf = (values) => (values.length ? Math.min(...values) : null);
+
+/**
+ * Group alerts that ever fired into incidents: an alert joins the current
+ * incident while it opens before that incident's alerts are all resolved
+ * (plus `gapMs`). Pending-only alerts never paged anyone and are left out.
+ * @param {object[]} alerts in any order, as kept by reconcileAlerts()
+ * @returns {object[]} incidents, newest first:
+ *   `{ id, start, firedAt, end, open, severity, ackAt, alerts }`
+ */
+export function groupIncidents(alerts, { gapMs = INCIDENT_GAP_MS } = {}) {
+  const fired = alerts.filter(everFired).sort((a, b) => a.createdAt - b.createdAt);
+  const groups = [];
+  let current = null;
+  let until = -Infinity;
+  for (const a of fired) {
+    if (!current || a.createdAt > until + gapMs) {
+      current = [];
+      groups.push(current);
+      until = -Infinity;
+    }
+    current.push(a);
+    until = Math.max(until, a.state === "resolved" ? a.resolvedAt : Infinity);
+  }
+  return groups.map(toIncident).reverse();
+}
+
+function toIncident(alerts) {
+  const open = alerts.some((a) => a.state !== "resolved");
+  return {
+    id: `inc-${alerts[0].id}`,
+    start: alerts[0].createdAt,
+    firedAt: minOf(alerts.map(firstFiring)),
+    end: open ? null : Math.max(...alerts.map((a) => a.resolvedAt)),
+    open,
+    severity: alerts.map((a) => a.severity).sort((x, y) => (SEVERITY_RANK[x] ?? 9) - (SEVERITY_RANK[y] ?? 9))[0],
+    ackAt: minOf(alerts.filter((a) => a.ackAt != null).map((a) => a.ackAt)),
+    alerts,
+  };
+}
+
+/**
+ * What most likely set the incident off: the latest scenario start or fault
+ * injection at or before its first alert opened (null if none).
+ * @returns {{ at: number, label: string }|null}
+ */
+export function incidentTrigger(incident, { scenarioLog = [], faults = [] } = {}) {
+  const candidates = [
+    ...scenarioLog.map((s) => ({ at: s.startedAt, label: `Scenario "${s.name}" started` })),
+    ...faults.map((f) => ({ at: f.startedAt, label: `Fault "${f.name}" injected` })),
+  ].filter((c) => c.at <= incident.start);
+  return candidates.reduce((best, c) => (!best || c.at >= best.at ? c : best), null);
+}
+
+/**
+ * Everything that happened from the trigger to the end of the incident
+ * (or `now` while open), oldest first: `{ at, kind, label }` where kind is
+ * scenario | fault | fault-end | pending | firing | ack | resolved.
+ */
+export function incidentTimeline(incident, { scenarioLog = [], faults = [], now }) {
+  const from = incidentTrigger(incident, { scenarioLog, faults })?.at ?? incident.start;
+  const to = incident.end ?? now;
+  const entries = [];
+  const add = (at, kind, label) => {
+    if (at >= from && at <= to) entries.push({ at, kind, label });
+  };
+
+  scenarioLog.forEach((s, i) => {
+    const restart = scenarioLog[i - 1]?.name === s.name;
+    add(s.startedAt, "scenario", `Scenario "${s.name}" ${restart ? "restarted" : "started"}`);
+  });
+  for (const f of faults) {
+    add(f.startedAt, "fault", `Fault "${f.name}" injected (${Math.round(f.errorRate * 100)}% errors)`);
+    if (f.endsAt <= now) add(f.endsAt, "fault-end", `Fault "${f.name}" ended`);
+  }
+  for (const a of incident.alerts) {
+    let prev = null;
+    for (const h of a.history) {
+      if (h.state !== prev) add(h.at, h.state, `${a.type} ${h.state}${h.note ? ` – ${h.note}` : ""}`);
+      prev = h.state;
+    }
+    if (a.ackAt != null) add(a.ackAt, "ack", `${a.type} acknowledged`);
+  }
+  return entries.sort((x, y) => x.at - y.at);
+}
+
+/**
+ * Achieved MTTA/MTTR against the tier targets (`TIERS[tier].targets`).
+ * MTTA runs from the first alert firing to the first acknowledgement, MTTR
+ * to the last alert resolving; null while that has not happened yet.
+ */
+export function incidentResponse(incident, targets) {
+  const mttaMs = incident.ackAt != null ? incident.ackAt - incident.firedAt : null;
+  const mttrMs = incident.end != null ? incident.end - incident.firedAt : null;
+  const mttaTargetMs = targets.MTTA_min * 60 * 1000;
+  const mttrTargetMs = targets.MTTR_min * 60 * 1000;
+  return {
+    mttaMs,
+    mttrMs,
+    mttaTargetMs,
+    mttrTargetMs,
+    mttaMet: mttaMs != null ? mttaMs <= mttaTargetMs : null,
+    mttrMet: mttrMs != null ? mttrMs <= mttrTargetMs : null,
+  };
+}
+
+/**
+ * Detection delay per alert type: from `onset` (the trigger, else the
+ * incident start) to that type's first firing, earliest first.
+ * @returns {{ type: string, route: string|null, severity: string, firedAt: number, delayMs: number }[]}
+ */
+export function detectionDelays(incident, onset = incident.start) {
+  const byType = new Map();
+  for (const a of incident.alerts) {
+    const firedAt = firstFiring(a);
+    if (firedAt == null || (byType.has(a.type) && byType.get(a.type).firedAt <= firedAt)) continue;
+    byType.set(a.type, { type: a.type, route: a.route ?? null, severity: a.severity, firedAt, delayMs: firedAt - onset });
+  }
+  return [...byType.values()].sort((x, y) => x.firedAt - y.firedAt);
+}
+
+/**
+ * "What would have paged": the burn-rate policy's pages and tickets next to
+ * the classic threshold alerts (the demo alerts, which carry no route) that
+ * a static-threshold setup would have paged on.
+ */
+export function pagingComparison(incident, onset = incident.start) {
+  const summarize = (alerts) => {
+    const firedAt = minOf(alerts.map(firstFiring).filter((t) => t != null));
+    return { count: alerts.length, firedAt, delayMs: firedAt != null ? firedAt - onset : null, types: [...new Set(alerts.map((a) => a.type))] };
+  };
+  return {
+    burnPages: summarize(incident.alerts.filter((a) => a.route === "page")),
+    burnTickets: summarize(incident.alerts.filter((a) => a.route === "ticket")),
+    classic: summarize(incident.alerts.filter((a) => !a.route)),
+  };
+}
+
+/**
+ * Error budget burned over the incident from coarse or per-second buckets
+ * (`{ ts, total, bad }`, oldest first, `bucketSec` long). Sim seconds are
+ * demo-scaled to real ones like the period budget.
+ * @returns {{ total: number, bad: number, burn: number, consumedPct: number,
+ *   points: { ts: number, consumedPct: number }[] }} `points` accumulate per bucket
+ */
+export function incidentBudget(buckets, sloTarget, { periodSec, bucketSec, demoHourSec = DEMO_HOUR_SEC }) {
+  const realPerSimSec = 3600 / demoHourSec;
+  let total = 0;
+  let bad = 0;
+  const points = buckets.map((b, i) => {
+    total += b.total;
+    bad += b.bad;
+    const { burn } = statsFromCounts({ total, bad }, sloTarget);
+    return { ts: b.ts + bucketSec * 1000, consumedPct: total ? budgetConsumedPct(burn, (i + 1) * bucketSec * realPerSimSec, periodSec) : 0 };
+  });
+  const { burn } = statsFromCounts({ total, bad }, sloTarget);
+  return { total, bad, burn: total ? burn : 0, consumedPct: points.at(-1)?.consumedPct ?? 0, points };
+}
+
+/**
+ * Everything the incident view and the postmortem draft show, in one object.
+ * @param {{ scenarioLog?: object[], faults?: object[], now: number, targets: object,
+ *   buckets: object[], sloTarget: number, periodSec: number, bucketSec: number }} ctx
+ */
+export function analyzeIncident(incident, ctx) {
+  const trigger = incidentTrigger(incident, ctx);
+  const onset = trigger?.at ?? incident.start;
+  return {
+    incident,
+    trigger,
+    timeline: incidentTimeline(incident, ctx),
+    response: incidentResponse(incident, ctx.targets),
+    detection: detectionDelays(incident, onset),
+    paging: pagingComparison(incident, onset),
+    budget: incidentBudget(ctx.buckets, ctx.sloTarget, ctx),
+  };
+}
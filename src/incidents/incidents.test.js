@@ -0,0 +1,112 @@
+import { describe, expect, it } from "vitest";
+import { reconcileAlerts, resolveAlertByHand, TIERS } from "../slo/index.js";
+import { analyzeIncident, groupIncidents, incidentBudget, postmortemMarkdown } from "./index.js";
+
+const T0 = Date.UTC(2025, 0, 6, 9);
+const S = 1000;
+const timing = { forMs: 0, keepFiringForMs: 0, flapWindowMs: 0, flapCount: 3 };
+const page = { type: "Page fast", severity: "P1", route: "page", message: "", timing };
+const ticket = { type: "Ticket slow", severity: "P2", route: "ticket", message: "", timing };
+const classic = { type: "SLO Breach (demo)", severity: "P1", message: "", timing };
+
+// Drive the real lifecycle: `steps` is [secondsSinceT0, conditions][]
+function play(steps) {
+  let n = 0;
+  let alerts = [];
+  for (const [sec, conditions] of steps) {
+    alerts = reconcileAlerts(alerts, conditions, T0 + sec * S, () => `a${++n}`).alerts;
+  }
+  return alerts;
+}
+
+describe("groupIncidents", () => {
+  it("merges overlapping or close alerts and splits distant ones", () => {
+    const alerts = play([
+      [0, [classic]],
+      [20, [classic, page]],
+      [40, [page]],
+      [50, []],
+      [51, []],
+      [200, [ticket]],
+      [400, []],
+    ]);
+    const incidents = groupIncidents(alerts, { gapMs: 60 * S });
+    expect(incidents.map((i) => i.alerts.map((a) => a.type))).toEqual([["Ticket slow"], ["SLO Breach (demo)", "Page fast"]]);
+    const [, first] = incidents;
+    expect(first).toMatchObject({ start: T0, firedAt: T0, end: T0 + 51 * S, open: false, severity: "P1" });
+    expect(groupIncidents(alerts, { gapMs: 10 * S })).toHaveLength(2);
+    expect(groupIncidents(alerts, { gapMs: 300 * S })).toHaveLength(1);
+  });
+
+  it("keeps an incident open while any alert is", () => {
+    const alerts = play([[0, [page]], [10, [page, ticket]], [20, [ticket]]]);
+    const [incident] = groupIncidents(alerts);
+    expect(incident.open).toBe(true);
+    expect(incident.end).toBeNull();
+    // pending-only alerts never fired
+    const pending = play([[0, [{ ...page, timing: { ...timing, forMs: 60 * S } }]]]);
+    expect(groupIncidents(pending)).toEqual([]);
+  });
+});
+
+describe("analyzeIncident", () => {
+  const alerts = play([[30, [classic]], [90, [classic, page]], [120, [page]]]).map((a) =>
+    a.type === "Page fast" ? resolveAlertByHand({ ...a, ackAt: T0 + 150 * S }, T0 + 600 * S) : a
+  );
+  const [incident] = groupIncidents(alerts);
+  const ctx = {
+    scenarioLog: [{ name: "Calm", startedAt: T0 - 100 * S }, { name: "PSP Brownout", startedAt: T0 + 10 * S }],
+    faults: [{ name: "PSP failing", errorRate: 0.8, startedAt: T0 + 500 * S, endsAt: T0 + 800 * S }],
+    now: T0 + 700 * S,
+    targets: TIERS["Tier-1"].targets,
+    buckets: [{ ts: T0, total: 1000, bad: 10 }, { ts: T0 + 60 * S, total: 1000, bad: 30 }],
+    sloTarget: 99,
+    periodSec: 30 * 86400,
+    bucketSec: 60,
+  };
+
+  it("measures response, detection and paging from the trigger", () => {
+    const { trigger, response, detection, paging } = analyzeIncident(incident, ctx);
+    expect(trigger).toEqual({ at: T0 + 10 * S, label: 'Scenario "PSP Brownout" started' });
+    expect(response).toMatchObject({ mttaMs: 120 * S, mttaMet: true, mttrMs: null, mttrMet: null });
+    expect(detection.map((d) => [d.type, d.delayMs])).toEqual([["SLO Breach (demo)", 20 * S], ["Page fast", 80 * S]]);
+    expect(paging.burnPages).toMatchObject({ count: 1, delayMs: 80 * S });
+    expect(paging.classic).toMatchObject({ count: 1, delayMs: 20 * S });
+    expect(paging.burnTickets.count).toBe(0);
+  });
+
+  it("builds the timeline up to now for an open incident", () => {
+    const { timeline } = analyzeIncident(incident, ctx);
+    expect(timeline.map((e) => [e.at - T0, e.kind])).toEqual([
+      [10 * S, "scenario"],
+      [30 * S, "firing"],
+      [90 * S, "firing"],
+      [150 * S, "ack"],
+      [500 * S, "fault"],
+      [600 * S, "resolved"],
+    ]);
+  });
+
+  it("writes a postmortem draft", () => {
+    const md = postmortemMarkdown(analyzeIncident(incident, ctx), { tier: "Tier-1", sloTarget: 99, periodLabel: "30-day rolling" });
+    expect(md).toMatch(/^# Postmortem \(draft\): P1 incident on order_to_cash/);
+    expect(md).toContain("| MTTA | 2m 0s | 5m 0s | ✅ met |");
+    expect(md).toContain("| MTTR | – | 1h 0m | ⏳ not yet |");
+    expect(md).toContain("| SLO Breach (demo) | threshold | P1 | 09:00:30 | 20s |");
+    expect(md).toContain("- `09:00:10` Scenario \"PSP Brownout\" started");
+    expect(md).toContain("the threshold alert came first (1m 0s earlier)");
+    expect(md).toContain("Start from: Scenario \"PSP Brownout\" started.");
+  });
+});
+
+describe("incidentBudget", () => {
+  it("accumulates budget consumed per bucket", () => {
+    // 1% bad at a 99% SLO burns 1×; two demo hours of a 30-day period
+    const buckets = [{ ts: T0, total: 100, bad: 1 }, { ts: T0 + 60 * S, total: 100, bad: 1 }];
+    const b = incidentBudget(buckets, 99, { periodSec: 30 * 86400, bucketSec: 60 });
+    expect(b.burn).toBeCloseTo(1);
+    expect(b.points.map((p) => p.ts)).toEqual([T0 + 60 * S, T0 + 120 * S]);
+    expect(b.consumedPct).toBeCloseTo((2 * 3600 * 100) / (30 * 86400));
+    expect(incidentBudget([], 99, { periodSec: 86400, bucketSec: 60 })).toMatchObject({ burn: 0, consumedPct: 0, points: [] });
+  });
+});
@@ -0,0 +1,3 @@
+export * from "./incidents.js";
+export * from "./postmortem.js";
+export * from "./quality.js";
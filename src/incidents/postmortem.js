@@ -0,0 +1,101 @@
+/**
+ * Postmortem draft (Markdown) for an analysed incident (see analyzeIncident).
+ * The facts are filled in; root cause and action items are left for people.
+ */
+
+const iso = (ts) => new Date(ts).toISOString().replace(".000Z", "Z");
+const clock = (ts) => new Date(ts).toISOString().slice(11, 19);
+
+export function formatDuration(ms) {
+  if (ms == null) return "–";
+  const s = Math.round(ms / 1000);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (h) return `${h}h ${m}m`;
+  return m ? `${m}m ${s % 60}s` : `${s}s`;
+}
+
+const verdict = (met) => (met == null ? "⏳ not yet" : met ? "✅ met" : "❌ missed");
+const cell = (text) => String(text).replace(/\|/g, "\\|");
+
+function pagingLine(label, p) {
+  if (!p.count) return `- **${label}:** none`;
+  return `- **${label}:** ${p.count} alert(s) (${p.types.map((t) => `\`${t}\``).join(", ")}), first after ${formatDuration(p.delayMs)}`;
+}
+
+function pagingVerdict({ burnPages, classic }) {
+  if (!burnPages.count && !classic.count) return "Neither burn-rate pages nor threshold alerts fired: the impact stayed within what the policy tickets or ignores.";
+  if (!burnPages.count) return "Only the threshold alerts would have paged: burn-rate alerting judged this too small to wake anyone.";
+  if (!classic.count) return "Only the burn-rate policy paged: the threshold alerts would have missed this incident.";
+  const faster = burnPages.delayMs <= classic.delayMs ? "burn-rate page" : "threshold alert";
+  return `Both would have paged; the ${faster} came first (${formatDuration(Math.abs(burnPages.delayMs - classic.delayMs))} earlier). Threshold alerts paged ${classic.count} time(s) against ${burnPages.count} burn-rate page(s).`;
+}
+
+/**
+ * @param {ReturnType<import("./incidents.js").analyzeIncident>} analysis
+ * @param {{ tier: string, sloTarget: number, periodLabel: string, service?: string }} meta
+ * @returns {string} Markdown
+ */
+export function postmortemMarkdown(analysis, { tier, sloTarget, periodLabel, service = "order_to_cash" }) {
+  const { incident, trigger, timeline, response, detection, paging, budget } = analysis;
+  const title = `${incident.severity} incident on ${service} – ${iso(incident.start)}`;
+  const lines = [
+    `# Postmortem (draft): ${title}`,
+    "",
+    "## Summary",
+    "",
+    "| | |",
+    "|---|---|",
+    `| Status | ${incident.open ? "ongoing" : "resolved"} |`,
+    `| Service | ${service} (${tier}) |`,
+    `| Severity | ${incident.severity} |`,
+    `| Started | ${iso(incident.start)} |`,
+    `| Ended | ${incident.end != null ? iso(incident.end) : "–"} |`,
+    `| Alerts | ${incident.alerts.length} |`,
+    `| Trigger | ${trigger ? `${cell(trigger.label)} at ${iso(trigger.at)}` : "unknown"} |`,
+    "",
+    "## Impact",
+    "",
+    `- ${budget.bad.toLocaleString("en-US")} bad of ${budget.total.toLocaleString("en-US")} events (${budget.total ? ((100 * budget.bad) / budget.total).toFixed(2) : "0.00"}%) against an SLO of ${sloTarget}%`,
+    `- Average burn rate ${budget.burn.toFixed(1)}×, consuming **${budget.consumedPct.toFixed(2)}%** of the ${periodLabel} error budget`,
+    "",
+    "## Timeline (UTC)",
+    "",
+    ...timeline.map((e) => `- \`${clock(e.at)}\` ${e.label}`),
+    "",
+    "## Response",
+    "",
+    "| | Achieved | Target | |",
+    "|---|---|---|---|",
+    `| MTTA | ${formatDuration(response.mttaMs)} | ${formatDuration(response.mttaTargetMs)} | ${verdict(response.mttaMet)} |`,
+    `| MTTR | ${formatDuration(response.mttrMs)} | ${formatDuration(response.mttrTargetMs)} | ${verdict(response.mttrMet)} |`,
+    "",
+    "## Detection",
+    "",
+    `Delay from ${trigger ? "the trigger" : "the first alert opening"} to each alert type firing:`,
+    "",
+    "| Alert | Route | Severity | Fired | Delay |",
+    "|---|---|---|---|---|",
+    ...detection.map((d) => `| ${cell(d.type)} | ${d.route ?? "threshold"} | ${d.severity} | ${clock(d.firedAt)} | ${formatDuration(d.delayMs)} |`),
+    "",
+    "## What would have paged",
+    "",
+    pagingLine("Burn-rate pages", paging.burnPages),
+    pagingLine("Burn-rate tickets", paging.burnTickets),
+    pagingLine("Threshold alerts", paging.classic),
+    "",
+    pagingVerdict(paging),
+    "",
+    "## Root cause",
+    "",
+    `_TODO: what failed and why.${trigger ? ` Start from: ${trigger.label}.` : ""}_`,
+    "",
+    "## Action items",
+    "",
+    "- [ ] _TODO_",
+    ...(response.mttaMet === false ? ["- [ ] Acknowledgement missed the tier's MTTA target: review on-call routing"] : []),
+    ...(response.mttrMet === false ? ["- [ ] Recovery missed the tier's MTTR target: review mitigation runbooks"] : []),
+    "",
+  ];
+  return lines.join("\n");
+}
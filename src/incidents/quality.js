@@ -0,0 +1,147 @@
+/**
+ * Alert quality: each alert rule scored against ground truth – the scenario
+ * phases flagged `incident: true` and every injected fault.
+ *
+ *   precision     share of the rule's firing episodes that overlap a real incident
+ *   recall        share of real incidents the rule fired for
+ *   time to detect  real incident start → the rule's first firing for it
+ *   time to reset   real incident end → the rule's last episode for it resolving
+ *   false pages   episodes outside any real incident on a paging route
+ *
+ * Alerts lag their windows, so an episode that starts up to `graceMs` after a
+ * real incident ends still counts for it. All times are sim-time ms.
+ */
+
+import { DEMO_HOUR_SEC } from "../slo/index.js";
+import { resolvePhases } from "../sim/index.js";
+
+export const DETECTION_GRACE_MS = DEMO_HOUR_SEC * 1000;
+
+// Threshold alerts carry no route; in a classic setup every one of them pages.
+export const alertPages = (route) => route == null || route === "page";
+
+const mean = (xs) => (xs.length ? xs.reduce((s, x) => s + x, 0) / xs.length : null);
+
+/**
+ * Real incidents in [first scenario start, now]: incident phases of every
+ * scenario run in `scenarioLog` (looked up by name in `scenarios`) and the
+ * injected faults, merged where they overlap.
+ * @returns {{ start: number, end: number, labels: string[] }[]} oldest first
+ */
+export function groundTruth({ scenarioLog = [], scenarios = {}, faults = [], now }) {
+  const spans = [];
+  scenarioLog.forEach((run, i) => {
+    const def = scenarios[run.name];
+    if (!def) return;
+    const runEnd = Math.min(scenarioLog[i + 1]?.startedAt ?? now, now);
+    for (const ph of resolvePhases(def)) {
+      if (!ph.incident) continue;
+      const start = run.startedAt + ph.start * 1000;
+      const end = Math.min(run.startedAt + (ph.start + ph.durationSec) * 1000, runEnd);
+      if (start < end) spans.push({ start, end, labels: [`${run.name}: ${ph.name}`] });
+    }
+  });
+  for (const f of faults) {
+    const end = Math.min(f.endsAt, now);
+    if (f.startedAt < end) spans.push({ start: f.startedAt, end, labels: [`Fault "${f.name}"`] });
+  }
+  spans.sort((a, b) => a.start - b.start);
+  const merged = [];
+  for (const s of spans) {
+    const last = merged[merged.length - 1];
+    if (last && s.start <= last.end) {
+      last.end = Math.max(last.end, s.end);
+      last.labels = [...last.labels, ...s.labels];
+    } else {
+      merged.push({ ...s });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Firing episodes of an alert from its state history: `{ start, end }`
+ * with `end` null while it is still firing.
+ */
+export function firingEpisodes(alert) {
+  const episodes = [];
+  let open = null;
+  for (const h of alert.history) {
+    if (h.state === "firing" && !open) {
+      open = { start: h.at, end: null };
+      episodes.push(open);
+    } else if (h.state === "resolved" && open) {
+      open.end = h.at;
+      open = null;
+    }
+  }
+  // History is capped: fall back to the alert's own timestamps
+  if (!episodes.length && alert.firingAt != null) episodes.push({ start: alert.firingAt, end: alert.resolvedAt ?? null });
+  return episodes;
+}
+
+/**
+ * Score one set of firing episodes against the ground truth.
+ * @returns {{ episodes: number, truePositives: number, falsePositives: number, detected: number,
+ *   precision: number|null, recall: number|null, ttdMs: number|null, ttrMs: number|null }}
+ *   precision/recall are 0–1 (null without episodes / real incidents); times are means
+ */
+export function scoreEpisodes(episodes, truth, { now, graceMs = DETECTION_GRACE_MS }) {
+  const hits = (ep, t) => ep.start <= t.end + graceMs && (ep.end ?? now) >= t.start;
+  const truePositives = episodes.filter((ep) => truth.some((t) => hits(ep, t))).length;
+  const ttd = [];
+  const ttr = [];
+  for (const t of truth) {
+    const mine = episodes.filter((ep) => hits(ep, t));
+    if (!mine.length) continue;
+    ttd.push(Math.max(0, Math.min(...mine.map((ep) => ep.start)) - t.start));
+    // Reset is only known once the incident is over and the rule has gone quiet
+    const ended = t.end < now && mine.every((ep) => ep.end != null);
+    if (ended) ttr.push(Math.max(0, Math.max(...mine.map((ep) => ep.end)) - t.end));
+  }
+  return {
+    episodes: episodes.length,
+    truePositives,
+    falsePositives: episodes.length - truePositives,
+    detected: ttd.length,
+    precision: episodes.length ? truePositives / episodes.length : null,
+    recall: truth.length ? ttd.length / truth.length : null,
+    ttdMs: mean(ttd),
+    ttrMs: mean(ttr),
+  };
+}
+
+/**
+ * One row per alert rule (alert type): the given `rules` – so rules that
+ * never fired still show their missed incidents – plus any other type seen.
+ * @param {{ type: string, route?: string }[]} rules
+ * @returns {{ type: string, route: string|null, pages: boolean, falsePages: number }[]}
+ *   each row also carries the scoreEpisodes() fields
+ */
+export function scoreAlertRules(alerts, truth, { now, rules = [], graceMs = DETECTION_GRACE_MS }) {
+  const byType = new Map(rules.map((r) => [r.type, { route: r.route ?? null, episodes: [] }]));
+  for (const a of alerts) {
+    if (!byType.has(a.type)) byType.set(a.type, { route: a.route ?? null, episodes: [] });
+    byType.get(a.type).episodes.push(...firingEpisodes(a));
+  }
+  return [...byType].map(([type, { route, episodes }]) => {
+    const score = scoreEpisodes(episodes, truth, { now, graceMs });
+    const pages = alertPages(route);
+    return { type, route, pages, ...score, falsePages: pages ? score.falsePositives : 0 };
+  });
+}
+
+/**
+ * The two methods side by side: every burn-rate page rule together versus
+ * every threshold alert together, as if each were the only paging setup.
+ */
+export function scoreAlertMethods(alerts, truth, { now, graceMs = DETECTION_GRACE_MS }) {
+  const methods = {
+    burnRate: { label: "Burn-rate pages", match: (a) => a.route === "page" },
+    threshold: { label: "Threshold alerts", match: (a) => a.route == null },
+  };
+  return Object.entries(methods).map(([key, { label, match }]) => {
+    const score = scoreEpisodes(alerts.filter(match).flatMap(firingEpisodes), truth, { now, graceMs });
+    return { key, label, ...score, falsePages: score.falsePositives };
+  });
+}
@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { SCENARIOS } from "../sim/index.js";
+import { firingEpisodes, groundTruth, scoreAlertMethods, scoreAlertRules } from "./index.js";
+
+const T0 = Date.UTC(2025, 0, 6, 9);
+const S = 1000;
+
+// An alert as reconcileAlerts() keeps it, firing over each [start, end] (seconds since T0)
+function alert(type, route, ...spans) {
+  const history = spans.flatMap(([start, end]) => [
+    { state: "firing", at: T0 + start * S },
+    ...(end != null ? [{ state: "resolved", at: T0 + end * S }] : []),
+  ]);
+  const last = spans[spans.length - 1];
+  return {
+    id: type,
+    type,
+    route,
+    createdAt: T0 + spans[0][0] * S,
+    firingAt: T0 + last[0] * S,
+    resolvedAt: last[1] != null ? T0 + last[1] * S : null,
+    state: last[1] != null ? "resolved" : "firing",
+    history,
+  };
+}
+
+describe("groundTruth", () => {
+  it("takes incident phases of each scenario run and injected faults", () => {
+    const truth = groundTruth({
+      scenarioLog: [
+        { name: "PSP Brownout", startedAt: T0 },
+        { name: "Calm", startedAt: T0 + 500 * S },
+      ],
+      scenarios: SCENARIOS,
+      faults: [
+        { name: "PSP failing", startedAt: T0 + 450 * S, endsAt: T0 + 520 * S },
+        { name: "ERP", startedAt: T0 + 900 * S, endsAt: T0 + 2000 * S },
+      ],
+      now: T0 + 1000 * S,
+    });
+    // Brownout's incident phases start at 300 s; the switch to Calm cuts them at 500 s
+    expect(truth).toEqual([
+      { start: T0 + 300 * S, end: T0 + 520 * S, labels: ["PSP Brownout: degrading", "PSP Brownout: plateau", 'Fault "PSP failing"'] },
+      { start: T0 + 900 * S, end: T0 + 1000 * S, labels: ['Fault "ERP"'] },
+    ]);
+    expect(groundTruth({ scenarioLog: [{ name: "Calm", startedAt: T0 }], scenarios: SCENARIOS, now: T0 + 1e6 })).toEqual([]);
+  });
+});
+
+describe("alert quality", () => {
+  const truth = [
+    { start: T0 + 100 * S, end: T0 + 200 * S, labels: ["a"] },
+    { start: T0 + 1000 * S, end: T0 + 1100 * S, labels: ["b"] },
+  ];
+  const now = T0 + 2000 * S;
+  const alerts = [
+    alert("Page fast", "page", [130, 230]),
+    alert("Ticket slow", "ticket", [150, 400], [1050, 1300]),
+    alert("SLO Breach (demo)", undefined, [110, 190], [500, 520], [1010, 1090], [1500, 1510]),
+  ];
+
+  it("splits firing history into episodes", () => {
+    expect(firingEpisodes(alerts[1])).toEqual([
+      { start: T0 + 150 * S, end: T0 + 400 * S },
+      { start: T0 + 1050 * S, end: T0 + 1300 * S },
+    ]);
+    expect(firingEpisodes(alert("x", "page", [10, null]))).toEqual([{ start: T0 + 10 * S, end: null }]);
+  });
+
+  it("scores precision, recall, detection and reset per rule", () => {
+    const rows = scoreAlertRules(alerts, truth, { now, rules: [{ type: "Page slow", route: "page" }], graceMs: 60 * S });
+    const by = Object.fromEntries(rows.map((r) => [r.type, r]));
+    expect(by["Page fast"]).toMatchObject({ precision: 1, recall: 0.5, ttdMs: 30 * S, ttrMs: 30 * S, falsePages: 0 });
+    expect(by["Ticket slow"]).toMatchObject({ precision: 1, recall: 1, ttdMs: 50 * S, ttrMs: 200 * S, falsePages: 0 });
+    expect(by["SLO Breach (demo)"]).toMatchObject({ precision: 0.5, recall: 1, ttdMs: 10 * S, ttrMs: 0, falsePositives: 2, falsePages: 2 });
+    // a rule that never fired missed everything
+    expect(by["Page slow"]).toMatchObject({ episodes: 0, precision: null, recall: 0, ttdMs: null });
+  });
+
+  it("compares burn-rate pages with threshold alerts", () => {
+    const [burn, threshold] = scoreAlertMethods(alerts, truth, { now, graceMs: 60 * S });
+    expect(burn).toMatchObject({ key: "burnRate", episodes: 1, precision: 1, falsePages: 0 });
+    expect(threshold).toMatchObject({ key: "threshold", episodes: 4, precision: 0.5, falsePages: 2 });
+  });
+});
@@ -0,0 +1,3 @@
+export * from "./logFile.js";
+export * from "./replay.js";
+export * from "./live.js";
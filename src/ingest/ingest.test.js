@@ -0,0 +1,77 @@
+import { describe, expect, it } from "vitest";
+import { createReplay, parseLogFile, planReplay } from "./index.js";
+
+const slo = { availabilityTarget: 99.9, latencyP95Target: 800 };
+const T0 = Date.UTC(2024, 10, 29, 14, 0, 0);
+const rec = (over) => ({
+  logger: "business_process_logger",
+  flow: "order_to_cash",
+  event_type: "submit_payment",
+  is_successful: true,
+  latency_ms: 120,
+  ts: T0,
+  ...over,
+});
+
+describe("log file parsing", () => {
+  it("reads NDJSON, skipping blank lines and reporting rejected lines", () => {
+    const text = [
+      JSON.stringify(rec({ ts: T0 + 2000 })),
+      "",
+      JSON.stringify(rec({ ts: new Date(T0).toISOString(), latency_ms: 1500 })),
+      "{not json",
+      JSON.stringify(rec({ logger: "app", is_successful: "yes" })),
+    ].join("\n");
+    const { format, events, migrated, rejected } = parseLogFile(text, slo);
+    expect(format).toBe("ndjson");
+    expect(events.map((e) => e.ts)).toEqual([T0, T0 + 2000]);
+    // v1 records: migrated, with a compliance snapshot against the current SLO
+    expect(migrated).toBe(2);
+    expect(events[0]).toMatchObject({ schema_version: 2, is_slo_compliant: false, slo_violations: ["latency"], additional_context: {} });
+    expect(events[0].tracing_context.trace_id).toBe("import_3");
+    expect(rejected.map((r) => r.line)).toEqual([4, 5]);
+    expect(rejected[1].errors).toEqual(['logger must be "business_process_logger"', "is_successful must be boolean"]);
+  });
+
+  it("reads a JSON array and keeps the logger's own compliance snapshot", () => {
+    const snapshot = { is_slo_compliant: true, slo_violations: [], slo_thresholds: { latency_ms: 2000 } };
+    const text = JSON.stringify([rec({ latency_ms: 1500, ...snapshot }), { logger: "business_process_logger" }]);
+    const { format, events, migrated, rejected } = parseLogFile(text, slo);
+    expect(format).toBe("json");
+    expect(events[0]).toMatchObject(snapshot);
+    expect(migrated).toBe(0);
+    expect(rejected).toEqual([
+      { line: 2, errors: ["flow is required", "event_type is required", "is_successful is required", "ts is required"] },
+    ]);
+    expect(parseLogFile("[{", slo).rejected[0].errors[0]).toMatch(/^invalid JSON/);
+  });
+
+  it("reads a pretty-printed single event as a one-event file", () => {
+    const { format, events, rejected } = parseLogFile(JSON.stringify(rec(), null, 2), slo);
+    expect(format).toBe("json");
+    expect(events.map((e) => e.ts)).toEqual([T0]);
+    expect(rejected).toEqual([]);
+  });
+});
+
+describe("replay", () => {
+  const events = [rec(), rec({ ts: T0 + 30 * 60 * 1000 }), rec({ ts: T0 + 2 * 3600 * 1000 })];
+  const now = Date.UTC(2025, 0, 6, 9, 0, 0);
+
+  it("maps timestamps per time mode", () => {
+    expect(planReplay(events, { mode: "original", now })).toMatchObject({ start: T0, end: T0 + 7200000 });
+    // Compressed: one real hour per demo hour (60 s at the default scale)
+    expect(planReplay(events, { mode: "compressed", now }).events.map((e) => e.ts - now)).toEqual([1000, 31000, 121000]);
+    expect(planReplay(events, { mode: "shifted", now }).events.map((e) => e.ts - now)).toEqual([1000, 1801000, 7201000]);
+    expect(events[0].ts).toBe(T0);
+  });
+
+  it("hands out events as sim time reaches them", () => {
+    const r = createReplay(planReplay(events, { mode: "compressed", now }).events);
+    expect(r.take(now + 1000)).toHaveLength(1);
+    expect(r.take(now + 60000)).toHaveLength(1);
+    expect(r.done).toBe(false);
+    expect(r.take(now + 121000)).toHaveLength(1);
+    expect([r.fed, r.total, r.done]).toEqual([3, 3, true]);
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Live ingest: subscribe to a stream of business_process_logger events over
+ * WebSocket (`ws://`, `wss://`) or Server-Sent Events (`http://`, `https://`),
+ * e.g. from the bundled relay (server/relay.js). A message is one event, a
+ * JSON array or NDJSON; each record is checked against the schema on arrival.
+ *
+ * Accepted events wait in a bounded buffer until the game drains it on its
+ * next tick. When the game falls behind, the oldest events are dropped and
+ * counted. Lost connections are retried with exponential backoff.
+ */
+
+import { parseLogFile } from "./logFile.js";
+
+export const LIVE_STORAGE_KEY = "slo-burn-lab:live";
+
+export const LIVE_MIX = {
+  instead: "Instead of simulated traffic",
+  alongside: "Alongside simulated traffic",
+};
+
+export const DEFAULT_LIVE_CONFIG = { url: "ws://127.0.0.1:9098/ws", mix: "instead" };
+
+export const LIVE_BUFFER_CAP = 20000;
+export const RECONNECT_MIN_MS = 1000;
+export const RECONNECT_MAX_MS = 30000;
+const REJECTED_KEEP = 20;
+
+/** @returns {"websocket"|"sse"|null} transport for a stream URL */
+export function liveTransport(url) {
+  if (/^wss?:\/\/\S+$/.test(url || "")) return "websocket";
+  if (/^https?:\/\/\S+$/.test(url || "")) return "sse";
+  return null;
+}
+
+/**
+ * @returns {string[]} problems with a live ingest config (empty when valid)
+ */
+export function validateLiveConfig(cfg) {
+  const errors = [];
+  if (!liveTransport(cfg?.url)) errors.push("url must be a ws(s):// (WebSocket) or http(s):// (SSE) URL");
+  if (!LIVE_MIX[cfg?.mix]) errors.push(`mix must be one of ${Object.keys(LIVE_MIX).join(", ")}`);
+  return errors;
+}
+
+export const reconnectDelay = (attempt) => Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * 2 ** (attempt - 1));
+
+/**
+ * @param {{ url: string, getSlo: () => object, onStatus?: (status: object) => void,
+ *   bufferCap?: number, WebSocketImpl?: Function, EventSourceImpl?: Function }} opts
+ *   `getSlo` returns the current SLO, for migrating events older than v2
+ * @returns {{ drain: () => { events: object[], accepted: number, rejected: object[] }, close: () => void }}
+ */
+export function createLiveSource({
+  url,
+  getSlo,
+  onStatus,
+  bufferCap = LIVE_BUFFER_CAP,
+  WebSocketImpl = globalThis.WebSocket,
+  EventSourceImpl = globalThis.EventSource,
+}) {
+  const transport = liveTransport(url);
+  let conn = null;
+  let timer = null;
+  let stopped = false;
+  let seq = 0;
+  let buffer = [];
+  let accepted = 0; // since the last drain, dropped or not
+  let rejected = [];
+  const status = { state: "connecting", transport, attempt: 0, retryInMs: null, received: 0, rejected: 0, dropped: 0, error: null };
+  const report = (patch) => {
+    Object.assign(status, patch);
+    onStatus?.({ ...status });
+  };
+
+  function receive(text) {
+    const parsed = parseLogFile(String(text), getSlo(), { idPrefix: `live${++seq}` });
+    buffer = buffer.concat(parsed.events);
+    accepted += parsed.events.length;
+    const over = buffer.length - bufferCap;
+    if (over > 0) buffer = buffer.slice(over);
+    rejected = [...rejected, ...parsed.rejected.map((r) => ({ errors: r.errors }))].slice(-REJECTED_KEEP);
+    report({
+      received: status.received + parsed.events.length,
+      rejected: status.rejected + parsed.rejected.length,
+      dropped: status.dropped + Math.max(0, over),
+    });
+  }
+
+  function retry(error) {
+    if (stopped) return;
+    conn = null;
+    const attempt = status.attempt + 1;
+    const delay = reconnectDelay(attempt);
+    report({ state: "reconnecting", attempt, retryInMs: delay, error });
+    timer = setTimeout(connect, delay);
+  }
+
+  function connect() {
+    timer = null;
+    if (stopped) return;
+    report({ state: "connecting", retryInMs: null });
+    try {
+      if (transport === "websocket") {
+        const ws = new WebSocketImpl(url);
+        ws.onopen = () => report({ state: "open", attempt: 0, error: null });
+        ws.onmessage = (e) => receive(e.data);
+        ws.onclose = () => {
+          if (conn === ws) retry(status.state === "open" ? "connection closed" : "could not connect");
+        };
+        conn = ws;
+      } else {
+        // EventSource retries on its own; closing it keeps one backoff policy for both.
+        const es = new EventSourceImpl(url);
+        es.onopen = () => report({ state: "open", attempt: 0, error: null });
+        es.onmessage = (e) => receive(e.data);
+        es.onerror = () => {
+          es.close();
+          if (conn === es) retry(status.state === "open" ? "connection closed" : "could not connect");
+        };
+        conn = es;
+      }
+    } catch (e) {
+      retry(e.message);
+    }
+  }
+
+  if (transport) connect();
+  else report({ state: "closed", error: "unsupported URL" });
+
+  return {
+    drain() {
+      const out = { events: buffer, accepted, rejected };
+      buffer = [];
+      accepted = 0;
+      rejected = [];
+      return out;
+    },
+    close() {
+      stopped = true;
+      clearTimeout(timer);
+      const c = conn;
+      conn = null;
+      c?.close();
+      report({ state: "closed", retryInMs: null });
+    },
+  };
+}
+
+export function loadLiveConfig(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(LIVE_STORAGE_KEY);
+    const cfg = { ...DEFAULT_LIVE_CONFIG, ...(raw ? JSON.parse(raw) : {}) };
+    return validateLiveConfig(cfg).length ? DEFAULT_LIVE_CONFIG : cfg;
+  } catch {
+    return DEFAULT_LIVE_CONFIG;
+  }
+}
+
+export function saveLiveConfig(cfg, storage = globalThis.localStorage) {
+  storage?.setItem(LIVE_STORAGE_KEY, JSON.stringify(cfg));
+}
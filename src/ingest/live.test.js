@@ -0,0 +1,97 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { FakeSocket } from "../testing.js";
+import { createLiveSource, loadLiveConfig, reconnectDelay, validateLiveConfig } from "./index.js";
+
+const slo = { availabilityTarget: 99.5, latencyP95Target: 800 };
+const event = (over) => ({
+  logger: "business_process_logger",
+  flow: "order_to_cash",
+  event_type: "submit_payment",
+  is_successful: true,
+  latency_ms: 100,
+  ts: 1,
+  ...over,
+});
+
+const latest = FakeSocket.latest;
+
+beforeEach(() => {
+  FakeSocket.all = [];
+  vi.useFakeTimers();
+});
+afterEach(() => vi.useRealTimers());
+
+function open(opts = {}) {
+  const statuses = [];
+  const source = createLiveSource({
+    url: "ws://relay/ws",
+    getSlo: () => slo,
+    onStatus: (s) => statuses.push(s),
+    WebSocketImpl: FakeSocket,
+    ...opts,
+  });
+  return { source, statuses, last: () => statuses[statuses.length - 1] };
+}
+
+describe("live ingest", () => {
+  it("validates messages and buffers accepted events until drained", () => {
+    const { source, last } = open();
+    latest().onopen();
+    expect(last()).toMatchObject({ state: "open", transport: "websocket" });
+    latest().onmessage({ data: JSON.stringify([event(), event({ is_successful: "no" })]) });
+    latest().onmessage({ data: `${JSON.stringify(event({ ts: 2 }))}\n` });
+    expect(last()).toMatchObject({ received: 2, rejected: 1, dropped: 0 });
+    const out = source.drain();
+    expect(out.events.map((e) => e.ts)).toEqual([1, 2]);
+    expect(out.events[0].tracing_context.trace_id).toBe("live1_1");
+    expect(out.accepted).toBe(2);
+    expect(out.rejected).toEqual([{ errors: ["is_successful must be boolean"] }]);
+    expect(source.drain()).toEqual({ events: [], accepted: 0, rejected: [] });
+  });
+
+  it("drops the oldest events once the buffer is full", () => {
+    const { source, last } = open({ bufferCap: 2 });
+    latest().onmessage({ data: JSON.stringify([1, 2, 3].map((ts) => event({ ts }))) });
+    expect(last().dropped).toBe(1);
+    expect(source.drain()).toMatchObject({ accepted: 3, events: [{ ts: 2 }, { ts: 3 }] });
+  });
+
+  it("reconnects with exponential backoff until closed", () => {
+    const { source, last } = open();
+    latest().onclose();
+    expect(last()).toMatchObject({ state: "reconnecting", attempt: 1, retryInMs: 1000, error: "could not connect" });
+    vi.advanceTimersByTime(1000);
+    expect(FakeSocket.all).toHaveLength(2);
+    latest().onclose();
+    expect(last().retryInMs).toBe(2000);
+    vi.advanceTimersByTime(2000);
+    latest().onopen();
+    latest().onclose();
+    // An open connection resets the backoff
+    expect(last()).toMatchObject({ attempt: 1, retryInMs: 1000, error: "connection closed" });
+    source.close();
+    vi.advanceTimersByTime(60000);
+    expect(FakeSocket.all).toHaveLength(3);
+    expect(last().state).toBe("closed");
+    expect([1, 2, 6, 9].map(reconnectDelay)).toEqual([1000, 2000, 30000, 30000]);
+  });
+
+  it("subscribes over SSE for http URLs", () => {
+    const { source, last } = open({ url: "http://relay/events", WebSocketImpl: undefined, EventSourceImpl: FakeSocket });
+    expect(last().transport).toBe("sse");
+    latest().onmessage({ data: JSON.stringify(event()) });
+    latest().onerror();
+    expect(latest().closed).toBe(true);
+    expect(last().state).toBe("reconnecting");
+    expect(source.drain().events).toHaveLength(1);
+  });
+
+  it("validates and loads its config", () => {
+    expect(validateLiveConfig({ url: "ftp://x", mix: "both" })).toEqual([
+      "url must be a ws(s):// (WebSocket) or http(s):// (SSE) URL",
+      "mix must be one of instead, alongside",
+    ]);
+    const storage = { getItem: () => JSON.stringify({ url: "http://127.0.0.1:9098/events" }) };
+    expect(loadLiveConfig(storage)).toEqual({ url: "http://127.0.0.1:9098/events", mix: "instead" });
+  });
+});
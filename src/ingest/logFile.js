@@ -0,0 +1,79 @@
+/**
+ * business_process_logger log files: a JSON array of events, a single
+ * (possibly pretty-printed) JSON event or NDJSON (one event per line). Each record is checked against the schema of its version
+ * and migrated to the current one (src/schema); valid ones are normalized so
+ * the store, tables and SLO slices can read them like simulated events,
+ * rejected ones are reported with their line number.
+ */
+
+import { checkEvent } from "../schema/index.js";
+
+// The whole text as one JSON object, or null (then it is read as NDJSON).
+function wholeObject(trimmed) {
+  if (!trimmed.startsWith("{")) return null;
+  try {
+    return JSON.parse(trimmed);
+  } catch {
+    return null;
+  }
+}
+
+// Both context objects present and a trace id, as the tables expect.
+function normalize(ev, id) {
+  return {
+    ...ev,
+    additional_context: { ...ev.additional_context },
+    tracing_context: { ...ev.tracing_context, trace_id: ev.tracing_context?.trace_id || id },
+  };
+}
+
+/**
+ * @param {string} text file contents
+ * @param {object} slo current SLO, for records without a compliance snapshot
+ * @param {{ idPrefix?: string }} [opts] trace ids for records without one are `<idPrefix>_<line>`
+ * @returns {{ format: "json"|"ndjson", events: object[], migrated: number,
+ *   rejected: { line: number, errors: string[] }[] }} events sorted by `ts`;
+ *   for a JSON array `line` is the 1-based array index, a single object is line 1
+ */
+export function parseLogFile(text, slo, { idPrefix = "import" } = {}) {
+  const events = [];
+  const rejected = [];
+  let migrated = 0;
+  const take = (rec, line) => {
+    const checked = checkEvent(rec, { slo });
+    if (!checked.event) {
+      rejected.push({ line, errors: checked.errors });
+      return;
+    }
+    events.push(normalize(checked.event, `${idPrefix}_${line}`));
+    if (checked.migrated) migrated++;
+  };
+
+  const trimmed = text.trim();
+  let format = "ndjson";
+  const single = wholeObject(trimmed);
+  if (single) {
+    format = "json";
+    take(single, 1);
+  } else if (trimmed.startsWith("[")) {
+    format = "json";
+    let records;
+    try {
+      records = JSON.parse(trimmed);
+    } catch (e) {
+      return { format, events, migrated, rejected: [{ line: 0, errors: [`invalid JSON: ${e.message}`] }] };
+    }
+    records.forEach((rec, i) => take(rec, i + 1));
+  } else {
+    text.split(/\r?\n/).forEach((raw, i) => {
+      if (!raw.trim()) return;
+      try {
+        take(JSON.parse(raw), i + 1);
+      } catch (e) {
+        rejected.push({ line: i + 1, errors: [`invalid JSON: ${e.message}`] });
+      }
+    });
+  }
+  events.sort((a, b) => a.ts - b.ts);
+  return { format, events, migrated, rejected };
+}
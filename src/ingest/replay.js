@@ -0,0 +1,51 @@
+/**
+ * Replaying imported events into the run. The time mode maps the log's
+ * timestamps onto the sim clock; a cursor then hands out the events due at
+ * each tick, so replays follow the speed controls and fast-forward like
+ * simulated traffic.
+ */
+
+import { DEMO_HOUR_SEC } from "../slo/index.js";
+import { TICK_MS } from "../sim/index.js";
+
+export const REPLAY_MODES = {
+  original: { label: "Original timestamps", hint: "restarts the run at the log's first event; real time 1:1" },
+  compressed: { label: "Compressed", hint: "starts now; one real hour per demo hour, so MWMB windows match production" },
+  shifted: { label: "Shifted to now", hint: "starts now; real time 1:1" },
+};
+
+/**
+ * @param {object[]} events imported events, sorted by `ts`
+ * @param {{ mode: keyof REPLAY_MODES, now: number, demoHourSec?: number }} opts
+ * @returns {{ events: object[], start: number, end: number }} events with sim
+ *   timestamps, and the sim time span they cover
+ */
+export function planReplay(events, { mode, now, demoHourSec = DEMO_HOUR_SEC }) {
+  if (!events.length) return { events, start: now, end: now };
+  const first = events[0].ts;
+  const start = mode === "original" ? first : now + TICK_MS;
+  const scale = mode === "compressed" ? demoHourSec / 3600 : 1;
+  const mapped = mode === "original" ? events : events.map((ev) => ({ ...ev, ts: Math.round(start + (ev.ts - first) * scale) }));
+  return { events: mapped, start, end: mapped[mapped.length - 1].ts };
+}
+
+/** Cursor over planned events; `take(ts)` returns those due up to `ts`. */
+export function createReplay(events) {
+  let i = 0;
+  return {
+    get total() {
+      return events.length;
+    },
+    get fed() {
+      return i;
+    },
+    get done() {
+      return i >= events.length;
+    },
+    take(ts) {
+      const from = i;
+      while (i < events.length && events[i].ts <= ts) i++;
+      return events.slice(from, i);
+    },
+  };
+}
@@ -0,0 +1,53 @@
+/**
+ * Fixed log-scale latency histogram (Prometheus-style `le` buckets).
+ * Bin i counts samples in (LATENCY_BOUNDS[i-1], LATENCY_BOUNDS[i]]; the last
+ * bin is the +Inf overflow.
+ */
+
+const GROWTH = 1.15;
+const MIN_MS = 1;
+const MAX_MS = 120_000;
+
+export const LATENCY_BOUNDS = (() => {
+  const bounds = [];
+  for (let b = MIN_MS; b < MAX_MS; b *= GROWTH) bounds.push(b);
+  bounds.push(MAX_MS);
+  return bounds;
+})();
+
+export const LATENCY_BINS = LATENCY_BOUNDS.length + 1; // + overflow
+
+export function binFor(ms) {
+  if (!(ms > MIN_MS)) return 0;
+  if (ms > MAX_MS) return LATENCY_BINS - 1;
+  // log-scale index, then nudge for float error at the edges
+  let i = Math.ceil(Math.log(ms / MIN_MS) / Math.log(GROWTH));
+  if (i > 0 && ms <= LATENCY_BOUNDS[i - 1]) i -= 1;
+  if (ms > LATENCY_BOUNDS[i]) i += 1;
+  return Math.min(i, LATENCY_BOUNDS.length - 1);
+}
+
+/**
+ * Percentile from bin counts, interpolating linearly inside the bin (like
+ * histogram_quantile). NaN for an empty histogram.
+ * @param {ArrayLike<number>} counts – LATENCY_BINS entries
+ */
+export function histogramPercentile(counts, p) {
+  let n = 0;
+  for (let i = 0; i < LATENCY_BINS; i++) n += counts[i];
+  if (!n) return NaN;
+  const rank = Math.max(1, Math.ceil((p / 100) * n));
+  let seen = 0;
+  for (let i = 0; i < LATENCY_BINS; i++) {
+    const c = counts[i];
+    if (!c || seen + c < rank) {
+      seen += c;
+      continue;
+    }
+    if (i === LATENCY_BINS - 1) return MAX_MS;
+    const lo = i === 0 ? 0 : LATENCY_BOUNDS[i - 1];
+    const hi = LATENCY_BOUNDS[i];
+    return lo + ((hi - lo) * (rank - seen)) / c;
+  }
+  return MAX_MS;
+}
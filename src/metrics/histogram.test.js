@@ -0,0 +1,29 @@
+import { describe, expect, it } from "vitest";
+import { binFor, histogramPercentile, LATENCY_BINS, LATENCY_BOUNDS } from "./histogram.js";
+
+describe("latency histogram", () => {
+  it("places samples in the (lower, upper] bin", () => {
+    for (const ms of [0, 1, 1.01, 5, 120, 799.9, 800, 5000, 119_999]) {
+      const i = binFor(ms);
+      expect(ms).toBeLessThanOrEqual(LATENCY_BOUNDS[i]);
+      if (i > 0) expect(ms).toBeGreaterThan(LATENCY_BOUNDS[i - 1]);
+    }
+  });
+
+  it("sends out-of-range samples to the overflow bin", () => {
+    expect(binFor(500_000)).toBe(LATENCY_BINS - 1);
+  });
+
+  it("interpolates percentiles within a bin", () => {
+    const counts = new Uint32Array(LATENCY_BINS);
+    counts[binFor(100)] = 100;
+    const i = binFor(100);
+    const p = histogramPercentile(counts, 50);
+    expect(p).toBeGreaterThan(LATENCY_BOUNDS[i - 1]);
+    expect(p).toBeLessThanOrEqual(LATENCY_BOUNDS[i]);
+  });
+
+  it("is NaN when empty", () => {
+    expect(histogramPercentile(new Uint32Array(LATENCY_BINS), 95)).toBeNaN();
+  });
+});
@@ -0,0 +1,365 @@
+/**
+ * Time-bucketed metrics store: a ring buffer of per-second aggregates so
+ * windowed queries cost O(buckets) instead of refiltering raw events.
+ *
+ * Each second carries the counts the goodness policy needs (failures, and
+ * successes that missed the latency SLO per the event's own
+ * `is_slo_compliant` snapshot), a latency histogram, CPU samples and any
+ * named counters the caller registers (e.g. business-rule matches).
+ *
+ * Slices track good/bad counts for a filtered subset of events with their
+ * own goodness rule (one per named SLO). They can be swapped at runtime; a
+ * newly tracked slice starts empty since raw events are not kept.
+ *
+ * An optional coarse tier keeps only good/bad counts per `bucketSec` for
+ * much longer (whole compliance periods); windows longer than
+ * `retentionSec` are answered from it, rounded out to whole buckets.
+ */
+
+import { binFor, histogramPercentile, LATENCY_BINS } from "./histogram.js";
+
+const SEC = 1000;
+
+// Good/bad counts per `bucketSec`, for the coarse tier.
+function createRollup(bucketSec, retentionSec) {
+  const capacity = Math.ceil(retentionSec / bucketSec) + 2;
+  const idx = new Float64Array(capacity).fill(NaN);
+  const total = new Uint32Array(capacity);
+  const failed = new Uint32Array(capacity);
+  const slow = new Uint32Array(capacity);
+  let slices = {};
+  let head = -Infinity;
+
+  function slotFor(b) {
+    if (b <= head - capacity + 1) return -1;
+    const i = ((b % capacity) + capacity) % capacity;
+    if (idx[i] !== b) {
+      idx[i] = b;
+      total[i] = failed[i] = slow[i] = 0;
+      for (const sl of Object.values(slices)) sl.total[i] = sl.bad[i] = 0;
+    }
+    if (b > head) head = b;
+    return i;
+  }
+
+  // Bucket numbers from the one holding `now` back to the one holding the cutoff.
+  function* buckets(seconds, now) {
+    const nowB = Math.floor(now / SEC / bucketSec);
+    const cutoff = Math.max(Math.floor((now / SEC - seconds) / bucketSec), nowB - capacity + 1);
+    for (let b = nowB; b >= cutoff; b--) yield b;
+  }
+
+  return {
+    add(ev, sliceHits) {
+      const i = slotFor(Math.floor(ev.ts / SEC / bucketSec));
+      if (i < 0) return;
+      total[i] += 1;
+      if (!ev.is_successful) failed[i] += 1;
+      else if (ev.is_slo_compliant === false) slow[i] += 1;
+      for (const [k, good] of sliceHits) {
+        slices[k].total[i] += 1;
+        if (!good) slices[k].bad[i] += 1;
+      }
+    },
+    trackSlices(keys) {
+      slices = Object.fromEntries(
+        keys.map((k) => [k, slices[k] || { total: new Uint32Array(capacity), bad: new Uint32Array(capacity) }])
+      );
+    },
+    counts(seconds, now, { bakeSLI = true, slice } = {}) {
+      const sl = slice != null ? slices[slice] : null;
+      let t = 0;
+      let bad = 0;
+      if (slice != null && !sl) return { total: 0, bad: 0 };
+      for (const b of buckets(seconds, now)) {
+        const i = ((b % capacity) + capacity) % capacity;
+        if (idx[i] !== b) continue;
+        t += sl ? sl.total[i] : total[i];
+        bad += sl ? sl.bad[i] : failed[i] + (bakeSLI ? slow[i] : 0);
+      }
+      return { total: t, bad };
+    },
+    series(seconds, now, { bakeSLI = true, slice } = {}) {
+      const sl = slice != null ? slices[slice] : null;
+      const out = [];
+      for (const b of buckets(seconds, now)) {
+        const i = ((b % capacity) + capacity) % capacity;
+        const live = idx[i] === b && (slice == null || sl);
+        out.push({
+          ts: b * bucketSec * SEC,
+          total: live ? (sl ? sl.total[i] : total[i]) : 0,
+          bad: live ? (sl ? sl.bad[i] : failed[i] + (bakeSLI ? slow[i] : 0)) : 0,
+        });
+      }
+      return out.reverse();
+    },
+    clear() {
+      idx.fill(NaN);
+      head = -Infinity;
+    },
+    snapshot() {
+      const keys = Object.keys(slices);
+      const rows = [];
+      for (let i = 0; i < capacity; i++) {
+        if (Number.isNaN(idx[i])) continue;
+        rows.push([idx[i], total[i], failed[i], slow[i], keys.map((k) => [slices[k].total[i], slices[k].bad[i]])]);
+      }
+      return { bucketSec, head, slices: keys, rows };
+    },
+    restore(snap) {
+      idx.fill(NaN);
+      for (const k of snap.slices) {
+        if (!slices[k]) slices[k] = { total: new Uint32Array(capacity), bad: new Uint32Array(capacity) };
+      }
+      head = snap.head;
+      for (const [b, t, f, sl, hits] of snap.rows) {
+        const i = ((b % capacity) + capacity) % capacity;
+        idx[i] = b;
+        total[i] = t;
+        failed[i] = f;
+        slow[i] = sl;
+        snap.slices.forEach((k, j) => {
+          slices[k].total[i] = hits[j][0];
+          slices[k].bad[i] = hits[j][1];
+        });
+      }
+    },
+  };
+}
+
+/**
+ * @param {{ retentionSec: number, counters?: Record<string, (ev: object) => boolean>,
+ *   coarse?: { bucketSec: number, retentionSec: number } }} opts
+ *   retentionSec – longest window answered at one-second resolution
+ */
+export function createMetricsStore({ retentionSec, counters = {}, coarse = null }) {
+  const capacity = Math.ceil(retentionSec) + 2;
+  const names = Object.keys(counters);
+
+  const secs = new Float64Array(capacity).fill(NaN);
+  const total = new Uint32Array(capacity);
+  const failed = new Uint32Array(capacity);
+  const slow = new Uint32Array(capacity);
+  const cpuSum = new Float64Array(capacity);
+  const cpuN = new Uint32Array(capacity);
+  const hist = new Uint32Array(capacity * LATENCY_BINS);
+  const named = Object.fromEntries(names.map((k) => [k, new Uint32Array(capacity)]));
+  let slices = {};
+  let head = -Infinity; // newest second written
+  const rollup = coarse ? createRollup(coarse.bucketSec, coarse.retentionSec) : null;
+
+  // Slot for `sec`, recycling whatever older second lived there.
+  function slotFor(sec) {
+    if (sec <= head - capacity + 1) return -1; // older than the ring holds
+    const i = ((sec % capacity) + capacity) % capacity;
+    if (secs[i] !== sec) {
+      secs[i] = sec;
+      total[i] = failed[i] = slow[i] = cpuN[i] = 0;
+      cpuSum[i] = 0;
+      hist.fill(0, i * LATENCY_BINS, (i + 1) * LATENCY_BINS);
+      for (const k of names) named[k][i] = 0;
+      for (const sl of Object.values(slices)) sl.total[i] = sl.bad[i] = 0;
+    }
+    if (sec > head) head = sec;
+    return i;
+  }
+
+  // Valid slot indices from `now` back to the inclusive cutoff, newest first.
+  function* slots(seconds, now) {
+    const nowSec = Math.floor(now / SEC);
+    const cutoff = Math.max(Math.ceil((now - seconds * SEC) / SEC), nowSec - capacity + 1);
+    for (let sec = nowSec; sec >= cutoff; sec--) {
+      const i = ((sec % capacity) + capacity) % capacity;
+      if (secs[i] === sec) yield i;
+    }
+  }
+
+  return {
+    retentionSec,
+
+    add(events) {
+      for (const ev of events) {
+        const hits = [];
+        for (const [k, sl] of Object.entries(slices)) if (sl.match(ev)) hits.push([k, sl.good(ev)]);
+        rollup?.add(ev, hits);
+        const i = slotFor(Math.floor(ev.ts / SEC));
+        if (i < 0) continue;
+        total[i] += 1;
+        if (!ev.is_successful) failed[i] += 1;
+        else if (ev.is_slo_compliant === false) slow[i] += 1;
+        hist[i * LATENCY_BINS + binFor(ev.latency_ms)] += 1;
+        for (const k of names) if (counters[k](ev)) named[k][i] += 1;
+        for (const [k, good] of hits) {
+          slices[k].total[i] += 1;
+          if (!good) slices[k].bad[i] += 1;
+        }
+      }
+    },
+
+    /**
+     * Replace the tracked slices. Keys already tracked keep their history, so
+     * callers should change the key whenever a slice's match/good changes.
+     * @param {Record<string, { match: (ev: object) => boolean, good: (ev: object) => boolean }>} specs
+     */
+    trackSlices(specs) {
+      slices = Object.fromEntries(
+        Object.entries(specs).map(([k, { match, good }]) => {
+          const prev = slices[k];
+          return [k, { match, good, total: prev?.total || new Uint32Array(capacity), bad: prev?.bad || new Uint32Array(capacity) }];
+        })
+      );
+      rollup?.trackSlices(Object.keys(specs));
+    },
+
+    recordCpu(ts, cpu) {
+      const i = slotFor(Math.floor(ts / SEC));
+      if (i < 0) return;
+      cpuSum[i] += cpu;
+      cpuN[i] += 1;
+    },
+
+    /**
+     * Good/bad counts over the trailing `seconds` (inclusive cutoff, like the
+     * raw-event path). With `bakeSLI` slow successes count as bad.
+     */
+    counts(seconds, now, { bakeSLI = true } = {}) {
+      if (rollup && seconds > retentionSec) return rollup.counts(seconds, now, { bakeSLI });
+      let t = 0;
+      let bad = 0;
+      for (const i of slots(seconds, now)) {
+        t += total[i];
+        bad += failed[i] + (bakeSLI ? slow[i] : 0);
+      }
+      return { total: t, bad };
+    },
+
+    // Good/bad counts of a tracked slice (zeros if it is not tracked).
+    sliceCounts(key, seconds, now) {
+      if (rollup && seconds > retentionSec) return rollup.counts(seconds, now, { slice: key });
+      const sl = slices[key];
+      let t = 0;
+      let bad = 0;
+      if (!sl) return { total: 0, bad: 0 };
+      for (const i of slots(seconds, now)) {
+        t += sl.total[i];
+        bad += sl.bad[i];
+      }
+      return { total: t, bad };
+    },
+
+    // Sum of a named counter over the trailing `seconds`.
+    counter(name, seconds, now) {
+      let n = 0;
+      for (const i of slots(seconds, now)) n += named[name][i];
+      return n;
+    },
+
+    latencyPercentile(seconds, now, p) {
+      const merged = new Uint32Array(LATENCY_BINS);
+      for (const i of slots(seconds, now)) {
+        for (let b = 0; b < LATENCY_BINS; b++) merged[b] += hist[i * LATENCY_BINS + b];
+      }
+      return histogramPercentile(merged, p);
+    },
+
+    /**
+     * One point per second over the trailing `seconds`, oldest first; seconds
+     * without data are zero-filled (p95 and cpu are NaN there).
+     */
+    series(seconds, now, { bakeSLI = true, p = 95 } = {}) {
+      const nowSec = Math.floor(now / SEC);
+      const out = [];
+      for (let sec = nowSec - Math.floor(seconds); sec <= nowSec; sec++) {
+        const i = ((sec % capacity) + capacity) % capacity;
+        if (secs[i] !== sec) {
+          out.push({ ts: sec * SEC, total: 0, bad: 0, p95: NaN, cpu: NaN });
+          continue;
+        }
+        out.push({
+          ts: sec * SEC,
+          total: total[i],
+          bad: failed[i] + (bakeSLI ? slow[i] : 0),
+          p95: histogramPercentile(hist.subarray(i * LATENCY_BINS, (i + 1) * LATENCY_BINS), p),
+          cpu: cpuN[i] ? cpuSum[i] / cpuN[i] : NaN,
+        });
+      }
+      return out;
+    },
+
+    /**
+     * Coarse good/bad per bucket over the trailing `seconds`, oldest first
+     * and zero-filled; `slice` reads a tracked slice instead of the policy.
+     */
+    coarseSeries(seconds, now, opts) {
+      return rollup ? rollup.series(seconds, now, opts) : [];
+    },
+
+    clear() {
+      secs.fill(NaN);
+      head = -Infinity;
+      rollup?.clear();
+    },
+
+    /**
+     * Plain-JSON copy of every second (and coarse bucket) held, for saving a
+     * session; histograms are stored sparsely as [bin, count] pairs.
+     */
+    snapshot() {
+      const keys = Object.keys(slices);
+      const rows = [];
+      for (let i = 0; i < capacity; i++) {
+        if (Number.isNaN(secs[i])) continue;
+        const bins = [];
+        for (let b = 0; b < LATENCY_BINS; b++) {
+          const c = hist[i * LATENCY_BINS + b];
+          if (c) bins.push([b, c]);
+        }
+        rows.push([
+          secs[i],
+          total[i],
+          failed[i],
+          slow[i],
+          cpuSum[i],
+          cpuN[i],
+          bins,
+          names.map((k) => named[k][i]),
+          keys.map((k) => [slices[k].total[i], slices[k].bad[i]]),
+        ]);
+      }
+      return { retentionSec, counters: names, head, slices: keys, rows, coarse: rollup?.snapshot() ?? null };
+    },
+
+    /**
+     * Replace the contents with a snapshot() of a store built with the same
+     * options. Slices in the snapshot that are not tracked yet keep their
+     * counts (and count nothing new) until trackSlices() names them.
+     */
+    restore(snap) {
+      if (snap.retentionSec !== retentionSec || snap.counters.join() !== names.join() || !snap.coarse !== !rollup) {
+        throw new Error("metrics snapshot was taken from a differently configured store");
+      }
+      secs.fill(NaN);
+      for (const k of snap.slices) {
+        if (!slices[k]) slices[k] = { match: () => false, good: () => false, total: new Uint32Array(capacity), bad: new Uint32Array(capacity) };
+      }
+      head = snap.head;
+      for (const [sec, t, f, sl, sum, n, bins, counts, hits] of snap.rows) {
+        const i = ((sec % capacity) + capacity) % capacity;
+        secs[i] = sec;
+        total[i] = t;
+        failed[i] = f;
+        slow[i] = sl;
+        cpuSum[i] = sum;
+        cpuN[i] = n;
+        hist.fill(0, i * LATENCY_BINS, (i + 1) * LATENCY_BINS);
+        for (const [b, c] of bins) hist[i * LATENCY_BINS + b] = c;
+        names.forEach((k, j) => (named[k][i] = counts[j]));
+        snap.slices.forEach((k, j) => {
+          slices[k].total[i] = hits[j][0];
+          slices[k].bad[i] = hits[j][1];
+        });
+      }
+      if (rollup) rollup.restore(snap.coarse);
+    },
+  };
+}
@@ -0,0 +1,180 @@
+import { describe, expect, it } from "vitest";
+import { burnStats, evaluateMwmbWith, GOOGLE_MWMB, statsFromCounts } from "../slo/index.js";
+import { createSimulation, SCENARIOS, TICK_MS } from "../sim/index.js";
+import { createMetricsStore } from "./store.js";
+
+const slo = { availabilityTarget: 99.5, latencyP95Target: 800, bakeSLI: true };
+const RETENTION = GOOGLE_MWMB.ticketB.long;
+
+describe("createMetricsStore", () => {
+  it("matches raw-event burn stats for every MWMB window", () => {
+    const sim = createSimulation({ seed: "buckets" });
+    const store = createMetricsStore({ retentionSec: RETENTION });
+    const logs = [];
+    for (let i = 0; i < 400; i++) {
+      const { events } = sim.tick({ scenario: SCENARIOS[i < 300 ? "Calm" : "K8s Network Meltdown"], slo });
+      store.add(events);
+      logs.push(...events);
+    }
+    const now = sim.clock.now();
+    for (const w of Object.values(GOOGLE_MWMB)) {
+      for (const seconds of [w.short, w.long]) {
+        const raw = burnStats(logs, seconds, { slo, clock: sim.clock });
+        const agg = statsFromCounts(store.counts(seconds, now, slo), slo.availabilityTarget);
+        expect(agg).toEqual(raw);
+      }
+    }
+  });
+
+  it("keeps agreeing with raw-event burn stats after the latency target changes", () => {
+    const sim = createSimulation({ seed: "retarget" });
+    const store = createMetricsStore({ retentionSec: 600 });
+    const logs = [];
+    for (let i = 0; i < 120; i++) {
+      const { events } = sim.tick({ scenario: SCENARIOS["K8s Network Meltdown"], slo: i < 60 ? slo : { ...slo, latencyP95Target: 300 } });
+      store.add(events);
+      logs.push(...events);
+    }
+    for (const latencyP95Target of [300, 800, 5000]) {
+      const current = { ...slo, latencyP95Target };
+      const raw = burnStats(logs, 600, { slo: current, clock: sim.clock });
+      expect(statsFromCounts(store.counts(600, sim.clock.now(), current), slo.availabilityTarget)).toEqual(raw);
+    }
+  });
+
+  it("only counts failures when the SLI is not baked", () => {
+    const store = createMetricsStore({ retentionSec: 60 });
+    store.add([
+      { ts: 1000, is_successful: false },
+      { ts: 1000, is_successful: true, is_slo_compliant: false },
+      { ts: 2000, is_successful: true, is_slo_compliant: true },
+    ]);
+    expect(store.counts(60, 2000)).toEqual({ total: 3, bad: 2 });
+    expect(store.counts(60, 2000, { bakeSLI: false })).toEqual({ total: 3, bad: 1 });
+  });
+
+  it("recycles ring slots older than the retention", () => {
+    const store = createMetricsStore({ retentionSec: 10 });
+    for (let s = 0; s < 30; s++) store.add([{ ts: s * 1000, is_successful: true, latency_ms: 50 }]);
+    expect(store.counts(1000, 29_000).total).toBe(12);
+    expect(store.counts(5, 29_000).total).toBe(6);
+    // late events outside the ring are dropped
+    store.add([{ ts: 0, is_successful: false, latency_ms: 50 }]);
+    expect(store.counts(1000, 29_000).bad).toBe(0);
+  });
+
+  it("sums named counters over the window", () => {
+    const store = createMetricsStore({
+      retentionSec: 60,
+      counters: { promo: (ev) => ev.event_type === "add_promo_code" },
+    });
+    store.add([
+      { ts: 1000, is_successful: true, event_type: "add_promo_code" },
+      { ts: 50_000, is_successful: true, event_type: "add_promo_code" },
+      { ts: 50_000, is_successful: true, event_type: "page_view" },
+    ]);
+    expect(store.counter("promo", 60, 50_000)).toBe(2);
+    expect(store.counter("promo", 10, 50_000)).toBe(1);
+  });
+
+  it("tracks slices with their own goodness and keeps history across re-tracking", () => {
+    const store = createMetricsStore({ retentionSec: 60 });
+    const pay = { match: (ev) => ev.event_type === "submit_payment", good: (ev) => ev.is_successful };
+    store.trackSlices({ pay });
+    store.add([
+      { ts: 1000, is_successful: false, event_type: "submit_payment" },
+      { ts: 1000, is_successful: true, event_type: "submit_payment" },
+      { ts: 1000, is_successful: false, event_type: "page_view" },
+    ]);
+    expect(store.sliceCounts("pay", 60, 1000)).toEqual({ total: 2, bad: 1 });
+
+    store.trackSlices({ pay, fast: { match: () => true, good: (ev) => ev.latency_ms <= 100 } });
+    store.add([{ ts: 2000, is_successful: true, event_type: "submit_payment", latency_ms: 300 }]);
+    expect(store.sliceCounts("pay", 60, 2000)).toEqual({ total: 3, bad: 1 });
+    expect(store.sliceCounts("fast", 60, 2000)).toEqual({ total: 1, bad: 1 });
+    expect(store.sliceCounts("gone", 60, 2000)).toEqual({ total: 0, bad: 0 });
+  });
+
+  it("answers windows beyond the fine retention from coarse buckets", () => {
+    const store = createMetricsStore({ retentionSec: 60, coarse: { bucketSec: 60, retentionSec: 3600 } });
+    store.trackSlices({ all: { match: () => true, good: (ev) => ev.is_successful } });
+    for (let s = 0; s < 600; s++) {
+      store.add([{ ts: s * 1000, is_successful: s % 10 !== 0, is_slo_compliant: s % 5 !== 1, latency_ms: 50 }]);
+    }
+    expect(store.counts(60, 599_000)).toEqual({ total: 61, bad: 6 + 12 });
+    expect(store.counts(600, 599_000)).toEqual({ total: 600, bad: 180 });
+    expect(store.counts(600, 599_000, { bakeSLI: false })).toEqual({ total: 600, bad: 60 });
+    expect(store.sliceCounts("all", 600, 599_000)).toEqual({ total: 600, bad: 60 });
+
+    const series = store.coarseSeries(900, 599_000, { slice: "all" });
+    expect(series).toHaveLength(16);
+    expect([series[0].ts, series.at(-1).ts]).toEqual([-360_000, 540_000]);
+    expect(series.at(-1)).toEqual({ ts: 540_000, total: 60, bad: 6 });
+    expect(series[0].total).toBe(0);
+  });
+
+  it("approximates latency percentiles from the histogram", () => {
+    const store = createMetricsStore({ retentionSec: 60 });
+    const events = Array.from({ length: 1000 }, (_, i) => ({
+      ts: 10_000 + (i % 60) * 1000,
+      is_successful: true,
+      latency_ms: i + 1,
+    }));
+    store.add(events);
+    const p95 = store.latencyPercentile(60, 69_000, 95);
+    expect(Math.abs(p95 - 950) / 950).toBeLessThan(0.15);
+  });
+
+  it("returns a zero-filled per-second series with cpu samples", () => {
+    const store = createMetricsStore({ retentionSec: 60 });
+    store.add([{ ts: 5000, is_successful: false, latency_ms: 100 }]);
+    store.recordCpu(5000, 40);
+    store.recordCpu(5000, 60);
+    const series = store.series(3, 6000);
+    expect(series.map((b) => b.ts)).toEqual([3000, 4000, 5000, 6000]);
+    expect(series[2]).toMatchObject({ total: 1, bad: 1, cpu: 50 });
+    expect(series[3].total).toBe(0);
+    expect(series[3].cpu).toBeNaN();
+  });
+
+  it("restores a JSON snapshot into a fresh store, slices included", () => {
+    const opts = { retentionSec: 60, counters: { slow: (ev) => ev.latency_ms > 500 }, coarse: { bucketSec: 60, retentionSec: 3600 } };
+    const all = { match: () => true, good: (ev) => ev.is_successful };
+    const a = createMetricsStore(opts);
+    a.trackSlices({ all });
+    for (let s = 0; s < 300; s++) {
+      a.add([{ ts: s * 1000, is_successful: s % 7 !== 0, is_slo_compliant: s % 3 !== 0, latency_ms: 40 + s * 3 }]);
+      a.recordCpu(s * 1000, 20 + (s % 50));
+    }
+    const b = createMetricsStore(opts);
+    b.restore(JSON.parse(JSON.stringify(a.snapshot())));
+    const now = 299_000;
+    expect(b.series(60, now)).toEqual(a.series(60, now));
+    expect(b.counts(600, now)).toEqual(a.counts(600, now));
+    expect(b.counter("slow", 60, now)).toBe(a.counter("slow", 60, now));
+    expect(b.latencyPercentile(60, now, 99)).toBe(a.latencyPercentile(60, now, 99));
+    // slice counts survive until the slice is tracked again, then keep counting
+    expect(b.sliceCounts("all", 60, now)).toEqual(a.sliceCounts("all", 60, now));
+    b.trackSlices({ all });
+    a.add([{ ts: now, is_successful: false, latency_ms: 10 }]);
+    b.add([{ ts: now, is_successful: false, latency_ms: 10 }]);
+    expect(b.sliceCounts("all", 600, now)).toEqual(a.sliceCounts("all", 600, now));
+    expect(b.coarseSeries(600, now, { slice: "all" })).toEqual(a.coarseSeries(600, now, { slice: "all" }));
+
+    expect(() => createMetricsStore({ retentionSec: 30 }).restore(a.snapshot())).toThrow(/differently configured/);
+  });
+
+  it("lets the 3-day ticket pair fire after a fast-forwarded incident", () => {
+    const sim = createSimulation({ seed: "ticketB" });
+    const store = createMetricsStore({ retentionSec: RETENTION });
+    const ticks = Math.ceil((GOOGLE_MWMB.ticketB.long * 1000) / TICK_MS);
+    for (let i = 0; i < ticks; i++) store.add(sim.tick({ scenario: SCENARIOS["K8s Network Meltdown"], slo }).events);
+    const now = sim.clock.now();
+    const out = evaluateMwmbWith(
+      (seconds) => statsFromCounts(store.counts(seconds, now, slo), slo.availabilityTarget),
+      { pairs: GOOGLE_MWMB }
+    );
+    expect(out.ticketA.fired).toBe(true);
+    expect(out.ticketB.fired).toBe(true);
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Delivery: POST a notification's requests and summarise the outcome as a
+ * delivery-log entry. Failures are recorded, never thrown.
+ */
+
+import { buildRequests } from "./receivers.js";
+
+export const DELIVERY_LOG_CAP = 100;
+
+/**
+ * @returns {Promise<{ at: number, receiver: string, kind: string, groupKey: string, status: string,
+ *   alerts: number, ok: boolean, results: { url: string, ok: boolean, status?: number, error?: string }[] }>}
+ */
+export async function deliver(notification, ctx = {}, fetchImpl = globalThis.fetch) {
+  const { receiver } = notification;
+  const results = [];
+  for (const req of buildRequests(receiver, notification, ctx)) {
+    try {
+      const res = await fetchImpl(req.url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(req.body),
+      });
+      results.push({ url: req.url, ok: res.ok, status: res.status });
+    } catch (e) {
+      results.push({ url: req.url, ok: false, error: e.message });
+    }
+  }
+  return {
+    at: notification.at,
+    receiver: receiver.name,
+    kind: receiver.kind,
+    groupKey: notification.groupKey,
+    status: notification.status,
+    alerts: notification.firing.length + notification.resolved.length,
+    ok: results.every((r) => r.ok),
+    results,
+  };
+}
+
+/** A one-alert notification for the "Send test" button. */
+export function testNotification(receiver, now) {
+  const alert = {
+    id: `test-${now}`,
+    type: "Test notification",
+    severity: "P3",
+    route: "ticket",
+    state: "firing",
+    message: "Sent from SLO Burn Lab to check this receiver",
+    createdAt: now,
+    firingAt: now,
+  };
+  return { groupKey: `test:${receiver.name}`, receiver, groupLabels: {}, status: "firing", firing: [alert], resolved: [], at: now };
+}
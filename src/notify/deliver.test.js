@@ -0,0 +1,39 @@
+import { afterEach, describe, expect, it } from "vitest";
+import { createMockReceiver } from "../../server/mockReceiver.js";
+import { deliver, testNotification } from "./index.js";
+
+let receiver;
+afterEach(() => receiver?.close());
+
+describe("delivery", () => {
+  it("delivers every receiver kind to the local mock receiver", async () => {
+    receiver = createMockReceiver();
+    const base = await receiver.listen(0);
+    const targets = [
+      { name: "hook", kind: "webhook", url: `${base}/webhook` },
+      { name: "am", kind: "alertmanager", url: base },
+      { name: "pd", kind: "pagerduty", url: `${base}/v2/enqueue`, routingKey: "rk" },
+    ];
+    for (const r of targets) {
+      const entry = await deliver(testNotification(r, 0));
+      expect(entry).toMatchObject({ receiver: r.name, kind: r.kind, status: "firing", alerts: 1, ok: true });
+    }
+    expect(receiver.received.map((e) => [e.kind, e.path])).toEqual([
+      ["webhook", "/webhook"],
+      ["alertmanager", "/api/v2/alerts"],
+      ["pagerduty", "/v2/enqueue"],
+    ]);
+    expect(receiver.received[2].body).toMatchObject({ routing_key: "rk", event_action: "trigger" });
+  });
+
+  it("logs failed deliveries instead of throwing", async () => {
+    receiver = createMockReceiver({ status: 500 });
+    const base = await receiver.listen(0);
+    const failing = await deliver(testNotification({ name: "hook", kind: "webhook", url: base }, 0));
+    expect(failing).toMatchObject({ ok: false, results: [{ ok: false, status: 500 }] });
+    const down = await deliver(testNotification({ name: "hook", kind: "webhook", url: base }, 0), {}, () => {
+      throw new Error("connection refused");
+    });
+    expect(down.results[0]).toMatchObject({ ok: false, error: "connection refused" });
+  });
+});
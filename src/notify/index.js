@@ -0,0 +1,3 @@
+export * from "./receivers.js";
+export * from "./router.js";
+export * from "./deliver.js";
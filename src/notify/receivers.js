@@ -0,0 +1,121 @@
+/**
+ * Receiver payloads: turn one group notification into the HTTP requests a
+ * receiver expects.
+ *
+ *   webhook       Alertmanager-style webhook JSON (version "4"), one POST per group
+ *   alertmanager  Prometheus Alertmanager v2 – POST <url>/api/v2/alerts, one per group
+ *   pagerduty     PagerDuty Events API v2 – one trigger/resolve event per alert
+ *
+ * A notification is `{ groupKey, groupLabels, status, firing, resolved, at }`
+ * with alerts as kept by alertLifecycle.js; timestamps are sim time.
+ */
+
+export const RECEIVER_KINDS = {
+  webhook: { label: "JSON webhook", defaultUrl: "http://localhost:9099/webhook" },
+  alertmanager: { label: "Alertmanager v2", defaultUrl: "http://localhost:9099" },
+  pagerduty: { label: "PagerDuty Events v2", defaultUrl: "http://localhost:9099/v2/enqueue", routingKey: true },
+};
+
+// Fields an alert can be grouped by, as labels on every payload.
+export const ALERT_LABELS = ["alertname", "severity", "route", "slo"];
+
+const PD_SEVERITY = { P0: "critical", P1: "error", P2: "warning", P3: "info" };
+
+// Alertmanager's zero time: "not resolved yet".
+const ZERO_TIME = "0001-01-01T00:00:00Z";
+
+const iso = (ms) => new Date(ms).toISOString();
+
+export function alertLabels(alert, extra = {}) {
+  return {
+    ...extra,
+    alertname: alert.type,
+    severity: alert.severity,
+    route: alert.route ?? "none",
+    slo: alert.slo ?? "overall",
+  };
+}
+
+function commonLabels(labelSets) {
+  const [first = {}, ...rest] = labelSets;
+  return Object.fromEntries(Object.entries(first).filter(([k, v]) => rest.every((l) => l[k] === v)));
+}
+
+function amAlert(a, ctx) {
+  return {
+    labels: alertLabels(a, ctx.labels),
+    annotations: { summary: a.type, description: a.message },
+    startsAt: iso(a.firingAt ?? a.createdAt),
+  };
+}
+
+function webhook(receiver, n, ctx) {
+  const alerts = [...n.firing, ...n.resolved].map((a) => ({
+    status: a.state === "resolved" ? "resolved" : "firing",
+    ...amAlert(a, ctx),
+    endsAt: a.resolvedAt ? iso(a.resolvedAt) : ZERO_TIME,
+    fingerprint: a.id,
+  }));
+  return [
+    {
+      url: receiver.url,
+      body: {
+        version: "4",
+        groupKey: n.groupKey,
+        truncatedAlerts: 0,
+        status: n.status,
+        receiver: receiver.name,
+        groupLabels: n.groupLabels,
+        commonLabels: commonLabels(alerts.map((a) => a.labels)),
+        externalURL: ctx.externalURL ?? "",
+        alerts,
+      },
+    },
+  ];
+}
+
+function alertmanager(receiver, n, ctx) {
+  const body = [...n.firing, ...n.resolved].map((a) => ({
+    ...amAlert(a, ctx),
+    ...(a.resolvedAt ? { endsAt: iso(a.resolvedAt) } : {}),
+    ...(ctx.externalURL ? { generatorURL: ctx.externalURL } : {}),
+  }));
+  return [{ url: `${receiver.url.replace(/\/+$/, "")}/api/v2/alerts`, body }];
+}
+
+function pagerduty(receiver, n, ctx) {
+  const trigger = n.firing.map((a) => ({
+    url: receiver.url,
+    body: {
+      routing_key: receiver.routingKey,
+      event_action: "trigger",
+      dedup_key: a.id,
+      payload: {
+        summary: `${a.type}: ${a.message}`.slice(0, 1024),
+        source: ctx.source ?? "slo-burn-lab",
+        severity: PD_SEVERITY[a.severity] ?? "warning",
+        timestamp: iso(a.firingAt ?? a.createdAt),
+        component: a.slo ?? "overall",
+        class: a.route ?? "none",
+        custom_details: alertLabels(a, ctx.labels),
+      },
+    },
+  }));
+  const resolve = n.resolved.map((a) => ({
+    url: receiver.url,
+    body: { routing_key: receiver.routingKey, event_action: "resolve", dedup_key: a.id },
+  }));
+  return [...trigger, ...resolve];
+}
+
+const BUILDERS = { webhook, alertmanager, pagerduty };
+
+/**
+ * @param {{ name: string, kind: string, url: string, routingKey?: string }} receiver
+ * @param {object} notification see module doc
+ * @param {{ source?: string, externalURL?: string, labels?: object }} [ctx] extra labels go on every alert
+ * @returns {{ url: string, body: object }[]} JSON POSTs to make, in order
+ */
+export function buildRequests(receiver, notification, ctx = {}) {
+  return BUILDERS[receiver.kind](receiver, notification, ctx);
+}
@@ -0,0 +1,53 @@
+import { describe, expect, it } from "vitest";
+import { buildRequests } from "./index.js";
+
+const T0 = Date.UTC(2025, 0, 6, 9, 0, 0);
+const firing = { id: "a1", type: "Page: 1h & 5m @14.4x", severity: "P0", route: "page", state: "firing", message: "burning", createdAt: T0, firingAt: T0 + 1000 };
+const resolved = { id: "a2", type: "Checkout • Ticket: 24h & 2h @3x", severity: "P2", route: "ticket", slo: "checkout", state: "resolved", message: "slow burn", createdAt: T0, firingAt: T0, resolvedAt: T0 + 5000 };
+const notification = { groupKey: "0:r:{}", groupLabels: {}, status: "firing", firing: [firing], resolved: [resolved], at: T0 + 5000 };
+const ctx = { source: "slo-burn-lab", labels: { tier: "Tier-1" } };
+
+describe("receiver payloads", () => {
+  it("builds an Alertmanager-style webhook body", () => {
+    const [req] = buildRequests({ name: "hook", kind: "webhook", url: "http://h/hook" }, notification, ctx);
+    expect(req.url).toBe("http://h/hook");
+    expect(req.body).toMatchObject({ version: "4", groupKey: "0:r:{}", status: "firing", receiver: "hook", commonLabels: { tier: "Tier-1" } });
+    expect(req.body.alerts).toEqual([
+      {
+        status: "firing",
+        labels: { tier: "Tier-1", alertname: firing.type, severity: "P0", route: "page", slo: "overall" },
+        annotations: { summary: firing.type, description: "burning" },
+        startsAt: "2025-01-06T09:00:01.000Z",
+        endsAt: "0001-01-01T00:00:00Z",
+        fingerprint: "a1",
+      },
+      {
+        status: "resolved",
+        labels: { tier: "Tier-1", alertname: resolved.type, severity: "P2", route: "ticket", slo: "checkout" },
+        annotations: { summary: resolved.type, description: "slow burn" },
+        startsAt: "2025-01-06T09:00:00.000Z",
+        endsAt: "2025-01-06T09:00:05.000Z",
+        fingerprint: "a2",
+      },
+    ]);
+  });
+
+  it("posts Alertmanager v2 alerts, with endsAt only once resolved", () => {
+    const [req] = buildRequests({ name: "am", kind: "alertmanager", url: "http://am:9093/" }, notification, ctx);
+    expect(req.url).toBe("http://am:9093/api/v2/alerts");
+    expect(req.body).toHaveLength(2);
+    expect(req.body[0]).not.toHaveProperty("endsAt");
+    expect(req.body[1].endsAt).toBe("2025-01-06T09:00:05.000Z");
+  });
+
+  it("sends one PagerDuty event per alert, deduplicated by alert id", () => {
+    const reqs = buildRequests({ name: "pd", kind: "pagerduty", url: "http://pd/v2/enqueue", routingKey: "rk" }, notification, ctx);
+    expect(reqs.map((r) => r.body.event_action)).toEqual(["trigger", "resolve"]);
+    expect(reqs[0].body).toMatchObject({
+      routing_key: "rk",
+      dedup_key: "a1",
+      payload: { summary: `${firing.type}: burning`, source: "slo-burn-lab", severity: "critical", component: "overall", class: "page" },
+    });
+    expect(reqs[1].body).toEqual({ routing_key: "rk", event_action: "resolve", dedup_key: "a2" });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Notification routing, Alertmanager-style. Firing alerts (flapping ones are
+ * suppressed) are matched to routes by severity, grouped by label values and
+ * sent to the route's receiver:
+ *
+ *   {
+ *     receivers: [{ name: "pager", kind: "pagerduty", url, routingKey, enabled: true }],
+ *     routes: [
+ *       { receiver: "pager", severities: ["P0", "P1"], groupBy: ["slo"],
+ *         groupWait: "30s", groupInterval: "5m", repeatInterval: "4h" },
+ *     ],
+ *   }
+ *
+ * An alert goes to every route whose severities include it. A group first
+ * notifies `groupWait` after its first alert; when alerts join or resolve it
+ * notifies again once `groupInterval` has passed since the last notification,
+ * and while nothing changes it repeats every `repeatInterval`. A notified
+ * alert that starts flapping is sent once more as resolved, so receivers do
+ * not keep it open while it is suppressed. Durations are real time,
+ * demo-scaled like alert windows.
+ */
+
+import { DEMO_HOUR_SEC, parseDuration } from "../slo/index.js";
+import { ALERT_LABELS, alertLabels, RECEIVER_KINDS } from "./receivers.js";
+
+export const NOTIFY_STORAGE_KEY = "slo-burn-lab:notify";
+
+export const NOTIFY_SEVERITIES = ["P0", "P1", "P2", "P3"];
+
+const timings = { groupWait: "30s", groupInterval: "5m", repeatInterval: "4h" };
+
+export const DEFAULT_NOTIFY_CONFIG = {
+  receivers: [
+    { name: "mock-pagerduty", kind: "pagerduty", url: RECEIVER_KINDS.pagerduty.defaultUrl, routingKey: "slo-burn-lab", enabled: false },
+    { name: "mock-alertmanager", kind: "alertmanager", url: RECEIVER_KINDS.alertmanager.defaultUrl, enabled: false },
+    { name: "mock-webhook", kind: "webhook", url: RECEIVER_KINDS.webhook.defaultUrl, enabled: false },
+  ],
+  routes: [
+    { receiver: "mock-pagerduty", severities: ["P0", "P1"], groupBy: ["alertname"], ...timings },
+    { receiver: "mock-alertmanager", severities: [...NOTIFY_SEVERITIES], groupBy: ["slo"], ...timings },
+    { receiver: "mock-webhook", severities: ["P2", "P3"], groupBy: [], ...timings },
+  ],
+};
+
+/**
+ * @returns {string[]} problems with a notification config (empty when valid)
+ */
+export function validateNotifyConfig(config) {
+  if (!config || typeof config !== "object") return ["config must be an object"];
+  const errors = [];
+  const names = new Set();
+  (config.receivers || []).forEach((r, i) => {
+    const at = `receivers[${i}]${r?.name ? ` (${r.name})` : ""}`;
+    if (!r?.name) errors.push(`${at}.name is required`);
+    else if (names.has(r.name)) errors.push(`${at}: duplicate name`);
+    names.add(r?.name);
+    const kind = RECEIVER_KINDS[r?.kind];
+    if (!kind) errors.push(`${at}.kind must be one of ${Object.keys(RECEIVER_KINDS).join(", ")}`);
+    if (!/^https?:\/\/\S+$/.test(r?.url || "")) errors.push(`${at}.url must be an http(s) URL`);
+    if (kind?.routingKey && !r.routingKey) errors.push(`${at}.routingKey is required`);
+  });
+  (config.routes || []).forEach((r, i) => {
+    const at = `routes[${i}]`;
+    if (!names.has(r?.receiver)) errors.push(`${at}.receiver must name a receiver`);
+    if (!Array.isArray(r?.severities) || r.severities.some((s) => !NOTIFY_SEVERITIES.includes(s))) {
+      errors.push(`${at}.severities must be a list of ${NOTIFY_SEVERITIES.join(", ")}`);
+    }
+    if (!Array.isArray(r?.groupBy) || r.groupBy.some((f) => !ALERT_LABELS.includes(f))) {
+      errors.push(`${at}.groupBy must be a list of ${ALERT_LABELS.join(", ")}`);
+    }
+    for (const key of Object.keys(timings)) {
+      if (!(parseDuration(r?.[key]) >= 0)) errors.push(`${at}.${key} must be a duration like 30s, 5m or 4h`);
+    }
+  });
+  return errors;
+}
+
+const ids = (alerts) => alerts.map((a) => a.id).sort().join(",");
+
+/**
+ * Step the notification groups at sim time `now`.
+ * @param {object} groups state from the previous call ({} to start)
+ * @param {object[]} alerts current alerts (alertLifecycle.js)
+ * @returns {{ groups: object, notifications: object[] }} notifications due now,
+ *   each `{ groupKey, receiver, groupLabels, status, firing, resolved, at }`
+ */
+export function planNotifications(groups, alerts, now, config, demoHourSec = DEMO_HOUR_SEC) {
+  const ms = (d) => (parseDuration(d) / 3600) * demoHourSec * 1000;
+  const receivers = new Map(config.receivers.filter((r) => r.enabled).map((r) => [r.name, r]));
+  const byId = new Map(alerts.map((a) => [a.id, a]));
+
+  const seen = {};
+  config.routes.forEach((route, i) => {
+    if (!receivers.has(route.receiver)) return;
+    for (const a of alerts) {
+      if (a.state !== "firing" || a.flapping || !route.severities.includes(a.severity)) continue;
+      const labels = alertLabels(a);
+      const groupLabels = Object.fromEntries(route.groupBy.map((f) => [f, labels[f]]));
+      const key = `${i}:${route.receiver}:${JSON.stringify(groupLabels)}`;
+      (seen[key] ??= { route: i, groupLabels, firing: [] }).firing.push(a);
+    }
+  });
+
+  const next = {};
+  const notifications = [];
+  for (const key of new Set([...Object.keys(groups), ...Object.keys(seen)])) {
+    const g = groups[key] ?? {
+      route: seen[key].route,
+      groupLabels: seen[key].groupLabels,
+      firstSeen: now,
+      lastSent: null,
+      lastHash: "",
+      sent: [],
+    };
+    const route = config.routes[g.route];
+    if (!route || !receivers.has(route.receiver)) continue;
+    const firing = seen[key]?.firing ?? [];
+    const resolved = g.sent
+      .filter((id) => !firing.some((a) => a.id === id))
+      .map((id) => byId.get(id))
+      .filter((a) => a?.state === "resolved" || a?.flapping)
+      .map((a) => (a.state === "resolved" ? a : { ...a, state: "resolved", resolvedAt: now }));
+    if (!firing.length && !resolved.length) continue;
+
+    const hash = `${ids(firing)}|${ids(resolved)}`;
+    const due =
+      g.lastSent == null
+        ? now - g.firstSeen >= ms(route.groupWait)
+        : hash !== g.lastHash
+          ? now - g.lastSent >= ms(route.groupInterval)
+          : firing.length > 0 && now - g.lastSent >= ms(route.repeatInterval);
+    if (!due) {
+      next[key] = g;
+      continue;
+    }
+    notifications.push({
+      groupKey: key,
+      receiver: receivers.get(route.receiver),
+      groupLabels: g.groupLabels,
+      status: firing.length ? "firing" : "resolved",
+      firing,
+      resolved,
+      at: now,
+    });
+    if (firing.length) next[key] = { ...g, lastSent: now, lastHash: `${ids(firing)}|`, sent: firing.map((a) => a.id) };
+  }
+  return { groups: next, notifications };
+}
+
+export function loadNotifyConfig(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(NOTIFY_STORAGE_KEY);
+    const config = raw ? JSON.parse(raw) : null;
+    return config && !validateNotifyConfig(config).length ? config : DEFAULT_NOTIFY_CONFIG;
+  } catch {
+    return DEFAULT_NOTIFY_CONFIG;
+  }
+}
+
+export function saveNotifyConfig(config, storage = globalThis.localStorage) {
+  storage?.setItem(NOTIFY_STORAGE_KEY, JSON.stringify(config));
+}
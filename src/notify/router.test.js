@@ -0,0 +1,101 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_NOTIFY_CONFIG, loadNotifyConfig, planNotifications, saveNotifyConfig, validateNotifyConfig } from "./index.js";
+
+const receiver = { name: "pager", kind: "pagerduty", url: "http://localhost:9099/v2/enqueue", routingKey: "k", enabled: true };
+const route = { receiver: "pager", severities: ["P0"], groupBy: ["slo"], groupWait: "30s", groupInterval: "5m", repeatInterval: "4h" };
+const config = { receivers: [receiver], routes: [route] };
+const alert = (id, over) => ({ id, type: `burn ${id}`, severity: "P0", route: "page", state: "firing", createdAt: 0, ...over });
+
+// At DEMO_HOUR_SEC = 60: groupWait 500 ms, groupInterval 5 s, repeatInterval 240 s (sim time)
+function step(groups, alerts, now, cfg = config) {
+  return planNotifications(groups, alerts, now, cfg);
+}
+
+describe("notification routing", () => {
+  it("ships a valid default config and rejects broken ones", () => {
+    expect(validateNotifyConfig(DEFAULT_NOTIFY_CONFIG)).toEqual([]);
+    expect(
+      validateNotifyConfig({
+        receivers: [{ ...receiver, routingKey: "" }, { ...receiver, kind: "sms", url: "ftp://x" }],
+        routes: [{ ...route, receiver: "nobody", severities: ["P5"], groupBy: ["host"], groupWait: "soon" }],
+      })
+    ).toEqual([
+      "receivers[0] (pager).routingKey is required",
+      "receivers[1] (pager): duplicate name",
+      "receivers[1] (pager).kind must be one of webhook, alertmanager, pagerduty",
+      "receivers[1] (pager).url must be an http(s) URL",
+      "routes[0].receiver must name a receiver",
+      "routes[0].severities must be a list of P0, P1, P2, P3",
+      "routes[0].groupBy must be a list of alertname, severity, route, slo",
+      "routes[0].groupWait must be a duration like 30s, 5m or 4h",
+    ]);
+  });
+
+  it("routes by severity and skips disabled receivers and flapping alerts", () => {
+    const alerts = [alert("a"), alert("b", { severity: "P2" }), alert("c", { flapping: true, slo: "x" })];
+    expect(step({}, alerts, 1000, config).notifications).toEqual([]);
+    const { groups } = step({}, alerts, 0);
+    const { notifications } = step(groups, alerts, 500);
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0]).toMatchObject({ groupLabels: { slo: "overall" }, status: "firing", resolved: [] });
+    expect(notifications[0].firing.map((a) => a.id)).toEqual(["a"]);
+    const off = { ...config, receivers: [{ ...receiver, enabled: false }] };
+    expect(step(step({}, alerts, 0, off).groups, alerts, 500, off).notifications).toEqual([]);
+  });
+
+  it("waits groupWait, batches joins by groupInterval and repeats while unchanged", () => {
+    const sends = [];
+    let groups = {};
+    const timeline = [
+      [0, [alert("a")]],
+      [400, [alert("a"), alert("b")]], // joins before the first send
+      [500, [alert("a"), alert("b")]],
+      [2000, [alert("a"), alert("b"), alert("c")]], // new alert: held until groupInterval
+      [5500, [alert("a"), alert("b"), alert("c")]],
+      [100000, [alert("a"), alert("b"), alert("c")]],
+      [245500, [alert("a"), alert("b"), alert("c")]], // repeatInterval
+    ];
+    for (const [t, alerts] of timeline) {
+      const out = step(groups, alerts, t);
+      groups = out.groups;
+      sends.push(...out.notifications.map((n) => [t, n.firing.map((a) => a.id).join("")]));
+    }
+    expect(sends).toEqual([[500, "ab"], [5500, "abc"], [245500, "abc"]]);
+  });
+
+  it("sends resolved alerts once and closes the group", () => {
+    let { groups } = step({}, [alert("a"), alert("b")], 0);
+    groups = step(groups, [alert("a"), alert("b")], 500).groups;
+    const resolvedB = alert("b", { state: "resolved", resolvedAt: 1000 });
+    let out = step(groups, [alert("a"), resolvedB], 1000);
+    expect(out.notifications).toEqual([]);
+    out = step(out.groups, [alert("a"), resolvedB], 5500);
+    expect(out.notifications[0]).toMatchObject({ status: "firing" });
+    expect(out.notifications[0].resolved.map((a) => a.id)).toEqual(["b"]);
+    const all = [alert("a", { state: "resolved", resolvedAt: 6000 }), resolvedB];
+    out = step(out.groups, all, 10500);
+    expect(out.notifications[0]).toMatchObject({ status: "resolved", firing: [] });
+    expect(out.groups).toEqual({});
+    expect(step(out.groups, all, 20000).notifications).toEqual([]);
+  });
+
+  it("resolves a notified alert once it starts flapping", () => {
+    let { groups } = step({}, [alert("a"), alert("b")], 0);
+    groups = step(groups, [alert("a"), alert("b")], 500).groups;
+    const flappingB = alert("b", { flapping: true });
+    const out = step(groups, [alert("a"), flappingB], 5500);
+    expect(out.notifications[0].firing.map((a) => a.id)).toEqual(["a"]);
+    expect(out.notifications[0].resolved).toEqual([{ ...flappingB, state: "resolved", resolvedAt: 5500 }]);
+    expect(step(out.groups, [alert("a"), flappingB], 11000).notifications).toEqual([]);
+  });
+
+  it("falls back to the default config when storage holds an invalid one", () => {
+    const data = {};
+    const storage = { getItem: (k) => data[k] ?? null, setItem: (k, v) => (data[k] = v) };
+    expect(loadNotifyConfig(storage)).toBe(DEFAULT_NOTIFY_CONFIG);
+    saveNotifyConfig(config, storage);
+    expect(loadNotifyConfig(storage)).toEqual(config);
+    saveNotifyConfig({ receivers: [{}], routes: [] }, storage);
+    expect(loadNotifyConfig(storage)).toBe(DEFAULT_NOTIFY_CONFIG);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * Rule exporters: the overall SLO (see spec.js) as
+ *
+ *   prometheus  recording rules per window (`slo:sli_error:ratio_rate5m`, …)
+ *               plus one multiwindow alert rule per alert-policy rule
+ *   openslo     OpenSLO v1 SLO + AlertPolicy documents
+ *   sloth       a Sloth `prometheus/v1` spec (Sloth derives its own alerts)
+ */
+
+import { ALERT_ROUTES, COMPLIANCE_PERIODS, DEFAULT_ALERT_POLICY, parseDuration } from "../slo/index.js";
+import { budgetRatio, describeSli, exportHeader, ratio, ruleWindows, sliQueries } from "./spec.js";
+import { toYaml, toYamlDocuments } from "./yaml.js";
+
+const slug = (s) =>
+  String(s)
+    .replace(/([a-z0-9])([A-Z])/g, "$1-$2")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "");
+
+export function prometheusRules(spec, cfg) {
+  const labels = { [cfg.serviceLabel]: cfg.service };
+  const selector = `{${cfg.serviceLabel}="${cfg.service}"}`;
+  const record = (w) => `${cfg.recordPrefix}:sli_error:ratio_rate${w}`;
+  const budget = budgetRatio(spec.target);
+
+  const recording = ruleWindows(spec).map((w) => {
+    const q = sliQueries(spec, cfg, { window: w });
+    return { record: record(w), expr: `${q.errors}\n/\n${q.total}`, labels };
+  });
+  const alerting = spec.alerts.map((a) => ({
+    alert: cfg.alertName,
+    expr: a.windows.map((w) => `${record(w)}${selector} >= (${a.thr} * ${budget})`).join("\nand\n"),
+    for: parseDuration(a.for) > 0 ? a.for : undefined,
+    labels: { ...labels, severity: a.severity, route: a.route, rule: a.id, windows: a.windows.join("/") },
+    annotations: {
+      summary: `${cfg.service} is burning its error budget at ≥ ${a.thr}x`,
+      description: `SLI error ratio ≥ ${a.thr}x the ${spec.target}% SLO budget over ${a.windows.join(" and ")} (${ALERT_ROUTES[a.route]}).`,
+    },
+  }));
+
+  return toYaml(
+    {
+      groups: [
+        { name: `${cfg.service}-slo-recording`, rules: recording },
+        { name: `${cfg.service}-slo-alerts`, rules: alerting },
+      ],
+    },
+    exportHeader(spec, "Prometheus rules")
+  );
+}
+
+function timeWindow(period) {
+  const p = COMPLIANCE_PERIODS[period];
+  if (p.kind === "rolling") return { duration: `${p.days}d`, isRolling: true };
+  return {
+    duration: p.months === 3 ? "1Q" : `${p.months}M`,
+    isRolling: false,
+    calendar: { startTime: "2025-01-01 00:00:00", timeZone: "UTC" },
+  };
+}
+
+export function opensloSpec(spec, cfg) {
+  const name = slug(`${cfg.service}-${spec.bakeSLI ? "availability-latency" : "availability"}`);
+  const q = sliQueries(spec, cfg, { counter: true });
+  const source = (query) => ({ metricSource: { type: "Prometheus", spec: { query } } });
+
+  const slo = {
+    apiVersion: "openslo/v1",
+    kind: "SLO",
+    metadata: { name, displayName: `${cfg.service} ${describeSli(spec)}`, labels: { tier: spec.tier } },
+    spec: {
+      description: `${spec.target}% of ${cfg.service} requests are good (${describeSli(spec)}).`,
+      service: cfg.service,
+      indicator: {
+        metadata: { name: `${name}-sli` },
+        spec: { ratioMetric: { counter: true, bad: source(q.errors), total: source(q.total) } },
+      },
+      timeWindow: [timeWindow(spec.period)],
+      budgetingMethod: "Occurrences",
+      objectives: [{ displayName: describeSli(spec), target: ratio(spec.target) }],
+      alertPolicies: [{ alertPolicyRef: `${name}-burn-rate` }],
+    },
+  };
+  // OpenSLO burn-rate conditions have a single lookback window: the long one.
+  const policy = {
+    apiVersion: "openslo/v1",
+    kind: "AlertPolicy",
+    metadata: { name: `${name}-burn-rate`, displayName: spec.policyName },
+    spec: {
+      alertWhenBreaching: true,
+      conditions: spec.alerts.map((a) => ({
+        kind: "AlertCondition",
+        metadata: { name: slug(a.id) },
+        spec: {
+          description: `${ALERT_ROUTES[a.route]}: burn ≥ ${a.thr}x over ${a.windows.join(" and ")}`,
+          severity: a.severity,
+          condition: { kind: "burnrate", op: "gte", threshold: a.thr, lookbackWindow: a.windows[0], alertAfter: a.for },
+        },
+      })),
+    },
+  };
+  return toYamlDocuments([slo, policy], exportHeader(spec, "OpenSLO spec"));
+}
+
+// Highest severity among a route's rules (P0 beats P1 …).
+function routeSeverity(spec, route, fallback) {
+  return spec.alerts.filter((a) => a.route === route).map((a) => a.severity).sort()[0] ?? fallback;
+}
+
+const windowsKey = (alerts) =>
+  alerts
+    .map((a) => `${a.route}:${a.windows.map(parseDuration).join("/")}`)
+    .sort()
+    .join(",");
+
+export function slothSpec(spec, cfg) {
+  const q = sliQueries(spec, cfg, { window: "{{.window}}" });
+  const notes = ["Sloth derives the SRE workbook's multiwindow alerts from the objective and its SLO period."];
+  if (spec.period !== "rolling-30d") {
+    notes.push(`This SLO uses a ${COMPLIANCE_PERIODS[spec.period].label} period: match it with --default-slo-period (rolling only).`);
+  }
+  if (windowsKey(spec.alerts) !== windowsKey(DEFAULT_ALERT_POLICY.rules)) {
+    notes.push(`Alert policy "${spec.policyName}" differs from the workbook; use the Prometheus export to keep its rules.`);
+  }
+  return toYaml(
+    {
+      version: "prometheus/v1",
+      service: cfg.service,
+      labels: { tier: spec.tier },
+      slos: [
+        {
+          name: slug(`requests-${spec.bakeSLI ? "availability-latency" : "availability"}`),
+          objective: spec.target,
+          description: `${spec.target}% of ${cfg.service} requests are good (${describeSli(spec)}).`,
+          sli: { events: { error_query: q.errors, total_query: q.total } },
+          alerting: {
+            name: cfg.alertName,
+            annotations: { summary: `${cfg.service} is burning its error budget` },
+            page_alert: { labels: { severity: routeSeverity(spec, "page", "P1"), route: "page" } },
+            ticket_alert: { labels: { severity: routeSeverity(spec, "ticket", "P2"), route: "ticket" } },
+          },
+        },
+      ],
+    },
+    [...exportHeader(spec, "Sloth spec"), ...notes]
+  );
+}
+
+export const RULE_FORMATS = {
+  prometheus: { label: "Prometheus rules", render: prometheusRules, suffix: "rules.yaml" },
+  openslo: { label: "OpenSLO v1", render: opensloSpec, suffix: "openslo.yaml" },
+  sloth: { label: "Sloth prometheus/v1", render: slothSpec, suffix: "sloth.yaml" },
+};
+
+export function renderRules(format, spec, cfg) {
+  return RULE_FORMATS[format].render(spec, cfg);
+}
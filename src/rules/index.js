@@ -0,0 +1,3 @@
+export * from "./yaml.js";
+export * from "./spec.js";
+export * from "./formats.js";
@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import {
+  ALERT_POLICY_PRESETS,
+  buildPolicyPairs,
+  DEFAULT_ALERT_POLICY,
+  DEFAULT_PERIOD,
+  periodSeconds,
+  scaleMwmbToPeriod,
+  TIER_PRESETS,
+} from "../slo/index.js";
+import { DEFAULT_RULES_CONFIG, RULE_FORMATS, renderRules, sloSpec, toYaml, validateRulesConfig } from "./index.js";
+
+const T0 = Date.UTC(2025, 0, 6, 9);
+
+// The overall SLO as the game configures it for a tier preset
+function tierSpec(tier, { policy = DEFAULT_ALERT_POLICY, period = DEFAULT_PERIOD, bakeSLI = true } = {}) {
+  const pairs = scaleMwmbToPeriod(buildPolicyPairs(policy), periodSeconds(period, T0));
+  return sloSpec({ tier, ...TIER_PRESETS[tier], bakeSLI, period, policyName: policy.name, pairs });
+}
+
+describe("rule export", () => {
+  for (const tier of Object.keys(TIER_PRESETS)) {
+    for (const format of Object.keys(RULE_FORMATS)) {
+      it(`matches the ${tier} ${format} golden file`, async () => {
+        await expect(renderRules(format, tierSpec(tier), DEFAULT_RULES_CONFIG)).toMatchFileSnapshot(
+          `./__golden__/${tier.toLowerCase()}.${RULE_FORMATS[format].suffix}`
+        );
+      });
+    }
+  }
+
+  it("uses the request counter alone when the SLI is not baked", () => {
+    const out = renderRules("prometheus", tierSpec("Tier-2", { bakeSLI: false }), DEFAULT_RULES_CONFIG);
+    expect(out).toContain('sum(rate(http_requests_total{service="order_to_cash",code=~"5.."}[5m]))');
+    expect(out).not.toContain("http_request_duration_seconds");
+  });
+
+  it("honours configured metric and label names", () => {
+    const cfg = { ...DEFAULT_RULES_CONFIG, service: "checkout", serviceLabel: "job", recordPrefix: "job:checkout", alertName: "CheckoutBurn" };
+    const out = renderRules("prometheus", tierSpec("Tier-1"), cfg);
+    expect(out).toContain("record: job:checkout:sli_error:ratio_rate1h");
+    expect(out).toContain("alert: CheckoutBurn");
+    expect(out).toContain('job:checkout:sli_error:ratio_rate1h{job="checkout"} >= (14.4 * 0.005)');
+  });
+
+  it("exports three-window rules and their `for`, and flags them for Sloth", () => {
+    const policy = { ...ALERT_POLICY_PRESETS["Three-window"], lifecycle: { for: "2m" } };
+    const spec = tierSpec("Tier-1", { policy, period: "rolling-28d" });
+    const prom = renderRules("prometheus", spec, DEFAULT_RULES_CONFIG);
+    expect(prom).toMatch(/ratio_rate1h\{[^}]*\} >= \(13\.44 \* 0\.005\)\n\s+and\n.*ratio_rate15m.*\n\s+and\n.*ratio_rate5m/);
+    expect(prom).toContain("for: 2m");
+    const sloth = renderRules("sloth", spec, DEFAULT_RULES_CONFIG);
+    expect(sloth).toContain('# Alert policy "Three-window" differs from the workbook');
+    expect(sloth).toContain("# This SLO uses a 28-day rolling period");
+    expect(renderRules("openslo", tierSpec("Tier-1", { period: "calendar-quarter" }), DEFAULT_RULES_CONFIG)).toContain("duration: 1Q");
+  });
+
+  it("exports a typed threshold as written on any period", () => {
+    const { scaleThr: _, ...typed } = DEFAULT_ALERT_POLICY.rules[0];
+    const policy = { ...DEFAULT_ALERT_POLICY, rules: [typed] };
+    const prom = renderRules("prometheus", tierSpec("Tier-1", { policy, period: "rolling-28d" }), DEFAULT_RULES_CONFIG);
+    expect(prom).toContain(">= (14.4 * 0.005)");
+  });
+
+  it("validates metric and label names", () => {
+    expect(validateRulesConfig(DEFAULT_RULES_CONFIG)).toEqual([]);
+    expect(validateRulesConfig({ ...DEFAULT_RULES_CONFIG, requestsMetric: "http-requests", errorLabel: "1code", errorRegex: "(" })).toEqual([
+      "requestsMetric must be a Prometheus metric name",
+      "errorLabel must be a Prometheus label name",
+      "errorRegex must be a regular expression",
+    ]);
+  });
+
+  it("emits quoted and block YAML scalars", () => {
+    expect(toYaml({ a: "plain", b: "needs: quote's", c: "30d", d: "yes", e: [{ x: 1, z: [] }, 2], f: "one\ntwo" })).toBe(
+      "a: plain\nb: 'needs: quote''s'\nc: 30d\nd: 'yes'\ne:\n  - x: 1\n    z: []\n  - 2\nf: |-\n  one\n  two\n"
+    );
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * The overall SLO as the rule exporters see it, plus the metric and label
+ * names of the service the rules are written for.
+ *
+ * The game's SLI maps onto two Prometheus metrics: a request counter with an
+ * error label (availability) and a latency histogram (SLI baked: a request is
+ * good only if it did not error AND finished within the latency target, i.e.
+ * it landed in the `le` bucket at the target).
+ */
+
+import { COMPLIANCE_PERIODS, formatDuration, parseDuration, resolveSeverity } from "../slo/index.js";
+
+export const RULES_CONFIG_STORAGE_KEY = "slo-burn-lab:rules-config";
+
+export const DEFAULT_RULES_CONFIG = {
+  service: "order_to_cash",
+  serviceLabel: "service",
+  requestsMetric: "http_requests_total",
+  errorLabel: "code",
+  errorRegex: "5..",
+  latencyMetric: "http_request_duration_seconds",
+  recordPrefix: "slo",
+  alertName: "ErrorBudgetBurn",
+};
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+
+/**
+ * @returns {string[]} problems with a rules config (empty when valid)
+ */
+export function validateRulesConfig(cfg) {
+  const errors = [];
+  if (!cfg?.service) errors.push("service is required");
+  for (const key of ["requestsMetric", "latencyMetric", "recordPrefix"]) {
+    if (!METRIC_NAME.test(cfg?.[key] || "")) errors.push(`${key} must be a Prometheus metric name`);
+  }
+  for (const key of ["serviceLabel", "errorLabel", "alertName"]) {
+    if (!LABEL_NAME.test(cfg?.[key] || "")) errors.push(`${key} must be a Prometheus label name`);
+  }
+  try {
+    if (!cfg?.errorRegex) throw new Error();
+    new RegExp(cfg.errorRegex);
+  } catch {
+    errors.push("errorRegex must be a regular expression");
+  }
+  return errors;
+}
+
+/**
+ * Snapshot of what to export: the overall SLO, its SLI policy and period,
+ * and the alert rules compiled from the active policy (preset thresholds
+ * already scaled to the period, severities resolved for the tier).
+ */
+export function sloSpec({ tier, availabilityTarget, latencyP95Target, bakeSLI, period, policyName, pairs }) {
+  return {
+    tier,
+    target: availabilityTarget,
+    latencyThresholdMs: latencyP95Target,
+    bakeSLI,
+    period,
+    policyName,
+    alerts: Object.entries(pairs).map(([id, w]) => ({
+      id,
+      windows: w.windowsReal.map(formatDuration),
+      thr: w.thr,
+      route: w.route,
+      severity: resolveSeverity(w, tier),
+      for: formatDuration(w.forReal || 0),
+    })),
+  };
+}
+
+// Percent → ratio without float noise (99.95 → 0.9995, budget 0.0005).
+export const ratio = (pct) => Number((pct / 100).toPrecision(12));
+export const budgetRatio = (target) => Number(((100 - target) / 100).toPrecision(12));
+
+export function describeSli(spec) {
+  return spec.bakeSLI ? `availability & latency ≤ ${spec.latencyThresholdMs} ms` : "availability";
+}
+
+/**
+ * PromQL for the SLI's bad and total events. With `window` the counters are
+ * rated over it (`[5m]`, or a template such as `{{.window}}`); with
+ * `counter: true` the raw counters are returned for tools that rate them.
+ */
+export function sliQueries(spec, cfg, { window, counter = false } = {}) {
+  const svc = `${cfg.serviceLabel}="${cfg.service}"`;
+  const agg = (metric, ...matchers) => {
+    const series = `${metric}{${[svc, ...matchers].join(",")}}`;
+    return counter ? `sum(${series})` : `sum(rate(${series}[${window}]))`;
+  };
+  if (!spec.bakeSLI) {
+    return {
+      errors: agg(cfg.requestsMetric, `${cfg.errorLabel}=~"${cfg.errorRegex}"`),
+      total: agg(cfg.requestsMetric),
+    };
+  }
+  const le = String(spec.latencyThresholdMs / 1000);
+  const total = agg(`${cfg.latencyMetric}_count`);
+  const good = agg(`${cfg.latencyMetric}_bucket`, `${cfg.errorLabel}!~"${cfg.errorRegex}"`, `le="${le}"`);
+  return { errors: `(${total} - ${good})`, total };
+}
+
+// Distinct windows of all alert rules, shortest first.
+export function ruleWindows(spec) {
+  return [...new Set(spec.alerts.flatMap((a) => a.windows))].sort((a, b) => parseDuration(a) - parseDuration(b));
+}
+
+// Comment lines at the top of every export: what the file was generated from.
+export function exportHeader(spec, what) {
+  return [
+    `${what} generated by SLO Burn Lab`,
+    `${spec.tier}: SLO ${spec.target}% ${describeSli(spec)}, ${COMPLIANCE_PERIODS[spec.period].label} period`,
+    `Alert policy: ${spec.policyName} (preset thresholds scaled to the period)`,
+  ];
+}
+
+export function loadRulesConfig(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(RULES_CONFIG_STORAGE_KEY);
+    const cfg = { ...DEFAULT_RULES_CONFIG, ...(raw ? JSON.parse(raw) : {}) };
+    return validateRulesConfig(cfg).length ? DEFAULT_RULES_CONFIG : cfg;
+  } catch {
+    return DEFAULT_RULES_CONFIG;
+  }
+}
+
+export function saveRulesConfig(cfg, storage = globalThis.localStorage) {
+  storage?.setItem(RULES_CONFIG_STORAGE_KEY, JSON.stringify(cfg));
+}
@@ -0,0 +1,56 @@
+/**
+ * Minimal YAML emitter for the rule exporters: block-style maps and lists,
+ * plain scalars where safe, single quotes otherwise, `|-` for multi-line
+ * strings. Keys keep insertion order; undefined values are skipped.
+ */
+
+const PLAIN = /^[A-Za-z_][\w.:/-]*$|^\d+[smhdwMQY]$/;
+const RESERVED = /^(true|false|null|yes|no|on|off|y|n|~)$/i;
+
+const pad = (n) => " ".repeat(n);
+const isBlock = (v) => v !== null && typeof v === "object" && Object.keys(v).length > 0;
+const isMultiline = (v) => typeof v === "string" && v.includes("\n");
+
+function scalar(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "[]";
+  if (typeof v === "object") return "{}";
+  if (typeof v === "number" || typeof v === "boolean") return String(v);
+  const s = String(v);
+  return PLAIN.test(s) && !RESERVED.test(s) ? s : `'${s.replace(/'/g, "''")}'`;
+}
+
+function emit(value, indent) {
+  const out = [];
+  const entries = Array.isArray(value) ? value.map((v) => [null, v]) : Object.entries(value);
+  for (const [key, v] of entries) {
+    if (v === undefined) continue;
+    const head = key == null ? `${pad(indent)}-` : `${pad(indent)}${scalar(key)}:`;
+    if (isMultiline(v)) {
+      out.push(`${head} |-`, ...v.split("\n").map((line) => `${pad(indent + 2)}${line}`));
+    } else if (!isBlock(v)) {
+      out.push(`${head} ${scalar(v)}`);
+    } else if (key == null) {
+      // List item: the first line of the nested block shares the dash
+      const inner = emit(v, indent + 2);
+      inner[0] = `${head} ${inner[0].slice(indent + 2)}`;
+      out.push(...inner);
+    } else {
+      out.push(head, ...emit(v, indent + 2));
+    }
+  }
+  return out;
+}
+
+/**
+ * @param {object|object[]} value one document
+ * @param {string[]} [comments] header lines, emitted as `# …`
+ */
+export function toYaml(value, comments = []) {
+  return [...comments.map((c) => `# ${c}`), ...emit(value, 0)].join("\n") + "\n";
+}
+
+/** Several documents separated by `---`. */
+export function toYamlDocuments(values, comments = []) {
+  return values.map((v, i) => toYaml(v, i === 0 ? comments : [])).join("---\n");
+}
@@ -0,0 +1,88 @@
+/**
+ * JSON Schemas (draft 2020-12) of the business_process_logger event, one per
+ * schema version. Loggers may add fields; only the ones listed are checked.
+ *
+ *   v1 – the plain business process event: outcome, latency, status and the
+ *        two context objects. `ts` may be epoch ms or an ISO 8601 date.
+ *   v2 – adds the SLO snapshot (`is_slo_compliant`, `slo_violations`,
+ *        `slo_thresholds`) and `schema_version`; `ts` is epoch ms.
+ *
+ * Events without `schema_version` are v2 when they carry `is_slo_compliant`
+ * (game exports before versioning) and v1 otherwise.
+ */
+
+export const EVENT_SCHEMA_VERSION = 2;
+
+const str = { type: "string" };
+const nonEmpty = { type: "string", minLength: 1 };
+
+const additionalContext = {
+  type: "object",
+  properties: {
+    user_id: str,
+    country_iso_code: { type: "string", pattern: "^[A-Z]{2}$" },
+    currency_iso_code: { type: "string", pattern: "^[A-Z]{3}$" },
+    language_iso_code: { type: "string", pattern: "^[a-z]{2}$" },
+    page_url: str,
+    order_number: { type: ["string", "null"] },
+    discount_rate: { type: "number", minimum: 0, maximum: 1 },
+    error_code: { type: ["string", "null"] },
+    channel_type: str,
+  },
+};
+
+const tracingContext = {
+  type: "object",
+  properties: { trace_id: str, session_id: str, on_uuid: str, request_id: str },
+};
+
+const base = {
+  logger: { const: "business_process_logger" },
+  flow: nonEmpty,
+  event_type: nonEmpty,
+  is_successful: { type: "boolean" },
+  origin_service: str,
+  environment: str,
+  latency_ms: { type: "number", minimum: 0 },
+  status_code: { type: "integer", minimum: 100, maximum: 599 },
+  additional_context: additionalContext,
+  tracing_context: tracingContext,
+};
+
+const BASE_REQUIRED = ["logger", "flow", "event_type", "is_successful", "ts"];
+
+export const EVENT_SCHEMAS = {
+  1: {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: "urn:slo-burn-lab:business_process_logger:v1",
+    title: "business_process_logger event v1",
+    type: "object",
+    required: BASE_REQUIRED,
+    properties: {
+      schema_version: { const: 1 },
+      ...base,
+      ts: { type: ["integer", "string"], minimum: 0, format: "date-time", description: "epoch ms or ISO 8601" },
+    },
+  },
+  2: {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: "urn:slo-burn-lab:business_process_logger:v2",
+    title: "business_process_logger event v2 (SLO-extended)",
+    type: "object",
+    required: [...BASE_REQUIRED, "is_slo_compliant", "slo_violations", "slo_thresholds"],
+    properties: {
+      schema_version: { const: 2 },
+      ...base,
+      ts: { type: "integer", minimum: 0, description: "epoch ms" },
+      is_slo_compliant: { type: "boolean", description: "met the SLO thresholds at log time" },
+      slo_violations: { type: "array", items: { enum: ["latency"] } },
+      slo_thresholds: { type: "object", properties: { latency_ms: { type: "number", minimum: 0 } } },
+    },
+  },
+};
+
+/** @returns {number} the schema version an event claims or looks like */
+export function eventSchemaVersion(rec) {
+  if (rec?.schema_version != null) return rec.schema_version;
+  return rec && typeof rec === "object" && "is_slo_compliant" in rec ? 2 : 1;
+}
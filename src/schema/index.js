@@ -0,0 +1,3 @@
+export * from "./eventSchema.js";
+export * from "./validate.js";
+export * from "./migrate.js";
@@ -0,0 +1,90 @@
+/**
+ * Checking events from any ingest point against their schema version and
+ * migrating them to the current one, plus the per-source validation report
+ * the UI shows.
+ */
+
+import { computeSloCompliance } from "../sim/events.js";
+import { EVENT_SCHEMA_VERSION, EVENT_SCHEMAS, eventSchemaVersion } from "./eventSchema.js";
+import { validateSchema } from "./validate.js";
+
+// ---- Migrations ------------------------------------------------------------
+
+// MIGRATIONS[n] lifts a valid v<n> event to v<n+1>.
+const MIGRATIONS = {
+  // Epoch-ms `ts` and an SLO snapshot taken against the current SLO
+  1: (ev, { slo }) => ({
+    ...ev,
+    schema_version: 2,
+    ts: typeof ev.ts === "string" ? Date.parse(ev.ts) : ev.ts,
+    ...(ev.latency_ms != null && slo
+      ? computeSloCompliance(ev, slo)
+      : { is_slo_compliant: true, slo_violations: [], slo_thresholds: {} }),
+  }),
+};
+
+/**
+ * Validate one record against the schema of its version, then migrate it.
+ * @param {{ slo?: object }} ctx current SLO, for snapshots older events lack
+ * @returns {{ version: number, event: object|null, errors: string[], migrated: boolean }}
+ *   `event` is the current-version event, or null when invalid
+ */
+export function checkEvent(rec, ctx = {}) {
+  if (!rec || typeof rec !== "object" || Array.isArray(rec)) {
+    return { version: null, event: null, errors: ["event must be object"], migrated: false };
+  }
+  if (rec.schema_version != null && typeof rec.schema_version !== "number") {
+    return { version: null, event: null, errors: ["schema_version must be a number"], migrated: false };
+  }
+  const version = eventSchemaVersion(rec);
+  const schema = EVENT_SCHEMAS[version];
+  if (!schema) {
+    return {
+      version,
+      event: null,
+      errors: [`schema_version ${JSON.stringify(version)} is not supported (latest is ${EVENT_SCHEMA_VERSION})`],
+      migrated: false,
+    };
+  }
+  const errors = validateSchema(schema, rec);
+  if (errors.length) return { version, event: null, errors, migrated: false };
+  let event = rec;
+  for (let v = version; v < EVENT_SCHEMA_VERSION; v++) event = MIGRATIONS[v](event, ctx);
+  return { version, event, errors, migrated: version < EVENT_SCHEMA_VERSION };
+}
+
+/**
+ * Split events that should already be current (simulator, manual pushes)
+ * into valid ones and rejects.
+ */
+export function screenEvents(events) {
+  const valid = [];
+  const rejected = [];
+  for (const ev of events) {
+    const errors = validateSchema(EVENT_SCHEMAS[EVENT_SCHEMA_VERSION], ev);
+    if (errors.length) rejected.push({ errors });
+    else valid.push(ev);
+  }
+  return { valid, rejected };
+}
+
+// ---- Validation report -----------------------------------------------------
+
+export const SCHEMA_ERROR_LOG_CAP = 20;
+
+/**
+ * Add one batch to the report: `{ [source]: { accepted, rejected, errors } }`,
+ * where `errors` holds the latest rejects (`{ at, line?, errors }`), newest first.
+ */
+export function recordValidation(report, source, accepted, rejected, at) {
+  if (!accepted && !rejected.length) return report;
+  const prev = report[source] ?? { accepted: 0, rejected: 0, errors: [] };
+  return {
+    ...report,
+    [source]: {
+      accepted: prev.accepted + accepted,
+      rejected: prev.rejected + rejected.length,
+      errors: [...rejected.map((r) => ({ at, ...r })).reverse(), ...prev.errors].slice(0, SCHEMA_ERROR_LOG_CAP),
+    },
+  };
+}
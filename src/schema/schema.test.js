@@ -0,0 +1,95 @@
+import { describe, expect, it } from "vitest";
+import { createSimulation, SCENARIOS } from "../sim/index.js";
+import {
+  checkEvent,
+  EVENT_SCHEMA_VERSION,
+  EVENT_SCHEMAS,
+  eventSchemaVersion,
+  recordValidation,
+  screenEvents,
+  validateSchema,
+} from "./index.js";
+
+const slo = { availabilityTarget: 99.5, latencyP95Target: 800 };
+const v1 = {
+  logger: "business_process_logger",
+  flow: "order_to_cash",
+  event_type: "submit_payment",
+  is_successful: false,
+  latency_ms: 950,
+  status_code: 502,
+  ts: "2024-11-29T14:00:00Z",
+};
+
+describe("event schema", () => {
+  it("is met by simulated and hand-pushed events, with the same shape", () => {
+    const sim = createSimulation({ seed: "schema" });
+    const { events } = sim.tick({ scenario: SCENARIOS["PSP Brownout"], slo });
+    const manual = [sim.manual({ is_successful: false }, slo), sim.manual({ discount_rate: 0.7, order_number: "R123" }, slo)];
+    for (const ev of [...events, ...manual]) expect(validateSchema(EVENT_SCHEMAS[EVENT_SCHEMA_VERSION], ev)).toEqual([]);
+    expect(Object.keys(manual[0].additional_context)).toEqual(Object.keys(events[0].additional_context));
+    expect(manual[0]).toMatchObject({ schema_version: 2, status_code: 500, additional_context: { error_code: "E5XX", order_number: null } });
+  });
+
+  it("reports every violation with its field path", () => {
+    const ev = {
+      ...v1,
+      schema_version: 2,
+      ts: 1.5,
+      flow: "",
+      is_slo_compliant: "yes",
+      slo_violations: ["cpu"],
+      slo_thresholds: {},
+      additional_context: { country_iso_code: "de", discount_rate: 1.2, order_number: 7 },
+    };
+    expect(validateSchema(EVENT_SCHEMAS[2], ev)).toEqual([
+      "flow must not be empty",
+      "additional_context.country_iso_code must match ^[A-Z]{2}$",
+      "additional_context.order_number must be string or null",
+      "additional_context.discount_rate must be ≤ 1",
+      "ts must be integer",
+      "is_slo_compliant must be boolean",
+      'slo_violations[0] must be one of "latency"',
+    ]);
+  });
+
+  it("detects the version of unversioned events", () => {
+    expect(eventSchemaVersion(v1)).toBe(1);
+    expect(eventSchemaVersion({ ...v1, is_slo_compliant: true })).toBe(2);
+    expect(eventSchemaVersion({ ...v1, schema_version: 3 })).toBe(3);
+  });
+});
+
+describe("checkEvent", () => {
+  it("migrates v1 events to the current version", () => {
+    const { version, event, errors, migrated } = checkEvent(v1, { slo });
+    expect([version, errors, migrated]).toEqual([1, [], true]);
+    expect(event).toMatchObject({
+      schema_version: 2,
+      ts: Date.UTC(2024, 10, 29, 14, 0, 0),
+      is_slo_compliant: false,
+      slo_violations: ["latency"],
+      slo_thresholds: { latency_ms: 800 },
+    });
+    expect(validateSchema(EVENT_SCHEMAS[2], event)).toEqual([]);
+  });
+
+  it("rejects invalid and unknown versions", () => {
+    expect(checkEvent({ ...v1, ts: "yesterday" }).errors).toEqual(["ts must be an ISO 8601 date-time"]);
+    expect(checkEvent({ ...v1, schema_version: 3 }).errors).toEqual(["schema_version 3 is not supported (latest is 2)"]);
+    expect(checkEvent({ ...v1, schema_version: "2" }).errors).toEqual(["schema_version must be a number"]);
+    expect(checkEvent([]).errors).toEqual(["event must be object"]);
+  });
+});
+
+describe("validation report", () => {
+  it("counts per source and keeps the latest errors first", () => {
+    const { valid, rejected } = screenEvents([{ ...v1 }, checkEvent(v1, { slo }).event]);
+    expect([valid.length, rejected.length]).toEqual([1, 1]);
+    let report = recordValidation({}, "manual", valid.length, rejected, 1000);
+    report = recordValidation(report, "manual", 2, [{ line: 9, errors: ["x"] }], 2000);
+    expect(report.manual).toMatchObject({ accepted: 3, rejected: 2 });
+    expect(report.manual.errors.map((e) => e.at)).toEqual([2000, 1000]);
+    expect(recordValidation(report, "import", 0, [], 0)).toBe(report);
+  });
+});
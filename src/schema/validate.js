@@ -0,0 +1,81 @@
+/**
+ * Validator for the subset of JSON Schema the event schemas use: type,
+ * const, enum, required, properties, items, minLength, pattern, minimum,
+ * maximum and `format: "date-time"`. Unknown keywords are ignored.
+ */
+
+const ISO_DATE = /^\d{4}-\d\d-\d\dT\d\d:\d\d(:\d\d(\.\d+)?)?(Z|[+-]\d\d:?\d\d)$/;
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (Number.isInteger(v)) return "integer";
+  return typeof v;
+}
+
+const matchesType = (v, type) => {
+  const t = typeOf(v);
+  return t === type || (type === "number" && t === "integer");
+};
+
+const show = (v) => JSON.stringify(v);
+
+// Compiled `pattern`s; every simulated event is validated, so compile once.
+const patterns = new Map();
+function compiled(pattern) {
+  if (!patterns.has(pattern)) patterns.set(pattern, new RegExp(pattern));
+  return patterns.get(pattern);
+}
+
+// Appends violations to `errors`; one array per call keeps validating every
+// simulated event cheap.
+function check(schema, value, path, errors) {
+  const at = path || "event";
+  if (schema.type != null) {
+    const ok = typeof schema.type === "string" ? matchesType(value, schema.type) : schema.type.some((t) => matchesType(value, t));
+    if (!ok) {
+      errors.push(`${at} must be ${[].concat(schema.type).join(" or ")}`);
+      return;
+    }
+  }
+  if ("const" in schema && value !== schema.const) {
+    errors.push(`${at} must be ${show(schema.const)}`);
+    return;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.map(show).join(", ")}`);
+    return;
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push(`${at} must not be empty`);
+    if (schema.pattern && !compiled(schema.pattern).test(value)) errors.push(`${at} must match ${schema.pattern}`);
+    if (schema.format === "date-time" && !(ISO_DATE.test(value) && Number.isFinite(Date.parse(value)))) {
+      errors.push(`${at} must be an ISO 8601 date-time`);
+    }
+  } else if (typeof value === "number") {
+    if (schema.minimum != null && value < schema.minimum) errors.push(`${at} must be ≥ ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) errors.push(`${at} must be ≤ ${schema.maximum}`);
+  } else if (Array.isArray(value)) {
+    if (schema.items) value.forEach((v, i) => check(schema.items, v, `${at}[${i}]`, errors));
+  } else if (value !== null && typeof value === "object") {
+    const prefix = path ? `${path}.` : "";
+    if (schema.required) {
+      for (const key of schema.required) if (value[key] === undefined) errors.push(`${prefix}${key} is required`);
+    }
+    if (schema.properties) {
+      for (const key in schema.properties) {
+        if (value[key] !== undefined) check(schema.properties[key], value[key], prefix + key, errors);
+      }
+    }
+  }
+}
+
+/**
+ * @returns {string[]} one message per violation, prefixed with the field path
+ */
+export function validateSchema(schema, value) {
+  const errors = [];
+  check(schema, value, "", errors);
+  return errors;
+}
@@ -0,0 +1,93 @@
+/**
+ * Whole-session persistence: the setup (see setup.js) plus the run – engine
+ * and metrics store snapshots, the raw event tail, alerts, score and badges.
+ * The game saves it to localStorage as it plays and restores it on load;
+ * the same object is the downloadable session file.
+ *
+ * Receiver URLs and keys (notification config) are never part of a session.
+ */
+
+import { validateSetup } from "./setup.js";
+
+export const SESSION_STORAGE_KEY = "slo-burn-lab:session";
+export const SESSION_FORMAT = "slo-burn-lab/session";
+export const SESSION_VERSION = 1;
+
+// Raw events kept in a saved session; the metrics store holds the rest.
+export const SESSION_LOG_CAP = 1000;
+
+/**
+ * @returns {string[]} problems with a session (empty when valid)
+ */
+export function validateSession(s) {
+  if (!s || typeof s !== "object") return ["session must be an object"];
+  if (s.format !== SESSION_FORMAT) return [`not a session file (format must be "${SESSION_FORMAT}")`];
+  if (s.version !== SESSION_VERSION) return [`session version ${s.version} is not supported (expected ${SESSION_VERSION})`];
+  const errors = validateSetup(s.setup).map((e) => `setup.${e}`);
+  const run = s.run;
+  if (!run || typeof run !== "object") return [...errors, "run is required"];
+  if (!Number.isFinite(run.epoch)) errors.push("run.epoch must be a number");
+  if (!Number.isFinite(run.engine?.now) || !run.engine?.rng) errors.push("run.engine must be an engine snapshot");
+  if (!Array.isArray(run.store?.rows)) errors.push("run.store must be a metrics snapshot");
+  for (const k of ["logs", "alerts", "badges"]) if (!Array.isArray(run[k])) errors.push(`run.${k} must be a list`);
+  if (!Number.isFinite(run.score)) errors.push("run.score must be a number");
+  return errors;
+}
+
+/**
+ * @param {object} parts – `{ setup, customScenarios, ui, run }`
+ * @returns {object} a session stamped with format, version and wall time
+ */
+export function createSession({ setup, customScenarios = [], ui = {}, run }, savedAt = Date.now()) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt,
+    setup,
+    customScenarios,
+    ui,
+    run: { ...run, logs: run.logs.slice(-SESSION_LOG_CAP) },
+  };
+}
+
+/** @returns {{ session: object|null, errors: string[] }} for an uploaded session file */
+export function parseSessionFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { session: null, errors: [`invalid JSON: ${e.message}`] };
+  }
+  const errors = validateSession(data);
+  return { session: errors.length ? null : data, errors };
+}
+
+export function loadSession(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(SESSION_STORAGE_KEY);
+    const session = raw ? JSON.parse(raw) : null;
+    return session && !validateSession(session).length ? session : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Save, dropping the raw event tail if the full session does not fit the
+ * storage quota (the metrics store still carries every chart and alert).
+ * @returns {{ ok: boolean, droppedLogs: boolean }}
+ */
+export function saveSession(session, storage = globalThis.localStorage) {
+  if (!storage) return { ok: false, droppedLogs: false };
+  try {
+    storage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+    return { ok: true, droppedLogs: false };
+  } catch {
+    try {
+      storage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ ...session, run: { ...session.run, logs: [] } }));
+      return { ok: true, droppedLogs: true };
+    } catch {
+      return { ok: false, droppedLogs: false };
+    }
+  }
+}
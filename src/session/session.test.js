@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest";
+import { createMetricsStore } from "../metrics/store.js";
+import { DEFAULT_ALERT_POLICY, DEFAULT_PERIOD, DEFAULT_SLOS } from "../slo/index.js";
+import { createSimulation, SCENARIOS } from "../sim/index.js";
+import {
+  createSession,
+  decodeSetup,
+  encodeSetup,
+  loadSession,
+  parseSessionFile,
+  saveSession,
+  SESSION_LOG_CAP,
+  SESSION_STORAGE_KEY,
+  shareLink,
+  sharePayload,
+  validateSetup,
+} from "./index.js";
+
+const setup = {
+  tier: "Tier-1",
+  slo: { availabilityTarget: 99.5, latencyP95Target: 800 },
+  sli: { availability: true, latencyP95: true },
+  autoTierPresets: true,
+  bakeSLI: false,
+  lockExpected: true,
+  lockedSloTarget: 99.9,
+  period: DEFAULT_PERIOD,
+  scenario: "PSP Brownout",
+  slos: DEFAULT_SLOS,
+  alertPolicy: DEFAULT_ALERT_POLICY,
+  seed: "workshop-1",
+};
+
+function sampleRun() {
+  const sim = createSimulation({ seed: setup.seed });
+  const store = createMetricsStore({ retentionSec: 60 });
+  const logs = [];
+  for (let i = 0; i < 5; i++) {
+    const { events } = sim.tick({ scenario: SCENARIOS.Calm, slo: setup.slo });
+    store.add(events);
+    logs.push(...events);
+  }
+  return { epoch: 0, engine: sim.snapshot(), store: store.snapshot(), logs, alerts: [], score: 30, badges: ["Tiering Guru"] };
+}
+
+function memoryStorage(quota = Infinity) {
+  const data = {};
+  return {
+    data,
+    getItem: (k) => data[k] ?? null,
+    setItem: (k, v) => {
+      if (v.length > quota) throw new Error("QuotaExceededError");
+      data[k] = v;
+    },
+  };
+}
+
+describe("setup", () => {
+  it("accepts a complete setup and names what is wrong", () => {
+    expect(validateSetup(setup)).toEqual([]);
+    expect(validateSetup({ ...setup, tier: "Tier-9", bakeSLI: "yes", scenario: "Mine" })).toEqual([
+      "tier must be one of Tier-0, Tier-1, Tier-2, Tier-3",
+      "bakeSLI must be a boolean",
+      'scenario "Mine" is not built in and has no scenarioDefinition',
+    ]);
+    const custom = { name: "Mine", phases: [{ params: { errorRate: 0.1 } }] };
+    expect(validateSetup({ ...setup, scenario: "Mine", scenarioDefinition: custom })).toEqual([]);
+    expect(validateSetup({ ...setup, budgetPolicy: { rules: [], deployRisk: 1.5 } })).toEqual(["budgetPolicy: deployRisk must be between 0 and 1"]);
+  });
+
+  it("round-trips through a share link", async () => {
+    const link = await shareLink(setup, "https://example.org/lab/?x=1#old");
+    expect(link.startsWith("https://example.org/lab/?x=1#setup=")).toBe(true);
+    // deflated: shorter than the plain JSON would be
+    expect(link.length).toBeLessThan(JSON.stringify(setup).length);
+    expect(await decodeSetup(sharePayload(link))).toEqual({ setup, errors: [] });
+    expect(sharePayload("https://example.org/lab/")).toBeNull();
+  });
+
+  it("rejects damaged or invalid share links", async () => {
+    expect(await decodeSetup("not-a-payload")).toEqual({ setup: null, errors: ["share link is damaged or incomplete"] });
+    const bad = await decodeSetup(await encodeSetup({ ...setup, period: "weekly" }));
+    expect(bad.setup).toBeNull();
+    expect(bad.errors[0]).toMatch(/^period must be one of/);
+  });
+});
+
+describe("session", () => {
+  it("saves, loads and parses a session file", () => {
+    const session = createSession({ setup, run: sampleRun() }, 1234);
+    const storage = memoryStorage();
+    expect(saveSession(session, storage)).toEqual({ ok: true, droppedLogs: false });
+    expect(loadSession(storage)).toEqual(session);
+    expect(parseSessionFile(JSON.stringify(session))).toEqual({ session, errors: [] });
+  });
+
+  it("keeps only the newest raw events", () => {
+    const run = { ...sampleRun(), logs: Array.from({ length: SESSION_LOG_CAP + 5 }, (_, i) => ({ ts: i })) };
+    const { logs } = createSession({ setup, run }).run;
+    expect(logs).toHaveLength(SESSION_LOG_CAP);
+    expect(logs[0].ts).toBe(5);
+  });
+
+  it("drops the raw events when the quota is too small for them", () => {
+    const session = createSession({ setup, run: sampleRun() });
+    const withoutLogs = JSON.stringify({ ...session, run: { ...session.run, logs: [] } }).length;
+    const storage = memoryStorage(withoutLogs);
+    expect(saveSession(session, storage)).toEqual({ ok: true, droppedLogs: true });
+    expect(loadSession(storage).run.logs).toEqual([]);
+    expect(saveSession(session, memoryStorage(10))).toEqual({ ok: false, droppedLogs: false });
+  });
+
+  it("ignores stored sessions it cannot use", () => {
+    const storage = memoryStorage();
+    storage.setItem(SESSION_STORAGE_KEY, "{broken");
+    expect(loadSession(storage)).toBeNull();
+    storage.setItem(SESSION_STORAGE_KEY, JSON.stringify({ ...createSession({ setup, run: sampleRun() }), version: 99 }));
+    expect(loadSession(storage)).toBeNull();
+    expect(parseSessionFile(JSON.stringify({ seed: 1 })).errors).toEqual(['not a session file (format must be "slo-burn-lab/session")']);
+  });
+});
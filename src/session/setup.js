@@ -0,0 +1,99 @@
+/**
+ * Game setup: the configuration a facilitator hands out so everyone starts
+ * from the same place (tier, overall and named SLOs, SLI toggles, `bakeSLI`,
+ * `lockExpected`, compliance period, scenario, alert policy, error budget
+ * policy and seed). `budgetPolicy` is optional for links made before it existed.
+ *
+ * Share links carry a setup in the URL fragment as deflated, base64url JSON:
+ *
+ *   https://…/slo-burn-lab/#setup=<payload>
+ *
+ * The fragment never reaches a server.
+ */
+
+import { COMPLIANCE_PERIODS, TIERS, validateAlertPolicy, validateBudgetPolicy, validateSloDef } from "../slo/index.js";
+import { SCENARIOS, validateScenario } from "../sim/index.js";
+
+export const SHARE_PARAM = "setup";
+
+const BOOLEAN_FIELDS = ["autoTierPresets", "bakeSLI", "lockExpected"];
+
+/**
+ * @returns {string[]} problems with a setup (empty when valid). A custom
+ * scenario must come with its `scenarioDefinition`.
+ */
+export function validateSetup(setup) {
+  if (!setup || typeof setup !== "object") return ["setup must be an object"];
+  const errors = [];
+  if (!TIERS[setup.tier]) errors.push(`tier must be one of ${Object.keys(TIERS).join(", ")}`);
+  if (!(setup.slo?.availabilityTarget > 0 && setup.slo.availabilityTarget < 100)) {
+    errors.push("slo.availabilityTarget must be between 0 and 100 (exclusive)");
+  }
+  if (!(setup.slo?.latencyP95Target > 0)) errors.push("slo.latencyP95Target must be > 0");
+  if (!(setup.lockedSloTarget > 0 && setup.lockedSloTarget < 100)) errors.push("lockedSloTarget must be between 0 and 100 (exclusive)");
+  if (typeof setup.sli?.availability !== "boolean" || typeof setup.sli?.latencyP95 !== "boolean") {
+    errors.push("sli.availability and sli.latencyP95 must be booleans");
+  }
+  for (const k of BOOLEAN_FIELDS) if (typeof setup[k] !== "boolean") errors.push(`${k} must be a boolean`);
+  if (!COMPLIANCE_PERIODS[setup.period]) errors.push(`period must be one of ${Object.keys(COMPLIANCE_PERIODS).join(", ")}`);
+  if (typeof setup.seed !== "string" || !setup.seed) errors.push("seed is required");
+  if (setup.scenarioDefinition) {
+    errors.push(...validateScenario(setup.scenarioDefinition).map((e) => `scenarioDefinition: ${e}`));
+    if (setup.scenarioDefinition.name !== setup.scenario) errors.push("scenarioDefinition.name must match scenario");
+    if (SCENARIOS[setup.scenarioDefinition.name]) errors.push(`scenarioDefinition "${setup.scenario}" clashes with a built-in scenario`);
+  } else if (!SCENARIOS[setup.scenario]) {
+    errors.push(`scenario "${setup.scenario}" is not built in and has no scenarioDefinition`);
+  }
+  if (!Array.isArray(setup.slos)) errors.push("slos must be a list");
+  else setup.slos.forEach((d, i) => errors.push(...validateSloDef(d).map((e) => `slos[${i}]: ${e}`)));
+  errors.push(...validateAlertPolicy(setup.alertPolicy).map((e) => `alertPolicy: ${e}`));
+  if (setup.budgetPolicy !== undefined) errors.push(...validateBudgetPolicy(setup.budgetPolicy).map((e) => `budgetPolicy: ${e}`));
+  return errors;
+}
+
+// ---- Share links -------------------------------------------------------------
+
+function toBase64Url(bytes) {
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const bin = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return Uint8Array.from(bin, (c) => c.charCodeAt(0));
+}
+
+const pipe = (bytes, transform) => new Response(new Blob([bytes]).stream().pipeThrough(transform)).arrayBuffer();
+
+/** @returns {Promise<string>} URL-safe payload for a setup */
+export async function encodeSetup(setup) {
+  const packed = await pipe(new TextEncoder().encode(JSON.stringify(setup)), new CompressionStream("deflate-raw"));
+  return toBase64Url(new Uint8Array(packed));
+}
+
+/** @returns {Promise<{ setup: object|null, errors: string[] }>} */
+export async function decodeSetup(payload) {
+  let setup;
+  try {
+    const raw = await pipe(fromBase64Url(payload), new DecompressionStream("deflate-raw"));
+    setup = JSON.parse(new TextDecoder().decode(raw));
+  } catch {
+    return { setup: null, errors: ["share link is damaged or incomplete"] };
+  }
+  const errors = validateSetup(setup);
+  return { setup: errors.length ? null : setup, errors };
+}
+
+/** @returns {Promise<string>} `href` with the setup in its fragment */
+export async function shareLink(setup, href = globalThis.location?.href) {
+  const url = new URL(href);
+  url.hash = `${SHARE_PARAM}=${await encodeSetup(setup)}`;
+  return url.toString();
+}
+
+/** @returns {string|null} the setup payload in a URL's fragment, if any */
+export function sharePayload(href) {
+  const hash = new URL(href).hash.slice(1);
+  return new URLSearchParams(hash).get(SHARE_PARAM);
+}
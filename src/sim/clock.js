@@ -0,0 +1,21 @@
+/**
+ * Virtual clock for the simulator. Time only moves when the engine ticks,
+ * so a paused run is frozen and replays stamp identical timestamps.
+ */
+
+// Monday 2025-01-06 09:00:00 UTC – fixed so runs don't depend on wall time.
+export const SIM_EPOCH = Date.UTC(2025, 0, 6, 9, 0, 0);
+
+export function createVirtualClock(start = SIM_EPOCH) {
+  let t = start;
+  return {
+    now: () => t,
+    advance(ms) {
+      t += ms;
+      return t;
+    },
+    set(ms) {
+      t = ms;
+    },
+  };
+}
@@ -0,0 +1,42 @@
+/**
+ * Simulated feature releases. A deploy ships a regression with probability
+ * `risk`: one of REGRESSIONS, injected as a fault that runs until it is
+ * rolled back (see runbook.js) or wears off.
+ *
+ *   { id, at, risk, regression: faultId | null }
+ */
+
+export const REGRESSIONS = [
+  {
+    name: "Regression: submit_payment 500s",
+    match: { event_type: "submit_payment" },
+    errorRate: 0.5,
+    errorCodes: ["E5XX"],
+    statusCodes: [500],
+    durationSec: 1800,
+  },
+  {
+    name: "Regression: slow storefront",
+    match: { origin_service: "on-frontend" },
+    errorRate: 0.01,
+    latency: { type: "lognormal", median: 1400, sigma: 0.3 },
+    durationSec: 1800,
+  },
+  {
+    name: "Regression: app crashes on checkout",
+    match: { channel_type: "app" },
+    errorRate: 0.3,
+    errorCodes: ["ECONN"],
+    statusCodes: [503],
+    durationSec: 1800,
+  },
+];
+
+/**
+ * Roll the dice for one deploy.
+ * @param {{ next: () => number }} rng
+ * @returns {object|null} the regression's fault spec, or null for a clean release
+ */
+export function pickRegression(rng, risk) {
+  return rng.next() < risk ? REGRESSIONS[Math.floor(rng.next() * REGRESSIONS.length)] : null;
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { createSimulation, FAULT_PRESETS, REGRESSIONS, restoreSimulation, RUNBOOK_ACTIONS, SCENARIOS, validateFault } from "./index.js";
+
+const slo = { availabilityTarget: 99.5, latencyP95Target: 800 };
+
+describe("deploys", () => {
+  it("ship a regression fault as often as their risk says", () => {
+    for (const r of REGRESSIONS) expect(validateFault(r)).toEqual([]);
+    const sim = createSimulation({ seed: "deploys" });
+    expect(sim.deploy({ risk: 0 }).regression).toBeNull();
+    const bad = sim.deploy({ risk: 1 });
+    expect(sim.faults).toEqual([expect.objectContaining({ id: bad.regression, name: expect.stringMatching(/^Regression: /) })]);
+    const risky = Array.from({ length: 200 }, () => sim.deploy({ risk: 0.25 })).filter((d) => d.regression);
+    expect(risky.length).toBeGreaterThan(30);
+    expect(risky.length).toBeLessThan(70);
+  });
+
+  it("don't perturb the traffic and survive a snapshot", () => {
+    const plain = createSimulation({ seed: "same" });
+    const shipping = createSimulation({ seed: "same" });
+    shipping.deploy({ risk: 0 });
+    const tick = (sim) => sim.tick({ scenario: SCENARIOS.Calm, slo }).events;
+    expect(tick(shipping)).toEqual(tick(plain));
+    const restored = restoreSimulation(JSON.parse(JSON.stringify(shipping.snapshot())));
+    expect(restored.deploys).toEqual(shipping.deploys);
+    expect(restored.deploy({ risk: 0.5 })).toEqual(shipping.deploy({ risk: 0.5 }));
+  });
+
+  it("are what a rollback undoes", () => {
+    const tick = (sim, n) => {
+      for (let i = 0; i < n; i++) sim.tick({ scenario: SCENARIOS.Calm, slo });
+    };
+    const sim = createSimulation({ seed: "rollback-deploy" });
+    const bad = sim.deploy({ risk: 1 });
+    const manual = sim.injectFault({ ...FAULT_PRESETS[1], durationSec: 1800 });
+    const { id } = sim.runAction("rollback");
+    tick(sim, RUNBOOK_ACTIONS.rollback.delaySec + 1);
+    const ended = Object.fromEntries(sim.faults.map((f) => [f.id, f.endsAt]));
+    expect(sim.actions.find((a) => a.id === id).rolledBack).toBe(bad.regression);
+    expect(ended[bad.regression]).toBe(sim.actions[0].effectiveAt);
+    expect(ended[manual.id]).toBe(manual.endsAt);
+
+    // After a clean release there is nothing to roll back
+    sim.deploy({ risk: 0 });
+    const again = sim.runAction("rollback");
+    tick(sim, RUNBOOK_ACTIONS.rollback.delaySec + 1);
+    expect(sim.actions.find((a) => a.id === again.id).rolledBack).toBeNull();
+    expect(sim.faults.find((f) => f.id === manual.id).endsAt).toBe(manual.endsAt);
+  });
+});
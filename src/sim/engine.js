@@ -0,0 +1,184 @@
+/**
+ * Deterministic simulation engine. Given the same seed, the same scenario
+ * timeline and the same manual pushes, it produces byte-identical events,
+ * CPU drift and ids. Separate rng streams keep manual pushes, alert ids and
+ * deploy outcomes from perturbing the simulated traffic.
+ */
+
+import { clamp } from "../slo/math.js";
+import { createVirtualClock } from "./clock.js";
+import { pickRegression } from "./deploys.js";
+import { manualEvent, randomAttributes, randomEvent } from "./events.js";
+import { createFault, isFaultActive, matchesFault } from "./faults.js";
+import { isTimeout, sampleLatency } from "./latency.js";
+import { createRng } from "./rng.js";
+import { mitigate, startAction } from "./runbook.js";
+import { paramsAt } from "./scenarios.js";
+
+export const TICK_MS = 1000;
+export const INITIAL_CPU = 22;
+const SCENARIO_LOG_CAP = 200;
+
+/**
+ * @param {{ seed: string|number, clock?: ReturnType<typeof createVirtualClock>, cpu?: number,
+ *   state?: object }} opts – `state` is a `snapshot()`, see restoreSimulation()
+ */
+export function createSimulation({ seed, clock = createVirtualClock(), cpu = INITIAL_CPU, state }) {
+  const traffic = createRng(`${seed}:traffic`, state?.rng.traffic);
+  const manual = createRng(`${seed}:manual`, state?.rng.manual);
+  const ids = createRng(`${seed}:ids`, state?.rng.ids);
+  const releases = createRng(`${seed}:deploys`, state?.rng.deploys);
+  // Phase timelines restart whenever a different scenario becomes active.
+  let active = state?.active ?? null;
+  // Every (re)start of a scenario timeline, for incident timelines
+  let scenarioLog = state?.scenarioLog ?? [];
+  // Injected faults (expired ones are kept as history)
+  let faults = state?.faults ?? [];
+  // Runbook actions taken (see runbook.js), oldest first
+  let actions = state?.actions ?? [];
+  // Feature releases (see deploys.js), oldest first
+  let deploys = state?.deploys ?? [];
+
+  // What a rollback landing at `ts` undoes: the last deploy's regression (nothing after a
+  // clean one); before any deploy, injected faults stand in for one and the newest goes.
+  function rollbackTarget(ts) {
+    const last = deploys.filter((d) => d.at < ts).at(-1);
+    if (last) return faults.find((f) => f.id === last.regression && isFaultActive(f, ts));
+    return faults.filter((f) => isFaultActive(f, ts)).at(-1);
+  }
+
+  // A rollback that lands ends its target (see rollbackTarget) and records it as `rolledBack`.
+  function landRollbacks(ts) {
+    for (const a of actions) {
+      if (a.action !== "rollback" || a.rolledBack !== undefined || ts <= a.effectiveAt) continue;
+      const target = rollbackTarget(ts);
+      if (target) faults = faults.map((f) => (f === target ? { ...f, endsAt: a.effectiveAt } : f));
+      actions = actions.map((x) => (x === a ? { ...a, rolledBack: target?.id ?? null } : x));
+    }
+  }
+
+  function injectFault(spec) {
+    const fault = createFault(spec, { id: ids.id(), now: clock.now() });
+    faults = [...faults, fault];
+    return fault;
+  }
+
+  return {
+    seed,
+    clock,
+    get cpu() {
+      return cpu;
+    },
+    get faults() {
+      return faults;
+    },
+    get actions() {
+      return actions;
+    },
+    get deploys() {
+      return deploys;
+    },
+    /** `{ name, startedAt }` per scenario start or restart, oldest first */
+    get scenarioLog() {
+      return scenarioLog;
+    },
+
+    /**
+     * Advance one tick of virtual time and generate that second of traffic.
+     * @param {{ scenario: object, slo: object }} opts – scenario in the phased format
+     */
+    tick({ scenario, slo }) {
+      if (!active || active.name !== scenario.name) {
+        active = { name: scenario.name, startedAt: clock.now() };
+        scenarioLog = [...scenarioLog, active].slice(-SCENARIO_LOG_CAP);
+      }
+      const ts = clock.advance(TICK_MS);
+      const at = paramsAt(scenario, (ts - active.startedAt) / 1000 - 1);
+      const { params: cfg, latency: scenarioLatency } = mitigate(at.params, at.latency, actions, ts);
+      landRollbacks(ts);
+      const live = faults.filter((f) => isFaultActive(f, ts));
+      const events = [];
+      const tps = Math.max(1, Math.round(cfg.baseTps + (traffic.next() * cfg.baseTps) / 2));
+      for (let i = 0; i < tps; i++) {
+        const attrs = randomAttributes(traffic, { discountAbuseRate: cfg.discountAbuseRate });
+        // The first matching fault owns the request's outcome.
+        const fault = live.find((f) => matchesFault(f, attrs));
+        const dist = fault?.latency || scenarioLatency;
+        const latency = sampleLatency(traffic, dist);
+        const timedOut = isTimeout(dist, latency);
+        const successful = !timedOut && traffic.next() > (fault ? fault.errorRate : cfg.errorRate);
+        events.push(
+          randomEvent(traffic, attrs, {
+            successful,
+            latency,
+            errorCodes: timedOut ? ["ETIME"] : fault?.errorCodes,
+            statusCodes: timedOut ? [504] : fault?.statusCodes,
+            slo,
+            ts,
+          })
+        );
+      }
+      cpu = clamp(cpu + (traffic.next() - 0.45) * 8 + (cfg.cpuBase - cpu) * 0.05, 5, 99);
+      return { ts, events, cpu, phase: at.phase };
+    },
+
+    // Start a runbook action now; it lands `delaySec` later.
+    runAction(action) {
+      const a = startAction(action, { id: ids.id(), now: clock.now() });
+      actions = [...actions, a];
+      return a;
+    },
+
+    // Replay the active scenario's phases from the start on the next tick.
+    restartScenario() {
+      active = null;
+    },
+
+    // Start a fault now; it affects the next `durationSec` ticks.
+    injectFault,
+
+    // Ship a release now; with probability `risk` it starts a regression fault.
+    deploy({ risk }) {
+      const spec = pickRegression(releases, risk);
+      const fault = spec && injectFault(spec);
+      const d = { id: ids.id(), at: clock.now(), risk, regression: fault?.id ?? null };
+      deploys = [...deploys, d];
+      return d;
+    },
+
+    stopFault(id) {
+      const now = clock.now();
+      faults = faults.map((f) => (f.id === id && f.endsAt > now ? { ...f, endsAt: now } : f));
+    },
+
+    manual(partial, slo) {
+      return manualEvent(manual, partial, { slo, ts: clock.now() });
+    },
+
+    nextId: () => ids.id(),
+
+    // Plain-JSON state; restoreSimulation() continues the run exactly from here.
+    snapshot() {
+      return {
+        seed,
+        now: clock.now(),
+        cpu,
+        active,
+        scenarioLog,
+        faults,
+        actions,
+        deploys,
+        rng: { traffic: traffic.state(), manual: manual.state(), ids: ids.state(), deploys: releases.state() },
+      };
+    },
+  };
+}
+
+export function restoreSimulation(snapshot) {
+  return createSimulation({
+    seed: snapshot.seed,
+    clock: createVirtualClock(snapshot.now),
+    cpu: snapshot.cpu,
+    state: snapshot,
+  });
+}
@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import { evaluateMwmb } from "../slo/index.js";
+import { createSimulation, FAULT_PRESETS, restoreSimulation, SCENARIOS, SIM_EPOCH, TICK_MS } from "./index.js";
+
+const slo = { availabilityTarget: 99.5, latencyP95Target: 800, bakeSLI: true };
+
+function run(seed, timeline) {
+  const sim = createSimulation({ seed });
+  const logs = [];
+  const fired = [];
+  for (const [scenario, ticks] of timeline) {
+    for (let i = 0; i < ticks; i++) {
+      const { events } = sim.tick({ scenario: SCENARIOS[scenario], slo });
+      logs.push(...events);
+      const out = evaluateMwmb(logs, { slo, clock: sim.clock });
+      for (const [k, v] of Object.entries(out)) if (v.fired) fired.push(`${sim.clock.now()}:${k}`);
+    }
+  }
+  return { logs, fired, cpu: sim.cpu, sim };
+}
+
+const timeline = [
+  ["Calm", 20],
+  ["K8s Network Meltdown", 30],
+];
+
+describe("createSimulation", () => {
+  it("produces byte-identical logs and alert timeline for the same seed", () => {
+    const a = run("demo", timeline);
+    const b = run("demo", timeline);
+    expect(JSON.stringify(a.logs)).toBe(JSON.stringify(b.logs));
+    expect(a.fired).toEqual(b.fired);
+    expect(a.fired.length).toBeGreaterThan(0);
+    expect(a.cpu).toBe(b.cpu);
+  });
+
+  it("differs for another seed", () => {
+    const a = run("demo", timeline);
+    const b = run("other", timeline);
+    expect(JSON.stringify(a.logs)).not.toBe(JSON.stringify(b.logs));
+  });
+
+  it("advances the virtual clock one tick at a time", () => {
+    const sim = createSimulation({ seed: 1 });
+    expect(sim.clock.now()).toBe(SIM_EPOCH);
+    const { ts, events } = sim.tick({ scenario: SCENARIOS.Calm, slo });
+    expect(ts).toBe(SIM_EPOCH + TICK_MS);
+    expect(events.every((e) => e.ts === ts)).toBe(true);
+  });
+
+  it("keeps manual pushes and ids off the traffic stream", () => {
+    const a = createSimulation({ seed: "s" });
+    const b = createSimulation({ seed: "s" });
+    a.manual({ is_successful: false }, slo);
+    a.nextId();
+    expect(a.tick({ scenario: SCENARIOS.Calm, slo })).toEqual(b.tick({ scenario: SCENARIOS.Calm, slo }));
+  });
+
+  it("logs every scenario start and restart", () => {
+    const sim = createSimulation({ seed: 1 });
+    sim.tick({ scenario: SCENARIOS.Calm, slo });
+    sim.tick({ scenario: SCENARIOS.Calm, slo });
+    sim.tick({ scenario: SCENARIOS["PSP Brownout"], slo });
+    sim.restartScenario();
+    sim.tick({ scenario: SCENARIOS["PSP Brownout"], slo });
+    expect(sim.scenarioLog).toEqual([
+      { name: "Calm", startedAt: SIM_EPOCH },
+      { name: "PSP Brownout", startedAt: SIM_EPOCH + 2 * TICK_MS },
+      { name: "PSP Brownout", startedAt: SIM_EPOCH + 3 * TICK_MS },
+    ]);
+  });
+
+  it("continues identically from a JSON snapshot", () => {
+    const a = createSimulation({ seed: "snap" });
+    const scenario = SCENARIOS["K8s Network Meltdown"];
+    for (let i = 0; i < 15; i++) a.tick({ scenario, slo });
+    a.injectFault(FAULT_PRESETS[0]);
+    a.manual({}, slo);
+    const b = restoreSimulation(JSON.parse(JSON.stringify(a.snapshot())));
+    expect(b.clock.now()).toBe(a.clock.now());
+    expect(b.faults).toEqual(a.faults);
+    expect(b.scenarioLog).toEqual([{ name: "K8s Network Meltdown", startedAt: SIM_EPOCH }]);
+    for (let i = 0; i < 20; i++) expect(b.tick({ scenario, slo })).toEqual(a.tick({ scenario, slo }));
+    expect(b.manual({}, slo)).toEqual(a.manual({}, slo));
+    expect(b.nextId()).toBe(a.nextId());
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * business_process_logger event builders. All randomness comes from the
+ * injected rng and the timestamp from the caller, so output is replayable.
+ */
+
+import { EVENT_SCHEMA_VERSION } from "../schema/eventSchema.js";
+import { GOLDEN_EVENT_TYPES } from "./scenarios.js";
+
+// Compute SLO compliance snapshot for events
+export function computeSloCompliance({ latency_ms }, slo) {
+  const violations = [];
+  // Demo policy: only latency; availability derives from success
+  if (latency_ms > slo.latencyP95Target) violations.push("latency");
+  return {
+    is_slo_compliant: violations.length === 0,
+    slo_violations: violations,
+    slo_thresholds: { latency_ms: slo.latencyP95Target },
+  };
+}
+
+// Traffic mix: categorical values with their share of generated events.
+export const ORIGIN_SERVICES = { "on-frontend": 0.6, solidus: 0.4 };
+export const COUNTRIES = { DE: 0.2, CH: 0.2, US: 0.2, FR: 0.2, GB: 0.2 };
+export const CURRENCIES = { EUR: 1 / 3, CHF: 1 / 3, USD: 1 / 3 };
+export const CHANNELS = { web: 0.7, app: 0.3 };
+export const LANGUAGES = ["de", "en", "fr"];
+export const ERROR_CODES = ["E5XX", "ECONN", "ETIME", "EPAY"];
+export const ERROR_STATUS_CODES = [500, 502, 503];
+
+function weighted(rng, shares) {
+  const r = rng.next();
+  let acc = 0;
+  const keys = Object.keys(shares);
+  for (const k of keys) {
+    acc += shares[k];
+    if (r < acc) return k;
+  }
+  return keys[keys.length - 1];
+}
+
+function tracingContext(rng) {
+  return {
+    trace_id: rng.id(),
+    session_id: `sess_${rng.int(999999)}`,
+    on_uuid: `dev_${rng.int(999999)}`,
+    request_id: rng.id(),
+  };
+}
+
+/**
+ * Who/where/what of a simulated request, drawn before its outcome so that
+ * fault injection can target specific event types, services or markets.
+ */
+export function randomAttributes(rng, { discountAbuseRate = 0 } = {}) {
+  return {
+    event_type: rng.pick(GOLDEN_EVENT_TYPES),
+    origin_service: weighted(rng, ORIGIN_SERVICES),
+    country_iso_code: weighted(rng, COUNTRIES),
+    currency_iso_code: weighted(rng, CURRENCIES),
+    language_iso_code: rng.pick(LANGUAGES),
+    channel_type: weighted(rng, CHANNELS),
+    user_id: `user_${rng.int(9999)}`,
+    discount_rate:
+      discountAbuseRate > 0 && rng.chance(discountAbuseRate)
+        ? 0.5 + rng.next() * 0.4
+        : rng.chance(0.05)
+        ? 0.1
+        : 0,
+  };
+}
+
+// Shared shape of every built event: fixed key order, both context objects
+// complete, and the SLO snapshot taken against `slo`.
+function assemble(base, context, tracing, slo) {
+  const event = { schema_version: EVENT_SCHEMA_VERSION, logger: "business_process_logger", ...base };
+  return {
+    ...event,
+    ...computeSloCompliance(event, slo), // ➕ new schema fields
+    additional_context: {
+      user_id: context.user_id,
+      country_iso_code: context.country_iso_code,
+      currency_iso_code: context.currency_iso_code,
+      language_iso_code: context.language_iso_code,
+      page_url: context.page_url,
+      order_number: context.order_number ?? null,
+      discount_rate: context.discount_rate ?? 0,
+      error_code: base.is_successful ? null : context.error_code,
+      channel_type: context.channel_type,
+    },
+    tracing_context: tracing,
+  };
+}
+
+/**
+ * Build a full event from drawn attributes and an outcome. Failures take an
+ * error/status code from the given lists (a fault may narrow them).
+ */
+export function randomEvent(
+  rng,
+  attrs,
+  { successful, latency, errorCodes = ERROR_CODES, statusCodes = ERROR_STATUS_CODES, slo, ts }
+) {
+  const base = {
+    flow: "order_to_cash",
+    event_type: attrs.event_type,
+    is_successful: successful,
+    origin_service: attrs.origin_service,
+    environment: "production",
+    latency_ms: latency,
+    status_code: successful ? 200 : rng.pick(statusCodes),
+    ts,
+  };
+  const context = { ...attrs, page_url: "/checkout", error_code: successful ? null : rng.pick(errorCodes) };
+  return assemble(base, context, tracingContext(rng), slo);
+}
+
+/**
+ * A hand-pushed event. Unset fields get the same defaults a simulated
+ * event would have; failures default to 500 / E5XX.
+ */
+export function manualEvent(rng, partial = {}, { slo, ts }) {
+  const successful = partial.is_successful ?? true;
+  const base = {
+    flow: partial.flow || "order_to_cash",
+    event_type: partial.event_type || "submit_payment",
+    is_successful: successful,
+    origin_service: partial.origin_service || "on-frontend",
+    environment: partial.environment || "production",
+    latency_ms: partial.latency_ms || Math.round(100 + rng.next() * 200),
+    status_code: partial.status_code ?? (successful ? 200 : 500),
+    ts,
+  };
+  const context = {
+    user_id: partial.user_id || `user_${rng.int(9999)}`,
+    country_iso_code: partial.country_iso_code || "DE",
+    currency_iso_code: partial.currency_iso_code || "EUR",
+    language_iso_code: partial.language_iso_code || "en",
+    page_url: partial.page_url || "/checkout",
+    order_number: partial.order_number,
+    discount_rate: partial.discount_rate,
+    error_code: partial.error_code || "E5XX",
+    channel_type: partial.channel_type || "web",
+  };
+  return assemble(base, context, tracingContext(rng), slo);
+}
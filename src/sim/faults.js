@@ -0,0 +1,118 @@
+/**
+ * Fault injection: a time-boxed override of error rate, error codes and
+ * latency for the slice of traffic that matches every given dimension.
+ *
+ *   {
+ *     name: "PSP failing",
+ *     match: { event_type: "submit_payment" },   // omitted dimension = any
+ *     errorRate: 0.8,
+ *     errorCodes: ["EPAY"],
+ *     statusCodes: [502],
+ *     latency: { type: "lognormal", median: 2500, sigma: 0.4 }, // optional, else scenario latency
+ *     durationSec: 300,
+ *   }
+ */
+
+import {
+  CHANNELS,
+  COUNTRIES,
+  CURRENCIES,
+  ERROR_CODES,
+  ERROR_STATUS_CODES,
+  ORIGIN_SERVICES,
+} from "./events.js";
+import { validateLatency } from "./latency.js";
+import { GOLDEN_EVENT_TYPES } from "./scenarios.js";
+
+const uniform = (values) => Object.fromEntries(values.map((v) => [v, 1 / values.length]));
+
+// Targetable dimensions and their share of generated traffic.
+export const FAULT_DIMENSIONS = {
+  event_type: { label: "Event type", shares: uniform(GOLDEN_EVENT_TYPES) },
+  origin_service: { label: "Service", shares: ORIGIN_SERVICES },
+  country_iso_code: { label: "Country", shares: COUNTRIES },
+  channel_type: { label: "Channel", shares: CHANNELS },
+  currency_iso_code: { label: "Currency", shares: CURRENCIES },
+};
+
+export const FAULT_PRESETS = [
+  {
+    name: "PSP failing submit_payment",
+    match: { event_type: "submit_payment" },
+    errorRate: 0.8,
+    errorCodes: ["EPAY"],
+    statusCodes: [502],
+    latency: { type: "lognormal", median: 2500, sigma: 0.4 },
+    durationSec: 300,
+  },
+  {
+    name: "Solidus ERP sync timeouts",
+    match: { event_type: "sync_order_with_erp", origin_service: "solidus" },
+    errorRate: 0.5,
+    errorCodes: ["ETIME"],
+    statusCodes: [504],
+    latency: { type: "timeout", median: 3000, sigma: 0.5, timeoutRate: 0.3, timeoutMs: 10_000 },
+    durationSec: 600,
+  },
+  {
+    name: "CH app checkout broken",
+    match: { country_iso_code: "CH", channel_type: "app" },
+    errorRate: 1,
+    errorCodes: ["E5XX"],
+    statusCodes: [500],
+    durationSec: 300,
+  },
+];
+
+export function matchesFault(fault, attrs) {
+  for (const [dim, want] of Object.entries(fault.match || {})) {
+    if (want == null || want === "") continue;
+    if (attrs[dim] !== want) return false;
+  }
+  return true;
+}
+
+// Expected share of all traffic a fault's match hits (dimensions are independent).
+export function trafficShare(match = {}) {
+  let share = 1;
+  for (const [dim, want] of Object.entries(match)) {
+    if (want == null || want === "") continue;
+    share *= FAULT_DIMENSIONS[dim]?.shares[want] ?? 0;
+  }
+  return share;
+}
+
+/**
+ * @returns {string[]} human-readable problems; empty when valid
+ */
+export function validateFault(f) {
+  const errors = [];
+  for (const [dim, want] of Object.entries(f.match || {})) {
+    if (want == null || want === "") continue;
+    if (!FAULT_DIMENSIONS[dim]) errors.push(`match.${dim} is not a targetable dimension`);
+    else if (!(want in FAULT_DIMENSIONS[dim].shares)) errors.push(`match.${dim}: unknown value "${want}"`);
+  }
+  if (!(f.errorRate >= 0 && f.errorRate <= 1)) errors.push("errorRate must be between 0 and 1");
+  if (!(f.durationSec > 0)) errors.push("durationSec must be > 0");
+  if (f.errorCodes && !f.errorCodes.length) errors.push("errorCodes must not be empty");
+  if (f.statusCodes?.some((c) => !(c >= 400 && c <= 599))) errors.push("statusCodes must be 4xx/5xx");
+  if (f.latency) errors.push(...validateLatency(f.latency));
+  return errors;
+}
+
+// Stamp a fault spec with its lifetime in virtual time.
+export function createFault(spec, { id, now }) {
+  return {
+    errorCodes: ERROR_CODES,
+    statusCodes: ERROR_STATUS_CODES,
+    ...spec,
+    id,
+    startedAt: now,
+    endsAt: now + spec.durationSec * 1000,
+  };
+}
+
+// A fault affects ticks stamped in (startedAt, endsAt].
+export function isFaultActive(fault, ts) {
+  return ts > fault.startedAt && ts <= fault.endsAt;
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import {
+  createSimulation,
+  FAULT_PRESETS,
+  matchesFault,
+  SCENARIOS,
+  trafficShare,
+  validateFault,
+} from "./index.js";
+
+const slo = { availabilityTarget: 99.5, latencyP95Target: 800 };
+const psp = FAULT_PRESETS[0];
+
+function ticks(sim, n) {
+  const out = [];
+  for (let i = 0; i < n; i++) out.push(...sim.tick({ scenario: SCENARIOS["Viral Discount Code"], slo }).events);
+  return out;
+}
+
+const failRate = (evs) => evs.filter((e) => !e.is_successful).length / evs.length;
+
+describe("fault matching", () => {
+  it("matches only when every given dimension matches", () => {
+    const f = { match: { event_type: "submit_payment", origin_service: "", channel_type: "app" } };
+    expect(matchesFault(f, { event_type: "submit_payment", channel_type: "app" })).toBe(true);
+    expect(matchesFault(f, { event_type: "submit_payment", channel_type: "web" })).toBe(false);
+  });
+
+  it("estimates the share of traffic a match hits", () => {
+    expect(trafficShare({ event_type: "submit_payment" })).toBeCloseTo(1 / 8, 9);
+    expect(trafficShare({ country_iso_code: "CH", channel_type: "app" })).toBeCloseTo(0.2 * 0.3, 9);
+    expect(trafficShare({})).toBe(1);
+  });
+
+  it("validates presets and rejects bad specs", () => {
+    for (const p of FAULT_PRESETS) expect(validateFault(p)).toEqual([]);
+    expect(validateFault({ match: { country_iso_code: "XX" }, errorRate: 2, durationSec: 0 })).toEqual([
+      'match.country_iso_code: unknown value "XX"',
+      "errorRate must be between 0 and 1",
+      "durationSec must be > 0",
+    ]);
+    expect(validateFault({ ...psp, latency: { mean: 2000, jitter: 500 } })).toEqual([
+      "latency.type must be one of uniform, lognormal, bimodal, pareto, timeout",
+    ]);
+  });
+});
+
+describe("engine fault injection", () => {
+  it("fails only the targeted slice, with the fault's codes, for its duration", () => {
+    const sim = createSimulation({ seed: "fault" });
+    ticks(sim, 5);
+    sim.injectFault(psp);
+    const during = ticks(sim, psp.durationSec);
+    const hit = during.filter((e) => e.event_type === "submit_payment");
+    const rest = during.filter((e) => e.event_type !== "submit_payment");
+    expect(failRate(hit)).toBeGreaterThan(0.7);
+    expect(failRate(rest)).toBeLessThan(0.05);
+    expect(new Set(hit.filter((e) => !e.is_successful).map((e) => e.additional_context.error_code))).toEqual(
+      new Set(["EPAY"])
+    );
+    expect(new Set(hit.filter((e) => !e.is_successful).map((e) => e.status_code))).toEqual(new Set([502]));
+
+    const after = ticks(sim, 30).filter((e) => e.event_type === "submit_payment");
+    expect(failRate(after)).toBeLessThan(0.1);
+  });
+
+  it("can be stopped early", () => {
+    const sim = createSimulation({ seed: "stop" });
+    const f = sim.injectFault(psp);
+    ticks(sim, 10);
+    sim.stopFault(f.id);
+    const after = ticks(sim, 30).filter((e) => e.event_type === "submit_payment");
+    expect(failRate(after)).toBeLessThan(0.1);
+    expect(sim.faults[0].endsAt).toBe(sim.clock.now() - 30_000);
+  });
+});
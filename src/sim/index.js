@@ -0,0 +1,10 @@
+export * from "./rng.js";
+export * from "./clock.js";
+export * from "./scenarios.js";
+export * from "./events.js";
+export * from "./engine.js";
+export * from "./library.js";
+export * from "./faults.js";
+export * from "./latency.js";
+export * from "./runbook.js";
+export * from "./deploys.js";
@@ -0,0 +1,147 @@
+/**
+ * Latency distributions for simulated requests. Uniform jitter has no tail,
+ * so p95 sits at mean + 0.9·jitter; the others show why p95/p99 drift away
+ * from the mean.
+ *
+ *   { type: "uniform",   mean, jitter }
+ *   { type: "lognormal", median, sigma }
+ *   { type: "bimodal",   hitMs, missMs, hitRatio, spread }   // cache hit/miss
+ *   { type: "pareto",    scale, alpha }                      // long tail
+ *   { type: "timeout",   median, sigma, timeoutRate, timeoutMs } // capped mixture
+ */
+
+import { createRng } from "./rng.js";
+import { percentile } from "../slo/math.js";
+
+export const MIN_LATENCY_MS = 5;
+
+export const LATENCY_DISTRIBUTIONS = {
+  uniform: {
+    label: "Uniform (mean ± jitter)",
+    params: { mean: { min: 0, max: 60_000 }, jitter: { min: 0, max: 60_000 } },
+    defaults: { mean: 120, jitter: 80 },
+  },
+  lognormal: {
+    label: "Log-normal",
+    params: { median: { min: 1, max: 60_000 }, sigma: { min: 0, max: 3 } },
+    defaults: { median: 110, sigma: 0.4 },
+  },
+  bimodal: {
+    label: "Bimodal (cache hit/miss)",
+    params: {
+      hitMs: { min: 1, max: 60_000 },
+      missMs: { min: 1, max: 60_000 },
+      hitRatio: { min: 0, max: 1 },
+      spread: { min: 0, max: 3 },
+    },
+    defaults: { hitMs: 40, missMs: 400, hitRatio: 0.8, spread: 0.25 },
+  },
+  pareto: {
+    label: "Pareto long tail",
+    params: { scale: { min: 1, max: 60_000 }, alpha: { min: 0.5, max: 10 } },
+    defaults: { scale: 80, alpha: 2.5 },
+  },
+  timeout: {
+    label: "Log-normal + timeouts at cap",
+    params: {
+      median: { min: 1, max: 60_000 },
+      sigma: { min: 0, max: 3 },
+      timeoutRate: { min: 0, max: 1 },
+      timeoutMs: { min: 1, max: 120_000 },
+    },
+    defaults: { median: 150, sigma: 0.5, timeoutRate: 0.02, timeoutMs: 5000 },
+  },
+};
+
+// Standard normal via Box–Muller (two draws).
+function gaussian(rng) {
+  const u = 1 - rng.next();
+  const v = rng.next();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+/** Sample one latency (ms) from `dist`, floored at MIN_LATENCY_MS. */
+export function sampleLatency(rng, dist) {
+  let ms;
+  switch (dist.type) {
+    case "lognormal":
+      ms = dist.median * Math.exp(dist.sigma * gaussian(rng));
+      break;
+    case "bimodal": {
+      const center = rng.chance(dist.hitRatio) ? dist.hitMs : dist.missMs;
+      ms = center * Math.exp(dist.spread * gaussian(rng));
+      break;
+    }
+    case "pareto":
+      ms = dist.scale / Math.pow(1 - rng.next(), 1 / dist.alpha);
+      break;
+    case "timeout":
+      ms = rng.chance(dist.timeoutRate)
+        ? dist.timeoutMs
+        : Math.min(dist.timeoutMs, dist.median * Math.exp(dist.sigma * gaussian(rng)));
+      break;
+    default:
+      ms = dist.mean + (rng.next() - 0.5) * dist.jitter * 2;
+  }
+  return Math.max(MIN_LATENCY_MS, ms);
+}
+
+// Requests that hit the cap of a timeout mixture fail with ETIME.
+export function isTimeout(dist, ms) {
+  return dist.type === "timeout" && ms >= dist.timeoutMs;
+}
+
+/**
+ * @returns {string[]} problems with a distribution config (prefixed by `at`)
+ */
+export function validateLatency(dist, at = "latency") {
+  const spec = LATENCY_DISTRIBUTIONS[dist?.type];
+  if (!spec) return [`${at}.type must be one of ${Object.keys(LATENCY_DISTRIBUTIONS).join(", ")}`];
+  const errors = [];
+  for (const [k, range] of Object.entries(spec.params)) {
+    const v = dist[k];
+    if (typeof v !== "number" || !Number.isFinite(v)) errors.push(`${at}.${k} must be a number`);
+    else if (v < range.min || v > range.max) errors.push(`${at}.${k} must be between ${range.min} and ${range.max}`);
+  }
+  return errors;
+}
+
+/**
+ * Empirical mean/p50/p95/p99 from a fixed-seed sample, for side-by-side
+ * display of how the tail pulls away from the mean.
+ */
+export function describeLatency(dist, n = 20_000) {
+  const rng = createRng("describe-latency");
+  const xs = Array.from({ length: n }, () => sampleLatency(rng, dist));
+  return {
+    mean: xs.reduce((a, b) => a + b, 0) / n,
+    p50: percentile(xs, 50),
+    p95: percentile(xs, 95),
+    p99: percentile(xs, 99),
+  };
+}
+
+/** Compact one-line form, e.g. `lognormal(median=2500, sigma=0.4)`. */
+export function formatLatency(dist) {
+  const spec = LATENCY_DISTRIBUTIONS[dist.type] || LATENCY_DISTRIBUTIONS.uniform;
+  const args = Object.keys(spec.params).map((k) => `${k}=${dist[k]}`);
+  return `${dist.type || "uniform"}(${args.join(", ")})`;
+}
+
+// Parameters measured in milliseconds; timeoutMs is a cap and stays put.
+const MS_PARAMS = ["mean", "jitter", "median", "hitMs", "missMs", "scale"];
+
+// Speed a distribution up or down by `factor`.
+export function scaleLatency(dist, factor) {
+  const out = { ...dist };
+  for (const k of MS_PARAMS) if (k in out) out[k] = out[k] * factor;
+  return out;
+}
+
+// Interpolate numeric parameters of two same-typed distributions.
+export function lerpLatency(from, to, f) {
+  if (!from || from.type !== to.type) return to;
+  const out = { type: to.type };
+  for (const k of Object.keys(LATENCY_DISTRIBUTIONS[to.type].params)) out[k] = from[k] + (to[k] - from[k]) * f;
+  return out;
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { createRng } from "./rng.js";
+import { describeLatency, isTimeout, LATENCY_DISTRIBUTIONS, sampleLatency, validateLatency } from "./latency.js";
+
+const withDefaults = (type) => ({ type, ...LATENCY_DISTRIBUTIONS[type].defaults });
+
+describe("latency distributions", () => {
+  it.each(Object.keys(LATENCY_DISTRIBUTIONS))("%s defaults are valid", (type) => {
+    expect(validateLatency(withDefaults(type))).toEqual([]);
+  });
+
+  it("uniform jitter has no tail: p95 ≈ mean + 0.9·jitter", () => {
+    const d = describeLatency({ type: "uniform", mean: 400, jitter: 100 });
+    expect(d.p95).toBeGreaterThan(485);
+    expect(d.p95).toBeLessThan(495);
+    expect(d.p99).toBeLessThan(500);
+  });
+
+  it("log-normal median matches and the tail pulls p99 away from the mean", () => {
+    const d = describeLatency({ type: "lognormal", median: 100, sigma: 1 });
+    expect(Math.abs(d.p50 - 100) / 100).toBeLessThan(0.05);
+    expect(d.p99).toBeGreaterThan(5 * d.mean);
+  });
+
+  it("bimodal puts p50 near the hit mode and p95 near the miss mode", () => {
+    const d = describeLatency({ type: "bimodal", hitMs: 40, missMs: 400, hitRatio: 0.8, spread: 0.1 });
+    expect(d.p50).toBeLessThan(60);
+    expect(d.p95).toBeGreaterThan(300);
+  });
+
+  it("pareto never goes below its scale", () => {
+    const rng = createRng("p");
+    for (let i = 0; i < 1000; i++) expect(sampleLatency(rng, { type: "pareto", scale: 80, alpha: 2 })).toBeGreaterThanOrEqual(80);
+  });
+
+  it("timeout mixture caps samples and flags them as timeouts", () => {
+    const dist = { type: "timeout", median: 150, sigma: 0.5, timeoutRate: 0.1, timeoutMs: 3000 };
+    const rng = createRng("t");
+    const xs = Array.from({ length: 5000 }, () => sampleLatency(rng, dist));
+    expect(Math.max(...xs)).toBe(3000);
+    const share = xs.filter((x) => isTimeout(dist, x)).length / xs.length;
+    expect(share).toBeGreaterThan(0.08);
+    expect(share).toBeLessThan(0.12);
+  });
+
+  it("floors every sample at 5 ms", () => {
+    const rng = createRng("f");
+    for (let i = 0; i < 200; i++) expect(sampleLatency(rng, { type: "uniform", mean: 0, jitter: 100 })).toBeGreaterThanOrEqual(5);
+  });
+});
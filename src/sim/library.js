@@ -0,0 +1,52 @@
+/**
+ * Custom scenario library persisted in localStorage, plus JSON import/export.
+ */
+
+import { SCENARIO_VERSION, SCENARIOS, validateScenario } from "./scenarios.js";
+
+export const SCENARIO_STORAGE_KEY = "slo-burn-lab:scenarios";
+
+export function loadCustomScenarios(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(SCENARIO_STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Object.fromEntries(
+      list.filter((d) => !validateScenario(d).length).map((d) => [d.name, d])
+    );
+  } catch {
+    return {};
+  }
+}
+
+export function saveCustomScenarios(custom, storage = globalThis.localStorage) {
+  storage?.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(Object.values(custom)));
+}
+
+/**
+ * Parse an imported scenario file (a single scenario or an array of them).
+ * @returns {{ scenarios: object[], errors: string[] }}
+ */
+export function parseScenarioJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { scenarios: [], errors: [`invalid JSON: ${e.message}`] };
+  }
+  const list = Array.isArray(data) ? data : [data];
+  const scenarios = [];
+  const errors = [];
+  list.forEach((d, i) => {
+    const problems = validateScenario(d);
+    if (d && SCENARIOS[d.name]) problems.push(`"${d.name}" clashes with a built-in scenario`);
+    if (problems.length) errors.push(...problems.map((p) => (list.length > 1 ? `[${i}] ${p}` : p)));
+    else scenarios.push(toStored(d));
+  });
+  return { scenarios, errors };
+}
+
+// Strip UI-only flags and stamp the format version.
+export function toStored(def) {
+  const { builtIn: _builtIn, ...rest } = def;
+  return { ...rest, version: SCENARIO_VERSION };
+}
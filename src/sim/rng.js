@@ -0,0 +1,49 @@
+/**
+ * Seeded PRNG (mulberry32) so simulator runs can be replayed exactly.
+ * Seeds may be numbers or strings; strings are hashed with FNV-1a.
+ */
+
+export function hashSeed(seed) {
+  if (typeof seed === "number" && Number.isFinite(seed)) return seed >>> 0;
+  const str = String(seed);
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+/**
+ * @param {string|number} seed
+ * @param {number} [state] – resume from a `state()` taken earlier instead of the seed
+ * @returns {{ seed: string|number, next: () => number, int: (n: number) => number,
+ *   pick: <T>(arr: T[]) => T, chance: (p: number) => boolean, id: () => string, state: () => number }}
+ */
+export function createRng(seed, state) {
+  let a = state != null ? state >>> 0 : hashSeed(seed);
+  const next = () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  return {
+    seed,
+    next,
+    int: (n) => Math.floor(next() * n),
+    pick: (arr) => arr[Math.floor(next() * arr.length)],
+    chance: (p) => next() < p,
+    // 16 base-36 chars – stands in for a uuid in trace/request ids
+    id: () =>
+      Math.floor(next() * 2 ** 40).toString(36).padStart(8, "0") +
+      Math.floor(next() * 2 ** 40).toString(36).padStart(8, "0"),
+    state: () => a,
+  };
+}
+
+// Fresh human-friendly seed for a new run (the only non-deterministic call).
+export function randomSeed() {
+  return Math.floor(Math.random() * 1e9).toString(36);
+}
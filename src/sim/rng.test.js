@@ -0,0 +1,30 @@
+import { describe, expect, it } from "vitest";
+import { createRng, hashSeed } from "./rng.js";
+
+describe("createRng", () => {
+  it("replays the same sequence for the same seed", () => {
+    const a = createRng("workshop-42");
+    const b = createRng("workshop-42");
+    const seqA = Array.from({ length: 50 }, () => a.next());
+    const seqB = Array.from({ length: 50 }, () => b.next());
+    expect(seqA).toEqual(seqB);
+  });
+
+  it("diverges for different seeds", () => {
+    expect(createRng("a").next()).not.toBe(createRng("b").next());
+  });
+
+  it("stays within [0, 1)", () => {
+    const r = createRng(7);
+    for (let i = 0; i < 1000; i++) {
+      const x = r.next();
+      expect(x).toBeGreaterThanOrEqual(0);
+      expect(x).toBeLessThan(1);
+    }
+  });
+
+  it("hashes numeric seeds as themselves", () => {
+    expect(hashSeed(123)).toBe(123);
+    expect(hashSeed("123")).not.toBe(123);
+  });
+});
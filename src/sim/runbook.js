@@ -0,0 +1,123 @@
+/**
+ * Runbook actions: incident responses that change the simulated system.
+ * Each costs score points, takes effect `delaySec` after it is started and
+ * then, for `durationSec`, rewrites the traffic the scenario asks for:
+ *
+ *   params(p)    scenario params → mitigated params (see SCENARIO_PARAMS)
+ *   latency(l)   scenario latency distribution → mitigated one (see latency.js)
+ *
+ * Faults ignore every action except a rollback. When it lands, a rollback
+ * ends the last deploy's regression (see deploys.js) – nothing, if that
+ * deploy was clean. Before any deploy, injected faults stand in for bad
+ * deploys and the newest one still running is rolled back.
+ */
+
+import { scaleLatency } from "./latency.js";
+
+// What the healthy standby region answers with after a failover
+const STANDBY_LATENCY = { type: "lognormal", median: 120, sigma: 0.4 };
+
+export const RUNBOOK_ACTIONS = {
+  rollback: {
+    label: "Roll back last deploy",
+    detail: "ends the last deploy's regression (or the newest injected fault)",
+    cost: 40,
+    delaySec: 120,
+  },
+  scaleOut: {
+    label: "Scale out",
+    detail: "CPU −40%, latency −30%",
+    cost: 30,
+    delaySec: 90,
+    durationSec: 900,
+    params: (p) => ({ ...p, cpuBase: p.cpuBase * 0.6 }),
+    latency: (l) => scaleLatency(l, 0.7),
+  },
+  failover: {
+    label: "Fail over region",
+    detail: "the standby region takes over: errors −95%, normal latency",
+    cost: 60,
+    delaySec: 180,
+    durationSec: 900,
+    params: (p) => ({ ...p, errorRate: p.errorRate * 0.05 }),
+    latency: () => STANDBY_LATENCY,
+  },
+  disablePromo: {
+    label: "Disable promo code",
+    detail: "no ≥50% discounts; the surge they drive goes away",
+    cost: 20,
+    delaySec: 30,
+    durationSec: 900,
+    params: (p) => ({
+      ...p,
+      baseTps: p.baseTps * (1 - 0.8 * p.discountAbuseRate),
+      cpuBase: p.cpuBase * (1 - 0.4 * p.discountAbuseRate),
+      discountAbuseRate: 0,
+    }),
+  },
+  shedLoad: {
+    label: "Shed load",
+    detail: "TPS −40%, CPU −30%, latency −15%, +2% rejected",
+    cost: 25,
+    delaySec: 15,
+    durationSec: 300,
+    params: (p) => ({ ...p, baseTps: p.baseTps * 0.6, cpuBase: p.cpuBase * 0.7, errorRate: Math.min(1, p.errorRate + 0.02) }),
+    latency: (l) => scaleLatency(l, 0.85),
+  },
+  featureFlag: {
+    label: "Flip feature flag",
+    detail: "back to the old checkout path: errors −50%, latency +10%",
+    cost: 15,
+    delaySec: 30,
+    durationSec: 900,
+    params: (p) => ({ ...p, errorRate: p.errorRate * 0.5 }),
+    latency: (l) => scaleLatency(l, 1.1),
+  },
+};
+
+// Stamp an action with its lifetime in virtual time.
+export function startAction(action, { id, now }) {
+  const spec = RUNBOOK_ACTIONS[action];
+  if (!spec) throw new Error(`unknown runbook action "${action}"`);
+  const effectiveAt = now + spec.delaySec * 1000;
+  return {
+    id,
+    action,
+    cost: spec.cost,
+    startedAt: now,
+    effectiveAt,
+    endsAt: spec.durationSec ? effectiveAt + spec.durationSec * 1000 : effectiveAt,
+  };
+}
+
+// An action affects ticks stamped in (effectiveAt, endsAt].
+export function isActionEffective(a, ts) {
+  return ts > a.effectiveAt && ts <= a.endsAt;
+}
+
+/** @returns {"pending"|"effective"|"done"} */
+export function actionState(a, now) {
+  if (now <= a.effectiveAt) return "pending";
+  return now <= a.endsAt ? "effective" : "done";
+}
+
+/** An action can't be started again while an earlier run is pending or in effect. */
+export function canStartAction(actions, action, now) {
+  return !actions.some((a) => a.action === action && actionState(a, now) !== "done");
+}
+
+/**
+ * Apply the actions in effect at `ts` to a tick's scenario parameters.
+ * @returns {{ params: object, latency: object }}
+ */
+export function mitigate(params, latency, actions, ts) {
+  let p = params;
+  let l = latency;
+  for (const a of actions) {
+    if (!isActionEffective(a, ts)) continue;
+    const spec = RUNBOOK_ACTIONS[a.action];
+    if (spec.params) p = spec.params(p);
+    if (spec.latency) l = spec.latency(l);
+  }
+  return { params: p, latency: l };
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import {
+  actionState,
+  canStartAction,
+  createSimulation,
+  FAULT_PRESETS,
+  mitigate,
+  restoreSimulation,
+  RUNBOOK_ACTIONS,
+  SCENARIOS,
+  startAction,
+} from "./index.js";
+
+const slo = { availabilityTarget: 99.5, latencyP95Target: 800 };
+
+function ticks(sim, scenario, n) {
+  const out = [];
+  for (let i = 0; i < n; i++) out.push(...sim.tick({ scenario: SCENARIOS[scenario], slo }).events);
+  return out;
+}
+
+const failRate = (evs) => evs.filter((e) => !e.is_successful).length / evs.length;
+
+describe("runbook actions", () => {
+  it("land after their delay and wear off after their duration", () => {
+    const a = startAction("scaleOut", { id: "x", now: 0 });
+    const { delaySec, durationSec } = RUNBOOK_ACTIONS.scaleOut;
+    expect(a).toMatchObject({ action: "scaleOut", cost: 30, effectiveAt: delaySec * 1000, endsAt: (delaySec + durationSec) * 1000 });
+    expect([0, delaySec * 1000 + 1, (delaySec + durationSec) * 1000 + 1].map((t) => actionState(a, t))).toEqual(["pending", "effective", "done"]);
+    expect(canStartAction([a], "scaleOut", 1000)).toBe(false);
+    expect(canStartAction([a], "failover", 1000)).toBe(true);
+    expect(() => startAction("reboot", { id: "y", now: 0 })).toThrow('unknown runbook action "reboot"');
+  });
+
+  it("rewrite the scenario's params and latency while in effect", () => {
+    const params = { baseTps: 80, errorRate: 0.5, cpuBase: 80, discountAbuseRate: 0.5 };
+    const latency = { type: "timeout", median: 1000, sigma: 0.5, timeoutRate: 0.2, timeoutMs: 5000 };
+    const actions = [startAction("failover", { id: "f", now: 0 }), startAction("disablePromo", { id: "p", now: 0 })];
+    const at = RUNBOOK_ACTIONS.failover.delaySec * 1000 + 1;
+    expect(mitigate(params, latency, actions, 1000)).toEqual({ params, latency });
+    const out = mitigate(params, latency, actions, at);
+    expect(out.params).toMatchObject({ errorRate: 0.025, baseTps: 48, discountAbuseRate: 0 });
+    expect(out.latency).toEqual({ type: "lognormal", median: 120, sigma: 0.4 });
+    const scaled = mitigate(params, latency, [startAction("scaleOut", { id: "s", now: 0 })], RUNBOOK_ACTIONS.scaleOut.delaySec * 1000 + 1);
+    expect(scaled.latency).toEqual({ ...latency, median: 700 });
+  });
+});
+
+describe("runbook actions in the engine", () => {
+  it("fail over cuts a meltdown's errors once it lands", () => {
+    const sim = createSimulation({ seed: "runbook" });
+    sim.runAction("failover");
+    const before = ticks(sim, "K8s Network Meltdown", RUNBOOK_ACTIONS.failover.delaySec);
+    const after = ticks(sim, "K8s Network Meltdown", 60);
+    expect(failRate(before)).toBeGreaterThan(0.5);
+    expect(failRate(after)).toBeLessThan(0.1);
+  });
+
+  it("rolls back the newest running fault and survives a snapshot", () => {
+    const sim = createSimulation({ seed: "rollback" });
+    const old = sim.injectFault(FAULT_PRESETS[1]);
+    const bad = sim.injectFault(FAULT_PRESETS[2]);
+    const { id } = sim.runAction("rollback");
+    ticks(sim, "Calm", RUNBOOK_ACTIONS.rollback.delaySec - 1);
+    const restored = restoreSimulation(JSON.parse(JSON.stringify(sim.snapshot())));
+    ticks(restored, "Calm", 2);
+    expect(restored.actions).toEqual([expect.objectContaining({ id, rolledBack: bad.id })]);
+    const faults = Object.fromEntries(restored.faults.map((f) => [f.id, f]));
+    expect(faults[bad.id].endsAt).toBe(restored.actions[0].effectiveAt);
+    expect(faults[old.id].endsAt).toBe(old.endsAt);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Scenario format: an ordered list of phases. Each phase overrides some
+ * traffic parameters (the rest carry over from the previous phase) and may
+ * ramp linearly from the previous phase's values over its duration. The
+ * last phase holds once its duration has elapsed.
+ *
+ *   {
+ *     "version": 1,
+ *     "name": "PSP Brownout",
+ *     "description": "…",
+ *     "phases": [
+ *       { "name": "calm", "durationSec": 300, "params": { "errorRate": 0.001 } },
+ *       { "name": "ramp", "durationSec": 120, "ramp": true, "incident": true, "params": { "errorRate": 0.3 },
+ *         "latency": { "type": "lognormal", "median": 600, "sigma": 0.7 } }
+ *     ]
+ *   }
+ *
+ * `incident: true` marks a phase as a real incident: the ground truth that
+ * alert rules are scored against (see src/incidents/quality.js).
+ *
+ * A phase may also set a `latency` distribution (see latency.js); it carries
+ * over like params and ramps when both ends share a type. Without one,
+ * latency is uniform from latencyMean ± latencyJitter.
+ *
+ * Durations are simulation seconds (ticks); 1 demo hour = DEMO_HOUR_SEC ticks.
+ */
+
+import { LATENCY_DISTRIBUTIONS, lerpLatency, validateLatency } from "./latency.js";
+
+export const SCENARIO_VERSION = 1;
+
+export const GOLDEN_EVENT_TYPES = [
+  "page_view",
+  "add_to_cart",
+  "submit_payment",
+  "complete_payment",
+  "submit_order",
+  "sync_order_with_erp",
+  "fulfill_order",
+  "close_order",
+];
+
+// Every traffic parameter a phase may set, with its allowed range.
+export const SCENARIO_PARAMS = {
+  baseTps: { label: "Base TPS", min: 0, max: 500 },
+  errorRate: { label: "Error rate", min: 0, max: 1 },
+  latencyMean: { label: "Latency mean (ms)", min: 0, max: 60_000 },
+  latencyJitter: { label: "Latency jitter (ms)", min: 0, max: 60_000 },
+  cpuBase: { label: "CPU base (%)", min: 0, max: 100 },
+  discountAbuseRate: { label: "≥50% discount share", min: 0, max: 1 },
+};
+
+// Values a scenario starts from before its first phase applies.
+export const DEFAULT_PARAMS = {
+  baseTps: 8,
+  errorRate: 0.001,
+  latencyMean: 120,
+  latencyJitter: 80,
+  cpuBase: 35,
+  discountAbuseRate: 0,
+};
+
+function steady(name, description, params, latency, incident = false) {
+  return {
+    version: SCENARIO_VERSION,
+    name,
+    description,
+    builtIn: true,
+    phases: [{ name: "steady", incident, params, latency }],
+  };
+}
+
+export const SCENARIOS = {
+  Calm: steady(
+    "Calm",
+    "Normal traffic, low errors, steady latency.",
+    { baseTps: 8, errorRate: 0.001, cpuBase: 35 },
+    { type: "lognormal", median: 110, sigma: 0.4 }
+  ),
+  "K8s Network Meltdown": steady(
+    "K8s Network Meltdown",
+    "Severe infra issue – errors & latency spike, saturation climbs.",
+    { baseTps: 10, errorRate: 0.6, cpuBase: 85 },
+    { type: "timeout", median: 1500, sigma: 0.5, timeoutRate: 0.15, timeoutMs: 5000 },
+    true
+  ),
+  "Viral Discount Code": steady(
+    "Viral Discount Code",
+    "Throughput surge; business-rule breach (discount >= 50% usage).",
+    { baseTps: 80, errorRate: 0.01, cpuBase: 75, discountAbuseRate: 0.7 },
+    { type: "bimodal", hitMs: 120, missMs: 450, hitRatio: 0.7, spread: 0.25 },
+    true
+  ),
+  "PSP Brownout": {
+    version: SCENARIO_VERSION,
+    name: "PSP Brownout",
+    description: "5 min calm, errors ramp to 30% over 2 min, plateau, then partial recovery.",
+    builtIn: true,
+    phases: [
+      { name: "calm", durationSec: 300, params: { ...DEFAULT_PARAMS }, latency: { type: "lognormal", median: 110, sigma: 0.4 } },
+      { name: "degrading", durationSec: 120, ramp: true, incident: true, params: { errorRate: 0.3 }, latency: { type: "lognormal", median: 600, sigma: 0.7 } },
+      { name: "plateau", durationSec: 300, incident: true, params: {} },
+      { name: "partial recovery", durationSec: 180, ramp: true, incident: true, params: { errorRate: 0.05 }, latency: { type: "lognormal", median: 250, sigma: 0.5 } },
+    ],
+  },
+};
+
+/**
+ * Validate a scenario definition.
+ * @returns {string[]} human-readable problems; empty when valid
+ */
+export function validateScenario(def) {
+  const errors = [];
+  if (!def || typeof def !== "object") return ["scenario must be an object"];
+  if (typeof def.name !== "string" || !def.name.trim()) errors.push("name is required");
+  if (!Array.isArray(def.phases) || !def.phases.length) {
+    errors.push("phases must be a non-empty array");
+    return errors;
+  }
+  def.phases.forEach((ph, i) => {
+    const at = `phases[${i}]`;
+    const last = i === def.phases.length - 1;
+    if (ph.durationSec == null) {
+      if (!last) errors.push(`${at}.durationSec is required (only the last phase may be open-ended)`);
+    } else if (!(Number(ph.durationSec) > 0)) {
+      errors.push(`${at}.durationSec must be > 0`);
+    }
+    if (ph.ramp && i === 0) errors.push(`${at}.ramp needs a previous phase to ramp from`);
+    if (ph.incident != null && typeof ph.incident !== "boolean") errors.push(`${at}.incident must be a boolean`);
+    for (const [k, v] of Object.entries(ph.params || {})) {
+      const spec = SCENARIO_PARAMS[k];
+      if (!spec) errors.push(`${at}.params.${k} is not a known parameter`);
+      else if (typeof v !== "number" || !Number.isFinite(v)) errors.push(`${at}.params.${k} must be a number`);
+      else if (v < spec.min || v > spec.max) errors.push(`${at}.params.${k} must be between ${spec.min} and ${spec.max}`);
+    }
+  });
+  if (errors.length) return errors;
+  resolvePhases(def).forEach((ph, i) => {
+    if (def.phases[i].latency) errors.push(...validateLatency(ph.toLatency, `phases[${i}].latency`));
+  });
+  return errors;
+}
+
+/**
+ * Fully-resolved phase timeline: each phase's start offset and the
+ * parameters it starts from (`from`) and ends at (`to`).
+ */
+export function resolvePhases(def) {
+  let offset = 0;
+  let prev = { ...DEFAULT_PARAMS };
+  let prevLatency = null;
+  return def.phases.map((ph, i) => {
+    const to = { ...prev, ...(ph.params || {}) };
+    const from = ph.ramp && i > 0 ? prev : to;
+    // A latency change of the same type overrides fields; a new type starts from its defaults.
+    const toLatency = !ph.latency
+      ? prevLatency
+      : prevLatency?.type === ph.latency.type
+      ? { ...prevLatency, ...ph.latency }
+      : { ...LATENCY_DISTRIBUTIONS[ph.latency.type]?.defaults, ...ph.latency };
+    const fromLatency = ph.ramp && i > 0 ? prevLatency : toLatency;
+    const durationSec = ph.durationSec == null ? Infinity : Number(ph.durationSec);
+    const out = {
+      index: i,
+      name: ph.name || `phase ${i + 1}`,
+      incident: !!ph.incident,
+      start: offset,
+      durationSec,
+      from,
+      to,
+      fromLatency,
+      toLatency,
+    };
+    offset += durationSec;
+    prev = to;
+    prevLatency = toLatency;
+    return out;
+  });
+}
+
+export function totalDurationSec(def) {
+  return def.phases.reduce((s, ph) => s + (ph.durationSec == null ? Infinity : Number(ph.durationSec)), 0);
+}
+
+/**
+ * Parameters and latency distribution at `elapsedSec` into the scenario,
+ * interpolating ramps.
+ * @returns {{ params: object, latency: object,
+ *   phase: { index: number, name: string, elapsedSec: number, durationSec: number } }}
+ */
+export function paramsAt(def, elapsedSec) {
+  const phases = resolvePhases(def);
+  let ph = phases[phases.length - 1];
+  for (const p of phases) {
+    if (elapsedSec < p.start + p.durationSec) {
+      ph = p;
+      break;
+    }
+  }
+  const inPhase = elapsedSec - ph.start;
+  const f = Number.isFinite(ph.durationSec) ? Math.min(1, Math.max(0, inPhase / ph.durationSec)) : 1;
+  const params = {};
+  for (const k of Object.keys(ph.to)) params[k] = ph.from[k] + (ph.to[k] - ph.from[k]) * f;
+  const latency = ph.toLatency
+    ? lerpLatency(ph.fromLatency, ph.toLatency, f)
+    : { type: "uniform", mean: params.latencyMean, jitter: params.latencyJitter };
+  return {
+    params,
+    latency,
+    phase: { index: ph.index, name: ph.name, elapsedSec: inPhase, durationSec: ph.durationSec },
+  };
+}
@@ -0,0 +1,114 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_PARAMS,
+  paramsAt,
+  SCENARIOS,
+  totalDurationSec,
+  validateScenario,
+} from "./scenarios.js";
+import { parseScenarioJson, loadCustomScenarios, saveCustomScenarios } from "./library.js";
+
+const brownout = SCENARIOS["PSP Brownout"];
+
+describe("built-in scenarios", () => {
+  it.each(Object.keys(SCENARIOS))("%s is valid", (name) => {
+    expect(validateScenario(SCENARIOS[name])).toEqual([]);
+  });
+});
+
+describe("paramsAt", () => {
+  it("holds the first phase before any ramp", () => {
+    expect(paramsAt(brownout, 0).params.errorRate).toBeCloseTo(0.001, 9);
+    expect(paramsAt(brownout, 299).phase.name).toBe("calm");
+  });
+
+  it("interpolates linearly across a ramp", () => {
+    const mid = paramsAt(brownout, 300 + 60);
+    expect(mid.phase).toMatchObject({ index: 1, name: "degrading", elapsedSec: 60 });
+    expect(mid.params.errorRate).toBeCloseTo((0.001 + 0.3) / 2, 9);
+    expect(mid.latency).toEqual({ type: "lognormal", median: (110 + 600) / 2, sigma: (0.4 + 0.7) / 2 });
+  });
+
+  it("carries values into a phase without overrides", () => {
+    expect(paramsAt(brownout, 500).params.errorRate).toBeCloseTo(0.3, 9);
+  });
+
+  it("holds the last phase after the timeline ends", () => {
+    const end = paramsAt(brownout, totalDurationSec(brownout) + 1000);
+    expect(end.phase.index).toBe(3);
+    expect(end.params.errorRate).toBeCloseTo(0.05, 9);
+  });
+
+  it("fills unspecified parameters from the defaults", () => {
+    const def = { name: "x", phases: [{ params: { errorRate: 0.2 } }] };
+    expect(paramsAt(def, 0).params).toEqual({ ...DEFAULT_PARAMS, errorRate: 0.2 });
+  });
+
+  it("falls back to uniform latency from latencyMean/latencyJitter", () => {
+    const def = { name: "x", phases: [{ params: { latencyMean: 300, latencyJitter: 50 } }] };
+    expect(paramsAt(def, 0).latency).toEqual({ type: "uniform", mean: 300, jitter: 50 });
+  });
+
+  it("switches distribution type at a phase boundary instead of ramping", () => {
+    const def = {
+      name: "x",
+      phases: [
+        { durationSec: 10, latency: { type: "lognormal", median: 100, sigma: 0.3 } },
+        { durationSec: 10, ramp: true, latency: { type: "pareto", scale: 50, alpha: 2 } },
+      ],
+    };
+    expect(paramsAt(def, 12).latency).toEqual({ type: "pareto", scale: 50, alpha: 2 });
+  });
+});
+
+describe("validateScenario", () => {
+  it("validates latency distributions", () => {
+    const errors = validateScenario({
+      name: "x",
+      phases: [{ latency: { type: "lognormal", median: 100, sigma: 9 } }],
+    });
+    expect(errors).toEqual(["phases[0].latency.sigma must be between 0 and 3"]);
+    expect(validateScenario({ name: "x", phases: [{ latency: { type: "gamma" } }] })[0]).toMatch(/latency.type must be one of/);
+  });
+
+  it("reports bad durations, ramps and parameters", () => {
+    const errors = validateScenario({
+      name: "bad",
+      phases: [
+        { ramp: true, incident: "yes", params: { errorRate: 2, bogus: 1 } },
+        { durationSec: 10, params: {} },
+      ],
+    });
+    expect(errors).toEqual([
+      "phases[0].durationSec is required (only the last phase may be open-ended)",
+      "phases[0].ramp needs a previous phase to ramp from",
+      "phases[0].incident must be a boolean",
+      "phases[0].params.errorRate must be between 0 and 1",
+      "phases[0].params.bogus is not a known parameter",
+    ]);
+  });
+});
+
+describe("scenario library", () => {
+  it("imports valid scenarios and rejects built-in name clashes", () => {
+    const text = JSON.stringify([
+      { name: "Mine", phases: [{ params: { errorRate: 0.1 } }] },
+      { name: "Calm", phases: [{ params: {} }] },
+    ]);
+    const { scenarios, errors } = parseScenarioJson(text);
+    expect(scenarios.map((s) => s.name)).toEqual(["Mine"]);
+    expect(errors).toEqual(['[1] "Calm" clashes with a built-in scenario']);
+  });
+
+  it("round-trips through storage", () => {
+    const mem = new Map();
+    const storage = { getItem: (k) => mem.get(k) ?? null, setItem: (k, v) => mem.set(k, v) };
+    const custom = { Mine: { version: 1, name: "Mine", phases: [{ params: { errorRate: 0.1 } }] } };
+    saveCustomScenarios(custom, storage);
+    expect(loadCustomScenarios(storage)).toEqual(custom);
+  });
+
+  it("reports unparsable JSON", () => {
+    expect(parseScenarioJson("{").errors[0]).toMatch(/^invalid JSON/);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Alert lifecycle: pending → firing → resolved, driven once per evaluation
+ * by the set of alert conditions that currently hold.
+ *
+ *   pending   condition holds; waiting out the rule's `for` duration
+ *   firing    held for `for`; notifies (page/ticket) unless flapping
+ *   resolved  condition clear for `keepFiringFor` (hysteresis), or by hand
+ *
+ * A pending alert whose condition clears is dropped – it never fired. An
+ * auto-resolved alert whose condition returns within `flapWindow` is
+ * re-opened instead of duplicated; while it has resolved `flapCount` times
+ * inside that window it is flapping and its notifications are suppressed.
+ *
+ * Timings are sim-time milliseconds (see alertTiming() in alertPolicy.js):
+ *   { forMs, keepFiringForMs, flapWindowMs, flapCount }
+ */
+
+export const ALERT_STATES = ["pending", "firing", "resolved"];
+
+const HISTORY_CAP = 20;
+
+// Condition fields copied onto its alert on every evaluation.
+const payload = ({ type, severity, route, slo, message, timing }) => ({ type, severity, route, slo, message, timing });
+
+function log(a, state, now, note) {
+  return { ...a, state, history: [...a.history, { state, at: now, note }].slice(-HISTORY_CAP) };
+}
+
+function enter(a, state, now, note, changes) {
+  const b = log(a, state, now, note);
+  if (state === "pending") b.pendingSince = now;
+  if (state === "firing") b.firingAt ??= now;
+  b.resolvedAt = state === "resolved" ? now : null;
+  changes.push({ alert: b, from: a.state ?? null, to: state, notify: state !== "pending" && !b.flapping });
+  return b;
+}
+
+function isFlapping(a, now) {
+  return a.history.filter((h) => h.state === "resolved" && now - h.at < a.timing.flapWindowMs).length >= a.timing.flapCount;
+}
+
+const flapNote = (flapping) => (flapping ? "flapping: notifications suppressed" : "stopped flapping");
+
+// New or re-opened alert: straight to firing when the rule has no `for`.
+function open(a, now, note, changes) {
+  const flapping = isFlapping(a, now);
+  const b = enter({ ...a, flapping }, a.timing.forMs > 0 ? "pending" : "firing", now, note, changes);
+  return flapping === !!a.flapping ? b : log(b, b.state, now, flapNote(flapping));
+}
+
+// Still-open alert whose condition holds: flap bookkeeping and pending → firing.
+function advance(a, now, changes) {
+  const flapping = isFlapping(a, now);
+  const b = flapping === !!a.flapping ? a : { ...log(a, a.state, now, flapNote(flapping)), flapping };
+  if (b.state !== "pending" || now - b.pendingSince < b.timing.forMs) return b;
+  return enter(b, "firing", now, "condition held for `for`", changes);
+}
+
+/**
+ * Step every alert against the conditions holding at `now`.
+ * @param {object[]} alerts newest first, as returned by a previous call
+ * @param {object[]} conditions `{ type, severity, route?, slo?, message, timing }`, one per type
+ * @param {() => string} nextId id for newly opened alerts
+ * @returns {{ alerts: object[], changes: { alert: object, from: string|null, to: string, notify: boolean }[] }}
+ *   `notify` is set on firing/resolved transitions of alerts that are not flapping
+ */
+export function reconcileAlerts(alerts, conditions, now, nextId) {
+  const active = new Map(conditions.map((c) => [c.type, c]));
+  const held = new Set();
+  const changes = [];
+  const out = [];
+
+  for (const a of alerts) {
+    if (a.state === "resolved") {
+      out.push(a);
+      continue;
+    }
+    const c = active.get(a.type);
+    if (c) {
+      held.add(a.type);
+      const back = a.clearSince != null ? log(a, a.state, now, "condition returned within hysteresis") : a;
+      out.push(advance({ ...back, ...payload(c), clearSince: null }, now, changes));
+    } else if (a.state === "pending") {
+      continue;
+    } else if (a.clearSince == null) {
+      out.push({ ...log(a, a.state, now, "condition cleared, holding for `keepFiringFor`"), clearSince: now });
+    } else if (now - a.clearSince >= a.timing.keepFiringForMs) {
+      out.push(enter({ ...a, clearSince: null }, "resolved", now, "auto-resolved", changes));
+    } else {
+      out.push(a);
+    }
+  }
+
+  const opened = [];
+  for (const c of conditions) {
+    if (held.has(c.type)) continue;
+    const i = out.findIndex(
+      (a) => a.type === c.type && a.state === "resolved" && !a.manual && now - a.resolvedAt < c.timing.flapWindowMs
+    );
+    if (i >= 0) {
+      const [prev] = out.splice(i, 1);
+      opened.push(open({ ...prev, ...payload(c), ackAt: null, firingAt: null }, now, "condition returned, re-opened", changes));
+    } else {
+      const a = { id: nextId(), createdAt: now, ackAt: null, firingAt: null, history: [], flapping: false, ...payload(c) };
+      opened.push(open(a, now, "condition met", changes));
+    }
+  }
+
+  return { alerts: [...opened, ...out], changes };
+}
+
+/** The alert's condition has cleared: its SLIs recovered, whatever `keepFiringFor` still holds. */
+export function hasRecovered(alert) {
+  return alert.state === "resolved" || alert.clearSince != null;
+}
+
+/**
+ * Close an alert by hand; it is not re-opened if its condition returns.
+ * `recovered` records whether the SLIs had recovered – closing a burning
+ * alert only opens a new one on the next evaluation.
+ */
+export function resolveAlertByHand(alert, now) {
+  if (alert.state === "resolved") return alert;
+  const recovered = hasRecovered(alert);
+  const note = recovered ? "resolved by hand" : "resolved by hand while its condition still held";
+  return { ...log(alert, "resolved", now, note), resolvedAt: now, clearSince: null, manual: true, recovered };
+}
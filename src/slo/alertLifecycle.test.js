@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { hasRecovered, reconcileAlerts, resolveAlertByHand } from "./index.js";
+
+const timing = { forMs: 0, keepFiringForMs: 5000, flapWindowMs: 60000, flapCount: 2 };
+const cond = (over) => ({ type: "burn", severity: "P0", route: "page", message: "burning", timing, ...over });
+
+// Drive reconcileAlerts over [t, holds] steps; returns the last result plus every change.
+let n = 0;
+function run(steps, start = []) {
+  let alerts = start;
+  const changes = [];
+  for (const [t, conditions] of steps) {
+    const out = reconcileAlerts(alerts, conditions, t, () => `a${++n}`);
+    alerts = out.alerts;
+    changes.push(...out.changes);
+  }
+  return { alerts, changes };
+}
+
+const states = (a) => a.history.map((h) => h.state);
+
+describe("alert lifecycle", () => {
+  it("waits out `for` before firing and drops pending alerts that clear", () => {
+    const c = cond({ timing: { ...timing, forMs: 3000 } });
+    const { alerts, changes } = run([[0, [c]], [2000, [c]], [3000, [c]]]);
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ id: "a1", state: "firing", createdAt: 0, firingAt: 3000 });
+    expect(changes.map((ch) => [ch.to, ch.notify])).toEqual([["pending", false], ["firing", true]]);
+    expect(run([[0, [c]], [2000, []]]).alerts).toEqual([]);
+  });
+
+  it("auto-resolves only after the condition stays clear for keepFiringFor", () => {
+    const c = cond();
+    const { alerts } = run([[0, [c]], [1000, []], [3000, [c]], [4000, []], [8000, []], [9000, []]]);
+    expect(alerts[0]).toMatchObject({ state: "resolved", resolvedAt: 9000 });
+    expect(alerts[0].history.map((h) => h.note)).toEqual([
+      "condition met",
+      "condition cleared, holding for `keepFiringFor`",
+      "condition returned within hysteresis",
+      "condition cleared, holding for `keepFiringFor`",
+      "auto-resolved",
+    ]);
+  });
+
+  it("re-opens a recently resolved alert and suppresses it once flapping", () => {
+    const c = cond();
+    const flap = [];
+    for (let t = 0; t < 3; t++) flap.push([t * 10000, [c]], [t * 10000 + 1000, []], [t * 10000 + 6000, []]);
+    const { alerts, changes } = run(flap);
+    expect(alerts).toHaveLength(1);
+    expect(states(alerts[0]).filter((s) => s === "resolved")).toHaveLength(3);
+    // Third firing comes after two resolves inside the flap window
+    const firings = changes.filter((ch) => ch.to === "firing");
+    expect(firings.map((ch) => ch.notify)).toEqual([true, true, false]);
+    expect(alerts[0].history.some((h) => h.note === "flapping: notifications suppressed")).toBe(true);
+
+    // Long after the window the alert opens fresh and notifies again
+    const later = run([[200000, [c]]], alerts).alerts;
+    expect(later).toHaveLength(2);
+    expect(later[0]).toMatchObject({ state: "firing", flapping: false });
+  });
+
+  it("keeps hand-resolved alerts closed and opens a new one instead", () => {
+    const c = cond();
+    const first = run([[0, [c]]]).alerts;
+    const closed = [resolveAlertByHand(first[0], 500)];
+    expect(closed[0]).toMatchObject({ state: "resolved", manual: true, resolvedAt: 500, recovered: false });
+    const { alerts } = run([[1000, [c]]], closed);
+    expect(alerts.map((a) => a.state)).toEqual(["firing", "resolved"]);
+    expect(alerts[0].id).not.toBe(closed[0].id);
+  });
+
+  it("records whether the SLIs had recovered when resolved by hand", () => {
+    const c = cond();
+    const firing = run([[0, [c]]]).alerts;
+    expect(hasRecovered(firing[0])).toBe(false);
+    // Condition cleared: held by keepFiringFor, but recovered
+    const held = run([[1000, []]], firing).alerts;
+    expect(hasRecovered(held[0])).toBe(true);
+    const closed = resolveAlertByHand(held[0], 1500);
+    expect(closed.recovered).toBe(true);
+    expect(closed.history.at(-1).note).toBe("resolved by hand");
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * MWMB alert policies: named sets of burn-rate rules, editable in the UI and
+ * compiled into the pair table that evaluateMwmbWith() reads.
+ *
+ *   {
+ *     version: 1,
+ *     name: "Google SRE workbook",
+ *     minEvents: 20,                     // per window, before a rule may fire
+ *     lifecycle: { for: "0s", keepFiringFor: "5m", flapWindow: "1h", flapCount: 3 },
+ *     rules: [
+ *       { id: "pageA", windows: ["1h", "5m"], thr: 14.4, scaleThr: true, severity: "auto", route: "page" },
+ *     ],
+ *   }
+ *
+ * A rule fires while every one of its windows (longest first, real time)
+ * burns at or above `thr`. One window is a plain threshold; two is the
+ * classic long/short pair; three adds a middle window. Severity "auto"
+ * derives from the service tier and the route. `scaleThr` marks a
+ * threshold written for a 30-day period (the presets'), which SLOs on other
+ * periods rescale; without it the threshold is used as written.
+ *
+ * `lifecycle` drives alertLifecycle.js: how long a condition must hold
+ * before firing (`for`, overridable per rule), how long it must stay clear
+ * before auto-resolving (`keepFiringFor`), and how many resolves within
+ * `flapWindow` mark an alert as flapping (`flapCount`).
+ */
+
+import { budgetConsumedPct, expectedBadPercent, SLO_PERIOD_SECONDS } from "./math.js";
+import { DEMO_HOUR_SEC } from "./mwmb.js";
+
+export const ALERT_POLICY_VERSION = 1;
+export const ALERT_POLICY_STORAGE_KEY = "slo-burn-lab:alert-policy";
+
+export const ALERT_ROUTES = { page: "Page", ticket: "Ticket" };
+export const ALERT_SEVERITIES = ["auto", "P0", "P1", "P2", "P3"];
+
+export const DEFAULT_ALERT_LIFECYCLE = { for: "0s", keepFiringFor: "5m", flapWindow: "1h", flapCount: 3 };
+
+const UNITS = { s: 1, m: 60, h: 3600, d: 86400 };
+
+/** "5m" / "1h" / "3d" / "90s" → seconds; NaN when unparseable. */
+export function parseDuration(text) {
+  const m = /^\s*(\d+(?:\.\d+)?)\s*([smhd])\s*$/.exec(String(text));
+  return m ? Number(m[1]) * UNITS[m[2]] : NaN;
+}
+
+export function formatDuration(seconds) {
+  for (const u of ["d", "h", "m"]) {
+    if (seconds >= UNITS[u] && seconds % UNITS[u] === 0) return `${seconds / UNITS[u]}${u}`;
+  }
+  return `${seconds}s`;
+}
+
+const rule = (id, windows, thr, route) => ({ id, windows, thr, scaleThr: true, severity: "auto", route });
+const lifecycle = { ...DEFAULT_ALERT_LIFECYCLE };
+
+export const ALERT_POLICY_PRESETS = {
+  "Google SRE workbook": {
+    version: ALERT_POLICY_VERSION,
+    name: "Google SRE workbook",
+    minEvents: 20,
+    lifecycle,
+    rules: [
+      rule("pageA", ["1h", "5m"], 14.4, "page"),
+      rule("pageB", ["6h", "30m"], 6, "page"),
+      rule("ticketA", ["24h", "2h"], 3, "ticket"),
+      rule("ticketB", ["3d", "6h"], 1, "ticket"),
+    ],
+  },
+  "Single window": {
+    version: ALERT_POLICY_VERSION,
+    name: "Single window",
+    minEvents: 20,
+    lifecycle,
+    rules: [
+      rule("pageA", ["1h"], 14.4, "page"),
+      rule("pageB", ["6h"], 6, "page"),
+      rule("ticketA", ["24h"], 3, "ticket"),
+      rule("ticketB", ["3d"], 1, "ticket"),
+    ],
+  },
+  "Three-window": {
+    version: ALERT_POLICY_VERSION,
+    name: "Three-window",
+    minEvents: 20,
+    lifecycle,
+    rules: [
+      rule("pageA", ["1h", "15m", "5m"], 14.4, "page"),
+      rule("pageB", ["6h", "1h", "30m"], 6, "page"),
+      rule("ticketA", ["3d", "12h", "6h"], 1, "ticket"),
+    ],
+  },
+};
+
+export const DEFAULT_ALERT_POLICY = ALERT_POLICY_PRESETS["Google SRE workbook"];
+
+/**
+ * @returns {string[]} problems with a policy (empty when valid). With an SLO
+ * target and period, rules are also checked against the budget: a rule must
+ * be able to fire (expected bad% ≤ 100) before it spends the whole budget.
+ */
+export function validateAlertPolicy(policy, { sloTarget, periodSec = SLO_PERIOD_SECONDS } = {}) {
+  if (!policy || typeof policy !== "object") return ["policy must be an object"];
+  const errors = [];
+  if (!Number.isInteger(policy.minEvents) || policy.minEvents < 0) errors.push("minEvents must be a whole number ≥ 0");
+  const lc = policy.lifecycle || {};
+  for (const key of ["for", "keepFiringFor", "flapWindow"]) {
+    if (lc[key] != null && !(parseDuration(lc[key]) >= 0)) errors.push(`lifecycle.${key} must be a duration like 0s, 5m or 1h`);
+  }
+  if (lc.flapCount != null && !(Number.isInteger(lc.flapCount) && lc.flapCount >= 2)) {
+    errors.push("lifecycle.flapCount must be a whole number ≥ 2");
+  }
+  if (!Array.isArray(policy.rules) || !policy.rules.length) return [...errors, "policy needs at least one rule"];
+  const ids = new Set();
+  policy.rules.forEach((r, i) => {
+    const at = `rules[${i}]${r?.id ? ` (${r.id})` : ""}`;
+    if (!r?.id) errors.push(`${at}.id is required`);
+    else if (ids.has(r.id)) errors.push(`${at}: duplicate id`);
+    ids.add(r?.id);
+    const secs = (r?.windows || []).map(parseDuration);
+    if (secs.length < 1 || secs.length > 3) errors.push(`${at} needs 1 to 3 windows`);
+    else if (secs.some((s) => !(s > 0))) errors.push(`${at}.windows must be durations like 5m, 1h or 3d`);
+    else if (secs.some((s, j) => j > 0 && s >= secs[j - 1])) errors.push(`${at}.windows must go from longest to shortest`);
+    else if (secs[0] > periodSec) errors.push(`${at}: long window exceeds the SLO period`);
+    if (r?.for != null && !(parseDuration(r.for) >= 0)) errors.push(`${at}.for must be a duration like 0s, 2m or 1h`);
+    if (!(r?.thr > 0)) errors.push(`${at}.thr must be > 0`);
+    if (r?.scaleThr != null && typeof r.scaleThr !== "boolean") errors.push(`${at}.scaleThr must be true or false`);
+    if (!ALERT_ROUTES[r?.route]) errors.push(`${at}.route must be page or ticket`);
+    if (!ALERT_SEVERITIES.includes(r?.severity)) errors.push(`${at}.severity must be one of ${ALERT_SEVERITIES.join(", ")}`);
+    if (!(r?.thr > 0) || !(secs[0] > 0)) return;
+    if (sloTarget != null && expectedBadPercent(sloTarget, r.thr) > 100) {
+      errors.push(`${at}: ${r.thr}x needs more than 100% bad events at SLO ${sloTarget}% – it can never fire`);
+    }
+    if (budgetConsumedPct(r.thr, secs[0], periodSec) > 100) {
+      errors.push(`${at}: ${r.thr}x over ${r.windows[0]} spends the whole budget before it can fire`);
+    }
+  });
+  return errors;
+}
+
+// "auto" severity: pages follow the service tier, tickets are P2.
+export function resolveSeverity(rule, tier) {
+  if (rule.severity !== "auto") return rule.severity;
+  if (rule.route === "ticket") return "P2";
+  return tier === "Tier-0" || tier === "Tier-1" ? "P0" : "P1";
+}
+
+/**
+ * Lifecycle timings of a policy (or one of its rules) in sim-time ms, as
+ * reconcileAlerts() expects them. Real durations are demo-scaled like windows.
+ */
+export function alertTiming(policy, rule, demoHourSec = DEMO_HOUR_SEC) {
+  const lc = { ...DEFAULT_ALERT_LIFECYCLE, ...policy.lifecycle };
+  const ms = (d) => (parseDuration(d) / 3600) * demoHourSec * 1000;
+  return {
+    forMs: ms(rule?.for ?? lc.for),
+    keepFiringForMs: ms(lc.keepFiringFor),
+    flapWindowMs: ms(lc.flapWindow),
+    flapCount: lc.flapCount,
+  };
+}
+
+/**
+ * Compile a policy into the pair table used by evaluateMwmbWith(): keyed by
+ * rule id, with demo-scaled `long`/`short` (longest/shortest window), their
+ * real counterparts, the full `windows` list (and `windowsReal`) and the
+ * rule's lifecycle timing (`forReal` is its `for` in real seconds).
+ */
+export function buildPolicyPairs(policy, demoHourSec = DEMO_HOUR_SEC) {
+  const out = {};
+  for (const r of policy.rules) {
+    const real = r.windows.map(parseDuration);
+    const demo = real.map((s) => (s / 3600) * demoHourSec);
+    out[r.id] = {
+      long: demo[0],
+      short: demo[demo.length - 1],
+      longReal: real[0],
+      shortReal: real[real.length - 1],
+      windows: demo,
+      windowsReal: real,
+      thr: r.thr,
+      scaleThr: !!r.scaleThr,
+      label: `${ALERT_ROUTES[r.route]}: ${r.windows.join(" & ")} @${r.thr}x`,
+      route: r.route,
+      severity: r.severity,
+      minEvents: policy.minEvents,
+      timing: alertTiming(policy, r, demoHourSec),
+      forReal: parseDuration(r.for ?? policy.lifecycle?.for ?? DEFAULT_ALERT_LIFECYCLE.for),
+    };
+  }
+  return out;
+}
+
+export function loadAlertPolicy(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(ALERT_POLICY_STORAGE_KEY);
+    const policy = raw ? JSON.parse(raw) : null;
+    return policy && !validateAlertPolicy(policy).length ? policy : DEFAULT_ALERT_POLICY;
+  } catch {
+    return DEFAULT_ALERT_POLICY;
+  }
+}
+
+export function saveAlertPolicy(policy, storage = globalThis.localStorage) {
+  storage?.setItem(ALERT_POLICY_STORAGE_KEY, JSON.stringify(policy));
+}
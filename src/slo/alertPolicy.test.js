@@ -0,0 +1,107 @@
+import { describe, expect, it } from "vitest";
+import {
+  ALERT_POLICY_PRESETS,
+  alertTiming,
+  buildPolicyPairs,
+  DEFAULT_ALERT_POLICY,
+  evaluateMwmbWith,
+  formatDuration,
+  GOOGLE_MWMB,
+  loadAlertPolicy,
+  parseDuration,
+  saveAlertPolicy,
+  validateAlertPolicy,
+} from "./index.js";
+
+const withRules = (...rules) => ({ ...DEFAULT_ALERT_POLICY, rules });
+const rule = (over) => ({ id: "r", windows: ["1h", "5m"], thr: 14.4, severity: "auto", route: "page", ...over });
+
+describe("alert policies", () => {
+  it("parses and formats durations", () => {
+    expect(["90s", "5m", "1h", "3d", "1.5h"].map(parseDuration)).toEqual([90, 300, 3600, 259200, 5400]);
+    expect(parseDuration("5 minutes")).toBeNaN();
+    expect([300, 3600, 86400 * 3, 90].map(formatDuration)).toEqual(["5m", "1h", "3d", "90s"]);
+  });
+
+  it("ships valid presets", () => {
+    for (const p of Object.values(ALERT_POLICY_PRESETS)) expect(validateAlertPolicy(p, { sloTarget: 99.9 })).toEqual([]);
+  });
+
+  it("compiles the workbook preset to the GOOGLE_MWMB windows", () => {
+    const pairs = buildPolicyPairs(DEFAULT_ALERT_POLICY);
+    for (const [k, w] of Object.entries(GOOGLE_MWMB)) {
+      expect(pairs[k]).toMatchObject({ long: w.long, short: w.short, longReal: w.longReal, shortReal: w.shortReal, thr: w.thr });
+      expect(pairs[k].label).toBe(w.label);
+    }
+  });
+
+  it("rejects malformed rules", () => {
+    expect(
+      validateAlertPolicy({
+        ...withRules(rule({ windows: ["5m", "1h"] }), rule({ windows: [], thr: 0, route: "sms", severity: "P9" })),
+        minEvents: -1,
+      })
+    ).toEqual([
+      "minEvents must be a whole number ≥ 0",
+      "rules[0] (r).windows must go from longest to shortest",
+      "rules[1] (r): duplicate id",
+      "rules[1] (r) needs 1 to 3 windows",
+      "rules[1] (r).thr must be > 0",
+      "rules[1] (r).route must be page or ticket",
+      "rules[1] (r).severity must be one of auto, P0, P1, P2, P3",
+    ]);
+  });
+
+  it("checks rules against the budget math", () => {
+    // 14.4× needs 144% bad at 90%, and 20× for 2d spends 133% of a 30-day budget
+    expect(validateAlertPolicy(withRules(rule({}), rule({ id: "slow", windows: ["2d"], thr: 20 })), { sloTarget: 90 })).toEqual([
+      "rules[0] (r): 14.4x needs more than 100% bad events at SLO 90% – it can never fire",
+      "rules[1] (slow): 20x needs more than 100% bad events at SLO 90% – it can never fire",
+      "rules[1] (slow): 20x over 2d spends the whole budget before it can fire",
+    ]);
+    expect(validateAlertPolicy(withRules(rule({ windows: ["8d"], thr: 0.5 })), { periodSec: 7 * 86400 })).toEqual([
+      "rules[0] (r): long window exceeds the SLO period",
+    ]);
+  });
+
+  it("fires a three-window rule only when every window burns", () => {
+    const pairs = buildPolicyPairs(withRules(rule({ windows: ["1h", "15m", "5m"] })));
+    const burns = { 60: 20, 15: 5, 5: 20 };
+    const out = evaluateMwmbWith((sec) => ({ total: 100, burn: burns[sec] }), { pairs });
+    expect(out.r.windows.map((w) => w.burn)).toEqual([20, 5, 20]);
+    expect(out.r.fired).toBe(false);
+    burns[15] = 15;
+    expect(evaluateMwmbWith((sec) => ({ total: 100, burn: burns[sec] }), { pairs }).r.fired).toBe(true);
+  });
+
+  it("honours the policy's minimum event count", () => {
+    const pairs = buildPolicyPairs({ ...withRules(rule({ windows: ["1h"] })), minEvents: 500 });
+    expect(evaluateMwmbWith(() => ({ total: 400, burn: 50 }), { pairs }).r.fired).toBe(false);
+    expect(evaluateMwmbWith(() => ({ total: 501, burn: 50 }), { pairs }).r.fired).toBe(true);
+  });
+
+  it("demo-scales lifecycle timings, with per-rule `for` overrides", () => {
+    const policy = { ...withRules(rule({}), rule({ id: "slow", for: "2m" })), lifecycle: { for: "1m", keepFiringFor: "5m" } };
+    const pairs = buildPolicyPairs(policy, 60);
+    expect(pairs.r.timing).toEqual({ forMs: 1000, keepFiringForMs: 5000, flapWindowMs: 60000, flapCount: 3 });
+    expect(pairs.slow.timing.forMs).toBe(2000);
+    expect(alertTiming({ rules: [] }, undefined, 60).keepFiringForMs).toBe(5000);
+    expect(
+      validateAlertPolicy({ ...withRules(rule({ for: "soon" })), lifecycle: { keepFiringFor: "-5m", flapCount: 1 } })
+    ).toEqual([
+      "lifecycle.keepFiringFor must be a duration like 0s, 5m or 1h",
+      "lifecycle.flapCount must be a whole number ≥ 2",
+      "rules[0] (r).for must be a duration like 0s, 2m or 1h",
+    ]);
+  });
+
+  it("falls back to the default policy when storage holds an invalid one", () => {
+    const data = {};
+    const storage = { getItem: (k) => data[k] ?? null, setItem: (k, v) => (data[k] = v) };
+    expect(loadAlertPolicy(storage)).toBe(DEFAULT_ALERT_POLICY);
+    saveAlertPolicy(ALERT_POLICY_PRESETS["Three-window"], storage);
+    expect(loadAlertPolicy(storage)).toEqual(ALERT_POLICY_PRESETS["Three-window"]);
+    saveAlertPolicy({ rules: [] }, storage);
+    expect(loadAlertPolicy(storage)).toBe(DEFAULT_ALERT_POLICY);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Error budget policy: what the team has agreed to do as the compliance
+ * period's budget runs out, and whether a feature release may ship.
+ *
+ *   {
+ *     version: 1,
+ *     rules: [
+ *       { atPct: 50, action: "review" },   // ≥ 50% consumed: reliability review before the next release
+ *       { atPct: 100, action: "freeze" },  // ≥ 100% consumed: feature releases frozen
+ *     ],
+ *     deployRisk: 0.2,                     // chance a simulated deploy ships a regression
+ *   }
+ *
+ * A review counts for the rest of the period it was held in. Rollbacks and
+ * other runbook actions are never gated – only feature releases are.
+ */
+
+export const BUDGET_POLICY_VERSION = 1;
+export const BUDGET_POLICY_STORAGE_KEY = "slo-burn-lab:budget-policy";
+
+export const BUDGET_POLICY_ACTIONS = {
+  review: "Reliability review",
+  freeze: "Release freeze",
+};
+
+export const DEFAULT_BUDGET_POLICY = {
+  version: BUDGET_POLICY_VERSION,
+  rules: [
+    { atPct: 50, action: "review" },
+    { atPct: 100, action: "freeze" },
+  ],
+  deployRisk: 0.2,
+};
+
+/**
+ * @returns {string[]} problems with a policy (empty when valid)
+ */
+export function validateBudgetPolicy(policy) {
+  if (!policy || typeof policy !== "object") return ["budget policy must be an object"];
+  const errors = [];
+  if (!Array.isArray(policy.rules)) errors.push("rules must be a list");
+  else {
+    policy.rules.forEach((r, i) => {
+      if (!(r?.atPct > 0)) errors.push(`rules[${i}].atPct must be > 0`);
+      if (!BUDGET_POLICY_ACTIONS[r?.action]) errors.push(`rules[${i}].action must be one of ${Object.keys(BUDGET_POLICY_ACTIONS).join(", ")}`);
+    });
+  }
+  if (!(policy.deployRisk >= 0 && policy.deployRisk <= 1)) errors.push("deployRisk must be between 0 and 1");
+  return errors;
+}
+
+/**
+ * Where the policy stands at `consumedPct` of the period's budget.
+ * @param {{ reviewedAt?: number|null, periodStart: number }} opts – sim ms
+ * @returns {{ state: "ok"|"review"|"reviewed"|"freeze", rule: object|null, canDeploy: boolean, reason: string }}
+ *   `rule` is the rule in force; a "review" blocks releases until one is held
+ */
+export function budgetPolicyState(policy, consumedPct, { reviewedAt = null, periodStart }) {
+  const hit = policy.rules.filter((r) => consumedPct >= r.atPct);
+  const freeze = hit.find((r) => r.action === "freeze");
+  const review = hit.find((r) => r.action === "review");
+  const used = `${consumedPct.toFixed(1)}% of the budget consumed`;
+  if (freeze) return { state: "freeze", rule: freeze, canDeploy: false, reason: `Feature releases are frozen: ${used} (≥ ${freeze.atPct}%)` };
+  if (review && !(reviewedAt != null && reviewedAt >= periodStart)) {
+    return { state: "review", rule: review, canDeploy: false, reason: `Hold a reliability review before the next release: ${used} (≥ ${review.atPct}%)` };
+  }
+  if (review) return { state: "reviewed", rule: review, canDeploy: true, reason: `Reviewed this period; releases may ship (${used})` };
+  return { state: "ok", rule: null, canDeploy: true, reason: `Releases may ship (${used})` };
+}
+
+export function loadBudgetPolicy(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(BUDGET_POLICY_STORAGE_KEY);
+    const policy = raw ? JSON.parse(raw) : null;
+    return policy && !validateBudgetPolicy(policy).length ? policy : DEFAULT_BUDGET_POLICY;
+  } catch {
+    return DEFAULT_BUDGET_POLICY;
+  }
+}
+
+export function saveBudgetPolicy(policy, storage = globalThis.localStorage) {
+  storage?.setItem(BUDGET_POLICY_STORAGE_KEY, JSON.stringify(policy));
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { budgetPolicyState, DEFAULT_BUDGET_POLICY, loadBudgetPolicy, saveBudgetPolicy, validateBudgetPolicy } from "./index.js";
+
+const at = (pct, opts = {}) => budgetPolicyState(DEFAULT_BUDGET_POLICY, pct, { periodStart: 1000, ...opts });
+
+describe("error budget policy", () => {
+  it("requires a review at 50% and freezes releases at 100%", () => {
+    expect(at(10)).toMatchObject({ state: "ok", rule: null, canDeploy: true });
+    expect(at(50)).toMatchObject({ state: "review", rule: { action: "review" }, canDeploy: false });
+    expect(at(70, { reviewedAt: 2000 })).toMatchObject({ state: "reviewed", canDeploy: true });
+    // A review from an earlier period doesn't count
+    expect(at(70, { reviewedAt: 500 }).canDeploy).toBe(false);
+    expect(at(120, { reviewedAt: 2000 })).toMatchObject({ state: "freeze", rule: { atPct: 100 }, canDeploy: false });
+    expect(at(120).reason).toBe("Feature releases are frozen: 120.0% of the budget consumed (≥ 100%)");
+  });
+
+  it("validates and persists policies", () => {
+    expect(validateBudgetPolicy(DEFAULT_BUDGET_POLICY)).toEqual([]);
+    expect(validateBudgetPolicy({ rules: [{ atPct: 0, action: "panic" }], deployRisk: 2 })).toEqual([
+      "rules[0].atPct must be > 0",
+      "rules[0].action must be one of review, freeze",
+      "deployRisk must be between 0 and 1",
+    ]);
+    const store = new Map();
+    const storage = { getItem: (k) => store.get(k) ?? null, setItem: (k, v) => store.set(k, v) };
+    const strict = { ...DEFAULT_BUDGET_POLICY, rules: [{ atPct: 25, action: "freeze" }], deployRisk: 0.5 };
+    saveBudgetPolicy(strict, storage);
+    expect(loadBudgetPolicy(storage)).toEqual(strict);
+    saveBudgetPolicy({ rules: "none" }, storage);
+    expect(loadBudgetPolicy(storage)).toBe(DEFAULT_BUDGET_POLICY);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * Windowed SLI evaluation over a list of business_process_logger events.
+ * A clock is anything with `now()` returning epoch milliseconds.
+ */
+
+import { burnRate, clamp, percentile } from "./math.js";
+import { goodByPolicy } from "./policy.js";
+import { GOOGLE_MWMB } from "./mwmb.js";
+
+export const systemClock = { now: () => Date.now() };
+
+// Minimum events in each window before an MWMB pair may fire.
+export const MWMB_MIN_EVENTS = 20;
+
+export function eventsInWindow(events, seconds, now) {
+  const cutoff = now - seconds * 1000;
+  return events.filter((l) => l.ts >= cutoff);
+}
+
+// Bad% and burn from raw good/bad counts (events or pre-aggregated buckets).
+export function statsFromCounts({ total, bad }, sloTarget) {
+  if (!total) return { total: 0, bad: 0, badPct: 0, burn: 0 };
+  const badPct = (bad / total) * 100;
+  return { total, bad, badPct, burn: burnRate(badPct, sloTarget) };
+}
+
+/**
+ * Bad% and burn over the trailing `seconds`.
+ * @returns {{ total: number, bad: number, badPct: number, burn: number }}
+ */
+export function burnStats(events, seconds, { slo, clock = systemClock, isGood = goodByPolicy(slo) }) {
+  const slice = eventsInWindow(events, seconds, clock.now());
+  const bad = slice.filter((l) => !isGood(l)).length;
+  return statsFromCounts({ total: slice.length, bad }, slo.availabilityTarget);
+}
+
+// An MWMB pair fires only while both windows burn at or above threshold.
+export function pairFires(s, l, thr, minEvents = MWMB_MIN_EVENTS) {
+  return s.burn >= thr && l.burn >= thr && s.total > minEvents && l.total > minEvents;
+}
+
+/**
+ * Evaluate each MWMB pair with any windowed stats source. Pairs compiled
+ * from an alert policy may carry more `windows` (longest first) and their
+ * own `minEvents`; every window must burn at or above threshold.
+ * @param {(seconds: number) => { total: number, burn: number }} windowStats
+ * @returns {Record<string, { s: object, l: object, windows: object[], fired: boolean }>}
+ */
+export function evaluateMwmbWith(windowStats, { pairs = GOOGLE_MWMB, minEvents = MWMB_MIN_EVENTS } = {}) {
+  const out = {};
+  for (const [key, w] of Object.entries(pairs)) {
+    const windows = (w.windows || [w.long, w.short]).map(windowStats);
+    const min = w.minEvents ?? minEvents;
+    out[key] = {
+      s: windows[windows.length - 1],
+      l: windows[0],
+      windows,
+      fired: windows.every((x) => x.burn >= w.thr && x.total > min),
+    };
+  }
+  return out;
+}
+
+// Evaluate each MWMB pair against raw events.
+export function evaluateMwmb(events, { slo, clock = systemClock, pairs = GOOGLE_MWMB, minEvents = MWMB_MIN_EVENTS }) {
+  const isGood = goodByPolicy(slo);
+  return evaluateMwmbWith((seconds) => burnStats(events, seconds, { slo, clock, isGood }), { pairs, minEvents });
+}
+
+/**
+ * One-shot evaluation: availability, p95 and burn over `windowSeconds`,
+ * plus MWMB verdicts for every pair.
+ */
+export function evaluateSlo(events, { slo, clock = systemClock, windowSeconds = 60, pairs = GOOGLE_MWMB, minEvents }) {
+  const isGood = goodByPolicy(slo);
+  const slice = eventsInWindow(events, windowSeconds, clock.now());
+  const ok = slice.filter(isGood).length;
+  const availability = slice.length ? (ok / slice.length) * 100 : NaN;
+  const observedBadPercent = Number.isNaN(availability) ? 0 : clamp(100 - availability, 0, 100);
+  return {
+    total: slice.length,
+    availability,
+    p95: percentile(slice.map((l) => l.latency_ms), 95),
+    observedBadPercent,
+    burnRate: burnRate(observedBadPercent, slo.availabilityTarget),
+    mwmb: evaluateMwmb(events, { slo, clock, pairs, minEvents }),
+  };
+}
@@ -0,0 +1,84 @@
+import { describe, expect, it } from "vitest";
+import { burnStats, evaluateMwmb, evaluateSlo, goodByPolicy } from "./index.js";
+
+const NOW = 1_700_000_000_000;
+const clock = { now: () => NOW };
+const slo = { availabilityTarget: 99.5, latencyP95Target: 200, bakeSLI: true };
+
+function ev(ageSec, { ok = true, latency = 100 } = {}) {
+  return { ts: NOW - ageSec * 1000, is_successful: ok, latency_ms: latency };
+}
+
+describe("goodByPolicy", () => {
+  const slow = { is_successful: true, latency_ms: 400 };
+  const fast = { is_successful: true, latency_ms: 100 };
+
+  it("baked policy marks slow success as bad", () => {
+    const isGood = goodByPolicy(slo);
+    expect(isGood(slow)).toBe(false);
+    expect(isGood(fast)).toBe(true);
+  });
+
+  it("non-baked policy treats slow success as good", () => {
+    expect(goodByPolicy({ ...slo, bakeSLI: false })(slow)).toBe(true);
+  });
+
+  it("prefers the event's compliance snapshot over the current threshold", () => {
+    const isGood = goodByPolicy(slo);
+    expect(isGood({ ...slow, is_slo_compliant: true })).toBe(true);
+    expect(isGood({ ...fast, is_slo_compliant: false })).toBe(false);
+  });
+
+  it("failures are always bad", () => {
+    expect(goodByPolicy({ ...slo, bakeSLI: false })({ is_successful: false, latency_ms: 1 })).toBe(false);
+  });
+});
+
+describe("burnStats", () => {
+  it("only counts events inside the window", () => {
+    const events = [ev(5, { ok: false }), ev(5), ev(5), ev(5), ev(500, { ok: false })];
+    const s = burnStats(events, 60, { slo, clock });
+    expect(s.total).toBe(4);
+    expect(s.badPct).toBe(25);
+    expect(s.burn).toBeCloseTo(50, 9);
+  });
+
+  it("is zero for an empty window", () => {
+    expect(burnStats([], 60, { slo, clock })).toEqual({ total: 0, bad: 0, badPct: 0, burn: 0 });
+  });
+});
+
+describe("evaluateMwmb", () => {
+  it("fires the page pair only when both windows burn and have enough events", () => {
+    // 10% bad => 20x at SLO 99.5, evenly spread over the last 60s (pageA long window)
+    const events = Array.from({ length: 400 }, (_, i) => ev(i * 0.15, { ok: i % 10 !== 0 }));
+    const out = evaluateMwmb(events, { slo, clock });
+    expect(out.pageA.fired).toBe(true);
+    expect(evaluateMwmb(events.slice(0, 15), { slo, clock }).pageA.fired).toBe(false);
+  });
+
+  it("does not fire when the short window has recovered", () => {
+    const events = [
+      ...Array.from({ length: 50 }, (_, i) => ev(30 + i * 0.5, { ok: false })),
+      ...Array.from({ length: 50 }, (_, i) => ev(i * 0.08)),
+    ];
+    const out = evaluateMwmb(events, { slo, clock });
+    expect(out.pageA.l.burn).toBeGreaterThan(14.4);
+    expect(out.pageA.fired).toBe(false);
+  });
+});
+
+describe("evaluateSlo", () => {
+  it("reports availability, p95 and burn for the trailing window", () => {
+    const events = [ev(1), ev(2, { latency: 300 }), ev(3), ev(4, { ok: false })];
+    const r = evaluateSlo(events, { slo, clock });
+    expect(r.total).toBe(4);
+    expect(r.availability).toBe(50);
+    expect(r.p95).toBe(300);
+    expect(r.burnRate).toBeCloseTo(100, 9);
+  });
+
+  it("is NaN availability with no traffic", () => {
+    expect(evaluateSlo([], { slo, clock }).availability).toBeNaN();
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Named SLOs: each selects a slice of events with a filter, judges them with
+ * its own SLI and has its own target, error budget and MWMB alert set.
+ *
+ *   {
+ *     id: "checkout-availability",
+ *     name: "Checkout availability",
+ *     filter: { event_type: ["submit_payment", "complete_payment"] }, // omitted/empty = any
+ *     sli: { kind: "availability" },
+ *     target: 99.95,
+ *     period: "rolling-28d", // optional, see period.js (default 30-day rolling)
+ *   }
+ *
+ * A latency SLI counts a request as good when it finishes within
+ * `sli.thresholdMs`, so "p95 ≤ 300 ms" is `target: 95, thresholdMs: 300`.
+ */
+
+import { COMPLIANCE_PERIODS } from "./period.js";
+
+export const SLO_STORAGE_KEY = "slo-burn-lab:slos";
+
+export const SLI_KINDS = {
+  availability: { label: "Availability", good: "success" },
+  latency: { label: "Latency", good: "latency ≤ threshold", thresholdMs: true },
+  "availability+latency": { label: "Availability + latency", good: "success & latency ≤ threshold", thresholdMs: true },
+};
+
+// Filterable event fields and where they live on a business_process_logger event.
+export const SLO_FILTER_FIELDS = {
+  flow: { label: "Flow", get: (ev) => ev.flow },
+  event_type: { label: "Event type", get: (ev) => ev.event_type },
+  origin_service: { label: "Service", get: (ev) => ev.origin_service },
+  channel: { label: "Channel", get: (ev) => ev.additional_context?.channel_type },
+};
+
+export const DEFAULT_SLOS = [
+  {
+    id: "checkout-availability",
+    name: "Checkout availability",
+    filter: { event_type: ["submit_payment", "complete_payment"] },
+    sli: { kind: "availability" },
+    target: 99.95,
+    period: "rolling-28d",
+  },
+  {
+    id: "browse-latency",
+    name: "Browse latency",
+    filter: { event_type: ["page_view"] },
+    sli: { kind: "latency", thresholdMs: 300 },
+    target: 95,
+    period: "calendar-month",
+  },
+];
+
+export function matchesSloFilter(filter, ev) {
+  for (const [field, values] of Object.entries(filter || {})) {
+    if (values?.length && !values.includes(SLO_FILTER_FIELDS[field].get(ev))) return false;
+  }
+  return true;
+}
+
+/** @returns {(ev: object) => boolean} goodness of one in-scope event */
+export function sliGood(sli) {
+  switch (sli.kind) {
+    case "latency":
+      return (ev) => ev.latency_ms <= sli.thresholdMs;
+    case "availability+latency":
+      return (ev) => ev.is_successful && ev.latency_ms <= sli.thresholdMs;
+    default:
+      return (ev) => ev.is_successful;
+  }
+}
+
+/**
+ * @returns {string[]} problems with a named SLO (empty when valid)
+ */
+export function validateSloDef(def) {
+  const errors = [];
+  if (!def || typeof def !== "object") return ["SLO must be an object"];
+  if (!def.id || typeof def.id !== "string") errors.push("id is required");
+  if (!def.name || typeof def.name !== "string") errors.push("name is required");
+  for (const [field, values] of Object.entries(def.filter || {})) {
+    if (!SLO_FILTER_FIELDS[field]) errors.push(`filter.${field} is not a filterable field`);
+    else if (!Array.isArray(values)) errors.push(`filter.${field} must be a list`);
+  }
+  const kind = SLI_KINDS[def.sli?.kind];
+  if (!kind) errors.push(`sli.kind must be one of ${Object.keys(SLI_KINDS).join(", ")}`);
+  else if (kind.thresholdMs && !(def.sli.thresholdMs > 0)) errors.push("sli.thresholdMs must be > 0");
+  if (!(def.target > 0 && def.target < 100)) errors.push("target must be between 0 and 100 (exclusive)");
+  if (def.period != null && !COMPLIANCE_PERIODS[def.period]) {
+    errors.push(`period must be one of ${Object.keys(COMPLIANCE_PERIODS).join(", ")}`);
+  }
+  return errors;
+}
+
+// Lower-case slug of `name`, suffixed until it is not in `taken`.
+export function sloId(name, taken = []) {
+  const base = String(name).toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/^-|-$/g, "") || "slo";
+  let id = base;
+  for (let n = 2; taken.includes(id); n++) id = `${base}-${n}`;
+  return id;
+}
+
+export function loadSloDefs(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(SLO_STORAGE_KEY);
+    if (!raw) return DEFAULT_SLOS;
+    return JSON.parse(raw).filter((d) => !validateSloDef(d).length);
+  } catch {
+    return DEFAULT_SLOS;
+  }
+}
+
+export function saveSloDefs(defs, storage = globalThis.localStorage) {
+  storage?.setItem(SLO_STORAGE_KEY, JSON.stringify(defs));
+}
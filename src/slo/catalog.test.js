@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_SLOS,
+  loadSloDefs,
+  matchesSloFilter,
+  saveSloDefs,
+  sliGood,
+  sloId,
+  validateSloDef,
+} from "./catalog.js";
+
+const ev = (over = {}) => ({
+  flow: "order_to_cash",
+  event_type: "submit_payment",
+  origin_service: "on-frontend",
+  is_successful: true,
+  latency_ms: 200,
+  additional_context: { channel_type: "app" },
+  ...over,
+});
+
+function memoryStorage() {
+  const data = {};
+  return { getItem: (k) => data[k] ?? null, setItem: (k, v) => (data[k] = v) };
+}
+
+describe("named SLO catalog", () => {
+  it("ships valid defaults", () => {
+    for (const d of DEFAULT_SLOS) expect(validateSloDef(d)).toEqual([]);
+  });
+
+  it("matches every listed field, treating omitted or empty lists as any", () => {
+    const filter = { event_type: ["submit_payment", "complete_payment"], channel: ["app"], origin_service: [] };
+    expect(matchesSloFilter(filter, ev())).toBe(true);
+    expect(matchesSloFilter(filter, ev({ event_type: "page_view" }))).toBe(false);
+    expect(matchesSloFilter(filter, ev({ additional_context: { channel_type: "web" } }))).toBe(false);
+    expect(matchesSloFilter({}, ev())).toBe(true);
+  });
+
+  it("judges goodness per SLI kind", () => {
+    const slow = ev({ latency_ms: 900 });
+    const failedFast = ev({ is_successful: false, latency_ms: 50 });
+    expect(sliGood({ kind: "availability" })(slow)).toBe(true);
+    expect(sliGood({ kind: "availability" })(failedFast)).toBe(false);
+    expect(sliGood({ kind: "latency", thresholdMs: 300 })(slow)).toBe(false);
+    expect(sliGood({ kind: "latency", thresholdMs: 300 })(failedFast)).toBe(true);
+    expect(sliGood({ kind: "availability+latency", thresholdMs: 300 })(failedFast)).toBe(false);
+  });
+
+  it("reports invalid definitions", () => {
+    expect(
+      validateSloDef({ id: "x", name: "X", filter: { region: ["eu"] }, sli: { kind: "latency" }, target: 100, period: "weekly" })
+    ).toEqual([
+      "filter.region is not a filterable field",
+      "sli.thresholdMs must be > 0",
+      "target must be between 0 and 100 (exclusive)",
+      "period must be one of rolling-7d, rolling-28d, rolling-30d, calendar-month, calendar-quarter",
+    ]);
+  });
+
+  it("derives unique ids from names", () => {
+    expect(sloId("Checkout availability")).toBe("checkout-availability");
+    expect(sloId("Checkout availability", ["checkout-availability"])).toBe("checkout-availability-2");
+  });
+
+  it("round-trips through storage and falls back to the defaults", () => {
+    const storage = memoryStorage();
+    expect(loadSloDefs(storage)).toEqual(DEFAULT_SLOS);
+    saveSloDefs([DEFAULT_SLOS[0], { id: "bad" }], storage);
+    expect(loadSloDefs(storage)).toEqual([DEFAULT_SLOS[0]]);
+  });
+});
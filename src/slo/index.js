@@ -0,0 +1,10 @@
+export * from "./math.js";
+export * from "./policy.js";
+export * from "./mwmb.js";
+export * from "./burn.js";
+export * from "./catalog.js";
+export * from "./period.js";
+export * from "./alertPolicy.js";
+export * from "./alertLifecycle.js";
+export * from "./budgetPolicy.js";
+export * from "./tiers.js";
@@ -0,0 +1,50 @@
+/**
+ * Pure error-budget math shared by the UI, scripts and tests.
+ * No React, no DOM – everything here is a plain function of its inputs.
+ */
+
+// ---- Constants -------------------------------------------------------------
+
+export const SLO_PERIOD_DAYS = 30; // default evaluation window
+export const SLO_PERIOD_SECONDS = SLO_PERIOD_DAYS * 24 * 3600;
+
+// ---- Helpers ---------------------------------------------------------------
+
+export function clamp(n, min, max) {
+  return Math.max(min, Math.min(max, n));
+}
+
+// Nearest-rank percentile; NaN for an empty sample.
+export function percentile(arr, p) {
+  if (!arr.length) return NaN;
+  const sorted = [...arr].sort((a, b) => a - b);
+  const idx = Math.ceil((p / 100) * sorted.length) - 1;
+  return sorted[clamp(idx, 0, sorted.length - 1)];
+}
+
+// ---- Error budget math -----------------------------------------------------
+
+export function errorBudgetPercent(sloTarget) {
+  return 100 - sloTarget;
+}
+
+// Bad% that corresponds to a given burn threshold at this SLO.
+export function expectedBadPercent(sloTarget, burnThr) {
+  return errorBudgetPercent(sloTarget) * burnThr;
+}
+
+// burn = bad% / EB%; a zero budget burns infinitely fast.
+export function burnRate(badPct, sloTarget) {
+  const eb = errorBudgetPercent(sloTarget);
+  return eb > 0 ? badPct / eb : Infinity;
+}
+
+// Percentage of the period's budget consumed by sustaining `burn` for `windowSeconds`.
+export function budgetConsumedPct(burn, windowSeconds, periodSeconds = SLO_PERIOD_SECONDS) {
+  return (burn * windowSeconds * 100) / periodSeconds;
+}
+
+// Days until `remainingPct` of the period's budget is gone at a steady `burn`.
+export function daysToDeplete(burn, periodDays = SLO_PERIOD_DAYS, remainingPct = 100) {
+  return burn > 0 ? (periodDays * remainingPct) / 100 / burn : Infinity;
+}
@@ -0,0 +1,78 @@
+import { describe, expect, it } from "vitest";
+import {
+  budgetConsumedPct,
+  burnRate,
+  clamp,
+  daysToDeplete,
+  expectedBadPercent,
+  percentile,
+} from "./math.js";
+
+describe("percentile", () => {
+  it("p95 of 1..100 is 95", () => {
+    const arr = Array.from({ length: 100 }, (_, i) => i + 1);
+    expect(percentile(arr, 95)).toBe(95);
+  });
+
+  it("is NaN for an empty sample", () => {
+    expect(percentile([], 95)).toBeNaN();
+  });
+
+  it("does not mutate its input", () => {
+    const arr = [3, 1, 2];
+    percentile(arr, 50);
+    expect(arr).toEqual([3, 1, 2]);
+  });
+});
+
+describe("clamp", () => {
+  it("bounds values on both sides", () => {
+    expect(clamp(200, 0, 100)).toBe(100);
+    expect(clamp(-5, 0, 100)).toBe(0);
+    expect(clamp(42, 0, 100)).toBe(42);
+  });
+});
+
+describe("burn rate", () => {
+  it("burn = bad%/EB% (SLO 99.5, 10% bad => 20x)", () => {
+    expect(burnRate(10, 99.5)).toBeCloseTo(20, 9);
+  });
+
+  it("is infinite with a zero budget", () => {
+    expect(burnRate(1, 100)).toBe(Infinity);
+  });
+
+  it("expected bad% at 14.4x for SLO 99.5 is 7.2%", () => {
+    expect(expectedBadPercent(99.5, 14.4)).toBeCloseTo(7.2, 9);
+  });
+});
+
+describe("budget consumption at MWMB thresholds (30d period)", () => {
+  it.each([
+    ["1h@14.4", 14.4, 3600, 2],
+    ["6h@6", 6, 6 * 3600, 5],
+    ["24h@3", 3, 24 * 3600, 10],
+    ["3d@1", 1, 3 * 86400, 10],
+  ])("%s consumes %d%%", (_, burn, seconds, pct) => {
+    expect(budgetConsumedPct(burn, seconds)).toBeCloseTo(pct, 9);
+  });
+
+  it("honours a custom period", () => {
+    expect(budgetConsumedPct(1, 86400, 28 * 86400)).toBeCloseTo(100 / 28, 9);
+  });
+});
+
+describe("daysToDeplete", () => {
+  it("at 14.4x is 30/14.4 days", () => {
+    expect(daysToDeplete(14.4)).toBeCloseTo(30 / 14.4, 9);
+  });
+
+  it("never depletes without burn", () => {
+    expect(daysToDeplete(0)).toBe(Infinity);
+  });
+
+  it("scales with the period and the budget left", () => {
+    expect(daysToDeplete(2, 28)).toBeCloseTo(14, 9);
+    expect(daysToDeplete(2, 28, 25)).toBeCloseTo(3.5, 9);
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Google multi-window, multi-burn-rate (MWMB) pairs.
+ * The short window is 1/12 of the long window. `short`/`long` are demo-scaled
+ * seconds (what the simulator evaluates); `shortReal`/`longReal` are the real
+ * windows used for budget math independent of demo scaling.
+ */
+
+import { SLO_PERIOD_SECONDS } from "./math.js";
+
+// Demo scale: 1 hour of real time == 60 seconds in the simulator.
+export const DEMO_HOUR_SEC = 60;
+
+// Real seconds for the same windows.
+export const REAL = { h: 3600, m: 60, d: 86400 };
+
+export const MWMB_KEYS = ["pageA", "pageB", "ticketA", "ticketB"];
+
+export function demoScale(demoHourSec = DEMO_HOUR_SEC) {
+  return {
+    hours: (h) => h * demoHourSec,
+    minutes: (m) => (m / 60) * demoHourSec,
+    days: (d) => d * 24 * demoHourSec,
+  };
+}
+
+export function buildGoogleMwmb(demoHourSec = DEMO_HOUR_SEC) {
+  const { hours, minutes, days } = demoScale(demoHourSec);
+  return {
+    pageA: { long: hours(1), short: minutes(5), longReal: REAL.h * 1, shortReal: REAL.m * 5, thr: 14.4, scaleThr: true, label: "Page: 1h & 5m @14.4x" },
+    pageB: { long: hours(6), short: minutes(30), longReal: REAL.h * 6, shortReal: REAL.m * 30, thr: 6, scaleThr: true, label: "Page: 6h & 30m @6x" },
+    ticketA: { long: hours(24), short: hours(2), longReal: REAL.h * 24, shortReal: REAL.h * 2, thr: 3, scaleThr: true, label: "Ticket: 24h & 2h @3x" },
+    ticketB: { long: days(3), short: hours(6), longReal: REAL.d * 3, shortReal: REAL.h * 6, thr: 1, scaleThr: true, label: "Ticket: 3d & 6h @1x" },
+  };
+}
+
+export const GOOGLE_MWMB = buildGoogleMwmb();
+
+/**
+ * The workbook thresholds spend a fixed share of a 30-day budget per long
+ * window (2%, 5%, 10%, 10%). Re-derive them for another period length so
+ * each pair still spends the same share: thr × period / 30d.
+ */
+export function periodThreshold(thr, periodSeconds) {
+  return Math.round(((thr * periodSeconds) / SLO_PERIOD_SECONDS) * 100) / 100;
+}
+
+// Rescale the pairs marked `scaleThr` (the workbook's); other thresholds are kept as written.
+export function scaleMwmbToPeriod(pairs, periodSeconds) {
+  if (periodSeconds === SLO_PERIOD_SECONDS) return pairs;
+  return Object.fromEntries(
+    Object.entries(pairs).map(([k, w]) => {
+      if (!w.scaleThr) return [k, w];
+      const thr = periodThreshold(w.thr, periodSeconds);
+      return [k, { ...w, thr, label: `${w.label.split(" @")[0]} @${thr}x` }];
+    })
+  );
+}
@@ -0,0 +1,41 @@
+import { describe, expect, it } from "vitest";
+import { budgetConsumedPct } from "./math.js";
+import { buildGoogleMwmb, GOOGLE_MWMB, MWMB_KEYS, scaleMwmbToPeriod } from "./mwmb.js";
+
+describe("Google MWMB pairs", () => {
+  it.each(MWMB_KEYS)("%s short window is 1/12 of long (real and demo)", (k) => {
+    const w = GOOGLE_MWMB[k];
+    expect(w.shortReal * 12).toBeCloseTo(w.longReal, 9);
+    expect(w.short * 12).toBeCloseTo(w.long, 9);
+  });
+
+  it("uses the workbook thresholds", () => {
+    expect(MWMB_KEYS.map((k) => GOOGLE_MWMB[k].thr)).toEqual([14.4, 6, 3, 1]);
+  });
+
+  it("scales demo windows with the demo hour", () => {
+    const w = buildGoogleMwmb(10);
+    expect(w.pageA.long).toBe(10);
+    expect(w.ticketB.long).toBe(3 * 24 * 10);
+    expect(w.pageA.longReal).toBe(3600);
+  });
+
+  it("rescales thresholds so each pair spends the same budget share of another period", () => {
+    const period = 28 * 86400;
+    const scaled = scaleMwmbToPeriod(GOOGLE_MWMB, period);
+    expect(scaled.pageA.thr).toBe(13.44);
+    expect(scaled.pageA.label).toBe("Page: 1h & 5m @13.44x");
+    for (const k of MWMB_KEYS) {
+      expect(budgetConsumedPct(scaled[k].thr, scaled[k].longReal, period)).toBeCloseTo(
+        budgetConsumedPct(GOOGLE_MWMB[k].thr, GOOGLE_MWMB[k].longReal),
+        1
+      );
+    }
+    expect(scaleMwmbToPeriod(GOOGLE_MWMB, 30 * 86400)).toBe(GOOGLE_MWMB);
+  });
+
+  it("keeps thresholds that aren't marked for rescaling", () => {
+    const custom = { ...GOOGLE_MWMB.pageA, scaleThr: false };
+    expect(scaleMwmbToPeriod({ custom }, 28 * 86400).custom).toBe(custom);
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * SLO compliance periods: rolling (trailing N days) or calendar-aligned
+ * (month, quarter; reset at 00:00 UTC on the first day).
+ *
+ * Periods are real time. The simulator compresses time (1 demo hour =
+ * DEMO_HOUR_SEC sim seconds), so calendar boundaries are found on the demo
+ * clock, which runs from `epoch` at 3600/DEMO_HOUR_SEC× sim speed.
+ */
+
+import { statsFromCounts } from "./burn.js";
+import { budgetConsumedPct, clamp, daysToDeplete } from "./math.js";
+import { DEMO_HOUR_SEC } from "./mwmb.js";
+
+const DAY_SEC = 86400;
+
+export const COMPLIANCE_PERIODS = {
+  "rolling-7d": { label: "7-day rolling", kind: "rolling", days: 7 },
+  "rolling-28d": { label: "28-day rolling", kind: "rolling", days: 28 },
+  "rolling-30d": { label: "30-day rolling", kind: "rolling", days: 30 },
+  "calendar-month": { label: "Calendar month", kind: "calendar", months: 1 },
+  "calendar-quarter": { label: "Calendar quarter", kind: "calendar", months: 3 },
+};
+
+export const DEFAULT_PERIOD = "rolling-30d";
+
+// ---- Demo clock ------------------------------------------------------------
+
+export function toDemoTs(simTs, epoch, demoHourSec = DEMO_HOUR_SEC) {
+  return epoch + ((simTs - epoch) * 3600) / demoHourSec;
+}
+
+export function toSimTs(demoTs, epoch, demoHourSec = DEMO_HOUR_SEC) {
+  return epoch + ((demoTs - epoch) * demoHourSec) / 3600;
+}
+
+// ---- Period boundaries -----------------------------------------------------
+
+function calendarStart(ts, months) {
+  const d = new Date(ts);
+  const m = d.getUTCMonth() - (d.getUTCMonth() % months);
+  return Date.UTC(d.getUTCFullYear(), m, 1);
+}
+
+function addMonths(ts, months) {
+  const d = new Date(ts);
+  return Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + months, 1);
+}
+
+/**
+ * The period containing real time `ts`. Rolling periods end at `ts`;
+ * calendar periods run from their reset to the next one.
+ * @returns {{ start: number, end: number, seconds: number }} epoch ms + length in seconds
+ */
+export function periodWindow(period, ts) {
+  const spec = COMPLIANCE_PERIODS[period] || COMPLIANCE_PERIODS[DEFAULT_PERIOD];
+  if (spec.kind === "rolling") {
+    const seconds = spec.days * DAY_SEC;
+    return { start: ts - seconds * 1000, end: ts, seconds };
+  }
+  const start = calendarStart(ts, spec.months);
+  const end = addMonths(start, spec.months);
+  return { start, end, seconds: (end - start) / 1000 };
+}
+
+export function periodSeconds(period, ts) {
+  return periodWindow(period, ts).seconds;
+}
+
+// Calendar resets in (from, to]; rolling periods never reset.
+export function periodResets(period, from, to) {
+  const spec = COMPLIANCE_PERIODS[period];
+  if (spec?.kind !== "calendar") return [];
+  const out = [];
+  for (let t = addMonths(calendarStart(from, spec.months), spec.months); t <= to; t = addMonths(t, spec.months)) {
+    out.push(t);
+  }
+  return out;
+}
+
+/**
+ * Where sim time `simTs` sits in its period, measured on the demo clock and
+ * clipped to the start of the run at `epoch`.
+ * @returns {{ start: number, end: number, periodSec: number, elapsedSec: number, windowSimSec: number }}
+ *   start/end in sim epoch ms; periodSec/elapsedSec real seconds;
+ *   windowSimSec – the sim-time window holding the period's events so far
+ */
+export function periodProgress(period, simTs, epoch, demoHourSec = DEMO_HOUR_SEC) {
+  const at = toDemoTs(simTs, epoch, demoHourSec);
+  const win = periodWindow(period, at);
+  const from = Math.max(win.start, epoch);
+  return {
+    start: toSimTs(from, epoch, demoHourSec),
+    end: toSimTs(win.end, epoch, demoHourSec),
+    periodSec: win.seconds,
+    elapsedSec: Math.max(0, at - from) / 1000,
+    windowSimSec: Math.max(0, simTs - toSimTs(from, epoch, demoHourSec)) / 1000,
+  };
+}
+
+// ---- Budget over the period ------------------------------------------------
+
+/**
+ * Budget position from the good/bad counts observed so far in the period.
+ * `elapsedSec` is how much of the period those counts cover (real seconds);
+ * traffic is assumed steady, so burning 1× for the whole period uses 100%.
+ * Depletion is projected from `currentBurn` against what is left.
+ */
+export function periodBudget(counts, sloTarget, { elapsedSec, periodSec, currentBurn = 0 }) {
+  const { burn } = statsFromCounts(counts, sloTarget);
+  const consumedPct = budgetConsumedPct(burn, elapsedSec, periodSec);
+  const remainingPct = clamp(100 - consumedPct, 0, 100);
+  return {
+    burn,
+    consumedPct,
+    remainingPct,
+    daysToDepletion: remainingPct > 0 ? daysToDeplete(currentBurn, periodSec / DAY_SEC, remainingPct) : 0,
+  };
+}
+
+/**
+ * Remaining budget at the end of each coarse bucket (`{ ts, total, bad }`
+ * in sim time, oldest first): slides for rolling periods and restarts at
+ * every calendar reset.
+ */
+export function budgetSeries(buckets, sloTarget, { period, epoch, bucketSec, demoHourSec = DEMO_HOUR_SEC }) {
+  const out = [];
+  let lo = 0;
+  let total = 0;
+  let bad = 0;
+  for (const b of buckets) {
+    total += b.total;
+    bad += b.bad;
+    const end = b.ts + bucketSec * 1000;
+    // The bucket belongs to the period it ends in (a reset at `end` starts the next one).
+    const { start, periodSec, elapsedSec } = periodProgress(period, end - 1, epoch, demoHourSec);
+    while (buckets[lo].ts < start && buckets[lo] !== b) {
+      total -= buckets[lo].total;
+      bad -= buckets[lo].bad;
+      lo++;
+    }
+    const { remainingPct } = periodBudget({ total, bad }, sloTarget, { elapsedSec, periodSec });
+    out.push({ ts: end, remainingPct });
+  }
+  return out;
+}
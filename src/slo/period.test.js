@@ -0,0 +1,107 @@
+import { describe, expect, it } from "vitest";
+import {
+  budgetSeries,
+  periodBudget,
+  periodProgress,
+  periodResets,
+  periodWindow,
+  toDemoTs,
+  toSimTs,
+} from "./period.js";
+
+const epoch = Date.UTC(2025, 0, 6, 9, 0, 0);
+const DAY = 86400_000;
+
+describe("compliance periods", () => {
+  it("ends rolling periods at the given time", () => {
+    const ts = Date.UTC(2025, 1, 10);
+    expect(periodWindow("rolling-28d", ts)).toEqual({ start: ts - 28 * DAY, end: ts, seconds: 28 * 86400 });
+  });
+
+  it("aligns calendar periods to UTC month and quarter starts", () => {
+    const ts = Date.UTC(2025, 4, 17, 13);
+    expect(periodWindow("calendar-month", ts)).toEqual({
+      start: Date.UTC(2025, 4, 1),
+      end: Date.UTC(2025, 5, 1),
+      seconds: 31 * 86400,
+    });
+    const q = periodWindow("calendar-quarter", ts);
+    expect([q.start, q.end]).toEqual([Date.UTC(2025, 3, 1), Date.UTC(2025, 6, 1)]);
+    expect(periodWindow("calendar-month", Date.UTC(2025, 1, 3)).seconds).toBe(28 * 86400);
+  });
+
+  it("lists calendar resets in a range and none for rolling periods", () => {
+    expect(periodResets("calendar-month", Date.UTC(2025, 0, 6), Date.UTC(2025, 2, 1))).toEqual([
+      Date.UTC(2025, 1, 1),
+      Date.UTC(2025, 2, 1),
+    ]);
+    expect(periodResets("calendar-quarter", Date.UTC(2025, 0, 6), Date.UTC(2025, 2, 1))).toEqual([]);
+    expect(periodResets("rolling-30d", 0, Date.UTC(2025, 2, 1))).toEqual([]);
+  });
+
+  it("maps sim time to the 60× demo clock and back", () => {
+    const sim = epoch + 60_000; // one demo hour
+    expect(toDemoTs(sim, epoch)).toBe(epoch + 3600_000);
+    expect(toSimTs(toDemoTs(sim, epoch), epoch)).toBe(sim);
+  });
+});
+
+describe("periodBudget", () => {
+  it("charges burn for the elapsed share of the period", () => {
+    // 0.5% bad at 99.5% is 1× burn; a week of it spends 7/28 of a 28-day budget
+    const b = periodBudget({ total: 1000, bad: 5 }, 99.5, {
+      elapsedSec: 7 * 86400,
+      periodSec: 28 * 86400,
+      currentBurn: 3,
+    });
+    expect(b.consumedPct).toBeCloseTo(25, 9);
+    expect(b.remainingPct).toBeCloseTo(75, 9);
+    expect(b.daysToDepletion).toBeCloseTo(7, 9);
+  });
+
+  it("bottoms out at an exhausted budget", () => {
+    const b = periodBudget({ total: 100, bad: 50 }, 99, { elapsedSec: 86400, periodSec: 7 * 86400 });
+    expect(b.remainingPct).toBe(0);
+    expect(b.daysToDepletion).toBe(0);
+  });
+});
+
+describe("periodProgress", () => {
+  it("clips rolling periods to the start of the run", () => {
+    const p = periodProgress("rolling-28d", epoch + 120_000, epoch); // two demo hours in
+    expect(p.start).toBe(epoch);
+    expect(p.elapsedSec).toBe(7200);
+    expect(p.windowSimSec).toBe(120);
+    expect(p.periodSec).toBe(28 * 86400);
+  });
+
+  it("starts calendar periods at the reset on the demo clock", () => {
+    const feb1 = toSimTs(Date.UTC(2025, 1, 1), epoch);
+    const p = periodProgress("calendar-month", feb1 + 60_000, epoch);
+    expect(p.start).toBe(feb1);
+    expect(p.elapsedSec).toBe(3600);
+    expect(p.periodSec).toBe(28 * 86400);
+    expect(periodProgress("calendar-month", feb1 - 1, epoch).periodSec).toBe(31 * 86400);
+  });
+});
+
+describe("budgetSeries", () => {
+  it("restarts the budget at a calendar reset", () => {
+    const feb1 = toSimTs(Date.UTC(2025, 1, 1), epoch);
+    // one demo hour per bucket: 1× burn up to the reset, all good after it
+    const buckets = [-2, -1, 0, 1].map((h) => ({ ts: feb1 + h * 60_000, total: 100, bad: h < 0 ? 1 : 0 }));
+    const series = budgetSeries(buckets, 99, { period: "calendar-month", epoch, bucketSec: 60 });
+    expect(series.map((p) => p.ts)).toEqual(buckets.map((b) => b.ts + 60_000));
+    expect(series[1].remainingPct).toBeLessThan(series[0].remainingPct);
+    expect(series[1].remainingPct).toBeCloseTo(100 - (26 * 24 - 9) / (31 * 24) * 100, 3);
+    expect(series[2].remainingPct).toBe(100);
+    expect(series[3].remainingPct).toBe(100);
+  });
+
+  it("keeps charging old buckets inside a rolling period", () => {
+    const buckets = [0, 1, 2].map((h) => ({ ts: epoch + h * 60_000, total: 100, bad: h === 0 ? 10 : 0 }));
+    const series = budgetSeries(buckets, 99, { period: "rolling-7d", epoch, bucketSec: 60 });
+    // 10 bad of 300 is a 3.33× burn at 99%, sustained for 3 of 168 hours
+    expect(series[2].remainingPct).toBeCloseTo(100 - (10 / 3) * (3 / 168) * 100, 3);
+  });
+});
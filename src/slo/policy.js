@@ -0,0 +1,25 @@
+/**
+ * Goodness policy: an event is good when it succeeded and, if the SLI is
+ * baked into the error rate, also met the latency SLO.
+ *
+ * "Met the latency SLO" is the event's own `is_slo_compliant` snapshot,
+ * taken against the threshold in force when it was logged — the same rule
+ * the metrics store counts with, so raw-event and aggregated burn agree
+ * after the latency target changes (older events keep their verdict).
+ * Events without a snapshot are judged against the current threshold.
+ */
+
+/**
+ * @param {object} slo – `{ latencyP95Target, bakeSLI }`; bakeSLI defaults to true.
+ * @returns {(ev: object) => boolean}
+ */
+export function goodByPolicy(slo) {
+  const bakeSLI = slo.bakeSLI ?? true;
+  const threshold = slo.latencyP95Target; // demo: use p95 target as per-request threshold
+  return (ev) => {
+    if (!ev) return false;
+    if (!ev.is_successful) return false;
+    if (!bakeSLI) return true;
+    return typeof ev.is_slo_compliant === "boolean" ? ev.is_slo_compliant : ev.latency_ms <= threshold;
+  };
+}
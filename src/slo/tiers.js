@@ -0,0 +1,46 @@
+/**
+ * Service tiers: minimum SLOs, incident targets and the SLO presets the game
+ * applies when a tier is picked.
+ */
+
+export const TIERS = {
+  "Tier-0": {
+    description: "Business-Critical. ‘Can’t fail’ systems.",
+    minSLO: 99.95,
+    maxYearlyDowntime: "4h 20m 49s",
+    incident: "P-0",
+    onCall: "24/7 Required",
+    targets: { MTTA_min: 5, MTTR_min: 60, MTTC_hours: 24 },
+  },
+  "Tier-1": {
+    description: "Important. Core but slightly more tolerant.",
+    minSLO: 99.5,
+    maxYearlyDowntime: "1d 19h 28m 9s",
+    incident: "P-1",
+    onCall: "24/7 Required",
+    targets: { MTTA_min: 5, MTTR_min: 60, MTTC_hours: 24 },
+  },
+  "Tier-2": {
+    description: "Supporting. Partial unavailability often accepted.",
+    minSLO: 99.0,
+    maxYearlyDowntime: "3d 14h 56m 18s",
+    incident: "P-2",
+    onCall: "Business Hours Recommended",
+    targets: { MTTA_min: 15, MTTR_min: 240, MTTC_hours: 72 },
+  },
+  "Tier-3": {
+    description: "Internal tools. Not mission-critical for customers.",
+    minSLO: 98.0,
+    maxYearlyDowntime: "7d 5h 52m 35s",
+    incident: "P-3",
+    onCall: "Business Hours Recommended",
+    targets: { MTTA_min: 60, MTTR_min: 24 * 60, MTTC_hours: 120 },
+  },
+};
+
+export const TIER_PRESETS = {
+  "Tier-0": { availabilityTarget: TIERS["Tier-0"].minSLO, latencyP95Target: 500 },
+  "Tier-1": { availabilityTarget: TIERS["Tier-1"].minSLO, latencyP95Target: 800 },
+  "Tier-2": { availabilityTarget: TIERS["Tier-2"].minSLO, latencyP95Target: 1200 },
+  "Tier-3": { availabilityTarget: TIERS["Tier-3"].minSLO, latencyP95Target: 1500 },
+};
@@ -0,0 +1,26 @@
+/**
+ * Helpers shared by the Vitest suites (src/ and server/); not part of the app.
+ */
+
+// Poll `check` every 20 ms for up to 2 s, for servers answering over real sockets.
+export async function until(check) {
+  for (let i = 0; i < 100 && !check(); i++) await new Promise((r) => setTimeout(r, 20));
+}
+
+// Stand-in for the browser WebSocket/EventSource: tests drive open/message/close by hand.
+export class FakeSocket {
+  static all = [];
+  static latest = () => FakeSocket.all[FakeSocket.all.length - 1];
+  constructor(url) {
+    this.url = url;
+    this.sent = [];
+    FakeSocket.all.push(this);
+  }
+  send(text) {
+    this.sent.push(JSON.parse(text));
+  }
+  close() {
+    this.closed = true;
+    this.onclose?.();
+  }
+}
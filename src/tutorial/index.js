@@ -0,0 +1,2 @@
+export * from "./script.js";
+export * from "./library.js";
@@ -0,0 +1,49 @@
+/**
+ * Built-in tutorials plus the learner's own scripts, persisted in localStorage.
+ */
+
+import burnRateBasics from "./scripts/burn-rate-basics.json";
+import { TUTORIAL_VERSION, validateTutorial } from "./script.js";
+
+export const TUTORIALS = { [burnRateBasics.id]: burnRateBasics };
+
+export const TUTORIAL_STORAGE_KEY = "slo-burn-lab:tutorials";
+
+export function loadCustomTutorials(storage = globalThis.localStorage) {
+  try {
+    const raw = storage?.getItem(TUTORIAL_STORAGE_KEY);
+    const list = raw ? JSON.parse(raw) : [];
+    return Object.fromEntries(list.filter((t) => !validateTutorial(t).length && !TUTORIALS[t.id]).map((t) => [t.id, t]));
+  } catch {
+    return {};
+  }
+}
+
+export function saveCustomTutorials(custom, storage = globalThis.localStorage) {
+  storage?.setItem(TUTORIAL_STORAGE_KEY, JSON.stringify(Object.values(custom)));
+}
+
+/** A starting point for authoring: one step of each kind. */
+export function tutorialTemplate() {
+  return {
+    version: TUTORIAL_VERSION,
+    id: "my-tutorial",
+    title: "My tutorial",
+    description: "What the learner will get out of it.",
+    steps: [
+      { target: "slo", title: "Read the SLO", text: "The SLO is {sloTarget}%.", sim: "pause" },
+      {
+        target: "slo",
+        title: "Budget math",
+        text: "Burn rate = bad% ÷ EB%.",
+        question: {
+          prompt: "At SLO {sloTarget}%, what bad% triggers a 6× burn?",
+          answer: { fn: "expectedBadPercent", args: [{ var: "sloTarget" }, 6] },
+          unit: "%",
+          explain: "{errorBudgetPct}% × 6 = {answer}%.",
+        },
+      },
+      { target: "push", title: "Run it", text: "Turn on Auto-simulate.", waitFor: "running" },
+    ],
+  };
+}
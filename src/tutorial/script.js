@@ -0,0 +1,175 @@
+/**
+ * Tutorial script format: a guided walk through the UI, one step at a time.
+ *
+ *   {
+ *     "version": 1,
+ *     "id": "burn-rate-basics",
+ *     "title": "Burn-rate basics",
+ *     "description": "…",
+ *     "steps": [
+ *       {
+ *         "target": "slo",                  // card to highlight (TUTORIAL_TARGETS), optional
+ *         "title": "2) Define SLI / SLO",
+ *         "text": "Your SLO is {sloTarget}%.",   // {name} = a TUTORIAL_VARIABLES value
+ *         "sim": "pause",                   // "pause" | "run" the simulation on entry, optional
+ *         "waitFor": "pageFiring",          // Next stays disabled until this holds, optional
+ *         "question": {                     // optional; must be answered to continue
+ *           "prompt": "At SLO {sloTarget}%, what bad% triggers the 14.4× page?",
+ *           "answer": { "fn": "expectedBadPercent", "args": [{ "var": "sloTarget" }, 14.4] },
+ *           "tolerance": 0.01,              // absolute, default 1% of the answer
+ *           "unit": "%",
+ *           "explain": "EB% × 14.4 = {answer}%"
+ *         }
+ *       }
+ *     ]
+ *   }
+ *
+ * A question is numeric (`answer`, an expression computed from the live
+ * setup) or multiple choice (`choices` plus the index of the `correct` one).
+ * Expressions are numbers, `{ "var": name }` or `{ "fn": name, "args": [...] }`
+ * with a function from ANSWER_FUNCTIONS.
+ */
+
+import { budgetConsumedPct, burnRate, daysToDeplete, errorBudgetPercent, expectedBadPercent } from "../slo/index.js";
+
+export const TUTORIAL_VERSION = 1;
+
+// Cards a step can point at (their `anchor`), in reading order.
+export const TUTORIAL_TARGETS = {
+  tier: "1) Select Service Tier",
+  slo: "2) Define SLI / SLO",
+  alertPolicy: "Alert Policy",
+  budgetPolicy: "Error Budget Policy",
+  push: "3) Push Logs",
+  faults: "Fault Injection",
+  visualize: "4) Visualize Logs & Signals",
+  inspector: "Burn-rate Inspector",
+  alerts: "5) Alerts in Action",
+  runbook: "Runbook",
+  incidents: "Incidents",
+};
+
+// What a step can wait for.
+export const TUTORIAL_CONDITIONS = {
+  running: "the simulation is running",
+  paused: "the simulation is paused",
+  pageFiring: "a page is firing",
+  alertAcked: "an alert has been acknowledged",
+  alertResolved: "an alert has been resolved",
+};
+
+// Values of the live setup available to text, prompts and answers.
+export const TUTORIAL_VARIABLES = {
+  tier: "selected tier",
+  minSLO: "the tier's minimum SLO (%)",
+  MTTA_min: "the tier's MTTA target (min)",
+  MTTR_min: "the tier's MTTR target (min)",
+  sloTarget: "overall availability SLO (%)",
+  errorBudgetPct: "error budget (%) at that SLO",
+  latencyP95Target: "latency p95 target (ms)",
+  availability: "availability in the last minute (%)",
+  p95: "latency p95 in the last minute (ms)",
+  periodDays: "compliance period length (days)",
+};
+
+export const ANSWER_FUNCTIONS = {
+  errorBudgetPercent,
+  expectedBadPercent,
+  burnRate,
+  budgetConsumedPct,
+  daysToDeplete,
+  add: (a, b) => a + b,
+  sub: (a, b) => a - b,
+  mul: (a, b) => a * b,
+  div: (a, b) => a / b,
+};
+
+function validateExpression(e, at) {
+  if (typeof e === "number") return Number.isFinite(e) ? [] : [`${at} must be a finite number`];
+  if (e && typeof e === "object" && "var" in e) return TUTORIAL_VARIABLES[e.var] ? [] : [`${at}.var "${e.var}" is not a tutorial variable`];
+  if (e && typeof e === "object" && "fn" in e) {
+    if (!ANSWER_FUNCTIONS[e.fn]) return [`${at}.fn must be one of ${Object.keys(ANSWER_FUNCTIONS).join(", ")}`];
+    if (!Array.isArray(e.args)) return [`${at}.args must be a list`];
+    return e.args.flatMap((a, i) => validateExpression(a, `${at}.args[${i}]`));
+  }
+  return [`${at} must be a number, { var } or { fn, args }`];
+}
+
+function validateQuestion(q, at) {
+  const errors = [];
+  if (typeof q.prompt !== "string" || !q.prompt.trim()) errors.push(`${at}.prompt is required`);
+  if (q.choices !== undefined) {
+    if (!Array.isArray(q.choices) || q.choices.length < 2 || q.choices.some((c) => typeof c !== "string")) {
+      errors.push(`${at}.choices must be at least two strings`);
+    } else if (!Number.isInteger(q.correct) || q.correct < 0 || q.correct >= q.choices.length) {
+      errors.push(`${at}.correct must be the index of one of the choices`);
+    }
+  } else if (q.answer === undefined) {
+    errors.push(`${at} needs an answer or choices`);
+  } else {
+    errors.push(...validateExpression(q.answer, `${at}.answer`));
+    if (q.tolerance !== undefined && !(q.tolerance >= 0)) errors.push(`${at}.tolerance must be >= 0`);
+  }
+  return errors;
+}
+
+/**
+ * @returns {string[]} human-readable problems; empty when valid
+ */
+export function validateTutorial(script) {
+  if (!script || typeof script !== "object") return ["tutorial must be an object"];
+  const errors = [];
+  if (typeof script.id !== "string" || !/^[a-z0-9-]+$/.test(script.id)) errors.push("id must be lowercase letters, digits and dashes");
+  if (typeof script.title !== "string" || !script.title.trim()) errors.push("title is required");
+  if (!Array.isArray(script.steps) || !script.steps.length) return [...errors, "steps must be a non-empty array"];
+  script.steps.forEach((s, i) => {
+    const at = `steps[${i}]`;
+    if (typeof s?.text !== "string" || !s.text.trim()) errors.push(`${at}.text is required`);
+    if (s?.target !== undefined && !TUTORIAL_TARGETS[s.target]) errors.push(`${at}.target must be one of ${Object.keys(TUTORIAL_TARGETS).join(", ")}`);
+    if (s?.sim !== undefined && s.sim !== "pause" && s.sim !== "run") errors.push(`${at}.sim must be "pause" or "run"`);
+    if (s?.waitFor !== undefined && !TUTORIAL_CONDITIONS[s.waitFor]) errors.push(`${at}.waitFor must be one of ${Object.keys(TUTORIAL_CONDITIONS).join(", ")}`);
+    if (s?.question !== undefined) errors.push(...validateQuestion(s.question, `${at}.question`));
+  });
+  return errors;
+}
+
+/** Evaluate an answer expression against the live setup. */
+export function computeAnswer(expr, vars) {
+  if (typeof expr === "number") return expr;
+  if ("var" in expr) return vars[expr.var];
+  return ANSWER_FUNCTIONS[expr.fn](...expr.args.map((a) => computeAnswer(a, vars)));
+}
+
+const formatValue = (v) => (typeof v === "number" ? String(Number(v.toFixed(4))) : String(v));
+
+/** Replace `{name}` with a variable (or `answer`); unknown names stay as written. */
+export function fillTemplate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (m, k) => (vars[k] === undefined ? m : formatValue(vars[k])));
+}
+
+/**
+ * Check a learner's answer: a choice index or a number (text is parsed).
+ * @returns {{ correct: boolean, expected: number|string }}
+ */
+export function checkAnswer(question, given, vars) {
+  if (question.choices) return { correct: Number(given) === question.correct, expected: question.choices[question.correct] };
+  const expected = computeAnswer(question.answer, vars);
+  const value = typeof given === "number" ? given : Number(String(given).replace(",", ".").replace(/[%\s]/g, ""));
+  const tolerance = question.tolerance ?? Math.abs(expected) * 0.01;
+  return { correct: Number.isFinite(value) && Math.abs(value - expected) <= tolerance, expected };
+}
+
+/**
+ * Parse an authored script.
+ * @returns {{ script: object|null, errors: string[] }}
+ */
+export function parseTutorialJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    return { script: null, errors: [`invalid JSON: ${e.message}`] };
+  }
+  const errors = validateTutorial(data);
+  return errors.length ? { script: null, errors } : { script: { ...data, version: TUTORIAL_VERSION }, errors };
+}
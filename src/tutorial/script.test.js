@@ -0,0 +1,70 @@
+import { describe, expect, it } from "vitest";
+import {
+  checkAnswer,
+  computeAnswer,
+  fillTemplate,
+  loadCustomTutorials,
+  parseTutorialJson,
+  saveCustomTutorials,
+  tutorialTemplate,
+  TUTORIALS,
+  validateTutorial,
+} from "./index.js";
+
+const vars = { tier: "Tier-1", sloTarget: 99.5, errorBudgetPct: 0.5, periodDays: 30, MTTR_min: 60 };
+
+describe("tutorial scripts", () => {
+  it("built-ins and the authoring template are valid", () => {
+    for (const t of Object.values(TUTORIALS)) expect(validateTutorial(t)).toEqual([]);
+    expect(validateTutorial(tutorialTemplate())).toEqual([]);
+  });
+
+  it("reports what is wrong with an authored script", () => {
+    expect(parseTutorialJson("{").errors[0]).toMatch(/^invalid JSON/);
+    const { script, errors } = parseTutorialJson(
+      JSON.stringify({
+        id: "Bad Id",
+        title: "x",
+        steps: [
+          { text: "a", target: "nowhere", waitFor: "forever" },
+          { text: "b", question: { prompt: "?", answer: { fn: "eval", args: [] } } },
+          { text: "c", question: { prompt: "?", choices: ["one", "two"], correct: 2 } },
+          { text: "d", question: { prompt: "?", answer: { var: "secret" } } },
+        ],
+      })
+    );
+    expect(script).toBeNull();
+    expect(errors).toEqual([
+      "id must be lowercase letters, digits and dashes",
+      expect.stringMatching(/^steps\[0\]\.target must be one of tier, slo/),
+      expect.stringMatching(/^steps\[0\]\.waitFor must be one of running/),
+      expect.stringMatching(/^steps\[1\]\.question\.answer\.fn must be one of/),
+      "steps[2].question.correct must be the index of one of the choices",
+      'steps[3].question.answer.var "secret" is not a tutorial variable',
+    ]);
+    expect(parseTutorialJson(JSON.stringify(tutorialTemplate())).errors).toEqual([]);
+  });
+});
+
+describe("tutorial questions", () => {
+  it("compute answers from the live setup and check them within tolerance", () => {
+    const q = { prompt: "At SLO {sloTarget}%, what bad% triggers the 14.4× page?", answer: { fn: "expectedBadPercent", args: [{ var: "sloTarget" }, 14.4] } };
+    expect(computeAnswer(q.answer, vars)).toBeCloseTo(7.2);
+    expect(fillTemplate(q.prompt, vars)).toBe("At SLO 99.5%, what bad% triggers the 14.4× page?");
+    expect(checkAnswer(q, "7.2%", vars).correct).toBe(true);
+    expect(checkAnswer(q, "7,21", vars).correct).toBe(true);
+    expect(checkAnswer(q, "14.4", vars)).toMatchObject({ correct: false });
+    expect(checkAnswer({ ...q, answer: { fn: "div", args: [{ var: "periodDays" }, 14.4] }, tolerance: 0.05 }, 2.1, vars).correct).toBe(true);
+    expect(checkAnswer({ prompt: "?", choices: ["a", "b"], correct: 1 }, 1, vars)).toEqual({ correct: true, expected: "b" });
+    expect(fillTemplate("{MTTR_min} min, {unknown}", vars)).toBe("60 min, {unknown}");
+  });
+
+  it("keeps valid custom scripts that don't shadow a built-in", () => {
+    const store = new Map();
+    const storage = { getItem: (k) => store.get(k) ?? null, setItem: (k, v) => store.set(k, v) };
+    const mine = tutorialTemplate();
+    saveCustomTutorials({ [mine.id]: mine, clash: TUTORIALS["burn-rate-basics"], broken: { id: "broken" } }, storage);
+    expect(Object.keys(loadCustomTutorials(storage))).toEqual(["my-tutorial"]);
+    expect(loadCustomTutorials({ getItem: () => "{" })).toEqual({});
+  });
+});